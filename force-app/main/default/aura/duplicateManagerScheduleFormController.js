@@ -1,24 +1,15 @@
 ({
-  handleScheduleTypeChange: function (component, event, helper) {
-    var scheduleType = event.getParam("value");
-    component.set("v.scheduleType", scheduleType);
-
-    // Update cron expression based on type
-    if (scheduleType === "daily") {
-      var hour = component.get("v.hour");
-      component.set("v.cronExpression", "0 0 " + hour + " * * ?");
-    } else if (scheduleType === "weekly") {
-      var hour = component.get("v.hour");
-      var dayOfWeek = component.get("v.dayOfWeek");
-      component.set("v.cronExpression", "0 0 " + hour + " ? * " + dayOfWeek);
-    }
+  handleScheduleChange: function (component, event, helper) {
+    // The schedule builder works out the cron expression for every schedule type
+    component.set("v.scheduleType", event.getParam("scheduleType"));
+    component.set("v.cronExpression", event.getParam("cronExpression"));
   },
 
   getFormData: function (component, event, helper) {
     var jobName = component.find("jobName").get("v.value");
     var scheduleType = component.get("v.scheduleType");
     var cronExpression = component.get("v.cronExpression");
-    var isDryRun = component.find("isDryRun").get("v.value");
+    var isDryRun = component.find("isDryRun").get("v.checked");
 
     // Validate form
     var isValid = true;
@@ -27,16 +18,8 @@
       isValid = false;
     }
 
-    if (scheduleType === "daily" || scheduleType === "weekly") {
-      var hour = component.get("v.hour");
-
-      // Update cron expression based on selected values
-      if (scheduleType === "daily") {
-        cronExpression = "0 0 " + hour + " * * ?";
-      } else {
-        var dayOfWeek = component.get("v.dayOfWeek");
-        cronExpression = "0 0 " + hour + " ? * " + dayOfWeek;
-      }
+    if (!component.find("scheduleBuilder").validate()) {
+      isValid = false;
     }
 
     return {
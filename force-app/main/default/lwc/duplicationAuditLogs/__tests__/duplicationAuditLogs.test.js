@@ -1,13 +1,105 @@
 import { createElement } from "@lwc/engine-dom";
 import { expect } from "@jest/globals";
 import DuplicationAuditLogs from "c/duplicationAuditLogs";
+import getMergeJobLogs from "@salesforce/apex/DuplicateRecordLogController.getMergeJobLogs";
+import getRecordMergeLogs from "@salesforce/apex/DuplicateRecordLogController.getRecordMergeLogs";
+import revertMerge from "@salesforce/apex/DuplicateRecordLogController.revertMerge";
+import flushPromises from "../../../../../../jest-utils/flushPromises";
+
+jest.mock(
+  "@salesforce/apex/DuplicateRecordLogController.getMergeJobLogs",
+  () => {
+    const { createApexTestWireAdapter } = require("@salesforce/sfdx-lwc-jest");
+    return { default: createApexTestWireAdapter(jest.fn()) };
+  },
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateRecordLogController.getRecordMergeLogs",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateRecordLogController.revertMerge",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+
+const JOB_LOGS = {
+  records: [
+    {
+      id: "a02000000000001AAA",
+      batchJobId: "707000000000001AAA",
+      userName: "Data Steward",
+      objectApiName: "Account",
+      recordsMerged: 2,
+    },
+  ],
+  pagination: { pageSize: 10, currentPage: 1, totalRecords: 1, totalPages: 1 },
+};
+
+const REVERTABLE_MERGE = {
+  id: "a03000000000001AAA",
+  masterId: "001000000000001AAA",
+  mergedIds: "001000000000002AAA",
+  status: "Merged",
+  cannotRevert: false,
+};
+
+const REVERTED_MERGE = {
+  id: "a03000000000002AAA",
+  masterId: "001000000000003AAA",
+  mergedIds: "001000000000004AAA",
+  status: "Reverted",
+  cannotRevert: true,
+};
+
+const createAuditLogs = () => {
+  const element = createElement("c-duplication-audit-logs", {
+    is: DuplicationAuditLogs,
+  });
+  document.body.appendChild(element);
+  return element;
+};
+
+const rowAction = (table, name, row) => {
+  table.dispatchEvent(
+    new CustomEvent("rowaction", { detail: { action: { name }, row } }),
+  );
+  return flushPromises();
+};
+
+// Open the details of the job so its record merges are listed
+const openJobDetails = async (element) => {
+  getMergeJobLogs.emit(JOB_LOGS);
+  await flushPromises();
+  await rowAction(
+    element.shadowRoot.querySelector("lightning-datatable"),
+    "view_details",
+    JOB_LOGS.records[0],
+  );
+  return element.shadowRoot.querySelectorAll("lightning-datatable")[1];
+};
+
+const getButton = (element, label) =>
+  Array.from(element.shadowRoot.querySelectorAll("lightning-button")).find(
+    (button) => button.label === label,
+  );
+
+const getConfirmation = (element) =>
+  element.shadowRoot.querySelector(".slds-theme_warning");
 
 describe("c-duplication-audit-logs", () => {
+  beforeEach(() => {
+    getRecordMergeLogs.mockResolvedValue([REVERTABLE_MERGE, REVERTED_MERGE]);
+  });
+
   afterEach(() => {
     // The jsdom instance is shared across test cases in a single file so reset the DOM
     while (document.body.firstChild) {
       document.body.removeChild(document.body.firstChild);
     }
+    jest.clearAllMocks();
   });
 
   it("TODO: test case generated by CLI command, please fill in test logic", () => {
@@ -23,4 +115,126 @@ describe("c-duplication-audit-logs", () => {
     // const div = element.shadowRoot.querySelector('div');
     expect(1).toBe(1);
   });
+
+  it("only offers to revert merges that can be reverted", async () => {
+    const element = createAuditLogs();
+    const mergesTable = await openJobDetails(element);
+
+    expect(getRecordMergeLogs).toHaveBeenCalledWith({
+      jobId: "707000000000001AAA",
+    });
+    expect(mergesTable.data).toEqual([REVERTABLE_MERGE, REVERTED_MERGE]);
+    const revertColumn = mergesTable.columns.find(
+      (column) =>
+        column.typeAttributes && column.typeAttributes.name === "revert_merge",
+    );
+    expect(revertColumn.typeAttributes.disabled).toEqual({
+      fieldName: "cannotRevert",
+    });
+
+    await rowAction(mergesTable, "revert_merge", REVERTED_MERGE);
+
+    expect(getConfirmation(element)).toBeNull();
+    expect(revertMerge).not.toHaveBeenCalled();
+  });
+
+  it("asks for confirmation before reverting a merge", async () => {
+    const element = createAuditLogs();
+    const mergesTable = await openJobDetails(element);
+
+    await rowAction(mergesTable, "revert_merge", REVERTABLE_MERGE);
+
+    const confirmation = getConfirmation(element);
+    expect(confirmation.textContent).toContain(
+      "Revert the merge into 001000000000001AAA?",
+    );
+    expect(confirmation.textContent).toContain("001000000000002AAA");
+    expect(revertMerge).not.toHaveBeenCalled();
+
+    getButton(element, "Cancel").click();
+    await flushPromises();
+
+    expect(getConfirmation(element)).toBeNull();
+    expect(revertMerge).not.toHaveBeenCalled();
+  });
+
+  it("reverts the confirmed merge and reports what was restored", async () => {
+    revertMerge.mockResolvedValue({
+      undeletedIds: ["001000000000002AAA"],
+      recreatedIds: {},
+      restoredFields: ["Phone", "Website"],
+      skippedFields: ["Industry"],
+      unrestoredFields: [],
+    });
+    const element = createAuditLogs();
+    const toastHandler = jest.fn();
+    element.addEventListener("lightning__showtoast", toastHandler);
+    const mergesTable = await openJobDetails(element);
+
+    await rowAction(mergesTable, "revert_merge", REVERTABLE_MERGE);
+    getButton(element, "Revert merge").click();
+    await flushPromises();
+
+    expect(revertMerge).toHaveBeenCalledWith({
+      mergeLogId: "a03000000000001AAA",
+    });
+    expect(toastHandler).toHaveBeenCalledTimes(1);
+    const toast = toastHandler.mock.calls[0][0].detail;
+    expect(toast.variant).toBe("success");
+    expect(toast.title).toBe("Merge Reverted");
+    expect(toast.message).toBe(
+      "Restored 1 record(s) and 2 master field value(s). Kept Industry as edited since the merge",
+    );
+    expect(getConfirmation(element)).toBeNull();
+    // The record merges are reloaded to show the reverted status
+    expect(getRecordMergeLogs).toHaveBeenCalledTimes(2);
+  });
+
+  it("reports values the merge log was too small to keep", async () => {
+    revertMerge.mockResolvedValue({
+      undeletedIds: ["001000000000002AAA"],
+      recreatedIds: {},
+      restoredFields: ["Phone"],
+      skippedFields: [],
+      unrestoredFields: [],
+      snapshotIncomplete: true,
+    });
+    const element = createAuditLogs();
+    const toastHandler = jest.fn();
+    element.addEventListener("lightning__showtoast", toastHandler);
+    const mergesTable = await openJobDetails(element);
+
+    await rowAction(mergesTable, "revert_merge", REVERTABLE_MERGE);
+    getButton(element, "Revert merge").click();
+    await flushPromises();
+
+    expect(toastHandler.mock.calls[0][0].detail.message).toBe(
+      "Restored 1 record(s) and 1 master field value(s). Values too large for the merge log were not restored",
+    );
+  });
+
+  it("shows an error when the revert fails", async () => {
+    revertMerge.mockRejectedValue({
+      body: { message: "The merged records were deleted permanently" },
+    });
+    const element = createAuditLogs();
+    const toastHandler = jest.fn();
+    element.addEventListener("lightning__showtoast", toastHandler);
+    const mergesTable = await openJobDetails(element);
+
+    await rowAction(mergesTable, "revert_merge", REVERTABLE_MERGE);
+    getButton(element, "Revert merge").click();
+    await flushPromises();
+
+    expect(toastHandler).toHaveBeenCalledTimes(1);
+    const toast = toastHandler.mock.calls[0][0].detail;
+    expect(toast.variant).toBe("error");
+    expect(toast.message).toBe(
+      "Error reverting merge: The merged records were deleted permanently",
+    );
+    // The merge stays selected so the revert can be tried again
+    expect(getConfirmation(element)).not.toBeNull();
+    expect(getButton(element, "Revert merge").disabled).toBe(false);
+    expect(getRecordMergeLogs).toHaveBeenCalledTimes(1);
+  });
 });
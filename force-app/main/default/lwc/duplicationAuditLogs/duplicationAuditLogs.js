@@ -1,6 +1,8 @@
 import { LightningElement, api, track, wire } from "lwc";
 import { ShowToastEvent } from "lightning/platformShowToastEvent";
 import getMergeJobLogs from "@salesforce/apex/DuplicateRecordLogController.getMergeJobLogs";
+import getRecordMergeLogs from "@salesforce/apex/DuplicateRecordLogController.getRecordMergeLogs";
+import revertMerge from "@salesforce/apex/DuplicateRecordLogController.revertMerge";
 import { refreshApex } from "@salesforce/apex";
 // import userId from '@salesforce/user/Id';
 
@@ -17,6 +19,8 @@ export default class DuplicationAuditLogs extends LightningElement {
   @track columns = [];
   @track filters = {};
   @track selectedLog;
+  @track recordMergeLogs = [];
+  @track recordMergeColumns = [];
   @track pagination = {
     pageSize: 10,
     currentPage: 1,
@@ -29,6 +33,9 @@ export default class DuplicationAuditLogs extends LightningElement {
   error = null;
   showLogDetailsModal = false;
   wiredLogsResult;
+  isLoadingRecordMerges = false;
+  isReverting = false;
+  mergeToRevert = null;
 
   connectedCallback() {
     this.initializeColumns();
@@ -115,6 +122,12 @@ export default class DuplicationAuditLogs extends LightningElement {
         type: "text",
         sortable: true,
       },
+      {
+        label: "Config Version",
+        fieldName: "configVersion",
+        type: "number",
+        sortable: true,
+      },
       {
         label: "Records Merged",
         fieldName: "recordsMerged",
@@ -134,6 +147,47 @@ export default class DuplicationAuditLogs extends LightningElement {
         },
       },
     ];
+
+    this.recordMergeColumns = [
+      {
+        label: "Merge Time",
+        fieldName: "mergeTime",
+        type: "date",
+        typeAttributes: {
+          month: "short",
+          day: "2-digit",
+          hour: "2-digit",
+          minute: "2-digit",
+        },
+      },
+      {
+        label: "Master Record",
+        fieldName: "masterId",
+        type: "text",
+      },
+      {
+        label: "Merged Records",
+        fieldName: "mergedIds",
+        type: "text",
+      },
+      {
+        label: "Status",
+        fieldName: "status",
+        type: "text",
+      },
+      {
+        type: "button",
+        typeAttributes: {
+          label: "Revert merge",
+          name: "revert_merge",
+          title: "Revert merge",
+          variant: "destructive-text",
+          iconName: "utility:undo",
+          iconPosition: "left",
+          disabled: { fieldName: "cannotRevert" },
+        },
+      },
+    ];
   }
 
   /**
@@ -181,6 +235,7 @@ export default class DuplicationAuditLogs extends LightningElement {
   viewLogDetails(log) {
     this.selectedLog = log;
     this.showLogDetailsModal = true;
+    this.loadRecordMergeLogs();
   }
 
   /**
@@ -189,6 +244,97 @@ export default class DuplicationAuditLogs extends LightningElement {
   closeDetailsModal() {
     this.showLogDetailsModal = false;
     this.selectedLog = null;
+    this.recordMergeLogs = [];
+    this.mergeToRevert = null;
+  }
+
+  /**
+   * Load the record-level merge entries written by the selected job
+   */
+  loadRecordMergeLogs() {
+    if (!this.selectedLog || !this.selectedLog.batchJobId) {
+      this.recordMergeLogs = [];
+      return Promise.resolve();
+    }
+
+    this.isLoadingRecordMerges = true;
+
+    return getRecordMergeLogs({ jobId: this.selectedLog.batchJobId })
+      .then((result) => {
+        this.recordMergeLogs = result || [];
+      })
+      .catch((error) => {
+        this.handleError("Error loading record merges", error);
+      })
+      .finally(() => {
+        this.isLoadingRecordMerges = false;
+      });
+  }
+
+  /**
+   * Handle row action from the record merges datatable
+   * @param {Event} event - Row action event
+   */
+  handleRecordMergeAction(event) {
+    const action = event.detail.action;
+    const row = event.detail.row;
+
+    if (action.name === "revert_merge" && !row.cannotRevert) {
+      // Ask for confirmation before changing any records
+      this.mergeToRevert = row;
+    }
+  }
+
+  /**
+   * Cancel a pending revert
+   */
+  cancelRevert() {
+    this.mergeToRevert = null;
+  }
+
+  /**
+   * Revert the merge awaiting confirmation
+   */
+  confirmRevert() {
+    const mergeLog = this.mergeToRevert;
+    if (!mergeLog) return;
+
+    this.isReverting = true;
+
+    revertMerge({ mergeLogId: mergeLog.id })
+      .then((result) => {
+        const restoredCount =
+          result.undeletedIds.length + Object.keys(result.recreatedIds).length;
+        const skippedFields = result.skippedFields || [];
+        const unrestoredFields = result.unrestoredFields || [];
+        let message = `Restored ${restoredCount} record(s) and ${result.restoredFields.length} master field value(s)`;
+        if (skippedFields.length > 0) {
+          message += `. Kept ${skippedFields.join(", ")} as edited since the merge`;
+        }
+        if (unrestoredFields.length > 0) {
+          message += `. Recreated records could not get back ${unrestoredFields.join(", ")}`;
+        }
+        if (result.snapshotIncomplete) {
+          message += ". Values too large for the merge log were not restored";
+        }
+
+        this.dispatchEvent(
+          new ShowToastEvent({
+            title: "Merge Reverted",
+            message,
+            variant: "success",
+          }),
+        );
+
+        this.mergeToRevert = null;
+        return Promise.all([this.loadRecordMergeLogs(), this.refreshLogs()]);
+      })
+      .catch((error) => {
+        this.handleError("Error reverting merge", error);
+      })
+      .finally(() => {
+        this.isReverting = false;
+      });
   }
 
   /**
@@ -337,6 +483,22 @@ export default class DuplicationAuditLogs extends LightningElement {
     return this.pagination.currentPage >= this.pagination.totalPages;
   }
 
+  /**
+   * Check if the selected job has record-level merge entries
+   */
+  get hasRecordMergeLogs() {
+    return this.recordMergeLogs.length > 0;
+  }
+
+  /**
+   * Confirmation text for the pending revert
+   */
+  get revertConfirmationMessage() {
+    if (!this.mergeToRevert) return "";
+
+    return `Revert the merge into ${this.mergeToRevert.masterId}? Master field values overwritten by the merge will be restored and ${this.mergeToRevert.mergedIds} will be undeleted or recreated. Related records moved to the master stay on the master.`;
+  }
+
   /**
    * Get pagination label
    */
@@ -1,6 +1,10 @@
 import { LightningElement, api, track } from "lwc";
 import { ShowToastEvent } from "lightning/platformShowToastEvent";
 import { formatFieldName } from "c/duplicationEnhancedUI";
+import {
+  calculateFieldMatchScore,
+  getMatcherName,
+} from "c/duplicationMatchingEngine";
 import {
   subscribeToChannel,
   unsubscribeFromChannel,
@@ -29,6 +33,7 @@ export default class DuplicationComparisonView extends LightningElement {
   _groupIdValue;
 
   @track masterRecordId;
+  @track masterRecord;
   @track duplicateRecords = [];
   @track fieldGroups = [];
   @track fieldSelections = {};
@@ -142,8 +147,10 @@ export default class DuplicationComparisonView extends LightningElement {
       return;
     }
 
-    // Set master record to the first one by default
-    this.masterRecordId = records[0].Id;
+    // Keep the chosen master across reloads, default to the first record
+    this.masterRecord =
+      records.find((record) => record.Id === this.masterRecordId) || records[0];
+    this.masterRecordId = this.masterRecord.Id;
 
     // Process duplicate records
     this.duplicateRecords = records
@@ -168,10 +175,7 @@ export default class DuplicationComparisonView extends LightningElement {
       return;
     }
 
-    // Get master record
-    const masterRecord = this.recordIds.includes(this.masterRecordId)
-      ? this.duplicateRecords.find((r) => r.id === this.masterRecordId)?.record
-      : null;
+    const masterRecord = this.masterRecord;
 
     if (!masterRecord) {
       return;
@@ -198,11 +202,20 @@ export default class DuplicationComparisonView extends LightningElement {
                 const value = this.formatFieldValue(dupRecord.record[apiName]);
                 const isDifferent =
                   value !== masterValue && value !== null && value !== "";
+                const matchScore =
+                  masterValue !== "" && value !== ""
+                    ? Math.round(
+                        calculateFieldMatchScore(masterValue, value, apiName),
+                      )
+                    : null;
 
                 return {
                   id: dupRecord.id,
                   value: value,
                   isDifferent: isDifferent,
+                  matchScore: matchScore,
+                  matchScoreLabel:
+                    matchScore !== null ? `${matchScore}% match` : "",
                   isSelected: this.fieldSelections[apiName] === dupRecord.id,
                   class: isDifferent ? "field-different" : "",
                 };
@@ -216,6 +229,7 @@ export default class DuplicationComparisonView extends LightningElement {
               return {
                 apiName: apiName,
                 label: label,
+                matcher: getMatcherName(apiName),
                 masterValue: masterValue,
                 masterClass: hasDifferences ? "field-master" : "",
                 duplicateValues: duplicateValues,
@@ -0,0 +1,208 @@
+import { createElement } from "lwc";
+import DuplicationConfigBuilder from "c/duplicationConfigBuilder";
+import getConfigurations from "@salesforce/apex/DuplicationConfigController.getConfigurations";
+import validateConfiguration from "@salesforce/apex/DuplicationConfigController.validateConfiguration";
+import deployConfiguration from "@salesforce/apex/DuplicationConfigController.deployConfiguration";
+import getFieldsForObject from "@salesforce/apex/DRCFields.getFieldsForObject";
+import flushPromises from "../../../../../../jest-utils/flushPromises";
+
+jest.mock(
+  "@salesforce/apex/DuplicationConfigController.getConfigurations",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicationConfigController.validateConfiguration",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicationConfigController.deployConfiguration",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DRCFields.getFieldsForObject",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+
+const MOCK_CONFIGURATIONS = [
+  {
+    developerName: "Account_Standard",
+    label: "Account Standard",
+    objectApiName: "Account",
+    fields: [
+      { apiName: "Name", weight: 3, matcher: null },
+      { apiName: "Phone", weight: null, matcher: "GenericMatcher" },
+    ],
+    matchThreshold: 80,
+    batchSize: 100,
+    masterRecordStrategy: "MostComplete",
+    isActive: true,
+  },
+];
+
+const MOCK_FIELDS = {
+  objectApiName: "Account",
+  fieldGroups: [
+    {
+      label: "Standard Fields",
+      fields: [
+        { apiName: "Name", label: "Account Name" },
+        { apiName: "Phone", label: "Account Phone" },
+      ],
+    },
+    { label: "Custom Fields", fields: [] },
+    { label: "System Fields", fields: [{ apiName: "Id", label: "Record ID" }] },
+  ],
+};
+
+const createBuilder = (sourceConfigName) => {
+  const element = createElement("c-duplication-config-builder", {
+    is: DuplicationConfigBuilder,
+  });
+  element.sourceConfigName = sourceConfigName;
+  document.body.appendChild(element);
+  return element;
+};
+
+// The lightning-* stubs don't report validity, so treat every input as valid
+const markInputsValid = (element) => {
+  element.shadowRoot
+    .querySelectorAll("lightning-input, lightning-combobox, lightning-textarea")
+    .forEach((input) => {
+      input.reportValidity = jest.fn(() => true);
+    });
+};
+
+const getButton = (element, label) =>
+  [...element.shadowRoot.querySelectorAll("lightning-button")].find(
+    (button) => button.label === label,
+  );
+
+describe("c-duplication-config-builder", () => {
+  beforeEach(() => {
+    getConfigurations.mockResolvedValue(MOCK_CONFIGURATIONS);
+    getFieldsForObject.mockResolvedValue(MOCK_FIELDS);
+  });
+
+  afterEach(() => {
+    // The jsdom instance is shared across test cases in a single file so reset the DOM
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+  });
+
+  it("copies the source configuration when cloning", async () => {
+    const element = createBuilder("Account_Standard");
+    await flushPromises();
+
+    const inputs = element.shadowRoot.querySelectorAll("lightning-input");
+    const labelInput = [...inputs].find((input) => input.label === "Label");
+    const nameInput = [...inputs].find((input) => input.label === "API Name");
+    expect(labelInput.value).toBe("Account Standard Copy");
+    expect(nameInput.value).toBe("Account_Standard_Copy");
+
+    expect(getFieldsForObject).toHaveBeenCalledWith({
+      objectApiName: "Account",
+    });
+
+    const listbox = element.shadowRoot.querySelector("lightning-dual-listbox");
+    expect(listbox.value).toEqual(["Name", "Phone"]);
+    expect(listbox.options.map((option) => option.value)).toEqual([
+      "Name",
+      "Phone",
+    ]);
+
+    const rows = element.shadowRoot.querySelectorAll("tbody tr");
+    expect(rows.length).toBe(2);
+  });
+
+  it("shows validation errors instead of deploying an invalid configuration", async () => {
+    validateConfiguration.mockResolvedValue([
+      "Match threshold must be between 1 and 100",
+    ]);
+
+    const element = createBuilder("Account_Standard");
+    await flushPromises();
+
+    markInputsValid(element);
+    getButton(element, "Deploy").click();
+    await flushPromises();
+
+    expect(deployConfiguration).not.toHaveBeenCalled();
+    const errorBox = element.shadowRoot.querySelector('[role="alert"]');
+    expect(errorBox.textContent).toContain("Match threshold");
+  });
+
+  it("deploys a valid configuration with its weights and matchers", async () => {
+    validateConfiguration.mockResolvedValue([]);
+    deployConfiguration.mockResolvedValue("0Af000000000001");
+
+    const element = createBuilder("Account_Standard");
+    const deployHandler = jest.fn();
+    element.addEventListener("deploy", deployHandler);
+    await flushPromises();
+
+    markInputsValid(element);
+    getButton(element, "Deploy").click();
+    await flushPromises();
+
+    expect(deployConfiguration).toHaveBeenCalledTimes(1);
+    const config = JSON.parse(deployConfiguration.mock.calls[0][0].configJson);
+    expect(config).toMatchObject({
+      developerName: "Account_Standard_Copy",
+      objectApiName: "Account",
+      matchThreshold: 80,
+      masterRecordStrategy: "MostComplete",
+    });
+    expect(config.fields).toEqual([
+      { apiName: "Name", weight: 3, matcher: null },
+      { apiName: "Phone", weight: 1.5, matcher: "GenericMatcher" },
+    ]);
+    expect(deployHandler.mock.calls[0][0].detail.deploymentId).toBe(
+      "0Af000000000001",
+    );
+  });
+
+  it("deploys an edited configuration as a new version of the same one", async () => {
+    validateConfiguration.mockResolvedValue([]);
+    deployConfiguration.mockResolvedValue("0Af000000000002");
+    getConfigurations.mockResolvedValue([
+      { ...MOCK_CONFIGURATIONS[0], version: 3 },
+    ]);
+
+    const element = createElement("c-duplication-config-builder", {
+      is: DuplicationConfigBuilder,
+    });
+    element.editConfigName = "Account_Standard";
+    document.body.appendChild(element);
+    await flushPromises();
+
+    expect(element.shadowRoot.querySelector("h2").textContent).toBe(
+      "Edit Duplication Configuration",
+    );
+    expect(element.shadowRoot.textContent).toContain(
+      "Deploying saves version 4",
+    );
+
+    const nameInput = [
+      ...element.shadowRoot.querySelectorAll("lightning-input"),
+    ].find((input) => input.label === "API Name");
+    expect(nameInput.value).toBe("Account_Standard");
+    expect(nameInput.disabled).toBe(true);
+
+    markInputsValid(element);
+    getButton(element, "Deploy").click();
+    await flushPromises();
+
+    const config = JSON.parse(deployConfiguration.mock.calls[0][0].configJson);
+    expect(config).toMatchObject({
+      label: "Account Standard",
+      developerName: "Account_Standard",
+      isEdit: true,
+    });
+  });
+});
@@ -0,0 +1,627 @@
+import { LightningElement, api } from "lwc";
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import getConfigurations from "@salesforce/apex/DuplicationConfigController.getConfigurations";
+import validateConfiguration from "@salesforce/apex/DuplicationConfigController.validateConfiguration";
+import deployConfiguration from "@salesforce/apex/DuplicationConfigController.deployConfiguration";
+import getFieldsForObject from "@salesforce/apex/DRCFields.getFieldsForObject";
+import {
+  MATCHER_TYPES,
+  getDefaultFieldWeight,
+  getRecordMatcherName,
+} from "c/duplicationMatchingEngine";
+
+const MAX_DEVELOPER_NAME_LENGTH = 40;
+
+// Field groups returned by DRCFields that can't be used for matching
+const EXCLUDED_FIELD_GROUPS = ["System Fields"];
+
+/**
+ * Editor for creating, cloning and editing DuplicationConfiguration__mdt records
+ * and deploying them as custom metadata
+ * @component
+ */
+export default class DuplicationConfigBuilder extends LightningElement {
+  /**
+   * Developer name of the configuration to clone when the editor opens
+   */
+  @api sourceConfigName;
+
+  /**
+   * Developer name of the configuration to edit; deploying saves it as a new version
+   */
+  @api editConfigName;
+
+  configurations = [];
+  sourceConfig = "";
+  editingConfig = null;
+
+  label = "";
+  developerName = "";
+  description = "";
+  objectApiName = "";
+  isActive = true;
+  matchThreshold = 75;
+  batchSize = 200;
+  masterRecordStrategy = "OldestCreated";
+  preMergeApexHandler = "";
+  postMergeApexHandler = "";
+
+  // Match fields as { apiName, label, weight, matcher }
+  selectedFields = [];
+  availableFields = [];
+
+  validationErrors = [];
+  deploymentId = null;
+  isLoadingFields = false;
+  isValidating = false;
+  isDeploying = false;
+
+  // Stop deriving the API name from the label once the user edits it
+  developerNameEdited = false;
+
+  strategyOptions = [
+    { label: "Oldest Created", value: "OldestCreated" },
+    { label: "Newest Created", value: "NewestCreated" },
+    { label: "Most Complete", value: "MostComplete" },
+  ];
+
+  /**
+   * Lifecycle hook - Called when component is inserted into the DOM
+   */
+  connectedCallback() {
+    this.loadConfigurations().then(() => {
+      const editing = this.configurations.find(
+        (config) => config.developerName === this.editConfigName,
+      );
+      if (editing) {
+        this.applyEdit(editing);
+      } else if (
+        this.sourceConfigName &&
+        this.configurations.some(
+          (config) => config.developerName === this.sourceConfigName,
+        )
+      ) {
+        this.applySource(this.sourceConfigName);
+      }
+    });
+  }
+
+  /**
+   * Load the existing configurations to clone from
+   * @returns {Promise} Resolves once the configurations are loaded
+   */
+  loadConfigurations() {
+    return getConfigurations()
+      .then((result) => {
+        this.configurations = result || [];
+      })
+      .catch((error) => {
+        this.configurations = [];
+        this.handleError("Error loading configurations", error);
+      });
+  }
+
+  /**
+   * Load the fields that can be matched on for the selected object
+   * @returns {Promise} Resolves once the fields are loaded
+   */
+  loadFields() {
+    if (!this.objectApiName) {
+      this.availableFields = [];
+      return Promise.resolve();
+    }
+
+    this.isLoadingFields = true;
+    return getFieldsForObject({ objectApiName: this.objectApiName })
+      .then((result) => {
+        const fields = [];
+        (result.fieldGroups || [])
+          .filter((group) => !EXCLUDED_FIELD_GROUPS.includes(group.label))
+          .forEach((group) => {
+            (group.fields || []).forEach((field) => fields.push(field));
+          });
+
+        this.availableFields = fields
+          .map((field) => ({
+            label: `${field.label} (${field.apiName})`,
+            value: field.apiName,
+            fieldLabel: field.label,
+          }))
+          .sort((a, b) => a.label.localeCompare(b.label));
+
+        // Keep the labels of fields carried over from a cloned configuration in sync
+        this.selectedFields = this.selectedFields.map((field) => {
+          const available = this.findAvailableField(field.apiName);
+          return available ? { ...field, label: available.fieldLabel } : field;
+        });
+      })
+      .catch((error) => {
+        this.availableFields = [];
+        this.handleError("Error loading fields", error);
+      })
+      .finally(() => {
+        this.isLoadingFields = false;
+      });
+  }
+
+  /**
+   * Find an available field by API name, ignoring case like the describe does
+   * @param {String} apiName - API name of the field
+   * @returns {Object} Field option or undefined
+   */
+  findAvailableField(apiName) {
+    const lowerName = String(apiName).toLowerCase();
+    return this.availableFields.find(
+      (option) => option.value.toLowerCase() === lowerName,
+    );
+  }
+
+  /**
+   * Copy an existing configuration into the editor as a new one
+   * @param {String} developerName - Developer name of the configuration to clone
+   */
+  applySource(developerName) {
+    this.sourceConfig = developerName;
+    this.validationErrors = [];
+    this.deploymentId = null;
+
+    const source = this.configurations.find(
+      (config) => config.developerName === developerName,
+    );
+    if (!source) {
+      return;
+    }
+
+    this.label = `${source.label} Copy`;
+    this.developerName = this.generateDeveloperName(this.label);
+    this.developerNameEdited = false;
+    this.description = source.description || "";
+    this.objectApiName = source.objectApiName || "";
+    this.isActive = source.isActive !== false;
+    this.matchThreshold = source.matchThreshold || 75;
+    this.batchSize = source.batchSize || 200;
+    this.masterRecordStrategy = source.masterRecordStrategy || "OldestCreated";
+    this.preMergeApexHandler = source.preMergeApexHandler || "";
+    this.postMergeApexHandler = source.postMergeApexHandler || "";
+    this.selectedFields = (source.fields || []).map((field) => ({
+      apiName: field.apiName,
+      label: field.apiName,
+      weight:
+        field.weight !== null && field.weight !== undefined
+          ? field.weight
+          : getDefaultFieldWeight(field.apiName),
+      matcher: field.matcher || "",
+    }));
+
+    this.loadFields();
+  }
+
+  /**
+   * Load an existing configuration into the editor to change it in place
+   * @param {Object} config - Configuration to edit
+   */
+  applyEdit(config) {
+    this.applySource(config.developerName);
+    this.editingConfig = config;
+    this.sourceConfig = "";
+    this.label = config.label;
+    this.developerName = config.developerName;
+    this.developerNameEdited = true;
+  }
+
+  /**
+   * Reset the editor to a blank configuration
+   */
+  resetForm() {
+    this.sourceConfig = "";
+    this.label = "";
+    this.developerName = "";
+    this.developerNameEdited = false;
+    this.description = "";
+    this.objectApiName = "";
+    this.isActive = true;
+    this.matchThreshold = 75;
+    this.batchSize = 200;
+    this.masterRecordStrategy = "OldestCreated";
+    this.preMergeApexHandler = "";
+    this.postMergeApexHandler = "";
+    this.selectedFields = [];
+    this.availableFields = [];
+    this.validationErrors = [];
+    this.deploymentId = null;
+  }
+
+  /**
+   * Derive a valid metadata API name from a label
+   * @param {String} label - Configuration label
+   * @returns {String} API name
+   */
+  generateDeveloperName(label) {
+    let name = String(label || "")
+      .replace(/[^A-Za-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "");
+
+    if (/^[0-9]/.test(name)) {
+      name = `X${name}`;
+    }
+
+    return name.substring(0, MAX_DEVELOPER_NAME_LENGTH).replace(/_+$/, "");
+  }
+
+  /**
+   * Handle selection of the configuration to start from
+   * @param {Event} event - Change event
+   */
+  handleSourceChange(event) {
+    const developerName = event.detail.value;
+    if (developerName) {
+      this.applySource(developerName);
+    } else {
+      this.resetForm();
+    }
+  }
+
+  /**
+   * Handle changes to the simple configuration inputs
+   * @param {Event} event - Change event
+   */
+  handleInputChange(event) {
+    const field = event.target.dataset.field;
+    const value =
+      event.target.type === "checkbox"
+        ? event.target.checked
+        : event.detail.value;
+
+    this[field] = value;
+    this.validationErrors = [];
+
+    if (field === "label" && !this.developerNameEdited) {
+      this.developerName = this.generateDeveloperName(value);
+    } else if (field === "developerName") {
+      this.developerNameEdited = true;
+    }
+  }
+
+  /**
+   * Handle a change of the object, loading its fields once the input is committed
+   * @param {Event} event - Commit event
+   */
+  handleObjectCommit(event) {
+    const objectApiName = (event.target.value || "").trim();
+    if (objectApiName === this.objectApiName) {
+      return;
+    }
+
+    this.objectApiName = objectApiName;
+    this.selectedFields = [];
+    this.validationErrors = [];
+    this.loadFields();
+  }
+
+  /**
+   * Handle changes to the selected match fields
+   * @param {Event} event - Change event from the dual listbox
+   */
+  handleFieldSelection(event) {
+    const selectedNames = event.detail.value || [];
+
+    this.selectedFields = selectedNames.map((apiName) => {
+      const existing = this.selectedFields.find(
+        (field) => field.apiName === apiName,
+      );
+      if (existing) {
+        return existing;
+      }
+
+      const available = this.findAvailableField(apiName);
+      return {
+        apiName,
+        label: available ? available.fieldLabel : apiName,
+        weight: getDefaultFieldWeight(apiName),
+        matcher: "",
+      };
+    });
+    this.validationErrors = [];
+  }
+
+  /**
+   * Handle a weight change for a match field
+   * @param {Event} event - Change event
+   */
+  handleWeightChange(event) {
+    this.updateSelectedField(event.target.dataset.apiName, {
+      weight: event.detail.value,
+    });
+  }
+
+  /**
+   * Handle a matcher change for a match field
+   * @param {Event} event - Change event
+   */
+  handleMatcherChange(event) {
+    this.updateSelectedField(event.target.dataset.apiName, {
+      matcher: event.detail.value,
+    });
+  }
+
+  /**
+   * Update one of the selected match fields
+   * @param {String} apiName - API name of the field
+   * @param {Object} changes - Properties to change
+   */
+  updateSelectedField(apiName, changes) {
+    this.selectedFields = this.selectedFields.map((field) => {
+      return field.apiName === apiName ? { ...field, ...changes } : field;
+    });
+    this.validationErrors = [];
+  }
+
+  /**
+   * Build the configuration sent to the server
+   * @returns {Object} Configuration in the editor shape
+   */
+  buildConfig() {
+    return {
+      label: this.label,
+      developerName: this.developerName,
+      description: this.description,
+      objectApiName: this.objectApiName,
+      isActive: this.isActive,
+      matchThreshold: this.matchThreshold,
+      batchSize: this.batchSize,
+      masterRecordStrategy: this.masterRecordStrategy,
+      preMergeApexHandler: this.preMergeApexHandler,
+      postMergeApexHandler: this.postMergeApexHandler,
+      isEdit: this.isEditing,
+      fields: this.selectedFields.map((field) => ({
+        apiName: field.apiName,
+        weight: field.weight,
+        matcher: field.matcher || null,
+      })),
+    };
+  }
+
+  /**
+   * Check the inputs the browser can validate on its own
+   * @returns {Boolean} True if all inputs are valid
+   */
+  reportInputValidity() {
+    return [
+      ...this.template.querySelectorAll(
+        "lightning-input, lightning-combobox, lightning-textarea",
+      ),
+    ].reduce((valid, input) => input.reportValidity() && valid, true);
+  }
+
+  /**
+   * Validate the configuration on the server without deploying it
+   */
+  handleValidate() {
+    if (!this.reportInputValidity()) {
+      return;
+    }
+
+    this.isValidating = true;
+    validateConfiguration({ configJson: JSON.stringify(this.buildConfig()) })
+      .then((errors) => {
+        this.validationErrors = errors || [];
+        if (this.validationErrors.length === 0) {
+          this.showToast(
+            "Configuration Valid",
+            "The configuration can be deployed",
+            "success",
+          );
+        }
+      })
+      .catch((error) => {
+        this.handleError("Error validating configuration", error);
+      })
+      .finally(() => {
+        this.isValidating = false;
+      });
+  }
+
+  /**
+   * Validate and deploy the configuration as custom metadata
+   */
+  handleDeploy() {
+    if (!this.reportInputValidity()) {
+      return;
+    }
+
+    const config = this.buildConfig();
+    this.isDeploying = true;
+
+    validateConfiguration({ configJson: JSON.stringify(config) })
+      .then((errors) => {
+        this.validationErrors = errors || [];
+        if (this.validationErrors.length > 0) {
+          return null;
+        }
+        return deployConfiguration({ configJson: JSON.stringify(config) });
+      })
+      .then((deploymentId) => {
+        if (!deploymentId) {
+          return;
+        }
+
+        this.deploymentId = deploymentId;
+        this.showToast(
+          "Deployment Started",
+          `${config.label} is being deployed as custom metadata (deployment ${deploymentId})`,
+          "success",
+        );
+        this.dispatchEvent(
+          new CustomEvent("deploy", {
+            detail: { deploymentId, developerName: config.developerName },
+          }),
+        );
+      })
+      .catch((error) => {
+        this.handleError("Error deploying configuration", error);
+      })
+      .finally(() => {
+        this.isDeploying = false;
+      });
+  }
+
+  /**
+   * Check whether the deployed configuration is available yet
+   */
+  handleCheckDeployment() {
+    const developerName = this.developerName;
+    // An edited configuration already exists, so wait for its version to change
+    const previousVersion = this.isEditing
+      ? this.editingConfig.version || 1
+      : 0;
+
+    this.loadConfigurations().then(() => {
+      const deployed = this.configurations.some(
+        (config) =>
+          config.developerName === developerName &&
+          (config.version || 1) > previousVersion,
+      );
+
+      if (deployed) {
+        this.showToast(
+          "Configuration Deployed",
+          `${developerName} is available`,
+          "success",
+        );
+        this.dispatchEvent(
+          new CustomEvent("deployed", { detail: { developerName } }),
+        );
+      } else {
+        this.showToast(
+          "Deployment In Progress",
+          "The configuration isn't available yet. Check Setup > Deployment Status for details.",
+          "info",
+        );
+      }
+    });
+  }
+
+  /**
+   * Close the editor
+   */
+  handleCancel() {
+    this.dispatchEvent(new CustomEvent("close"));
+  }
+
+  /**
+   * Show toast notification
+   * @param {String} title - Toast title
+   * @param {String} message - Toast message
+   * @param {String} variant - Toast variant (info, success, warning, error)
+   */
+  showToast(title, message, variant) {
+    this.dispatchEvent(
+      new ShowToastEvent({
+        title: title,
+        message: message,
+        variant: variant,
+      }),
+    );
+  }
+
+  /**
+   * Handle errors with proper messaging
+   * @param {String} baseMessage - Base error message
+   * @param {Error} error - Error object
+   */
+  handleError(baseMessage, error) {
+    let errorMessage = baseMessage;
+
+    if (error) {
+      if (error.body && error.body.message) {
+        errorMessage += ": " + error.body.message;
+      } else if (error.message) {
+        errorMessage += ": " + error.message;
+      }
+    }
+
+    console.error(errorMessage);
+    this.showToast("Error", errorMessage, "error");
+  }
+
+  /**
+   * Options for the configuration to start from
+   */
+  get sourceOptions() {
+    return [
+      { label: "Blank configuration", value: "" },
+      ...this.configurations.map((config) => ({
+        label: `${config.label} (${config.objectApiName})`,
+        value: config.developerName,
+      })),
+    ];
+  }
+
+  /**
+   * API names of the selected match fields, for the dual listbox
+   */
+  get selectedFieldNames() {
+    return this.selectedFields.map((field) => field.apiName);
+  }
+
+  /**
+   * Selected match fields with the matcher options for each row
+   */
+  get fieldRows() {
+    return this.selectedFields.map((field) => ({
+      ...field,
+      matcherOptions: [
+        { label: `Auto (${getRecordMatcherName(field.apiName)})`, value: "" },
+        ...Object.values(MATCHER_TYPES).map((matcher) => ({
+          label: matcher,
+          value: matcher,
+        })),
+      ],
+    }));
+  }
+
+  get hasAvailableFields() {
+    return this.availableFields.length > 0;
+  }
+
+  get hasSelectedFields() {
+    return this.selectedFields.length > 0;
+  }
+
+  get hasValidationErrors() {
+    return this.validationErrors.length > 0;
+  }
+
+  get isBusy() {
+    return this.isValidating || this.isDeploying;
+  }
+
+  get hasDeployment() {
+    return !!this.deploymentId;
+  }
+
+  get isEditing() {
+    return !!this.editingConfig;
+  }
+
+  get isCreating() {
+    return !this.editingConfig;
+  }
+
+  /**
+   * Version the configuration is saved as by the next deployment
+   */
+  get versionSummary() {
+    const current = this.editingConfig.version || 1;
+    return `Currently version ${current}. Deploying saves version ${current + 1}.`;
+  }
+
+  get editorTitle() {
+    if (this.isEditing) {
+      return "Edit Duplication Configuration";
+    }
+    return this.sourceConfig
+      ? "Clone Duplication Configuration"
+      : "New Duplication Configuration";
+  }
+}
@@ -23,6 +23,11 @@ export default class DuplicationConfigSelector extends LightningElement {
   // Holds recently used configurations
   recentConfigurations = [];
 
+  // Configuration builder state
+  showBuilder = false;
+  builderSourceName = "";
+  builderEditName = "";
+
   /**
    * Lifecycle hook - Called when component is inserted into the DOM
    */
@@ -327,6 +332,53 @@ export default class DuplicationConfigSelector extends LightningElement {
     this.showToast("Deployment Instructions", message, "info");
   }
 
+  /**
+   * Open the configuration builder with a blank configuration
+   */
+  handleNewConfiguration() {
+    this.builderSourceName = "";
+    this.builderEditName = "";
+    this.showBuilder = true;
+  }
+
+  /**
+   * Open the configuration builder with a copy of the selected configuration
+   */
+  handleCloneConfiguration() {
+    this.builderSourceName = this.selectedConfigId;
+    this.builderEditName = "";
+    this.showBuilder = true;
+  }
+
+  /**
+   * Open the configuration builder to save a new version of the selected configuration
+   */
+  handleEditConfiguration() {
+    this.builderSourceName = "";
+    this.builderEditName = this.selectedConfigId;
+    this.showBuilder = true;
+  }
+
+  /**
+   * Close the configuration builder
+   */
+  handleBuilderClose() {
+    this.showBuilder = false;
+  }
+
+  /**
+   * Handle a configuration deployed from the builder
+   * @param {CustomEvent} event - Event with the developer name of the configuration
+   */
+  handleBuilderDeployed(event) {
+    this.showBuilder = false;
+    this.showToast(
+      "Configuration Available",
+      `${event.detail.developerName} has been deployed. Refresh the page to select it.`,
+      "success",
+    );
+  }
+
   /**
    * Display error state
    * @returns {Boolean} True if there's an error
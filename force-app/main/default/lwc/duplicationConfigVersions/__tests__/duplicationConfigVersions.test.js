@@ -0,0 +1,116 @@
+import { createElement } from "lwc";
+import DuplicationConfigVersions from "c/duplicationConfigVersions";
+import getConfigurationRevisions from "@salesforce/apex/DuplicationConfigController.getConfigurationRevisions";
+import flushPromises from "../../../../../../jest-utils/flushPromises";
+
+jest.mock(
+  "@salesforce/apex/DuplicationConfigController.getConfigurationRevisions",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+
+const snapshot = (overrides) => ({
+  label: "Account Standard",
+  objectApiName: "Account",
+  matchThreshold: 80,
+  batchSize: 200,
+  masterRecordStrategy: "MostComplete",
+  isActive: true,
+  fields: [
+    { apiName: "Name", weight: 3, matcher: null },
+    { apiName: "Phone", weight: 1.5, matcher: "GenericMatcher" },
+  ],
+  ...overrides,
+});
+
+const MOCK_REVISIONS = [
+  {
+    id: "a0B000000000002",
+    version: 2,
+    isCurrent: true,
+    savedBy: "Jane Admin",
+    snapshot: snapshot({
+      matchThreshold: 85,
+      fields: [
+        { apiName: "Name", weight: 3, matcher: "NameMatcher" },
+        { apiName: "Website", weight: 1, matcher: null },
+      ],
+    }),
+  },
+  {
+    id: "a0B000000000001",
+    version: 1,
+    isCurrent: false,
+    savedBy: "Jane Admin",
+    snapshot: snapshot(),
+  },
+];
+
+const createVersions = (configName) => {
+  const element = createElement("c-duplication-config-versions", {
+    is: DuplicationConfigVersions,
+  });
+  element.configName = configName;
+  document.body.appendChild(element);
+  return element;
+};
+
+const getRow = (element, label) =>
+  [...element.shadowRoot.querySelectorAll("tbody tr")].find((row) =>
+    row.textContent.includes(label),
+  );
+
+describe("c-duplication-config-versions", () => {
+  afterEach(() => {
+    // The jsdom instance is shared across test cases in a single file so reset the DOM
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+  });
+
+  it("compares the two most recent versions and highlights changes", async () => {
+    getConfigurationRevisions.mockResolvedValue(MOCK_REVISIONS);
+
+    const element = createVersions("Account_Standard");
+    await flushPromises();
+
+    expect(getConfigurationRevisions).toHaveBeenCalledWith({
+      configName: "Account_Standard",
+    });
+
+    const [baseCombobox, compareCombobox] =
+      element.shadowRoot.querySelectorAll("lightning-combobox");
+    expect(baseCombobox.value).toBe("1");
+    expect(compareCombobox.value).toBe("2");
+
+    const thresholdRow = getRow(element, "Match Threshold");
+    expect(thresholdRow.dataset.changed).toBe("true");
+    expect(thresholdRow.textContent).toContain("80");
+    expect(thresholdRow.textContent).toContain("85");
+
+    expect(getRow(element, "Batch Size").dataset.changed).toBe("false");
+
+    const nameRow = getRow(element, "Match Field: Name");
+    expect(nameRow.textContent).toContain("Weight 3, Auto");
+    expect(nameRow.textContent).toContain("Weight 3, NameMatcher");
+
+    const phoneRow = getRow(element, "Match Field: Phone");
+    expect(phoneRow.textContent).toContain("Weight 1.5, GenericMatcher");
+    expect(phoneRow.textContent).toContain("—");
+
+    expect(getRow(element, "Match Field: Website")).toBeTruthy();
+  });
+
+  it("shows a message when no versions are saved", async () => {
+    getConfigurationRevisions.mockResolvedValue([]);
+
+    const element = createVersions("Contact_Standard");
+    await flushPromises();
+
+    expect(element.shadowRoot.querySelector("table")).toBeNull();
+    expect(element.shadowRoot.textContent).toContain(
+      "No versions have been saved",
+    );
+  });
+});
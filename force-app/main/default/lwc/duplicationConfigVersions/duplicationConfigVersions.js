@@ -0,0 +1,267 @@
+import { LightningElement, api } from "lwc";
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import getConfigurationRevisions from "@salesforce/apex/DuplicationConfigController.getConfigurationRevisions";
+
+const EMPTY_VALUE = "—";
+
+// Settings compared between versions, in display order
+const COMPARED_SETTINGS = [
+  { key: "label", label: "Label" },
+  { key: "objectApiName", label: "Object" },
+  { key: "matchThreshold", label: "Match Threshold" },
+  { key: "batchSize", label: "Batch Size" },
+  { key: "masterRecordStrategy", label: "Master Record Strategy" },
+  { key: "isActive", label: "Active" },
+  { key: "preMergeApexHandler", label: "Pre-Merge Apex Handler" },
+  { key: "postMergeApexHandler", label: "Post-Merge Apex Handler" },
+  { key: "description", label: "Description" },
+];
+
+/**
+ * Version history of a duplication configuration with a side-by-side
+ * comparison of any two saved versions
+ * @component
+ */
+export default class DuplicationConfigVersions extends LightningElement {
+  _configName;
+
+  revisions = [];
+  baseVersion = "";
+  compareVersion = "";
+  isLoading = false;
+
+  /**
+   * Developer name of the configuration to show the versions of
+   */
+  @api
+  get configName() {
+    return this._configName;
+  }
+  set configName(value) {
+    if (value === this._configName) {
+      return;
+    }
+    this._configName = value;
+    this.loadRevisions();
+  }
+
+  /**
+   * Load the saved revisions and compare the two most recent versions
+   */
+  loadRevisions() {
+    this.revisions = [];
+    this.baseVersion = "";
+    this.compareVersion = "";
+
+    if (!this._configName) {
+      return;
+    }
+
+    this.isLoading = true;
+    getConfigurationRevisions({ configName: this._configName })
+      .then((result) => {
+        this.revisions = result || [];
+        if (this.revisions.length > 0) {
+          this.compareVersion = String(this.revisions[0].version);
+          this.baseVersion = String(
+            this.revisions[Math.min(1, this.revisions.length - 1)].version,
+          );
+        }
+      })
+      .catch((error) => {
+        this.handleError("Error loading configuration versions", error);
+      })
+      .finally(() => {
+        this.isLoading = false;
+      });
+  }
+
+  /**
+   * Handle selection of the older version to compare
+   * @param {Event} event - Change event
+   */
+  handleBaseChange(event) {
+    this.baseVersion = event.detail.value;
+  }
+
+  /**
+   * Handle selection of the newer version to compare
+   * @param {Event} event - Change event
+   */
+  handleCompareChange(event) {
+    this.compareVersion = event.detail.value;
+  }
+
+  /**
+   * Find a revision by its version
+   * @param {String} version - Version selected in a combobox
+   * @returns {Object} Revision or undefined
+   */
+  findRevision(version) {
+    return this.revisions.find(
+      (revision) => String(revision.version) === version,
+    );
+  }
+
+  /**
+   * Format a setting for display
+   * @param {*} value - Setting value
+   * @returns {String} Display value
+   */
+  formatValue(value) {
+    if (value === null || value === undefined || value === "") {
+      return EMPTY_VALUE;
+    }
+    if (typeof value === "boolean") {
+      return value ? "Yes" : "No";
+    }
+    return String(value);
+  }
+
+  /**
+   * Format a match field as its weight and matcher
+   * @param {Object} field - Match field from a snapshot
+   * @returns {String} Display value
+   */
+  formatField(field) {
+    if (!field) {
+      return EMPTY_VALUE;
+    }
+    const weight = this.formatValue(field.weight);
+    return `Weight ${weight}, ${field.matcher || "Auto"}`;
+  }
+
+  /**
+   * Build a comparison row, highlighting it when the values differ
+   * @param {String} key - Row key
+   * @param {String} label - Row label
+   * @param {String} baseValue - Value in the older version
+   * @param {String} compareValue - Value in the newer version
+   * @returns {Object} Row for the comparison table
+   */
+  buildRow(key, label, baseValue, compareValue) {
+    const changed = baseValue !== compareValue;
+    return {
+      key,
+      label,
+      baseValue,
+      compareValue,
+      changed,
+      rowClass: changed ? "slds-theme_warning" : "",
+    };
+  }
+
+  /**
+   * Options for the version comboboxes
+   */
+  get versionOptions() {
+    return this.revisions.map((revision) => {
+      let label = `Version ${revision.version}`;
+      if (revision.isCurrent) {
+        label += " (current)";
+      }
+      if (revision.savedBy) {
+        label += ` by ${revision.savedBy}`;
+      }
+      return { label, value: String(revision.version) };
+    });
+  }
+
+  /**
+   * Rows comparing the settings and match fields of the selected versions
+   */
+  get comparisonRows() {
+    const base = this.findRevision(this.baseVersion);
+    const compare = this.findRevision(this.compareVersion);
+    if (!base || !compare) {
+      return [];
+    }
+
+    const baseSnapshot = base.snapshot || {};
+    const compareSnapshot = compare.snapshot || {};
+
+    const rows = COMPARED_SETTINGS.map((setting) =>
+      this.buildRow(
+        setting.key,
+        setting.label,
+        this.formatValue(baseSnapshot[setting.key]),
+        this.formatValue(compareSnapshot[setting.key]),
+      ),
+    );
+
+    const baseFields = baseSnapshot.fields || [];
+    const compareFields = compareSnapshot.fields || [];
+    const fieldNames = [
+      ...new Set([...baseFields, ...compareFields].map((f) => f.apiName)),
+    ];
+
+    fieldNames.forEach((apiName) => {
+      rows.push(
+        this.buildRow(
+          `field-${apiName}`,
+          `Match Field: ${apiName}`,
+          this.formatField(baseFields.find((f) => f.apiName === apiName)),
+          this.formatField(compareFields.find((f) => f.apiName === apiName)),
+        ),
+      );
+    });
+
+    return rows;
+  }
+
+  get changeCount() {
+    return this.comparisonRows.filter((row) => row.changed).length;
+  }
+
+  get changeSummary() {
+    const count = this.changeCount;
+    if (count === 0) {
+      return "No differences between the selected versions";
+    }
+    return `${count} ${count === 1 ? "difference" : "differences"}`;
+  }
+
+  get hasRevisions() {
+    return this.revisions.length > 0;
+  }
+
+  get hasMultipleRevisions() {
+    return this.revisions.length > 1;
+  }
+
+  /**
+   * Show toast notification
+   * @param {String} title - Toast title
+   * @param {String} message - Toast message
+   * @param {String} variant - Toast variant (info, success, warning, error)
+   */
+  showToast(title, message, variant) {
+    this.dispatchEvent(
+      new ShowToastEvent({
+        title: title,
+        message: message,
+        variant: variant,
+      }),
+    );
+  }
+
+  /**
+   * Handle errors with proper messaging
+   * @param {String} baseMessage - Base error message
+   * @param {Error} error - Error object
+   */
+  handleError(baseMessage, error) {
+    let errorMessage = baseMessage;
+
+    if (error) {
+      if (error.body && error.body.message) {
+        errorMessage += ": " + error.body.message;
+      } else if (error.message) {
+        errorMessage += ": " + error.message;
+      }
+    }
+
+    console.error(errorMessage);
+    this.showToast("Error", errorMessage, "error");
+  }
+}
@@ -0,0 +1,164 @@
+import {
+  SCHEDULE_TYPES,
+  buildCronExpression,
+  validateCronExpression,
+  describeCronExpression,
+  getNextFireTimes,
+  detectSchedule,
+} from "c/duplicationCronExpression";
+
+// Monday 19 October 2026, 10:00 local time
+const FROM = new Date(2026, 9, 19, 10, 0, 0);
+
+const toLocal = (date) => [
+  date.getFullYear(),
+  date.getMonth() + 1,
+  date.getDate(),
+  date.getHours(),
+  date.getMinutes(),
+];
+
+describe("c-duplication-cron-expression", () => {
+  it("builds daily, weekly and monthly expressions", () => {
+    expect(
+      buildCronExpression({
+        scheduleType: SCHEDULE_TYPES.DAILY,
+        hour: 2,
+        minute: 30,
+      }),
+    ).toBe("0 30 2 * * ?");
+    expect(
+      buildCronExpression({
+        scheduleType: SCHEDULE_TYPES.WEEKLY,
+        hour: "18",
+        minute: "5",
+        daysOfWeek: ["FRI", "MON"],
+      }),
+    ).toBe("0 5 18 ? * MON,FRI");
+    expect(
+      buildCronExpression({
+        scheduleType: SCHEDULE_TYPES.MONTHLY,
+        hour: 1,
+        minute: 0,
+        dayOfMonth: "L",
+      }),
+    ).toBe("0 0 1 L * ?");
+    expect(
+      buildCronExpression({
+        scheduleType: SCHEDULE_TYPES.CUSTOM,
+        cronExpression: "  0 0  12 ? * 2#1 ",
+      }),
+    ).toBe("0 0 12 ? * 2#1");
+  });
+
+  it("rejects expressions Salesforce would not schedule", () => {
+    expect(validateCronExpression("0 0 2 * * ?").isValid).toBe(true);
+    expect(
+      validateCronExpression("0 0 8-17/3 ? JAN-JUN MON-FRI 2027").isValid,
+    ).toBe(true);
+
+    expect(validateCronExpression("").error).toBe(
+      "Cron expression is required",
+    );
+    expect(validateCronExpression("0 0 2 * *").error).toContain(
+      "6 or 7 fields",
+    );
+    expect(validateCronExpression("0 */15 2 * * ?").error).toContain(
+      "Minutes must be a single number",
+    );
+    expect(validateCronExpression("0 0 24 * * ?").error).toBe(
+      "Hours must be between 0 and 23",
+    );
+    expect(validateCronExpression("0 0 2 * * MON").error).toContain(
+      "Use ? for either",
+    );
+    expect(validateCronExpression("0 0 2 ? * ?").error).toContain(
+      "Only one of",
+    );
+    expect(validateCronExpression("0 0 2 ? * FUNDAY").error).toContain(
+      "Day of week has an invalid value",
+    );
+  });
+
+  it("describes expressions in words", () => {
+    expect(describeCronExpression("0 0 2 * * ?")).toBe("Every day at 02:00");
+    expect(describeCronExpression("0 30 18 ? * MON,FRI")).toBe(
+      "Every Monday and Friday at 18:30",
+    );
+    expect(describeCronExpression("0 0 6 ? * MON-FRI")).toBe(
+      "Every weekday at 06:00",
+    );
+    expect(describeCronExpression("0 15 1 L * ?")).toBe(
+      "On the last day of the month at 01:15",
+    );
+    expect(describeCronExpression("0 0 9 ? * 2#1")).toBe(
+      "On the first Monday of the month at 09:00",
+    );
+    expect(describeCronExpression("0 0 9,21 1,15 JAN,JUL ?")).toBe(
+      "On day 1 and 15 of the month at 09:00 and 21:00 in January and July",
+    );
+    expect(describeCronExpression("0 0 2 * *")).toBe("");
+  });
+
+  it("works out the next fire times", () => {
+    expect(getNextFireTimes("0 30 2 * * ?", 3, FROM).map(toLocal)).toEqual([
+      [2026, 10, 20, 2, 30],
+      [2026, 10, 21, 2, 30],
+      [2026, 10, 22, 2, 30],
+    ]);
+    expect(
+      getNextFireTimes("0 0 12 ? * MON,FRI", 3, FROM).map(toLocal),
+    ).toEqual([
+      [2026, 10, 19, 12, 0],
+      [2026, 10, 23, 12, 0],
+      [2026, 10, 26, 12, 0],
+    ]);
+    expect(getNextFireTimes("0 0 0 ? * 6L", 2, FROM).map(toLocal)).toEqual([
+      [2026, 10, 30, 0, 0],
+      [2026, 11, 27, 0, 0],
+    ]);
+    // 31 October 2026 is a Saturday and 1 November a Sunday
+    expect(getNextFireTimes("0 0 0 LW * ?", 1, FROM).map(toLocal)).toEqual([
+      [2026, 10, 30, 0, 0],
+    ]);
+    expect(getNextFireTimes("0 0 0 1W * ?", 1, FROM).map(toLocal)).toEqual([
+      [2026, 11, 2, 0, 0],
+    ]);
+    expect(getNextFireTimes("0 0 0 29 FEB ?", 1, FROM).map(toLocal)).toEqual([
+      [2028, 2, 29, 0, 0],
+    ]);
+    expect(getNextFireTimes("not a cron", 5, FROM)).toEqual([]);
+  });
+
+  it("stops at the end of a period", () => {
+    const until = new Date(2026, 9, 22);
+    expect(
+      getNextFireTimes("0 30 2 * * ?", 10, FROM, until).map(toLocal),
+    ).toEqual([
+      [2026, 10, 20, 2, 30],
+      [2026, 10, 21, 2, 30],
+    ]);
+    expect(getNextFireTimes("0 0 0 1 JAN ?", 1, FROM, until)).toEqual([]);
+  });
+
+  it("detects the builder choices of an expression", () => {
+    expect(detectSchedule("0 30 2 * * ?")).toEqual({
+      scheduleType: SCHEDULE_TYPES.DAILY,
+      cronExpression: "0 30 2 * * ?",
+      hour: 2,
+      minute: 30,
+    });
+    expect(detectSchedule("0 0 8 ? * MON,WED")).toMatchObject({
+      scheduleType: SCHEDULE_TYPES.WEEKLY,
+      daysOfWeek: ["MON", "WED"],
+    });
+    expect(detectSchedule("0 0 8 LW * ?")).toMatchObject({
+      scheduleType: SCHEDULE_TYPES.MONTHLY,
+      dayOfMonth: "LW",
+    });
+    expect(detectSchedule("0 0 8-17 ? * MON-FRI")).toEqual({
+      scheduleType: SCHEDULE_TYPES.CUSTOM,
+      cronExpression: "0 0 8-17 ? * MON-FRI",
+    });
+  });
+});
@@ -0,0 +1,590 @@
+/**
+ * Quartz cron expressions as accepted by System.schedule.
+ * Builds expressions for daily, weekly and monthly schedules, checks custom
+ * expressions against the rules Salesforce applies, describes them in words
+ * and works out when they fire next. Fire times are worked out in the
+ * browser's time zone, which is normally that of the user scheduling the job.
+ *
+ * @author Richard Hudson
+ * @since May 2025
+ */
+
+export const SCHEDULE_TYPES = {
+  DAILY: "daily",
+  WEEKLY: "weekly",
+  MONTHLY: "monthly",
+  CUSTOM: "custom",
+};
+
+export const SCHEDULE_TYPE_OPTIONS = [
+  { label: "Daily", value: SCHEDULE_TYPES.DAILY },
+  { label: "Weekly", value: SCHEDULE_TYPES.WEEKLY },
+  { label: "Monthly", value: SCHEDULE_TYPES.MONTHLY },
+  { label: "Custom (Cron Expression)", value: SCHEDULE_TYPES.CUSTOM },
+];
+
+// Day of month values for the last day and the last weekday of the month
+export const LAST_DAY = "L";
+export const LAST_WEEKDAY = "LW";
+
+const DAY_NAMES = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+const DAY_LABELS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+const MONTH_NAMES = [
+  "JAN",
+  "FEB",
+  "MAR",
+  "APR",
+  "MAY",
+  "JUN",
+  "JUL",
+  "AUG",
+  "SEP",
+  "OCT",
+  "NOV",
+  "DEC",
+];
+const MONTH_LABELS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+const ORDINALS = ["", "first", "second", "third", "fourth", "fifth"];
+
+export const DAYS_OF_WEEK_OPTIONS = DAY_NAMES.map((value, index) => {
+  return { label: DAY_LABELS[index], value };
+});
+
+export const DAY_OF_MONTH_OPTIONS = [
+  ...Array.from({ length: 31 }, (item, index) => {
+    return { label: String(index + 1), value: String(index + 1) };
+  }),
+  { label: "Last day of the month", value: LAST_DAY },
+  { label: "Last weekday of the month", value: LAST_WEEKDAY },
+];
+
+// Salesforce only accepts years in this range
+const MIN_YEAR = 1970;
+const MAX_YEAR = 2099;
+
+// Days to search for fire times, enough to reach the next 29 February
+const SEARCH_DAYS = 366 * 8;
+
+const FIELD_COUNT_ERROR =
+  "A cron expression has 6 or 7 fields separated by spaces: seconds, minutes, hours, day of month, month, day of week and an optional year";
+
+/**
+ * Build a cron expression from schedule builder choices
+ * @param {Object} options
+ * @param {String} options.scheduleType - One of SCHEDULE_TYPES
+ * @param {Number|String} options.hour - Hour of the day, 0 to 23
+ * @param {Number|String} options.minute - Minute of the hour, 0 to 59
+ * @param {Array} options.daysOfWeek - Days such as MON for weekly schedules
+ * @param {String} options.dayOfMonth - Day number, L or LW for monthly schedules
+ * @param {String} options.cronExpression - Expression for custom schedules
+ * @returns {String} Cron expression, which may still be invalid
+ */
+export const buildCronExpression = ({
+  scheduleType,
+  hour = 0,
+  minute = 0,
+  daysOfWeek = [],
+  dayOfMonth = "1",
+  cronExpression = "",
+} = {}) => {
+  if (scheduleType === SCHEDULE_TYPES.CUSTOM) {
+    return String(cronExpression || "")
+      .trim()
+      .replace(/\s+/g, " ");
+  }
+
+  const time = `0 ${String(minute).trim()} ${String(hour).trim()}`;
+  if (scheduleType === SCHEDULE_TYPES.WEEKLY) {
+    // Keep the days in week order whatever order they were picked in
+    const days = DAY_NAMES.filter((day) => (daysOfWeek || []).includes(day));
+    return `${time} ? * ${days.join(",")}`;
+  }
+  if (scheduleType === SCHEDULE_TYPES.MONTHLY) {
+    return `${time} ${dayOfMonth} * ?`;
+  }
+  return `${time} * * ?`;
+};
+
+/**
+ * Parse a single number or name of a field
+ */
+const parseNumber = (text, min, max, names, label) => {
+  const index = names ? names.indexOf(text.toUpperCase()) : -1;
+  if (index < 0 && !/^\d+$/.test(text)) {
+    throw new Error(`${label} has an invalid value: ${text || "(empty)"}`);
+  }
+
+  const value = index >= 0 ? index + min : parseInt(text, 10);
+  if (value < min || value > max) {
+    throw new Error(`${label} must be between ${min} and ${max}`);
+  }
+  return value;
+};
+
+/**
+ * Parse the values of a field such as "1,5", "MON-FRI", "*" or "0/15"
+ */
+const parseValues = (text, min, max, names, label) => {
+  const values = new Set();
+
+  text.split(",").forEach((part) => {
+    const pieces = part.split("/");
+    if (pieces.length > 2) {
+      throw new Error(`${label} has an invalid value: ${part}`);
+    }
+
+    const [range, stepText] = pieces;
+    let start = min;
+    let end = max;
+    if (range !== "*") {
+      const bounds = range.split("-");
+      if (bounds.length > 2) {
+        throw new Error(`${label} has an invalid range: ${range}`);
+      }
+      start = parseNumber(bounds[0], min, max, names, label);
+      if (bounds.length === 2) {
+        end = parseNumber(bounds[1], min, max, names, label);
+      } else if (stepText === undefined) {
+        end = start;
+      }
+    }
+    if (start > end) {
+      throw new Error(`${label} range ${range} runs backwards`);
+    }
+
+    let step = 1;
+    if (stepText !== undefined) {
+      if (!/^\d+$/.test(stepText) || parseInt(stepText, 10) < 1) {
+        throw new Error(`${label} has an invalid increment: ${stepText}`);
+      }
+      step = parseInt(stepText, 10);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Parse the seconds or minutes field, which Salesforce only accepts as a single number
+ */
+const parseSingleValue = (text, label) => {
+  if (!/^\d+$/.test(text)) {
+    throw new Error(
+      `${label} must be a single number between 0 and 59, lists, ranges and * are not allowed`,
+    );
+  }
+  return parseNumber(text, 0, 59, null, label);
+};
+
+const parseDayOfMonth = (text) => {
+  const label = "Day of month";
+  const upper = text.toUpperCase();
+
+  if (upper === "?") {
+    return { type: "unspecified" };
+  }
+  if (upper === LAST_DAY) {
+    return { type: "last" };
+  }
+  if (upper === LAST_WEEKDAY) {
+    return { type: "lastWeekday" };
+  }
+  const nearest = /^(\d+)W$/.exec(upper);
+  if (nearest) {
+    return {
+      type: "nearestWeekday",
+      day: parseNumber(nearest[1], 1, 31, null, label),
+    };
+  }
+  return { type: "values", values: parseValues(upper, 1, 31, null, label) };
+};
+
+const parseDayOfWeek = (text) => {
+  const label = "Day of week";
+  const upper = text.toUpperCase();
+
+  if (upper === "?") {
+    return { type: "unspecified" };
+  }
+  const last = /^(\w+)L$/.exec(upper);
+  if (last) {
+    return {
+      type: "last",
+      day: parseNumber(last[1], 1, 7, DAY_NAMES, label),
+    };
+  }
+  const nth = /^(\w+)#(\d+)$/.exec(upper);
+  if (nth) {
+    return {
+      type: "nth",
+      day: parseNumber(nth[1], 1, 7, DAY_NAMES, label),
+      week: parseNumber(nth[2], 1, 5, null, "Week of month"),
+    };
+  }
+  // A lone L is the last day of the week, Saturday
+  const values =
+    upper === LAST_DAY
+      ? new Set([7])
+      : parseValues(upper, 1, 7, DAY_NAMES, label);
+  return { type: "values", values };
+};
+
+/**
+ * Parse a cron expression
+ * @param {String} expression - Quartz cron expression
+ * @returns {Object} Parsed schedule
+ * @throws {Error} With a readable message when the expression is invalid
+ */
+export const parseCronExpression = (expression) => {
+  const text = String(expression || "").trim();
+  if (!text) {
+    throw new Error("Cron expression is required");
+  }
+
+  const fields = text.split(/\s+/);
+  if (fields.length < 6 || fields.length > 7) {
+    throw new Error(FIELD_COUNT_ERROR);
+  }
+
+  const dayOfMonth = parseDayOfMonth(fields[3]);
+  const dayOfWeek = parseDayOfWeek(fields[5]);
+  if (dayOfMonth.type === "unspecified" && dayOfWeek.type === "unspecified") {
+    throw new Error("Only one of day of month and day of week can be ?");
+  }
+  if (dayOfMonth.type !== "unspecified" && dayOfWeek.type !== "unspecified") {
+    throw new Error("Use ? for either the day of month or the day of week");
+  }
+
+  return {
+    second: parseSingleValue(fields[0], "Seconds"),
+    minute: parseSingleValue(fields[1], "Minutes"),
+    hours: parseValues(fields[2], 0, 23, null, "Hours"),
+    dayOfMonth,
+    months: parseValues(fields[4], 1, 12, MONTH_NAMES, "Month"),
+    dayOfWeek,
+    years:
+      fields.length === 7
+        ? parseValues(fields[6], MIN_YEAR, MAX_YEAR, null, "Year")
+        : null,
+  };
+};
+
+/**
+ * Check a cron expression
+ * @param {String} expression - Quartz cron expression
+ * @returns {Object} isValid and error, the reason it is invalid
+ */
+export const validateCronExpression = (expression) => {
+  try {
+    parseCronExpression(expression);
+    return { isValid: true, error: null };
+  } catch (error) {
+    return { isValid: false, error: error.message };
+  }
+};
+
+const daysInMonth = (date) =>
+  new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+const weekdayOf = (date, day) =>
+  new Date(date.getFullYear(), date.getMonth(), day).getDay();
+
+const matchesDayOfMonth = (field, date) => {
+  const day = date.getDate();
+  const lastDay = daysInMonth(date);
+
+  switch (field.type) {
+    case "values":
+      return field.values.has(day);
+    case "last":
+      return day === lastDay;
+    case "lastWeekday": {
+      const weekday = weekdayOf(date, lastDay);
+      let target = lastDay;
+      if (weekday === 6) {
+        target = lastDay - 1;
+      } else if (weekday === 0) {
+        target = lastDay - 2;
+      }
+      return day === target;
+    }
+    case "nearestWeekday": {
+      // Never moves into another month, so the 1st on a Saturday runs on Monday the 3rd
+      if (field.day > lastDay) {
+        return false;
+      }
+      const weekday = weekdayOf(date, field.day);
+      let target = field.day;
+      if (weekday === 6) {
+        target = field.day === 1 ? 3 : field.day - 1;
+      } else if (weekday === 0) {
+        target = field.day === lastDay ? field.day - 2 : field.day + 1;
+      }
+      return day === target;
+    }
+    default:
+      return true;
+  }
+};
+
+const matchesDayOfWeek = (field, date) => {
+  const weekday = date.getDay() + 1;
+
+  switch (field.type) {
+    case "values":
+      return field.values.has(weekday);
+    case "last":
+      return weekday === field.day && date.getDate() + 7 > daysInMonth(date);
+    case "nth":
+      return (
+        weekday === field.day && Math.ceil(date.getDate() / 7) === field.week
+      );
+    default:
+      return true;
+  }
+};
+
+const matchesDay = (schedule, date) => {
+  return (
+    (!schedule.years || schedule.years.has(date.getFullYear())) &&
+    schedule.months.has(date.getMonth() + 1) &&
+    matchesDayOfMonth(schedule.dayOfMonth, date) &&
+    matchesDayOfWeek(schedule.dayOfWeek, date)
+  );
+};
+
+/**
+ * Work out when a cron expression fires next
+ * @param {String} expression - Quartz cron expression
+ * @param {Number} count - Number of fire times to return
+ * @param {Date} from - Time to start from, now by default
+ * @param {Date} until - Time to stop at, when only runs in a period are wanted
+ * @returns {Array} Dates after the start time, empty when the expression is invalid
+ */
+export const getNextFireTimes = (
+  expression,
+  count = 5,
+  from = new Date(),
+  until = null,
+) => {
+  let schedule;
+  try {
+    schedule = parseCronExpression(expression);
+  } catch (error) {
+    return [];
+  }
+
+  const hours = [...schedule.hours].sort((a, b) => a - b);
+  const times = [];
+  const day = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+
+  for (
+    let i = 0;
+    i < SEARCH_DAYS && times.length < count && (!until || day < until);
+    i++
+  ) {
+    if (matchesDay(schedule, day)) {
+      for (let h = 0; h < hours.length && times.length < count; h++) {
+        const time = new Date(
+          day.getFullYear(),
+          day.getMonth(),
+          day.getDate(),
+          hours[h],
+          schedule.minute,
+          schedule.second,
+        );
+        if (until && time >= until) {
+          return times;
+        }
+        if (time > from) {
+          times.push(time);
+        }
+      }
+    }
+    day.setDate(day.getDate() + 1);
+  }
+
+  return times;
+};
+
+const joinWords = (words) => {
+  if (words.length < 2) {
+    return words.join("");
+  }
+  return `${words.slice(0, -1).join(", ")} and ${words[words.length - 1]}`;
+};
+
+const sortedValues = (values) => [...values].sort((a, b) => a - b);
+
+const pad = (value) => String(value).padStart(2, "0");
+
+const isSameSet = (values, expected) => {
+  return (
+    values.size === expected.length &&
+    expected.every((value) => values.has(value))
+  );
+};
+
+const describeDays = (schedule) => {
+  const { dayOfMonth, dayOfWeek } = schedule;
+
+  if (dayOfWeek.type === "last") {
+    return `on the last ${DAY_LABELS[dayOfWeek.day - 1]} of the month`;
+  }
+  if (dayOfWeek.type === "nth") {
+    return `on the ${ORDINALS[dayOfWeek.week]} ${DAY_LABELS[dayOfWeek.day - 1]} of the month`;
+  }
+  if (dayOfWeek.type === "values") {
+    if (dayOfWeek.values.size === 7) {
+      return "every day";
+    }
+    if (isSameSet(dayOfWeek.values, [2, 3, 4, 5, 6])) {
+      return "every weekday";
+    }
+    return `every ${joinWords(
+      sortedValues(dayOfWeek.values).map((day) => DAY_LABELS[day - 1]),
+    )}`;
+  }
+
+  if (dayOfMonth.type === "last") {
+    return "on the last day of the month";
+  }
+  if (dayOfMonth.type === "lastWeekday") {
+    return "on the last weekday of the month";
+  }
+  if (dayOfMonth.type === "nearestWeekday") {
+    return `on the weekday nearest day ${dayOfMonth.day} of the month`;
+  }
+  if (dayOfMonth.values.size === 31) {
+    return "every day";
+  }
+  return `on day ${joinWords(sortedValues(dayOfMonth.values).map(String))} of the month`;
+};
+
+const describeTime = (schedule) => {
+  const seconds = schedule.second ? `:${pad(schedule.second)}` : "";
+  const hours = sortedValues(schedule.hours);
+
+  if (hours.length === 24) {
+    return `every hour at ${pad(schedule.minute)}${seconds} minutes past`;
+  }
+  if (hours.length > 6) {
+    return `at ${pad(schedule.minute)}${seconds} minutes past hours ${joinWords(hours.map(String))}`;
+  }
+  return `at ${joinWords(
+    hours.map((hour) => `${pad(hour)}:${pad(schedule.minute)}${seconds}`),
+  )}`;
+};
+
+/**
+ * Describe a cron expression in words
+ * @param {String} expression - Quartz cron expression
+ * @returns {String} Description such as "Every Monday and Friday at 02:30", empty when invalid
+ */
+export const describeCronExpression = (expression) => {
+  let schedule;
+  try {
+    schedule = parseCronExpression(expression);
+  } catch (error) {
+    return "";
+  }
+
+  const parts = [describeDays(schedule), describeTime(schedule)];
+  if (schedule.months.size < 12) {
+    parts.push(
+      `in ${joinWords(
+        sortedValues(schedule.months).map((month) => MONTH_LABELS[month - 1]),
+      )}`,
+    );
+  }
+  if (schedule.years) {
+    parts.push(`in ${joinWords(sortedValues(schedule.years).map(String))}`);
+  }
+
+  const text = parts.join(" ");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+/**
+ * Work out the schedule builder choices that produce a cron expression
+ * @param {String} expression - Quartz cron expression
+ * @returns {Object} scheduleType and cronExpression, plus hour, minute and
+ *   daysOfWeek or dayOfMonth when the expression is a daily, weekly or
+ *   monthly schedule
+ */
+export const detectSchedule = (expression) => {
+  const cronExpression = buildCronExpression({
+    scheduleType: SCHEDULE_TYPES.CUSTOM,
+    cronExpression: expression,
+  });
+  const custom = { scheduleType: SCHEDULE_TYPES.CUSTOM, cronExpression };
+  if (!validateCronExpression(cronExpression).isValid) {
+    return custom;
+  }
+
+  const [second, minute, hour, dayOfMonth, month, dayOfWeek, year] =
+    cronExpression.toUpperCase().split(" ");
+  if (
+    second !== "0" ||
+    month !== "*" ||
+    year !== undefined ||
+    !/^\d+$/.test(minute) ||
+    !/^\d+$/.test(hour)
+  ) {
+    return custom;
+  }
+
+  const time = {
+    cronExpression,
+    hour: parseInt(hour, 10),
+    minute: parseInt(minute, 10),
+  };
+  if (dayOfMonth === "*" && dayOfWeek === "?") {
+    return { ...time, scheduleType: SCHEDULE_TYPES.DAILY };
+  }
+  if (dayOfMonth === "?") {
+    const days = dayOfWeek.split(",");
+    if (days.every((day) => DAY_NAMES.includes(day))) {
+      return { ...time, scheduleType: SCHEDULE_TYPES.WEEKLY, daysOfWeek: days };
+    }
+    return custom;
+  }
+  if (
+    dayOfWeek === "?" &&
+    (/^\d+$/.test(dayOfMonth) ||
+      dayOfMonth === LAST_DAY ||
+      dayOfMonth === LAST_WEEKDAY)
+  ) {
+    return {
+      ...time,
+      scheduleType: SCHEDULE_TYPES.MONTHLY,
+      dayOfMonth: String(parseInt(dayOfMonth, 10) || dayOfMonth),
+    };
+  }
+  return custom;
+};
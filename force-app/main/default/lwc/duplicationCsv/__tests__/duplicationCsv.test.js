@@ -0,0 +1,77 @@
+import { parseCsv, toCsv, downloadFile } from "c/duplicationCsv";
+
+describe("c-duplication-csv", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("parses quoted values, doubled quotes and line breaks", () => {
+    const text =
+      "\uFEFFFirst Name,Last Name,Notes\r\n" +
+      'Jane,Smith,"Met at ""Expo"", Berlin"\r\n' +
+      "\r\n" +
+      'Bob,"Jones","Line one\nLine two"\n' +
+      "Ann,,\n";
+
+    expect(parseCsv(text)).toEqual([
+      ["First Name", "Last Name", "Notes"],
+      ["Jane", "Smith", 'Met at "Expo", Berlin'],
+      ["Bob", "Jones", "Line one\nLine two"],
+      ["Ann", "", ""],
+    ]);
+    expect(parseCsv("")).toEqual([]);
+  });
+
+  it("writes values that round trip through the parser", () => {
+    const rows = [
+      ["Name", "Score", "Notes"],
+      ["Acme, Inc.", 97.5, 'Said "hello"'],
+      [" padded ", null, "Line one\nLine two"],
+    ];
+
+    const csv = toCsv(rows);
+    expect(csv.split("\r\n")[0]).toBe("Name,Score,Notes");
+    expect(csv).toContain('"Acme, Inc.",97.5,"Said ""hello"""');
+    expect(parseCsv(csv)).toEqual([
+      ["Name", "Score", "Notes"],
+      ["Acme, Inc.", "97.5", 'Said "hello"'],
+      [" padded ", "", "Line one\nLine two"],
+    ]);
+  });
+
+  it("downloads text as a file", () => {
+    let link;
+    const click = jest
+      .spyOn(HTMLAnchorElement.prototype, "click")
+      .mockImplementation(function captureLink() {
+        link = this;
+      });
+
+    downloadFile("checked.csv", "Name\r\nAcme");
+
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(link.download).toBe("checked.csv");
+    expect(link.href).toBe(
+      `data:text/csv;charset=utf-8,${encodeURIComponent("Name\r\nAcme")}`,
+    );
+    expect(document.body.contains(link)).toBe(false);
+  });
+
+  it("downloads bytes as a base64 file", () => {
+    let link;
+    jest
+      .spyOn(HTMLAnchorElement.prototype, "click")
+      .mockImplementation(function captureLink() {
+        link = this;
+      });
+
+    downloadFile(
+      "groups.xlsx",
+      new Uint8Array([80, 75, 3, 4]),
+      "application/octet-stream",
+    );
+
+    expect(link.download).toBe("groups.xlsx");
+    expect(link.href).toBe("data:application/octet-stream;base64,UEsDBA==");
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * CSV files as written by spreadsheet applications (RFC 4180).
+ * Reads chosen files as text, parses CSV text into rows of values, writes
+ * rows back to CSV text and saves text or bytes as a file download, so files
+ * can be checked and annotated in the browser without uploading them first.
+ *
+ * @author Richard Hudson
+ * @since May 2025
+ */
+
+export const CSV_MIME_TYPE = "text/csv";
+
+// Byte order mark some spreadsheet applications put at the start of a file
+const BYTE_ORDER_MARK = "\uFEFF";
+
+/**
+ * Parse CSV text into rows of values. Quoted values may hold commas, quotes
+ * (doubled) and line breaks. Blank lines are left out.
+ * @param {String} text - CSV text
+ * @returns {Array<Array<String>>} Rows of values
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  if (!text) {
+    return rows;
+  }
+
+  const source = text.startsWith(BYTE_ORDER_MARK) ? text.slice(1) : text;
+  let row = [];
+  let value = "";
+  let inQuotes = false;
+
+  const endValue = () => {
+    row.push(value);
+    value = "";
+  };
+  const endRow = () => {
+    endValue();
+    // A blank line parses as a single empty value
+    if (row.length > 1 || row[0] !== "") {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      endValue();
+    } else if (char === "\r" || char === "\n") {
+      if (char === "\r" && source[i + 1] === "\n") {
+        i++;
+      }
+      endRow();
+    } else {
+      value += char;
+    }
+  }
+  endRow();
+
+  return rows;
+};
+
+/**
+ * Read a file chosen by the user as text
+ * @param {File} file - File to read
+ * @returns {Promise<String>} File content
+ */
+export const readFileText = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+
+/**
+ * Read a file chosen by the user as bytes
+ * @param {File} file - File to read
+ * @returns {Promise<ArrayBuffer>} File content
+ */
+export const readFileBytes = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file);
+  });
+
+/**
+ * Quote a value when it holds a comma, quote, line break or outer spaces
+ * @param {*} value - Value to write
+ * @returns {String} CSV value
+ */
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text = String(value);
+  if (/[",\r\n]/.test(text) || text.trim() !== text) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Write rows of values as CSV text with Windows line breaks, which every
+ * spreadsheet application reads
+ * @param {Array<Array<*>>} rows - Rows of values, blank for null or undefined
+ * @returns {String} CSV text
+ */
+export const toCsv = (rows) =>
+  (rows || []).map((row) => row.map(toCsvValue).join(",")).join("\r\n");
+
+/**
+ * Encode file bytes as base64
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {String} Base64 text
+ */
+const toBase64 = (bytes) => {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+};
+
+/**
+ * Save text or bytes as a file download
+ * @param {String} fileName - Name of the downloaded file
+ * @param {String|Uint8Array} content - File content, bytes for binary files
+ * @param {String} mimeType - Content type, CSV by default
+ */
+export const downloadFile = (fileName, content, mimeType = CSV_MIME_TYPE) => {
+  const link = document.createElement("a");
+  link.href =
+    content instanceof Uint8Array
+      ? `data:${mimeType};base64,${toBase64(content)}`
+      : `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`;
+  link.download = fileName;
+  link.style.display = "none";
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
@@ -0,0 +1,266 @@
+import { createElement } from "lwc";
+import DuplicationDecisionImport from "c/duplicationDecisionImport";
+import previewReviewedDecisions from "@salesforce/apex/DuplicateRecordController.previewReviewedDecisions";
+import applyReviewedDecisions from "@salesforce/apex/DuplicateRecordController.applyReviewedDecisions";
+import startBackgroundMerge from "@salesforce/apex/DuplicateRecordJobController.startBackgroundMerge";
+import { parseCsv } from "c/duplicationCsv";
+import { toXlsx } from "c/duplicationXlsx";
+import flushPromises from "../../../../../../jest-utils/flushPromises";
+
+jest.mock(
+  "@salesforce/apex/DuplicateRecordController.previewReviewedDecisions",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateRecordController.applyReviewedDecisions",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateRecordJobController.startBackgroundMerge",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+
+const CSV =
+  "Group Id,Group Key,Master Record Id,Duplicate Record Ids,Match Score,Record Count,Name,Decision,Comment\r\n" +
+  "a01000000000001AAA,acme,001000000000002AAA,001000000000001AAA,95,2,Acme,Merge,\r\n" +
+  "a01000000000002AAA,globex,001000000000003AAA,001000000000004AAA,60,2,Globex,Ignore,Different companies\r\n" +
+  "a01000000000003AAA,initech,001000000000005AAA,001000000000006AAA,90,2,Initech,,\r\n" +
+  "a0100000000000XAAA,unknown,,,,,,Merge,\r\n";
+
+const PREVIEW = [
+  {
+    rowIndex: 0,
+    groupId: "a01000000000001AAA",
+    groupKey: "acme",
+    currentMasterId: "001000000000001AAA",
+    newMasterId: "001000000000002AAA",
+    decision: "Merge",
+    actions: ["Set master", "Queue for merge"],
+    errors: [],
+    isValid: true,
+  },
+  {
+    rowIndex: 1,
+    groupId: "a01000000000002AAA",
+    groupKey: "globex",
+    currentMasterId: "001000000000003AAA",
+    newMasterId: null,
+    decision: "Ignore",
+    actions: ["Mark ignored"],
+    errors: [],
+    isValid: true,
+  },
+  {
+    rowIndex: 2,
+    groupId: "a01000000000003AAA",
+    groupKey: "initech",
+    currentMasterId: "001000000000005AAA",
+    newMasterId: null,
+    decision: null,
+    actions: [],
+    errors: [],
+    isValid: true,
+  },
+  {
+    rowIndex: 3,
+    groupId: "a0100000000000XAAA",
+    groupKey: null,
+    actions: [],
+    errors: ["Group a0100000000000XAAA is not part of this run"],
+    isValid: false,
+  },
+];
+
+const createImport = () => {
+  const element = createElement("c-duplication-decision-import", {
+    is: DuplicationDecisionImport,
+  });
+  element.batchJobId = "707000000000001AAA";
+  document.body.appendChild(element);
+  return element;
+};
+
+// The file reader is not a promise, so wait until the preview or an error shows
+const waitForPreview = (element, attempts = 50) =>
+  flushPromises().then(() => {
+    if (
+      attempts > 1 &&
+      !element.shadowRoot.querySelector('[data-id="apply"], [data-id="error"]')
+    ) {
+      return waitForPreview(element, attempts - 1);
+    }
+    return undefined;
+  });
+
+const chooseFile = (element, content, name = "reviewed.csv") => {
+  const input = element.shadowRoot.querySelector('[data-id="file"]');
+  const file = new File([content], name, { type: "text/csv" });
+  input.dispatchEvent(new CustomEvent("change", { detail: { files: [file] } }));
+  return waitForPreview(element);
+};
+
+describe("c-duplication-decision-import", () => {
+  beforeEach(() => {
+    previewReviewedDecisions.mockResolvedValue(PREVIEW);
+    applyReviewedDecisions.mockImplementation(({ rows }) =>
+      Promise.resolve(
+        rows.map((row, rowIndex) => ({
+          rowIndex,
+          groupId: row.groupId,
+          status: "Applied",
+          queueForMerge: row.decision === "Merge",
+        })),
+      ),
+    );
+    startBackgroundMerge.mockResolvedValue("a05000000000001AAA");
+  });
+
+  afterEach(() => {
+    // The jsdom instance is shared across test cases in a single file so reset the DOM
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+  });
+
+  it("shows the changes and errors of a reviewed file", async () => {
+    const element = createImport();
+    await chooseFile(element, CSV);
+
+    expect(previewReviewedDecisions).toHaveBeenCalledWith({
+      batchJobId: "707000000000001AAA",
+      rows: [
+        {
+          groupId: "a01000000000001AAA",
+          masterRecordId: "001000000000002AAA",
+          decision: "Merge",
+          comment: "",
+        },
+        {
+          groupId: "a01000000000002AAA",
+          masterRecordId: "001000000000003AAA",
+          decision: "Ignore",
+          comment: "Different companies",
+        },
+        {
+          groupId: "a01000000000003AAA",
+          masterRecordId: "001000000000005AAA",
+          decision: "",
+          comment: "",
+        },
+        {
+          groupId: "a0100000000000XAAA",
+          masterRecordId: "",
+          decision: "Merge",
+          comment: "",
+        },
+      ],
+    });
+
+    const text = (id) =>
+      element.shadowRoot.querySelector(`[data-id="${id}"]`).textContent;
+    expect(text("change-count")).toContain("2 To Change");
+    expect(text("error-count")).toContain("1 With Errors");
+    expect(text("unchanged-count")).toContain("1 Unchanged");
+    expect(element.shadowRoot.querySelector('[data-id="apply"]').label).toBe(
+      "Apply 2 Changes",
+    );
+
+    const table = element.shadowRoot.querySelector('[data-id="changes"]');
+    expect(table.data.map((row) => row.rowNumber)).toEqual([4, 1, 2]);
+    expect(table.data[0].errorText).toContain("is not part of this run");
+    expect(table.data[1]).toMatchObject({
+      groupLabel: "acme",
+      currentMasterId: "001000000000001AAA",
+      newMasterId: "001000000000002AAA",
+      changes: "Set master, Queue for merge",
+    });
+  });
+
+  it("reads a reviewed Excel workbook", async () => {
+    const element = createImport();
+    await chooseFile(element, toXlsx(parseCsv(CSV)), "reviewed.xlsx");
+
+    const { rows } = previewReviewedDecisions.mock.calls[0][0];
+    expect(rows.length).toBe(4);
+    expect(rows[1]).toEqual({
+      groupId: "a01000000000002AAA",
+      masterRecordId: "001000000000003AAA",
+      decision: "Ignore",
+      comment: "Different companies",
+    });
+    expect(
+      element.shadowRoot.querySelector('[data-id="apply"]'),
+    ).not.toBeNull();
+  });
+
+  it("applies the valid changes and merges the queued groups in one job", async () => {
+    const element = createImport();
+    const handler = jest.fn();
+    element.addEventListener("decisionsapplied", handler);
+    await chooseFile(element, CSV);
+
+    element.shadowRoot.querySelector('[data-id="apply"]').click();
+    await flushPromises();
+
+    expect(applyReviewedDecisions).toHaveBeenCalledTimes(1);
+    const { rows } = applyReviewedDecisions.mock.calls[0][0];
+    expect(rows.map((row) => row.groupId)).toEqual([
+      "a01000000000001AAA",
+      "a01000000000002AAA",
+    ]);
+    expect(startBackgroundMerge).toHaveBeenCalledWith({
+      groupIds: ["a01000000000001AAA"],
+    });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0].detail).toEqual({
+      applied: 2,
+      failed: 0,
+      mergeJobId: "a05000000000001AAA",
+    });
+    expect(
+      element.shadowRoot.querySelector('[data-id="apply-summary"]').textContent,
+    ).toContain("2 groups updated, 0 failed. 1 group queued");
+  });
+
+  it("applies large files a batch of rows at a time", async () => {
+    const lines = ["Group Id,Decision"];
+    const preview = [];
+    for (let i = 0; i < 30; i++) {
+      lines.push(`a010000000000${String(i).padStart(2, "0")}AAA,Ignore`);
+      preview.push({
+        rowIndex: i,
+        actions: ["Mark ignored"],
+        errors: [],
+        isValid: true,
+      });
+    }
+    previewReviewedDecisions.mockResolvedValue(preview);
+
+    const element = createImport();
+    await chooseFile(element, lines.join("\n"));
+
+    element.shadowRoot.querySelector('[data-id="apply"]').click();
+    await flushPromises();
+
+    expect(applyReviewedDecisions).toHaveBeenCalledTimes(2);
+    expect(applyReviewedDecisions.mock.calls[0][0].rows.length).toBe(25);
+    expect(applyReviewedDecisions.mock.calls[1][0].rows.length).toBe(5);
+    expect(startBackgroundMerge).not.toHaveBeenCalled();
+  });
+
+  it("explains files it cannot read", async () => {
+    const element = createImport();
+    await chooseFile(element, "", "reviewed.xls");
+
+    expect(
+      element.shadowRoot.querySelector('[data-id="error"]').textContent,
+    ).toContain("Save the workbook as Excel Workbook (.xlsx) or CSV");
+    expect(previewReviewedDecisions).not.toHaveBeenCalled();
+    expect(element.shadowRoot.querySelector('[data-id="apply"]')).toBeNull();
+  });
+});
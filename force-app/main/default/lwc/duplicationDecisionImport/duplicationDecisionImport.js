@@ -0,0 +1,371 @@
+import { LightningElement, api } from "lwc";
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import previewReviewedDecisions from "@salesforce/apex/DuplicateRecordController.previewReviewedDecisions";
+import applyReviewedDecisions from "@salesforce/apex/DuplicateRecordController.applyReviewedDecisions";
+import startBackgroundMerge from "@salesforce/apex/DuplicateRecordJobController.startBackgroundMerge";
+import { readFileBytes, readFileText } from "c/duplicationCsv";
+import { readReviewedDecisions } from "c/duplicationGroupExport";
+
+// Rows sent per call, as many as DuplicateDecisionImportService takes at a time
+const ROWS_PER_PREVIEW = 2000;
+const ROWS_PER_APPLY = 25;
+const MAX_FILE_ROWS = 10000;
+
+const STATUS_FAILED = "Failed";
+
+const CHANGE_COLUMNS = [
+  { label: "Row", fieldName: "rowNumber", type: "number", initialWidth: 80 },
+  { label: "Group", fieldName: "groupLabel", type: "text" },
+  { label: "Current Master", fieldName: "currentMasterId", type: "text" },
+  { label: "New Master", fieldName: "newMasterId", type: "text" },
+  { label: "Changes", fieldName: "changes", type: "text", wrapText: true },
+  { label: "Errors", fieldName: "errorText", type: "text", wrapText: true },
+];
+
+const FAILURE_COLUMNS = [
+  { label: "Row", fieldName: "rowNumber", type: "number", initialWidth: 80 },
+  { label: "Group Id", fieldName: "groupId", type: "text" },
+  { label: "Error", fieldName: "message", type: "text", wrapText: true },
+];
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+
+/**
+ * Imports the decisions business owners made offline on an exported run.
+ * The reviewed CSV or JSON file is read in the browser and validated against
+ * the stored duplicate groups, the changes are shown for review and then
+ * applied: masters are changed, ignored groups are excluded, risky merges
+ * are submitted for approval and the other merges run in one background job.
+ * @component
+ */
+export default class DuplicationDecisionImport extends LightningElement {
+  @api batchJobId;
+
+  changeColumns = CHANGE_COLUMNS;
+  failureColumns = FAILURE_COLUMNS;
+
+  fileName = null;
+  decisions = [];
+  preview = [];
+  applyResults = [];
+  mergeJobId = null;
+  processedRows = 0;
+  totalRows = 0;
+  isPreviewing = false;
+  isApplying = false;
+  error = null;
+
+  /**
+   * Read the reviewed file and check it against the run
+   * @param {Event} event - Change event of the file input
+   */
+  handleFileChange(event) {
+    const files = (event.detail && event.detail.files) || event.target.files;
+    const file = files && files[0];
+    if (!file) {
+      return;
+    }
+
+    this.reset();
+    const isWorkbook = /\.xlsx$/i.test(file.name);
+    (isWorkbook ? readFileBytes(file) : readFileText(file))
+      .then((content) => {
+        const decisions = readReviewedDecisions(file.name, content);
+        if (decisions.length === 0) {
+          throw new Error("The file needs at least one group row");
+        }
+        if (decisions.length > MAX_FILE_ROWS) {
+          throw new Error(
+            `The file has ${decisions.length} rows. Import at most ${MAX_FILE_ROWS} rows at a time`,
+          );
+        }
+        this.fileName = file.name;
+        this.decisions = decisions;
+        return this.previewDecisions();
+      })
+      .catch((error) => {
+        this.decisions = [];
+        this.error = (error.body && error.body.message) || error.message;
+      });
+  }
+
+  /**
+   * Clear the file and its results
+   */
+  reset() {
+    this.fileName = null;
+    this.decisions = [];
+    this.preview = [];
+    this.applyResults = [];
+    this.mergeJobId = null;
+    this.error = null;
+  }
+
+  handleCancelClick() {
+    this.reset();
+  }
+
+  /**
+   * Validate every row, a batch of rows per call
+   * @returns {Promise} Resolves once every row is checked
+   */
+  previewDecisions() {
+    this.isPreviewing = true;
+    this.processedRows = 0;
+    this.totalRows = this.decisions.length;
+
+    return this.sendFrom(
+      previewReviewedDecisions,
+      this.decisions,
+      ROWS_PER_PREVIEW,
+      0,
+      [],
+    )
+      .then((results) => {
+        this.preview = results;
+      })
+      .finally(() => {
+        this.isPreviewing = false;
+      });
+  }
+
+  /**
+   * Send the batch of rows starting at a row, then the batches after it
+   * @param {Function} method - Apex method taking batchJobId and rows
+   * @param {Array} decisions - Rows read from the file
+   * @param {Number} batchSize - Rows per call
+   * @param {Number} start - Index of the first row of the batch
+   * @param {Array} results - Results of the batches sent so far
+   * @returns {Promise<Array>} Results of every row with its file row number
+   */
+  sendFrom(method, decisions, batchSize, start, results) {
+    if (start >= decisions.length) {
+      return Promise.resolve(results);
+    }
+
+    const batch = decisions.slice(start, start + batchSize);
+    return method({
+      batchJobId: this.batchJobId,
+      rows: batch.map((decision) => ({
+        groupId: decision.groupId,
+        masterRecordId: decision.masterRecordId,
+        decision: decision.decision,
+        comment: decision.comment,
+      })),
+    }).then((batchResults) => {
+      (batchResults || []).forEach((result) => {
+        results.push({
+          ...result,
+          rowNumber: batch[result.rowIndex].rowNumber,
+        });
+      });
+      this.processedRows = start + batch.length;
+      return this.sendFrom(
+        method,
+        decisions,
+        batchSize,
+        start + batchSize,
+        results,
+      );
+    });
+  }
+
+  get hasFile() {
+    return this.decisions.length > 0;
+  }
+
+  get fileSummary() {
+    return `${this.fileName}: ${plural(this.decisions.length, "row")}`;
+  }
+
+  get isBusy() {
+    return this.isPreviewing || this.isApplying;
+  }
+
+  get progressValue() {
+    return this.totalRows > 0
+      ? Math.round((this.processedRows / this.totalRows) * 100)
+      : 0;
+  }
+
+  get progressLabel() {
+    return `${this.isApplying ? "Applied" : "Checked"} ${this.processedRows} of ${this.totalRows} rows`;
+  }
+
+  get hasPreview() {
+    return this.preview.length > 0 && this.applyResults.length === 0;
+  }
+
+  get validChanges() {
+    return this.preview.filter(
+      (result) => result.isValid && result.actions.length > 0,
+    );
+  }
+
+  get invalidRows() {
+    return this.preview.filter((result) => !result.isValid);
+  }
+
+  get changeCount() {
+    return this.validChanges.length;
+  }
+
+  get errorCount() {
+    return this.invalidRows.length;
+  }
+
+  get unchangedCount() {
+    return this.preview.length - this.changeCount - this.errorCount;
+  }
+
+  /**
+   * Rows with changes or errors, errors first
+   */
+  get changeRows() {
+    return [...this.invalidRows, ...this.validChanges].map((result) => ({
+      id: String(result.rowNumber),
+      rowNumber: result.rowNumber,
+      groupLabel: result.groupKey || result.groupId,
+      currentMasterId: result.currentMasterId,
+      newMasterId: result.newMasterId,
+      changes: result.actions.join(", "),
+      errorText: result.errors.join("; "),
+    }));
+  }
+
+  get hasChangeRows() {
+    return this.changeRows.length > 0;
+  }
+
+  get isApplyDisabled() {
+    return this.isBusy || this.changeCount === 0;
+  }
+
+  get applyLabel() {
+    return `Apply ${plural(this.changeCount, "Change")}`;
+  }
+
+  /**
+   * Apply the valid changes, then merge the groups to merge in one job
+   */
+  handleApplyClick() {
+    if (this.isApplyDisabled) {
+      return;
+    }
+
+    const changedRows = new Set(
+      this.validChanges.map((result) => result.rowNumber),
+    );
+    const decisions = this.decisions.filter((decision) =>
+      changedRows.has(decision.rowNumber),
+    );
+
+    this.isApplying = true;
+    this.processedRows = 0;
+    this.totalRows = decisions.length;
+
+    this.sendFrom(applyReviewedDecisions, decisions, ROWS_PER_APPLY, 0, [])
+      .then((results) => {
+        this.applyResults = results;
+        const groupIds = results
+          .filter((result) => result.queueForMerge)
+          .map((result) => result.groupId);
+        return groupIds.length > 0 ? startBackgroundMerge({ groupIds }) : null;
+      })
+      .then((jobId) => {
+        this.mergeJobId = jobId;
+        this.showToast(
+          this.failedCount > 0
+            ? "Import Finished With Errors"
+            : "Import Complete",
+          this.applySummary,
+          this.failedCount > 0 ? "warning" : "success",
+        );
+        this.dispatchEvent(
+          new CustomEvent("decisionsapplied", {
+            detail: {
+              applied: this.appliedCount,
+              failed: this.failedCount,
+              mergeJobId: jobId,
+            },
+          }),
+        );
+      })
+      .catch((error) => {
+        this.handleError("Error applying decisions", error);
+      })
+      .finally(() => {
+        this.isApplying = false;
+      });
+  }
+
+  get hasApplyResults() {
+    return this.applyResults.length > 0;
+  }
+
+  get failures() {
+    return this.applyResults.filter(
+      (result) => result.status === STATUS_FAILED,
+    );
+  }
+
+  get hasFailures() {
+    return this.failures.length > 0;
+  }
+
+  get failedCount() {
+    return this.failures.length;
+  }
+
+  get appliedCount() {
+    return this.applyResults.length - this.failedCount;
+  }
+
+  get applySummary() {
+    const queued = this.applyResults.filter(
+      (result) => result.queueForMerge,
+    ).length;
+    let summary = `${plural(this.appliedCount, "group")} updated, ${this.failedCount} failed.`;
+    if (queued > 0) {
+      summary += ` ${plural(queued, "group")} queued for a background merge.`;
+    }
+    return summary;
+  }
+
+  /**
+   * Show toast notification
+   * @param {String} title - Toast title
+   * @param {String} message - Toast message
+   * @param {String} variant - Toast variant (info, success, warning, error)
+   */
+  showToast(title, message, variant) {
+    this.dispatchEvent(
+      new ShowToastEvent({
+        title: title,
+        message: message,
+        variant: variant,
+      }),
+    );
+  }
+
+  /**
+   * Handle errors with proper messaging
+   * @param {String} baseMessage - Base error message
+   * @param {Error} error - Error object
+   */
+  handleError(baseMessage, error) {
+    let errorMessage = baseMessage;
+
+    if (error) {
+      if (error.body && error.body.message) {
+        errorMessage += ": " + error.body.message;
+      } else if (error.message) {
+        errorMessage += ": " + error.message;
+      }
+    }
+
+    console.error(errorMessage);
+    this.error = errorMessage;
+    this.showToast("Error", errorMessage, "error");
+  }
+}
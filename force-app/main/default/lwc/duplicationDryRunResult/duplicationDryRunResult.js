@@ -1,5 +1,11 @@
 import { LightningElement, api, track } from "lwc";
 import getDuplicateRunResults from "@salesforce/apex/DuplicateRecordController.getDuplicateRunResults";
+import getDuplicateGroupExportPage from "@salesforce/apex/DuplicateRecordController.getDuplicateGroupExportPage";
+import { downloadFile } from "c/duplicationCsv";
+import { EXPORT_FORMATS, buildGroupExport } from "c/duplicationGroupExport";
+
+// Groups read per call when exporting every group of the run
+const EXPORT_PAGE_SIZE = 500;
 
 export default class DuplicationDryRunResult extends LightningElement {
   @api batchJobId;
@@ -16,6 +22,13 @@ export default class DuplicationDryRunResult extends LightningElement {
   @track totalPages = 0;
   @track totalRecords = 0;
 
+  // Export
+  exportFormats = EXPORT_FORMATS;
+  @track isExporting = false;
+  @track exportedCount = 0;
+  @track exportTotal = 0;
+  @track showDecisionImport = false;
+
   connectedCallback() {
     this.loadResults();
   }
@@ -57,6 +70,74 @@ export default class DuplicationDryRunResult extends LightningElement {
     }
   }
 
+  // Keep the reviewer label of a group in sync after it is saved
+  handleMatchLabelChange(event) {
+    const { groupId, label } = event.detail;
+    this.results = {
+      ...this.results,
+      groups: this.results.groups.map((group) => {
+        return group.id === groupId ? { ...group, matchLabel: label } : group;
+      }),
+    };
+  }
+
+  // Export every group of the run, not just the current page
+  handleExportSelect(event) {
+    this.exportGroups(event.detail.value);
+  }
+
+  exportGroups(format) {
+    if (this.isExporting) {
+      return;
+    }
+    this.isExporting = true;
+    this.exportedCount = 0;
+    this.exportTotal = 0;
+    this.error = undefined;
+
+    this.readExportPages(null, [])
+      .then((exportData) => {
+        const file = buildGroupExport(format, exportData);
+        downloadFile(file.fileName, file.content, file.mimeType);
+      })
+      .catch((error) => {
+        this.error =
+          (error.body && error.body.message) ||
+          error.message ||
+          "An error occurred exporting the groups";
+      })
+      .finally(() => {
+        this.isExporting = false;
+      });
+  }
+
+  // Read the groups a chunk at a time until the last one
+  readExportPages(afterGroupId, groups) {
+    return getDuplicateGroupExportPage({
+      batchJobId: this.batchJobId,
+      afterGroupId,
+      pageSize: EXPORT_PAGE_SIZE,
+    }).then((page) => {
+      const allGroups = groups.concat(page.groups);
+      this.exportedCount = allGroups.length;
+      this.exportTotal = page.totalGroups;
+      if (page.hasMore) {
+        return this.readExportPages(page.lastGroupId, allGroups);
+      }
+      return { ...page, groups: allGroups };
+    });
+  }
+
+  // Apply decisions reviewed offline on an exported file
+  toggleDecisionImport() {
+    this.showDecisionImport = !this.showDecisionImport;
+  }
+
+  // Masters may have changed, so show the groups as they are now
+  handleDecisionsApplied() {
+    this.loadResults();
+  }
+
   // Getters for UI display
   get hasResults() {
     return (
@@ -80,10 +161,37 @@ export default class DuplicationDryRunResult extends LightningElement {
     return this.pageNumber < this.totalPages;
   }
 
+  get isFirstPage() {
+    return !this.hasPrevious;
+  }
+
+  get isLastPage() {
+    return !this.hasNext;
+  }
+
   get paginationText() {
     return `Page ${this.pageNumber} of ${this.totalPages}`;
   }
 
+  // Simulate other thresholds once the dry run has stored its groups
+  get showThresholdSimulator() {
+    return !!this.batchJobId && this.hasResults;
+  }
+
+  get canExport() {
+    return !!this.batchJobId;
+  }
+
+  get exportPercent() {
+    return this.exportTotal
+      ? Math.round((this.exportedCount / this.exportTotal) * 100)
+      : 0;
+  }
+
+  get exportProgressText() {
+    return `Exporting ${this.exportedCount} of ${this.exportTotal} groups...`;
+  }
+
   // Add hasBatchJobId getter for the template
   get hasBatchJobId() {
     return this.results && this.results.dryRunResults && this.results.dryRunResults.BatchJobId__c;
@@ -0,0 +1,169 @@
+import { createElement } from "lwc";
+import DuplicationEntryWarning from "c/duplicationEntryWarning";
+import checkEntryForDuplicates from "@salesforce/apex/DuplicateRecordController.checkEntryForDuplicates";
+import flushPromises from "../../../../../../jest-utils/flushPromises";
+
+jest.mock(
+  "@salesforce/apex/DuplicateRecordController.checkEntryForDuplicates",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "lightning/flowSupport",
+  () => ({
+    FlowAttributeChangeEvent: class extends CustomEvent {
+      constructor(attributeName, attributeValue) {
+        super("flowattributechange", {
+          detail: { attributeName, attributeValue },
+        });
+      }
+    },
+  }),
+  { virtual: true },
+);
+
+const MATCHES = [
+  {
+    id: "003000000000001AAA",
+    name: "Jane Smith",
+    matchScore: 100,
+    matchedFields: ["Name", "Email"],
+  },
+  {
+    id: "003000000000002AAA",
+    name: "Jane Smyth",
+    matchScore: 78.4,
+    matchedFields: ["Phone"],
+  },
+];
+
+const createWarning = async (flowChanges = []) => {
+  const element = createElement("c-duplication-entry-warning", {
+    is: DuplicationEntryWarning,
+  });
+  element.objectApiName = "Contact";
+  element.name = "Jane Smith";
+  element.email = "jane.smith@example.com";
+  element.addEventListener("flowattributechange", (event) =>
+    flowChanges.push(event.detail),
+  );
+  document.body.appendChild(element);
+  await flushPromises();
+  return element;
+};
+
+describe("c-duplication-entry-warning", () => {
+  beforeEach(() => {
+    checkEntryForDuplicates.mockResolvedValue(MATCHES);
+  });
+
+  afterEach(() => {
+    // The jsdom instance is shared across test cases in a single file so reset the DOM
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+    jest.useRealTimers();
+  });
+
+  it("warns about existing records matching the values entered", async () => {
+    const flowChanges = [];
+    const element = await createWarning(flowChanges);
+
+    expect(checkEntryForDuplicates).toHaveBeenCalledWith({
+      objectApiName: "Contact",
+      configName: null,
+      entryValues: { name: "Jane Smith", email: "jane.smith@example.com" },
+      minimumScore: undefined,
+      recordLimit: 3,
+    });
+    expect(
+      element.shadowRoot.querySelector('[data-id="entry-warning"]').textContent,
+    ).toContain("2 matching records already exist");
+
+    const scores = Array.from(
+      element.shadowRoot.querySelectorAll('[data-id="match-score"]'),
+    ).map((score) => score.textContent.trim());
+    expect(scores).toEqual(["100%", "78.4%"]);
+    expect(element.hasDuplicates).toBe(true);
+    expect(flowChanges).toEqual([
+      { attributeName: "hasDuplicates", attributeValue: true },
+    ]);
+  });
+
+  it("outputs the existing record selected", async () => {
+    const flowChanges = [];
+    const element = await createWarning(flowChanges);
+
+    element.shadowRoot
+      .querySelector(`[data-id="${MATCHES[1].id}"][data-action="select"]`)
+      .click();
+    await flushPromises();
+
+    expect(element.selectedRecordId).toBe(MATCHES[1].id);
+    expect(flowChanges).toContainEqual({
+      attributeName: "selectedRecordId",
+      attributeValue: MATCHES[1].id,
+    });
+    expect(
+      element.shadowRoot.querySelector(
+        `[data-id="${MATCHES[1].id}"][data-action="select"]`,
+      ).label,
+    ).toBe("Selected");
+
+    element.shadowRoot.querySelector('[data-id="clear-selection"]').click();
+    await flushPromises();
+
+    expect(element.selectedRecordId).toBeNull();
+    expect(flowChanges[flowChanges.length - 1]).toEqual({
+      attributeName: "selectedRecordId",
+      attributeValue: null,
+    });
+  });
+
+  it("checks again once typing pauses and drops a selection that no longer matches", async () => {
+    const flowChanges = [];
+    const element = await createWarning(flowChanges);
+    element.shadowRoot
+      .querySelector(`[data-id="${MATCHES[0].id}"][data-action="select"]`)
+      .click();
+
+    jest.useFakeTimers();
+    checkEntryForDuplicates.mockResolvedValue([]);
+    element.name = "Jane Smit";
+    element.name = "Jane Smithers";
+    expect(checkEntryForDuplicates).toHaveBeenCalledTimes(1);
+
+    jest.runAllTimers();
+    jest.useRealTimers();
+    await flushPromises();
+
+    expect(checkEntryForDuplicates).toHaveBeenCalledTimes(2);
+    expect(checkEntryForDuplicates.mock.calls[1][0].entryValues.name).toBe(
+      "Jane Smithers",
+    );
+    expect(
+      element.shadowRoot.querySelector('[data-id="entry-warning"]'),
+    ).toBeNull();
+    expect(element.selectedRecordId).toBeNull();
+    expect(element.hasDuplicates).toBe(false);
+    expect(flowChanges).toContainEqual({
+      attributeName: "hasDuplicates",
+      attributeValue: false,
+    });
+  });
+
+  it("does not check without any values entered", async () => {
+    const element = createElement("c-duplication-entry-warning", {
+      is: DuplicationEntryWarning,
+    });
+    element.name = "  ";
+    document.body.appendChild(element);
+    await flushPromises();
+
+    expect(checkEntryForDuplicates).not.toHaveBeenCalled();
+    expect(
+      element.shadowRoot.querySelector('[data-id="match-row"]'),
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,268 @@
+import { LightningElement, api } from "lwc";
+import { FlowAttributeChangeEvent } from "lightning/flowSupport";
+import checkEntryForDuplicates from "@salesforce/apex/DuplicateRecordController.checkEntryForDuplicates";
+import { wait } from "c/duplicationPollingScheduler";
+
+// Wait for typing to pause before checking again
+const CHECK_DELAY = 400;
+const HIGH_SCORE = 90;
+
+/**
+ * Flow screen component that checks the values being entered against existing
+ * records as they change. The best matches are listed with their scores and one
+ * can be selected, which the flow receives as selectedRecordId so it can update
+ * that record instead of creating a duplicate.
+ * @component
+ */
+export default class DuplicationEntryWarning extends LightningElement {
+  @api objectApiName = "Account";
+  // DeveloperName of the configuration with the matchers, blank for the
+  // active configuration of the object
+  @api configName;
+  @api minimumScore;
+  @api recordLimit = 3;
+
+  matches = [];
+  isChecking = false;
+  error = null;
+
+  // Values being entered, keyed by entry field
+  entryValues = {};
+  _selectedRecordId = null;
+  _hasDuplicates = false;
+  // Only the latest entry is checked and only the latest response is shown
+  _checkNumber = 0;
+  _isConnected = false;
+
+  @api
+  get name() {
+    return this.entryValues.name;
+  }
+  set name(value) {
+    this.setEntryValue("name", value);
+  }
+
+  @api
+  get email() {
+    return this.entryValues.email;
+  }
+  set email(value) {
+    this.setEntryValue("email", value);
+  }
+
+  @api
+  get phone() {
+    return this.entryValues.phone;
+  }
+  set phone(value) {
+    this.setEntryValue("phone", value);
+  }
+
+  @api
+  get street() {
+    return this.entryValues.street;
+  }
+  set street(value) {
+    this.setEntryValue("street", value);
+  }
+
+  @api
+  get city() {
+    return this.entryValues.city;
+  }
+  set city(value) {
+    this.setEntryValue("city", value);
+  }
+
+  @api
+  get postalCode() {
+    return this.entryValues.postalCode;
+  }
+  set postalCode(value) {
+    this.setEntryValue("postalCode", value);
+  }
+
+  /**
+   * Existing record selected to update, blank to create a new record
+   */
+  @api
+  get selectedRecordId() {
+    return this._selectedRecordId;
+  }
+  set selectedRecordId(value) {
+    this._selectedRecordId = value || null;
+  }
+
+  @api
+  get hasDuplicates() {
+    return this._hasDuplicates;
+  }
+
+  /**
+   * Lifecycle hook - Called when component is inserted into the DOM
+   */
+  connectedCallback() {
+    this._isConnected = true;
+    this.checkForDuplicates();
+  }
+
+  /**
+   * Lifecycle hook - Called when component is removed from the DOM
+   */
+  disconnectedCallback() {
+    this._isConnected = false;
+    // Drop the pending check and any response still on its way
+    this._checkNumber++;
+  }
+
+  /**
+   * Store a value being entered and check again once typing pauses
+   * @param {String} field - Entry field
+   * @param {String} value - Value entered
+   */
+  setEntryValue(field, value) {
+    const trimmed = typeof value === "string" ? value.trim() : value;
+    if ((this.entryValues[field] || "") === (trimmed || "")) {
+      return;
+    }
+    this.entryValues = { ...this.entryValues, [field]: trimmed };
+
+    if (this._isConnected) {
+      // Each entry supersedes the last, so only the check after the final one runs
+      const checkNumber = ++this._checkNumber;
+      wait(CHECK_DELAY).then(() => {
+        if (this._isConnected && checkNumber === this._checkNumber) {
+          this.checkForDuplicates();
+        }
+      });
+    }
+  }
+
+  /**
+   * Score the values entered against existing records
+   */
+  checkForDuplicates() {
+    const entryValues = {};
+    Object.keys(this.entryValues).forEach((field) => {
+      if (this.entryValues[field]) {
+        entryValues[field] = this.entryValues[field];
+      }
+    });
+
+    const checkNumber = ++this._checkNumber;
+    if (Object.keys(entryValues).length === 0) {
+      this.isChecking = false;
+      this.setMatches([]);
+      return;
+    }
+
+    this.isChecking = true;
+    this.error = null;
+
+    checkEntryForDuplicates({
+      objectApiName: this.objectApiName,
+      configName: this.configName || null,
+      entryValues,
+      minimumScore: this.minimumScore,
+      recordLimit: this.recordLimit,
+    })
+      .then((result) => {
+        if (checkNumber === this._checkNumber) {
+          this.setMatches(result || []);
+        }
+      })
+      .catch((error) => {
+        if (checkNumber === this._checkNumber) {
+          this.setMatches([]);
+          this.error =
+            "Error checking for duplicates: " +
+            ((error.body && error.body.message) || error.message);
+          console.error(this.error);
+        }
+      })
+      .finally(() => {
+        if (checkNumber === this._checkNumber) {
+          this.isChecking = false;
+        }
+      });
+  }
+
+  /**
+   * Show the matches and update the flow outputs
+   * @param {Array} matches - Matches returned by the check
+   */
+  setMatches(matches) {
+    this.matches = matches;
+
+    const hasDuplicates = matches.length > 0;
+    if (hasDuplicates !== this._hasDuplicates) {
+      this._hasDuplicates = hasDuplicates;
+      this.dispatchEvent(
+        new FlowAttributeChangeEvent("hasDuplicates", hasDuplicates),
+      );
+    }
+
+    // A selection that no longer matches the values entered is dropped
+    if (
+      this._selectedRecordId &&
+      !matches.some((match) => match.id === this._selectedRecordId)
+    ) {
+      this.selectRecord(null);
+    }
+  }
+
+  /**
+   * Select an existing record, or none to create a new one
+   * @param {String} recordId - ID of the existing record
+   */
+  selectRecord(recordId) {
+    this._selectedRecordId = recordId;
+    this.dispatchEvent(
+      new FlowAttributeChangeEvent("selectedRecordId", recordId),
+    );
+  }
+
+  /**
+   * @param {Event} event - Click event of a Use This Record button
+   */
+  handleSelectClick(event) {
+    this.selectRecord(event.currentTarget.dataset.id);
+  }
+
+  handleClearSelection() {
+    this.selectRecord(null);
+  }
+
+  get hasMatches() {
+    return this.matches.length > 0;
+  }
+
+  get hasSelection() {
+    return this._selectedRecordId !== null;
+  }
+
+  get warningTitle() {
+    return this.matches.length === 1
+      ? "A matching record already exists"
+      : `${this.matches.length} matching records already exist`;
+  }
+
+  get matchRows() {
+    return this.matches.map((match) => {
+      const isSelected = match.id === this._selectedRecordId;
+      return {
+        ...match,
+        scoreLabel: `${match.matchScore}%`,
+        scoreClass:
+          match.matchScore >= HIGH_SCORE
+            ? "slds-badge slds-theme_success"
+            : "slds-badge",
+        matchedFieldList: (match.matchedFields || []).join(", "),
+        isSelected,
+        rowClass: isSelected ? "slds-item slds-theme_shade" : "slds-item",
+        buttonLabel: isSelected ? "Selected" : "Use This Record",
+        buttonVariant: isSelected ? "brand" : "neutral",
+      };
+    });
+  }
+}
@@ -0,0 +1,124 @@
+import { createElement } from "lwc";
+import DuplicationExclusions from "c/duplicationExclusions";
+import getDuplicateExclusions from "@salesforce/apex/DuplicateExclusionController.getDuplicateExclusions";
+import removeDuplicateExclusions from "@salesforce/apex/DuplicateExclusionController.removeDuplicateExclusions";
+import flushPromises from "../../../../../../jest-utils/flushPromises";
+
+jest.mock(
+  "@salesforce/apex/DuplicateExclusionController.getDuplicateExclusions",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateExclusionController.removeDuplicateExclusions",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+
+const MOCK_EXCLUSIONS = [
+  {
+    id: "a0X000000000001AAA",
+    recordIdA: "001000000000001AAA",
+    recordIdB: "001000000000002AAA",
+    objectApiName: "Account",
+    groupKey: "acme",
+    configName: "Account_Standard",
+    reason: "Different subsidiaries",
+    excludedBy: "Jane Reviewer",
+    excludedDate: "2026-10-01T10:00:00.000Z",
+  },
+  {
+    id: "a0X000000000002AAA",
+    recordIdA: "001000000000003AAA",
+    recordIdB: "001000000000004AAA",
+    objectApiName: "Account",
+    groupKey: "globex",
+    configName: "Account_Standard",
+    reason: null,
+    excludedBy: "Jane Reviewer",
+    excludedDate: "2026-10-02T10:00:00.000Z",
+  },
+];
+
+const createExclusions = (objectApiName) => {
+  const element = createElement("c-duplication-exclusions", {
+    is: DuplicationExclusions,
+  });
+  element.objectApiName = objectApiName;
+  document.body.appendChild(element);
+  return element;
+};
+
+describe("c-duplication-exclusions", () => {
+  afterEach(() => {
+    // The jsdom instance is shared across test cases in a single file so reset the DOM
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+  });
+
+  it("lists the exclusions for the object", async () => {
+    getDuplicateExclusions.mockResolvedValue(MOCK_EXCLUSIONS);
+
+    const element = createExclusions("Account");
+    await flushPromises();
+
+    expect(getDuplicateExclusions).toHaveBeenCalledTimes(1);
+    expect(getDuplicateExclusions).toHaveBeenCalledWith({
+      objectApiName: "Account",
+    });
+
+    const table = element.shadowRoot.querySelector("lightning-datatable");
+    expect(table.data).toHaveLength(2);
+    expect(element.shadowRoot.textContent).toContain(
+      "2 record pairs marked as not duplicates",
+    );
+  });
+
+  it("shows an empty state when nothing is excluded", async () => {
+    getDuplicateExclusions.mockResolvedValue([]);
+
+    const element = createExclusions("Contact");
+    await flushPromises();
+
+    expect(element.shadowRoot.querySelector("lightning-datatable")).toBeNull();
+    expect(element.shadowRoot.textContent).toContain(
+      "No records have been marked as not duplicates",
+    );
+  });
+
+  it("removes the selected exclusions and reloads the list", async () => {
+    getDuplicateExclusions.mockResolvedValue(MOCK_EXCLUSIONS);
+    removeDuplicateExclusions.mockResolvedValue(1);
+
+    const element = createExclusions("Account");
+    await flushPromises();
+
+    const removeButton = element.shadowRoot.querySelector(
+      'lightning-button[data-id="remove"]',
+    );
+    expect(removeButton.disabled).toBe(true);
+
+    const table = element.shadowRoot.querySelector("lightning-datatable");
+    table.dispatchEvent(
+      new CustomEvent("rowselection", {
+        detail: { selectedRows: [MOCK_EXCLUSIONS[0]] },
+      }),
+    );
+    await flushPromises();
+    expect(removeButton.disabled).toBe(false);
+
+    getDuplicateExclusions.mockResolvedValue([MOCK_EXCLUSIONS[1]]);
+    removeButton.click();
+    await flushPromises();
+
+    expect(removeDuplicateExclusions).toHaveBeenCalledWith({
+      exclusionIds: ["a0X000000000001AAA"],
+    });
+    expect(getDuplicateExclusions).toHaveBeenCalledTimes(2);
+    expect(
+      element.shadowRoot.querySelector("lightning-datatable").data,
+    ).toHaveLength(1);
+  });
+});
@@ -0,0 +1,185 @@
+import { LightningElement, api } from "lwc";
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import getDuplicateExclusions from "@salesforce/apex/DuplicateExclusionController.getDuplicateExclusions";
+import removeDuplicateExclusions from "@salesforce/apex/DuplicateExclusionController.removeDuplicateExclusions";
+
+const COLUMNS = [
+  { label: "Record A", fieldName: "recordIdA", type: "text" },
+  { label: "Record B", fieldName: "recordIdB", type: "text" },
+  { label: "Object", fieldName: "objectApiName", type: "text" },
+  { label: "Group Key", fieldName: "groupKey", type: "text" },
+  { label: "Configuration", fieldName: "configName", type: "text" },
+  { label: "Reason", fieldName: "reason", type: "text", wrapText: true },
+  { label: "Excluded By", fieldName: "excludedBy", type: "text" },
+  {
+    label: "Excluded On",
+    fieldName: "excludedDate",
+    type: "date",
+    typeAttributes: {
+      year: "numeric",
+      month: "short",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    },
+  },
+];
+
+/**
+ * Management screen for the "not a duplicate" exclusion list. Future runs
+ * never group an excluded pair together, so removing an exclusion lets the
+ * records be matched again.
+ * @component
+ */
+export default class DuplicationExclusions extends LightningElement {
+  _objectApiName;
+  _isConnected = false;
+
+  exclusions = [];
+  selectedIds = [];
+  columns = COLUMNS;
+  isLoading = false;
+  isRemoving = false;
+  error = null;
+
+  /**
+   * Object API name to show exclusions for, or all objects when empty
+   */
+  @api
+  get objectApiName() {
+    return this._objectApiName;
+  }
+  set objectApiName(value) {
+    if (value === this._objectApiName) {
+      return;
+    }
+    this._objectApiName = value;
+    if (this._isConnected) {
+      this.loadExclusions();
+    }
+  }
+
+  /**
+   * Lifecycle hook - Called when component is inserted into the DOM
+   */
+  connectedCallback() {
+    this._isConnected = true;
+    this.loadExclusions();
+  }
+
+  /**
+   * Load the exclusions for the current object
+   */
+  loadExclusions() {
+    this.isLoading = true;
+    this.error = null;
+
+    getDuplicateExclusions({ objectApiName: this._objectApiName || null })
+      .then((result) => {
+        this.exclusions = result || [];
+        this.selectedIds = [];
+      })
+      .catch((error) => {
+        this.exclusions = [];
+        this.handleError("Error loading exclusions", error);
+        this.error =
+          (error.body && error.body.message) ||
+          error.message ||
+          "Error loading exclusions";
+      })
+      .finally(() => {
+        this.isLoading = false;
+      });
+  }
+
+  /**
+   * Track the rows selected for removal
+   * @param {Event} event - Row selection event from the datatable
+   */
+  handleRowSelection(event) {
+    this.selectedIds = event.detail.selectedRows.map((row) => row.id);
+  }
+
+  /**
+   * Remove the selected exclusions so future runs can group the records again
+   */
+  handleRemoveSelected() {
+    if (!this.hasSelection) {
+      return;
+    }
+
+    this.isRemoving = true;
+    removeDuplicateExclusions({ exclusionIds: this.selectedIds })
+      .then((removed) => {
+        this.showToast(
+          "Success",
+          `${removed} exclusion${removed === 1 ? "" : "s"} removed. Future runs can group these records again.`,
+          "success",
+        );
+        this.loadExclusions();
+      })
+      .catch((error) => {
+        this.handleError("Error removing exclusions", error);
+      })
+      .finally(() => {
+        this.isRemoving = false;
+      });
+  }
+
+  get hasExclusions() {
+    return this.exclusions.length > 0;
+  }
+
+  get hasSelection() {
+    return this.selectedIds.length > 0;
+  }
+
+  get isRemoveDisabled() {
+    return !this.hasSelection || this.isRemoving;
+  }
+
+  get showEmptyState() {
+    return !this.isLoading && !this.error && !this.hasExclusions;
+  }
+
+  get summaryText() {
+    const count = this.exclusions.length;
+    return `${count} record pair${count === 1 ? "" : "s"} marked as not duplicates`;
+  }
+
+  /**
+   * Show toast notification
+   * @param {String} title - Toast title
+   * @param {String} message - Toast message
+   * @param {String} variant - Toast variant (info, success, warning, error)
+   */
+  showToast(title, message, variant) {
+    this.dispatchEvent(
+      new ShowToastEvent({
+        title: title,
+        message: message,
+        variant: variant,
+      }),
+    );
+  }
+
+  /**
+   * Handle errors with proper messaging
+   * @param {String} baseMessage - Base error message
+   * @param {Error} error - Error object
+   */
+  handleError(baseMessage, error) {
+    let errorMessage = baseMessage;
+
+    if (error) {
+      if (error.body && error.body.message) {
+        errorMessage += ": " + error.body.message;
+      } else if (error.message) {
+        errorMessage += ": " + error.message;
+      }
+    }
+
+    console.error(errorMessage);
+    this.showToast("Error", errorMessage, "error");
+  }
+}
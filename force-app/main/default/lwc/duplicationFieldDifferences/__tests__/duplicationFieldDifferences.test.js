@@ -0,0 +1,182 @@
+import { createElement } from "lwc";
+import DuplicationFieldDifferences from "c/duplicationFieldDifferences";
+import getMatchFieldWeights from "@salesforce/apex/DRCMatchWeights.getMatchFieldWeights";
+import getMatchFieldMatchers from "@salesforce/apex/DRCMatchWeights.getMatchFieldMatchers";
+import getMatchFields from "@salesforce/apex/DRCMatchWeights.getMatchFields";
+import flushPromises from "../../../../../../jest-utils/flushPromises";
+
+jest.mock(
+  "@salesforce/apex/DRCMatchWeights.getMatchFieldWeights",
+  () => {
+    const { createApexTestWireAdapter } = require("@salesforce/sfdx-lwc-jest");
+    return { default: createApexTestWireAdapter(jest.fn()) };
+  },
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DRCMatchWeights.getMatchFieldMatchers",
+  () => {
+    const { createApexTestWireAdapter } = require("@salesforce/sfdx-lwc-jest");
+    return { default: createApexTestWireAdapter(jest.fn()) };
+  },
+  { virtual: true },
+);
+
+jest.mock(
+  "@salesforce/apex/DRCMatchWeights.getMatchFields",
+  () => {
+    const { createApexTestWireAdapter } = require("@salesforce/sfdx-lwc-jest");
+    return { default: createApexTestWireAdapter(jest.fn()) };
+  },
+  { virtual: true },
+);
+
+const MASTER_ID = "001000000000001AAA";
+const DUPLICATE_ID = "001000000000002AAA";
+
+const record = (id, name, email) => ({
+  id,
+  fields: {
+    Name: { value: name, displayValue: name },
+    Email__c: { value: email, displayValue: email },
+  },
+});
+
+// Same name (100%) and an email on another domain (0%)
+const RECORDS = [
+  record(MASTER_ID, "Acme", "sales@acme.com"),
+  record(DUPLICATE_ID, "Acme", "sales@acme.org"),
+];
+
+const FIELD_INFOS = [
+  { apiName: "Name", label: "Account Name" },
+  { apiName: "Email__c", label: "Email" },
+];
+
+const createDifferences = (configName) => {
+  const element = createElement("c-duplication-field-differences", {
+    is: DuplicationFieldDifferences,
+  });
+  element.records = RECORDS;
+  element.fieldInfos = FIELD_INFOS;
+  element.masterRecordId = MASTER_ID;
+  element.configName = configName;
+  document.body.appendChild(element);
+  return element;
+};
+
+const overallScore = (element) =>
+  element.shadowRoot.querySelector("lightning-badge").label;
+
+const breakdown = (element) => {
+  const tables = element.shadowRoot.querySelectorAll("table");
+  return Array.from(tables[tables.length - 1].querySelectorAll("tbody tr")).map(
+    (row) => {
+      const cell = (label) =>
+        row.querySelector(`[data-label="${label}"]`).textContent.trim();
+      return {
+        field: cell("Field"),
+        similarity: cell("Similarity"),
+        weight: cell("Weight"),
+        share: cell("Share of Score"),
+      };
+    },
+  );
+};
+
+describe("c-duplication-field-differences", () => {
+  afterEach(() => {
+    // The jsdom instance is shared across test cases in a single file so reset the DOM
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+  });
+
+  it("scores with the default weights without configured weights", async () => {
+    const element = createDifferences("Account_Default");
+    getMatchFieldWeights.emit({});
+    getMatchFieldMatchers.emit({});
+    await flushPromises();
+
+    // (100 * 2 + 0 * 1.8) / (100 * 3.8)
+    expect(overallScore(element)).toBe("53%");
+    expect(breakdown(element)).toEqual([
+      {
+        field: "Account Name",
+        similarity: "100%",
+        weight: "2 (default)",
+        share: "53%",
+      },
+      {
+        field: "Email",
+        similarity: "0%",
+        weight: "1.8 (default)",
+        share: "0%",
+      },
+    ]);
+  });
+
+  it("scores with the weights of the configuration", async () => {
+    const element = createDifferences("Account_Weighted");
+    getMatchFieldWeights.emit({ Name: 1, Email__c: 3 });
+    getMatchFieldMatchers.emit({});
+    await flushPromises();
+
+    // (100 * 1 + 0 * 3) / (100 * 4)
+    expect(overallScore(element)).toBe("25%");
+    expect(breakdown(element).map((row) => row.weight)).toEqual(["1", "3"]);
+    expect(breakdown(element).map((row) => row.share)).toEqual(["25%", "0%"]);
+  });
+
+  it("weights the unrounded field scores", async () => {
+    const element = createDifferences("Account_Weighted");
+    // "Acme Corp" / "Acme Corporation" scores 49.5 with the name matcher
+    element.records = [
+      record(MASTER_ID, "Acme Corp", "sales@acme.com"),
+      record(DUPLICATE_ID, "Acme Corporation", "sales@acme.com"),
+    ];
+    getMatchFieldWeights.emit({ Name: 2, Email__c: 1 });
+    getMatchFieldMatchers.emit({});
+    await flushPromises();
+
+    // (49.5 * 2 + 100 * 1) / (100 * 3), rather than 67% from the rounded 50%
+    expect(overallScore(element)).toBe("66%");
+    expect(breakdown(element).map((row) => row.similarity)).toEqual([
+      "50%",
+      "100%",
+    ]);
+    expect(breakdown(element).map((row) => row.share)).toEqual(["33%", "33%"]);
+  });
+
+  it("falls back to the default weights when the configuration is missing", async () => {
+    const element = createDifferences("Missing_Configuration");
+    getMatchFieldWeights.error({ body: { message: "Not found" } });
+    getMatchFieldMatchers.error({ body: { message: "Not found" } });
+    await flushPromises();
+
+    expect(overallScore(element)).toBe("53%");
+    expect(breakdown(element).map((row) => row.weight)).toEqual([
+      "2 (default)",
+      "1.8 (default)",
+    ]);
+    // Only the differing field is listed as a difference
+    const differences = element.shadowRoot
+      .querySelectorAll("table")[0]
+      .querySelectorAll("tbody tr");
+    expect(differences.length).toBe(1);
+    expect(differences[0].textContent).toContain("sales@acme.org");
+  });
+
+  it("scores only the match fields of the configuration", async () => {
+    const element = createDifferences("Account_Name_Only");
+    getMatchFieldWeights.emit({});
+    getMatchFieldMatchers.emit({});
+    getMatchFields.emit(["Name"]);
+    await flushPromises();
+
+    expect(overallScore(element)).toBe("100%");
+    expect(breakdown(element).map((row) => row.field)).toEqual([
+      "Account Name",
+    ]);
+  });
+});
@@ -1,7 +1,18 @@
-import { LightningElement, api, track } from "lwc";
+import { LightningElement, api, wire } from "lwc";
+import getMatchFieldWeights from "@salesforce/apex/DRCMatchWeights.getMatchFieldWeights";
+import getMatchFieldMatchers from "@salesforce/apex/DRCMatchWeights.getMatchFieldMatchers";
+import getMatchFields from "@salesforce/apex/DRCMatchWeights.getMatchFields";
+import {
+  calculateFieldMatchScore,
+  getDefaultFieldWeight,
+  getRecordMatcherName,
+} from "c/duplicationMatchingEngine";
 
 /**
- * Component to display field differences between duplicate records
+ * Component to display field differences between duplicate records,
+ * with the similarity score, matcher and weight behind each field.
+ * With a configuration, only its match fields are scored, as the batch
+ * scores them for the group's MatchScore__c.
  * @component
  */
 export default class DuplicationFieldDifferences extends LightningElement {
@@ -9,81 +20,222 @@ export default class DuplicationFieldDifferences extends LightningElement {
   @api fieldInfos = [];
   @api masterRecordId;
 
-  @track fieldDifferences = [];
+  /**
+   * Developer name of the DuplicationConfiguration__mdt whose weights apply
+   */
+  @api configName;
 
   /**
-   * Lifecycle hook - Called when properties change
+   * Optional weights by field API name, used instead of the configuration's
    */
-  renderedCallback() {
-    this.calculateFieldDifferences();
+  @api matchFieldWeights;
+
+  configWeights = {};
+  configMatchers = {};
+  configMatchFields = [];
+
+  /**
+   * Wire service to get the configured match field weights
+   */
+  @wire(getMatchFieldWeights, { configName: "$configName" })
+  wiredWeights({ data, error }) {
+    if (data) {
+      this.configWeights = data;
+    } else if (error) {
+      // Fall back to the default weights per field type
+      this.configWeights = {};
+    }
   }
 
   /**
-   * Calculate field differences between records
+   * Wire service to get the matchers configured per field
    */
-  calculateFieldDifferences() {
-    if (!this.records || !this.fieldInfos) return;
+  @wire(getMatchFieldMatchers, { configName: "$configName" })
+  wiredMatchers({ data, error }) {
+    if (data) {
+      this.configMatchers = data;
+    } else if (error) {
+      // Fall back to the matcher picked from the field name
+      this.configMatchers = {};
+    }
+  }
 
-    const differences = [];
+  /**
+   * Wire service to get the match fields of the configuration
+   */
+  @wire(getMatchFields, { configName: "$configName" })
+  wiredMatchFields({ data, error }) {
+    if (data) {
+      this.configMatchFields = data;
+    } else if (error) {
+      // Fall back to scoring every compared field
+      this.configMatchFields = [];
+    }
+  }
+
+  /**
+   * Fields that count towards the score: the configuration's match fields,
+   * or every compared field without a configuration
+   */
+  get scoredFieldInfos() {
+    if (!this.configMatchFields || this.configMatchFields.length === 0) {
+      return this.fieldInfos;
+    }
+    return this.fieldInfos.filter((field) =>
+      this.configMatchFields.includes(field.apiName),
+    );
+  }
+
+  /**
+   * Get the raw and display value of a field on a record
+   * @param {Object} record - Record in UI API shape
+   * @param {String} fieldName - API name of the field
+   * @returns {Object} { value, displayValue } or null
+   */
+  getFieldValue(record, fieldName) {
+    if (!record || !record.fields || !record.fields[fieldName]) {
+      return null;
+    }
+    const field = record.fields[fieldName];
+    return {
+      value: field.value,
+      displayValue: field.displayValue || field.value,
+    };
+  }
+
+  /**
+   * Get the weight of a field and where it came from
+   * @param {String} fieldName - API name of the field
+   * @returns {Object} { weight, isConfigured }
+   */
+  getFieldWeight(fieldName) {
+    const weights = this.matchFieldWeights || this.configWeights || {};
+    if (weights[fieldName] !== undefined && weights[fieldName] !== null) {
+      return { weight: Number(weights[fieldName]), isConfigured: true };
+    }
+    return { weight: getDefaultFieldWeight(fieldName), isConfigured: false };
+  }
+
+  /**
+   * Score every compared field of the master against the other records
+   */
+  get fieldScores() {
+    if (!this.records || !this.fieldInfos) return [];
 
-    // For each field, check if there are different values
-    this.fieldInfos.forEach((field) => {
+    const masterRecord = this.records.find((r) => r.id === this.masterRecordId);
+    const otherRecords = this.records.filter(
+      (r) => r.id !== this.masterRecordId,
+    );
+    if (!masterRecord || otherRecords.length === 0) return [];
+
+    const scores = [];
+    this.scoredFieldInfos.forEach((field) => {
       const fieldName = field.apiName;
-      const values = new Set();
+      const master = this.getFieldValue(masterRecord, fieldName);
+      const masterValue = master ? master.value : null;
+      const matcherName =
+        this.configMatchers[fieldName] || getRecordMatcherName(fieldName);
+
+      const recordScores = [];
+      otherRecords.forEach((record) => {
+        const other = this.getFieldValue(record, fieldName);
+        const otherValue = other ? other.value : null;
+        const masterEmpty = masterValue === null || masterValue === undefined;
+        const otherEmpty = otherValue === null || otherValue === undefined;
+
+        // Fields empty on both records don't count towards the score
+        if (masterEmpty && otherEmpty) return;
+
+        const rawScore =
+          masterEmpty || otherEmpty
+            ? 0
+            : calculateFieldMatchScore(
+                masterValue,
+                otherValue,
+                fieldName,
+                matcherName,
+              );
+        recordScores.push({
+          recordId: record.id,
+          displayValue: other ? other.displayValue : "",
+          rawScore,
+          score: Math.round(rawScore),
+        });
+      });
 
-      // Collect all unique values for this field
-      this.records.forEach((record) => {
-        if (record.fields && record.fields[fieldName]) {
-          values.add(record.fields[fieldName].value);
-        }
+      if (recordScores.length === 0) return;
+
+      const { weight, isConfigured } = this.getFieldWeight(fieldName);
+      // Weights apply to the unrounded scores; scores are rounded for display only
+      const averageScore =
+        recordScores.reduce((total, rs) => total + rs.rawScore, 0) /
+        recordScores.length;
+
+      scores.push({
+        field: fieldName,
+        fieldLabel: field.label,
+        masterDisplayValue: master ? master.displayValue : "",
+        recordScores,
+        rawScore: averageScore,
+        score: Math.round(averageScore),
+        matcher: matcherName,
+        weight,
+        weightLabel: isConfigured ? `${weight}` : `${weight} (default)`,
       });
+    });
+
+    // Share of the overall score each field accounts for
+    const maxPossible = scores.reduce((total, s) => total + 100 * s.weight, 0);
+    scores.forEach((s) => {
+      s.contribution =
+        maxPossible > 0
+          ? Math.round((s.rawScore * s.weight * 100) / maxPossible)
+          : 0;
+    });
+
+    return scores;
+  }
 
-      // If there's more than one unique value, we have differences
-      if (values.size > 1) {
-        // Get the master record value
-        let masterValue = "";
-        const masterRecord = this.records.find(
-          (r) => r.id === this.masterRecordId,
-        );
-        if (
-          masterRecord &&
-          masterRecord.fields &&
-          masterRecord.fields[fieldName]
-        ) {
-          masterValue =
-            masterRecord.fields[fieldName].displayValue ||
-            masterRecord.fields[fieldName].value;
-        }
-
-        // Get other values (different from master)
-        const otherValues = [];
+  /**
+   * Fields whose values differ between the records
+   */
+  get fieldDifferences() {
+    return this.fieldScores
+      .filter((s) => {
+        const values = new Set();
         this.records.forEach((record) => {
-          if (
-            record.id !== this.masterRecordId &&
-            record.fields &&
-            record.fields[fieldName]
-          ) {
-            const value =
-              record.fields[fieldName].displayValue ||
-              record.fields[fieldName].value;
-            if (value !== masterValue && value) {
-              otherValues.push(value);
-            }
+          const fieldValue = this.getFieldValue(record, s.field);
+          if (fieldValue) {
+            values.add(fieldValue.value);
           }
         });
+        return values.size > 1;
+      })
+      .map((s) => ({
+        ...s,
+        masterValue: s.masterDisplayValue,
+        otherValues: s.recordScores
+          .filter(
+            (rs) => rs.displayValue && rs.displayValue !== s.masterDisplayValue,
+          )
+          .map((rs) => ({
+            key: rs.recordId,
+            value: rs.displayValue,
+            scoreLabel: `${rs.score}%`,
+          })),
+      }));
+  }
 
-        // Add to differences
-        differences.push({
-          field: fieldName,
-          fieldLabel: field.label,
-          masterValue: masterValue,
-          otherValues: otherValues,
-          valueCount: values.size,
-        });
-      }
-    });
+  /**
+   * Overall weighted score across the compared fields
+   */
+  get overallScore() {
+    const scores = this.fieldScores;
+    const maxPossible = scores.reduce((total, s) => total + 100 * s.weight, 0);
+    if (maxPossible === 0) return null;
 
-    this.fieldDifferences = differences;
+    const total = scores.reduce((sum, s) => sum + s.rawScore * s.weight, 0);
+    return `${Math.round((total / maxPossible) * 100)}%`;
   }
 
   /**
@@ -92,4 +244,11 @@ export default class DuplicationFieldDifferences extends LightningElement {
   get hasDifferences() {
     return this.fieldDifferences.length > 0;
   }
+
+  /**
+   * Check if there are field scores to break down
+   */
+  get hasFieldScores() {
+    return this.fieldScores.length > 0;
+  }
 }
@@ -0,0 +1,197 @@
+import {
+  buildGroupExport,
+  readReviewedDecisions,
+  toGroupRows,
+  FORMAT_CSV,
+  FORMAT_JSON,
+  FORMAT_XLSX,
+} from "c/duplicationGroupExport";
+import { toXlsx } from "c/duplicationXlsx";
+
+const EXPORT_DATA = {
+  batchJobId: "707000000000001AAA",
+  configName: "Account_Default",
+  objectApiName: "Account",
+  groups: [
+    {
+      id: "a01000000000001AAA",
+      groupKey: "acme",
+      masterRecordId: "001000000000001AAA",
+      duplicateRecordIds: ["001000000000002AAA", "001000000000003AAA"],
+      matchScore: 92.5,
+      recordCount: 3,
+      fieldValues: { Name: "Acme, Inc.", Phone: "555-1234" },
+    },
+    {
+      id: "a01000000000002AAA",
+      groupKey: "globex",
+      masterRecordId: "001000000000004AAA",
+      duplicateRecordIds: ["001000000000005AAA"],
+      matchScore: 80,
+      recordCount: 2,
+      fieldValues: { Name: "Globex", BillingCity: "Springfield" },
+    },
+  ],
+};
+
+describe("c-duplication-group-export", () => {
+  it("writes one row per group with a column per key field", () => {
+    expect(toGroupRows(EXPORT_DATA.groups)).toEqual([
+      [
+        "Group Id",
+        "Group Key",
+        "Master Record Id",
+        "Duplicate Record Ids",
+        "Match Score",
+        "Record Count",
+        "Name",
+        "Phone",
+        "BillingCity",
+        "Decision",
+        "Comment",
+      ],
+      [
+        "a01000000000001AAA",
+        "acme",
+        "001000000000001AAA",
+        "001000000000002AAA;001000000000003AAA",
+        92.5,
+        3,
+        "Acme, Inc.",
+        "555-1234",
+        undefined,
+        "",
+        "",
+      ],
+      [
+        "a01000000000002AAA",
+        "globex",
+        "001000000000004AAA",
+        "001000000000005AAA",
+        80,
+        2,
+        "Globex",
+        undefined,
+        "Springfield",
+        "",
+        "",
+      ],
+    ]);
+  });
+
+  it("builds CSV, Excel and JSON files", () => {
+    const csv = buildGroupExport(FORMAT_CSV, EXPORT_DATA);
+    expect(csv.fileName).toBe("duplicate-groups-707000000000001AAA.csv");
+    expect(csv.mimeType).toBe("text/csv");
+    expect(csv.content.split("\r\n")[1]).toBe(
+      'a01000000000001AAA,acme,001000000000001AAA,001000000000002AAA;001000000000003AAA,92.5,3,"Acme, Inc.",555-1234,,,',
+    );
+
+    const xlsx = buildGroupExport(FORMAT_XLSX, EXPORT_DATA);
+    expect(xlsx.fileName).toBe("duplicate-groups-707000000000001AAA.xlsx");
+    expect(xlsx.content).toBeInstanceOf(Uint8Array);
+
+    const json = buildGroupExport(FORMAT_JSON, EXPORT_DATA);
+    expect(json.fileName).toBe("duplicate-groups-707000000000001AAA.json");
+    const parsed = JSON.parse(json.content);
+    expect(parsed.objectApiName).toBe("Account");
+    expect(parsed.groups[0]).toEqual({
+      groupId: "a01000000000001AAA",
+      groupKey: "acme",
+      masterRecordId: "001000000000001AAA",
+      duplicateRecordIds: ["001000000000002AAA", "001000000000003AAA"],
+      matchScore: 92.5,
+      recordCount: 3,
+      fieldValues: { Name: "Acme, Inc.", Phone: "555-1234" },
+      decision: "",
+      comment: "",
+    });
+  });
+
+  it("rejects unknown formats", () => {
+    expect(() => buildGroupExport("pdf", EXPORT_DATA)).toThrow(
+      "Unsupported export format: pdf",
+    );
+  });
+
+  it("reads the decisions filled in on an exported CSV file", () => {
+    const exported = buildGroupExport(FORMAT_CSV, EXPORT_DATA).content;
+    const [header, acme, globex] = exported.split("\r\n");
+    const reviewed = [
+      header,
+      acme.replace(/,,$/, ",Merge,"),
+      globex
+        .replace("001000000000004AAA", " 001000000000005AAA ")
+        .replace(/,,$/, ',Ignore,"Different companies, same city"'),
+    ].join("\r\n");
+
+    expect(readReviewedDecisions("reviewed.csv", reviewed)).toEqual([
+      {
+        rowNumber: 1,
+        groupId: "a01000000000001AAA",
+        masterRecordId: "001000000000001AAA",
+        decision: "Merge",
+        comment: "",
+      },
+      {
+        rowNumber: 2,
+        groupId: "a01000000000002AAA",
+        masterRecordId: "001000000000005AAA",
+        decision: "Ignore",
+        comment: "Different companies, same city",
+      },
+    ]);
+  });
+
+  it("reads the decisions filled in on an exported Excel file", () => {
+    const rows = toGroupRows(EXPORT_DATA.groups);
+    rows[1][rows[0].indexOf("Decision")] = "Merge";
+    rows[2][rows[0].indexOf("Comment")] = "Check with sales";
+
+    expect(readReviewedDecisions("reviewed.xlsx", toXlsx(rows))).toEqual([
+      {
+        rowNumber: 1,
+        groupId: "a01000000000001AAA",
+        masterRecordId: "001000000000001AAA",
+        decision: "Merge",
+        comment: "",
+      },
+      {
+        rowNumber: 2,
+        groupId: "a01000000000002AAA",
+        masterRecordId: "001000000000004AAA",
+        decision: "",
+        comment: "Check with sales",
+      },
+    ]);
+  });
+
+  it("reads the decisions filled in on an exported JSON file", () => {
+    const exported = JSON.parse(
+      buildGroupExport(FORMAT_JSON, EXPORT_DATA).content,
+    );
+    exported.groups[1].decision = "Reject";
+
+    const decisions = readReviewedDecisions(
+      "REVIEWED.JSON",
+      JSON.stringify(exported),
+    );
+    expect(decisions.map((decision) => decision.decision)).toEqual([
+      "",
+      "Reject",
+    ]);
+    expect(decisions[1].groupId).toBe("a01000000000002AAA");
+  });
+
+  it("explains files it cannot read", () => {
+    expect(() => readReviewedDecisions("groups.csv", "Name\r\nAcme")).toThrow(
+      "The file needs a Group Id column",
+    );
+    expect(() => readReviewedDecisions("groups.json", "{")).toThrow(
+      "not valid JSON",
+    );
+    expect(() => readReviewedDecisions("groups.xls", "")).toThrow(
+      "Save the workbook as Excel Workbook (.xlsx) or CSV",
+    );
+  });
+});
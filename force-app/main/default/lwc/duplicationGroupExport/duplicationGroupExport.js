@@ -0,0 +1,224 @@
+/**
+ * Duplicate group exports for offline review.
+ * Builds CSV, Excel and JSON files of the duplicate groups found by a run,
+ * one row per group with its key field values, so data stewards can review
+ * the groups outside Salesforce and share them with business owners.
+ * Reviewers fill in the Decision and Comment columns and may change the
+ * master, then the file is read back to apply their decisions.
+ *
+ * @author Richard Hudson
+ * @since May 2025
+ */
+import { CSV_MIME_TYPE, parseCsv, toCsv } from "c/duplicationCsv";
+import { XLSX_MIME_TYPE, fromXlsx, toXlsx } from "c/duplicationXlsx";
+
+export const FORMAT_CSV = "csv";
+export const FORMAT_XLSX = "xlsx";
+export const FORMAT_JSON = "json";
+
+export const EXPORT_FORMATS = [
+  { label: "CSV", value: FORMAT_CSV },
+  { label: "Excel (XLSX)", value: FORMAT_XLSX },
+  { label: "JSON", value: FORMAT_JSON },
+];
+
+export const JSON_MIME_TYPE = "application/json";
+
+// Column headers of the group columns, before the key field columns
+export const GROUP_COLUMNS = {
+  GROUP_ID: "Group Id",
+  GROUP_KEY: "Group Key",
+  MASTER_RECORD_ID: "Master Record Id",
+  DUPLICATE_RECORD_IDS: "Duplicate Record Ids",
+  MATCH_SCORE: "Match Score",
+  RECORD_COUNT: "Record Count",
+};
+
+// Column headers filled in by reviewers, after the key field columns
+export const REVIEW_COLUMNS = {
+  DECISION: "Decision",
+  COMMENT: "Comment",
+};
+
+// Duplicate record IDs share one cell, separated by semicolons
+export const RECORD_ID_SEPARATOR = ";";
+
+const SHEET_NAME = "Duplicate Groups";
+
+/**
+ * Key field names of the groups in the order they first appear
+ * @param {Array<Object>} groups - Exported groups
+ * @returns {Array<String>} Field names
+ */
+const getFieldNames = (groups) => {
+  const fieldNames = [];
+  groups.forEach((group) => {
+    Object.keys(group.fieldValues || {}).forEach((fieldName) => {
+      if (!fieldNames.includes(fieldName)) {
+        fieldNames.push(fieldName);
+      }
+    });
+  });
+  return fieldNames;
+};
+
+/**
+ * Rows of a spreadsheet export: a header row, then one row per group with
+ * a column per key field and empty review columns
+ * @param {Array<Object>} groups - Groups returned by getDuplicateGroupExportPage
+ * @returns {Array<Array<*>>} Rows of values
+ */
+export const toGroupRows = (groups) => {
+  const fieldNames = getFieldNames(groups || []);
+  const header = [
+    ...Object.values(GROUP_COLUMNS),
+    ...fieldNames,
+    ...Object.values(REVIEW_COLUMNS),
+  ];
+
+  const rows = (groups || []).map((group) => {
+    const fieldValues = group.fieldValues || {};
+    return [
+      group.id,
+      group.groupKey,
+      group.masterRecordId,
+      (group.duplicateRecordIds || []).join(RECORD_ID_SEPARATOR),
+      group.matchScore,
+      group.recordCount,
+      ...fieldNames.map((fieldName) => fieldValues[fieldName]),
+      "",
+      "",
+    ];
+  });
+
+  return [header, ...rows];
+};
+
+/**
+ * JSON export of a run and its groups
+ * @param {Object} exportData - Run summary and every group
+ * @returns {String} JSON text
+ */
+export const toGroupJson = (exportData) =>
+  JSON.stringify(
+    {
+      batchJobId: exportData.batchJobId,
+      configName: exportData.configName,
+      objectApiName: exportData.objectApiName,
+      groups: (exportData.groups || []).map((group) => ({
+        groupId: group.id,
+        groupKey: group.groupKey,
+        masterRecordId: group.masterRecordId,
+        duplicateRecordIds: group.duplicateRecordIds || [],
+        matchScore: group.matchScore,
+        recordCount: group.recordCount,
+        fieldValues: group.fieldValues || {},
+        decision: "",
+        comment: "",
+      })),
+    },
+    null,
+    2,
+  );
+
+/**
+ * Build the export file of a run's groups
+ * @param {String} format - csv, xlsx or json
+ * @param {Object} exportData - Run summary (batchJobId, configName,
+ *   objectApiName) and every group
+ * @returns {Object} File with fileName, content and mimeType
+ */
+export const buildGroupExport = (format, exportData) => {
+  const baseName = `duplicate-groups-${exportData.batchJobId}`;
+
+  if (format === FORMAT_JSON) {
+    return {
+      fileName: `${baseName}.json`,
+      content: toGroupJson(exportData),
+      mimeType: JSON_MIME_TYPE,
+    };
+  }
+  if (format === FORMAT_XLSX) {
+    return {
+      fileName: `${baseName}.xlsx`,
+      content: toXlsx(toGroupRows(exportData.groups), SHEET_NAME),
+      mimeType: XLSX_MIME_TYPE,
+    };
+  }
+  if (format === FORMAT_CSV) {
+    return {
+      fileName: `${baseName}.csv`,
+      content: toCsv(toGroupRows(exportData.groups)),
+      mimeType: CSV_MIME_TYPE,
+    };
+  }
+  throw new Error(`Unsupported export format: ${format}`);
+};
+
+// Compare headers ignoring case, spaces and punctuation
+const normalizeHeader = (value) =>
+  (value || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const trimValue = (value) => {
+  return value === null || value === undefined ? "" : String(value).trim();
+};
+
+/**
+ * Read the reviewed decisions of an exported file filled in offline
+ * @param {String} fileName - Name of the file, .csv, .xlsx or .json
+ * @param {String|ArrayBuffer} content - File content, bytes for .xlsx files
+ * @returns {Array<Object>} One decision per group row with rowNumber,
+ *   groupId, masterRecordId, decision and comment
+ */
+export const readReviewedDecisions = (fileName, content) => {
+  const name = (fileName || "").toLowerCase();
+
+  if (name.endsWith(".json")) {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new Error("The file is not valid JSON");
+    }
+    const groups = Array.isArray(parsed) ? parsed : parsed && parsed.groups;
+    if (!Array.isArray(groups)) {
+      throw new Error("The JSON file needs a list of groups");
+    }
+    return groups.map((group, index) => ({
+      rowNumber: index + 1,
+      groupId: trimValue(group && (group.groupId || group.id)),
+      masterRecordId: trimValue(group && group.masterRecordId),
+      decision: trimValue(group && group.decision),
+      comment: trimValue(group && group.comment),
+    }));
+  }
+
+  if (name.endsWith(".xls")) {
+    throw new Error(
+      "Save the workbook as Excel Workbook (.xlsx) or CSV and import that file",
+    );
+  }
+
+  const rows = name.endsWith(".xlsx") ? fromXlsx(content) : parseCsv(content);
+  const headers = (rows[0] || []).map(normalizeHeader);
+  const columnOf = (header) => headers.indexOf(normalizeHeader(header));
+
+  const groupIdColumn = columnOf(GROUP_COLUMNS.GROUP_ID);
+  if (groupIdColumn < 0) {
+    throw new Error(`The file needs a ${GROUP_COLUMNS.GROUP_ID} column`);
+  }
+  const masterColumn = columnOf(GROUP_COLUMNS.MASTER_RECORD_ID);
+  const decisionColumn = columnOf(REVIEW_COLUMNS.DECISION);
+  const commentColumn = columnOf(REVIEW_COLUMNS.COMMENT);
+  const valueAt = (row, column) => {
+    return column < 0 ? "" : trimValue(row[column]);
+  };
+
+  return rows.slice(1).map((row, index) => ({
+    rowNumber: index + 1,
+    groupId: valueAt(row, groupIdColumn),
+    masterRecordId: valueAt(row, masterColumn),
+    decision: valueAt(row, decisionColumn),
+    comment: valueAt(row, commentColumn),
+  }));
+};
@@ -0,0 +1,276 @@
+import { createElement } from "lwc";
+import DuplicationImportPrecheck from "c/duplicationImportPrecheck";
+import getConfigurations from "@salesforce/apex/DuplicationConfigController.getConfigurations";
+import getFieldsForObject from "@salesforce/apex/DuplicateRecordController.getFieldsForObject";
+import checkImportRows from "@salesforce/apex/DuplicateRecordController.checkImportRows";
+import { downloadFile } from "c/duplicationCsv";
+import flushPromises from "../../../../../../jest-utils/flushPromises";
+
+jest.mock(
+  "@salesforce/apex/DuplicationConfigController.getConfigurations",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateRecordController.getFieldsForObject",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateRecordController.checkImportRows",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock("c/duplicationCsv", () => {
+  const actual = jest.requireActual("c/duplicationCsv");
+  return { ...actual, downloadFile: jest.fn() };
+});
+
+const CONFIGURATIONS = [
+  {
+    developerName: "Contact_Default",
+    label: "Contact Default",
+    objectApiName: "Contact",
+    isActive: true,
+    matchThreshold: 75,
+    fields: [
+      { apiName: "LastName" },
+      { apiName: "Email" },
+      { apiName: "Phone" },
+    ],
+  },
+  {
+    developerName: "Lead_Old",
+    label: "Lead Old",
+    objectApiName: "Lead",
+    isActive: false,
+    fields: [{ apiName: "Email" }],
+  },
+];
+
+const FIELDS = {
+  objectApiName: "Contact",
+  fieldGroups: [
+    {
+      label: "Standard Fields",
+      fields: [
+        { apiName: "lastname", label: "Last Name" },
+        { apiName: "email", label: "Email" },
+        { apiName: "phone", label: "Business Phone" },
+      ],
+    },
+  ],
+};
+
+const CSV =
+  "First Name,Last Name,E-mail,Notes\r\n" +
+  "Jane,Smith,jane.smith@example.com,Met at expo\r\n" +
+  'Janet,Smith,jane.smith@example.com,"Call back, Monday"\r\n' +
+  "Alice,Walker,alice@new.example.org,\r\n";
+
+const RESULTS = [
+  {
+    rowIndex: 0,
+    status: "Exact Duplicate",
+    matchId: "003000000000001AAA",
+    matchName: "Jane Smith",
+    matchScore: 100,
+  },
+  {
+    rowIndex: 1,
+    status: "Likely Duplicate",
+    matchId: "003000000000001AAA",
+    matchName: "Jane Smith",
+    matchScore: 77.3,
+  },
+  {
+    rowIndex: 2,
+    status: "New",
+    matchId: null,
+    matchName: null,
+    matchScore: null,
+  },
+];
+
+const createPrecheck = async () => {
+  const element = createElement("c-duplication-import-precheck", {
+    is: DuplicationImportPrecheck,
+  });
+  document.body.appendChild(element);
+  await flushPromises();
+  return element;
+};
+
+const selectConfiguration = async (element) => {
+  const combobox = element.shadowRoot.querySelector(
+    '[data-id="configuration"]',
+  );
+  combobox.dispatchEvent(
+    new CustomEvent("change", { detail: { value: "Contact_Default" } }),
+  );
+  await flushPromises();
+};
+
+const chooseFile = async (element, content, name = "contacts.csv") => {
+  const input = element.shadowRoot.querySelector('[data-id="file"]');
+  const file = new File([content], name, { type: "text/csv" });
+  input.dispatchEvent(new CustomEvent("change", { detail: { files: [file] } }));
+  // Give the file reader time to finish
+  await flushPromises();
+  await flushPromises();
+};
+
+describe("c-duplication-import-precheck", () => {
+  beforeEach(() => {
+    getConfigurations.mockResolvedValue(CONFIGURATIONS);
+    getFieldsForObject.mockResolvedValue(FIELDS);
+    checkImportRows.mockResolvedValue(RESULTS);
+  });
+
+  afterEach(() => {
+    // The jsdom instance is shared across test cases in a single file so reset the DOM
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+  });
+
+  it("offers active configurations and maps columns by field name or label", async () => {
+    const element = await createPrecheck();
+
+    const combobox = element.shadowRoot.querySelector(
+      '[data-id="configuration"]',
+    );
+    expect(combobox.options).toEqual([
+      { label: "Contact Default (Contact)", value: "Contact_Default" },
+    ]);
+
+    await selectConfiguration(element);
+    await chooseFile(element, CSV);
+
+    expect(getFieldsForObject).toHaveBeenCalledWith({
+      objectApiName: "Contact",
+    });
+    expect(
+      element.shadowRoot.querySelector('[data-id="file-summary"]').textContent,
+    ).toContain("contacts.csv: 3 rows, 4 columns");
+
+    const mappings = Array.from(
+      element.shadowRoot.querySelectorAll('[data-id="column-mapping"]'),
+    );
+    expect(mappings.map((mapping) => mapping.label)).toEqual([
+      "Last Name",
+      "Email",
+      "Business Phone",
+    ]);
+    // Last Name by label, Email by API name, Phone not in the file
+    expect(mappings.map((mapping) => mapping.value)).toEqual(["1", "2", ""]);
+  });
+
+  it("checks the rows and downloads them annotated", async () => {
+    const element = await createPrecheck();
+    await selectConfiguration(element);
+    await chooseFile(element, CSV);
+
+    element.shadowRoot.querySelector('[data-id="check-rows"]').click();
+    await flushPromises();
+
+    expect(checkImportRows).toHaveBeenCalledWith({
+      configName: "Contact_Default",
+      rows: [
+        { LastName: "Smith", Email: "jane.smith@example.com" },
+        { LastName: "Smith", Email: "jane.smith@example.com" },
+        { LastName: "Walker", Email: "alice@new.example.org" },
+      ],
+    });
+    expect(
+      element.shadowRoot.querySelector('[data-id="exact-count"]').textContent,
+    ).toContain("1 Exact Duplicate");
+    expect(
+      element.shadowRoot.querySelector('[data-id="likely-count"]').textContent,
+    ).toContain("1 Likely Duplicate");
+    expect(
+      element.shadowRoot.querySelector('[data-id="new-count"]').textContent,
+    ).toContain("1 New");
+    expect(
+      element.shadowRoot.querySelector('[data-id="unchecked-count"]'),
+    ).toBeNull();
+
+    const table = element.shadowRoot.querySelector('[data-id="results"]');
+    expect(table.data.map((row) => row.rowNumber)).toEqual([1, 2, 3]);
+    expect(table.data[0].summary).toBe("Smith, jane.smith@example.com");
+
+    element.shadowRoot.querySelector('[data-id="download"]').click();
+
+    expect(downloadFile).toHaveBeenCalledTimes(1);
+    const [fileName, content] = downloadFile.mock.calls[0];
+    expect(fileName).toBe("contacts-checked.csv");
+    expect(content.split("\r\n")).toEqual([
+      "First Name,Last Name,E-mail,Notes,Match Status,Match Record Id,Match Record Name,Match Score",
+      "Jane,Smith,jane.smith@example.com,Met at expo,Exact Duplicate,003000000000001AAA,Jane Smith,100",
+      'Janet,Smith,jane.smith@example.com,"Call back, Monday",Likely Duplicate,003000000000001AAA,Jane Smith,77.3',
+      "Alice,Walker,alice@new.example.org,,New,,,",
+    ]);
+  });
+
+  it("checks large files a batch of rows at a time", async () => {
+    const lines = ["Last Name"];
+    for (let i = 0; i < 150; i++) {
+      lines.push(`Person ${i}`);
+    }
+    checkImportRows.mockImplementation(({ rows }) =>
+      Promise.resolve(
+        rows.map((row, rowIndex) => ({ rowIndex, status: "New" })),
+      ),
+    );
+
+    const element = await createPrecheck();
+    await selectConfiguration(element);
+    await chooseFile(element, lines.join("\n"));
+
+    element.shadowRoot.querySelector('[data-id="check-rows"]').click();
+    await flushPromises();
+
+    expect(checkImportRows).toHaveBeenCalledTimes(2);
+    expect(checkImportRows.mock.calls[0][0].rows.length).toBe(100);
+    expect(checkImportRows.mock.calls[1][0].rows.length).toBe(50);
+    const table = element.shadowRoot.querySelector('[data-id="results"]');
+    expect(table.data[149].rowNumber).toBe(150);
+  });
+
+  it("counts the rows that could not be fully checked", async () => {
+    checkImportRows.mockResolvedValue([
+      RESULTS[0],
+      RESULTS[1],
+      { ...RESULTS[2], status: "Not Fully Checked" },
+    ]);
+
+    const element = await createPrecheck();
+    await selectConfiguration(element);
+    await chooseFile(element, CSV);
+
+    element.shadowRoot.querySelector('[data-id="check-rows"]').click();
+    await flushPromises();
+
+    expect(
+      element.shadowRoot.querySelector('[data-id="unchecked-count"]')
+        .textContent,
+    ).toContain("1 Not Fully Checked");
+    expect(
+      element.shadowRoot.querySelector('[data-id="new-count"]').textContent,
+    ).toContain("0 New");
+  });
+
+  it("rejects a file without rows", async () => {
+    const element = await createPrecheck();
+    await selectConfiguration(element);
+    await chooseFile(element, "Last Name,Email\r\n");
+
+    expect(
+      element.shadowRoot.querySelector('[data-id="error"]').textContent,
+    ).toContain("at least one row");
+    expect(
+      element.shadowRoot.querySelector('[data-id="check-rows"]'),
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,478 @@
+import { LightningElement } from "lwc";
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import getConfigurations from "@salesforce/apex/DuplicationConfigController.getConfigurations";
+import getFieldsForObject from "@salesforce/apex/DuplicateRecordController.getFieldsForObject";
+import checkImportRows from "@salesforce/apex/DuplicateRecordController.checkImportRows";
+import { parseCsv, readFileText, toCsv, downloadFile } from "c/duplicationCsv";
+
+// Rows sent per call, as many as DuplicateEntryCheckService checks at a time
+const ROWS_PER_CHECK = 100;
+const MAX_FILE_ROWS = 10000;
+const PREVIEW_ROWS = 200;
+
+const STATUS_NEW = "New";
+const STATUS_LIKELY_DUPLICATE = "Likely Duplicate";
+const STATUS_EXACT_DUPLICATE = "Exact Duplicate";
+const STATUS_NOT_FULLY_CHECKED = "Not Fully Checked";
+
+// Columns added to the downloaded file
+const RESULT_HEADERS = [
+  "Match Status",
+  "Match Record Id",
+  "Match Record Name",
+  "Match Score",
+];
+
+const COLUMNS = [
+  { label: "Row", fieldName: "rowNumber", type: "number", initialWidth: 80 },
+  { label: "Values", fieldName: "summary", type: "text", wrapText: true },
+  { label: "Status", fieldName: "status", type: "text" },
+  { label: "Match", fieldName: "matchName", type: "text" },
+  { label: "Match Record Id", fieldName: "matchId", type: "text" },
+  { label: "Score", fieldName: "matchScore", type: "number" },
+];
+
+const NOT_IN_FILE = "";
+
+/**
+ * Compare headers and field names ignoring case, spaces and punctuation
+ * @param {String} value - Header, field API name or label
+ * @returns {String} Comparable form
+ */
+const normalizeHeader = (value) =>
+  (value || "")
+    .replace(/__c$/i, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Checks a CSV file of records to be imported against existing records
+ * before it is loaded. The file is parsed in the browser, its columns are
+ * mapped to the match fields of a configuration and every row is scored with
+ * the configured matchers and threshold. The file can then be downloaded with
+ * each row's best match, score and status added.
+ * @component
+ */
+export default class DuplicationImportPrecheck extends LightningElement {
+  columns = COLUMNS;
+
+  configurations = [];
+  configName = null;
+  fieldLabels = {};
+
+  fileName = null;
+  headers = [];
+  dataRows = [];
+  // Match field API name => index of the column holding it, as a string
+  columnMapping = {};
+
+  results = [];
+  checkedRows = 0;
+  isLoading = false;
+  isChecking = false;
+  error = null;
+
+  /**
+   * Lifecycle hook - Called when component is inserted into the DOM
+   */
+  connectedCallback() {
+    this.loadConfigurations();
+  }
+
+  /**
+   * Load the active configurations to check against
+   */
+  loadConfigurations() {
+    this.isLoading = true;
+    getConfigurations()
+      .then((configurations) => {
+        this.configurations = (configurations || []).filter(
+          (config) => config.isActive,
+        );
+      })
+      .catch((error) => {
+        this.handleError("Error loading configurations", error);
+      })
+      .finally(() => {
+        this.isLoading = false;
+      });
+  }
+
+  get configurationOptions() {
+    return this.configurations.map((config) => ({
+      label: `${config.label || config.developerName} (${config.objectApiName})`,
+      value: config.developerName,
+    }));
+  }
+
+  get selectedConfiguration() {
+    return (
+      this.configurations.find(
+        (config) => config.developerName === this.configName,
+      ) || null
+    );
+  }
+
+  get matchFields() {
+    const config = this.selectedConfiguration;
+    return config ? (config.fields || []).map((field) => field.apiName) : [];
+  }
+
+  handleConfigurationChange(event) {
+    this.configName = event.detail.value;
+    this.results = [];
+    this.fieldLabels = {};
+
+    const config = this.selectedConfiguration;
+    if (!config) {
+      return;
+    }
+    getFieldsForObject({ objectApiName: config.objectApiName })
+      .then((result) => {
+        const labels = {};
+        ((result && result.fieldGroups) || []).forEach((group) => {
+          (group.fields || []).forEach((field) => {
+            labels[field.apiName.toLowerCase()] = field.label;
+          });
+        });
+        this.fieldLabels = labels;
+      })
+      .catch((error) => {
+        // Field API names are shown instead of labels
+        console.error("Error loading field labels", error);
+      })
+      .finally(() => {
+        // Mapped again once headers can also be matched to field labels
+        this.autoMapColumns();
+      });
+    this.autoMapColumns();
+  }
+
+  /**
+   * Read and parse the chosen CSV file
+   * @param {Event} event - Change event of the file input
+   */
+  handleFileChange(event) {
+    const files = (event.detail && event.detail.files) || event.target.files;
+    const file = files && files[0];
+    if (!file) {
+      return;
+    }
+
+    this.error = null;
+    this.results = [];
+    readFileText(file)
+      .then((text) => {
+        const rows = parseCsv(text);
+        if (rows.length < 2) {
+          throw new Error("The file needs a header row and at least one row");
+        }
+        if (rows.length - 1 > MAX_FILE_ROWS) {
+          throw new Error(
+            `The file has ${rows.length - 1} rows. Check at most ${MAX_FILE_ROWS} rows at a time`,
+          );
+        }
+        this.fileName = file.name;
+        this.headers = rows[0].map((header) => header.trim());
+        this.dataRows = rows.slice(1);
+        this.autoMapColumns();
+      })
+      .catch((error) => {
+        this.fileName = null;
+        this.headers = [];
+        this.dataRows = [];
+        this.error = error.message;
+      });
+  }
+
+  /**
+   * Map each match field to the column whose header is its API name or label
+   */
+  autoMapColumns() {
+    const mapping = {};
+    this.matchFields.forEach((field) => {
+      const names = [
+        normalizeHeader(field),
+        normalizeHeader(this.fieldLabels[field.toLowerCase()]),
+      ].filter((name) => name);
+      const index = this.headers.findIndex((header) =>
+        names.includes(normalizeHeader(header)),
+      );
+      mapping[field] = index >= 0 ? String(index) : NOT_IN_FILE;
+    });
+    this.columnMapping = mapping;
+  }
+
+  get hasFile() {
+    return this.headers.length > 0;
+  }
+
+  get fileSummary() {
+    return `${this.fileName}: ${this.dataRows.length} rows, ${this.headers.length} columns`;
+  }
+
+  get showMapping() {
+    return this.hasFile && this.matchFields.length > 0;
+  }
+
+  get mappingRows() {
+    const options = [
+      { label: "Not in file", value: NOT_IN_FILE },
+      ...this.headers.map((header, index) => ({
+        label: header || `Column ${index + 1}`,
+        value: String(index),
+      })),
+    ];
+    return this.matchFields.map((field) => ({
+      field,
+      label: this.fieldLabels[field.toLowerCase()] || field,
+      column: this.columnMapping[field] || NOT_IN_FILE,
+      options,
+    }));
+  }
+
+  handleMappingChange(event) {
+    const field = event.target.dataset.field;
+    this.columnMapping = {
+      ...this.columnMapping,
+      [field]: event.detail.value,
+    };
+    this.results = [];
+  }
+
+  get mappedFields() {
+    return this.matchFields.filter(
+      (field) =>
+        this.columnMapping[field] !== undefined &&
+        this.columnMapping[field] !== NOT_IN_FILE,
+    );
+  }
+
+  get isCheckDisabled() {
+    return this.isChecking || this.mappedFields.length === 0;
+  }
+
+  /**
+   * Values of a row keyed by the mapped match fields
+   * @param {Array<String>} row - Values of a file row
+   * @returns {Object} Match field API name => value
+   */
+  toRowValues(row) {
+    const values = {};
+    this.mappedFields.forEach((field) => {
+      const value = row[Number(this.columnMapping[field])];
+      if (value && value.trim()) {
+        values[field] = value.trim();
+      }
+    });
+    return values;
+  }
+
+  /**
+   * Check every row against existing records, a batch of rows per call
+   */
+  handleCheckClick() {
+    if (this.isCheckDisabled) {
+      return;
+    }
+
+    this.isChecking = true;
+    this.error = null;
+    this.results = [];
+    this.checkedRows = 0;
+
+    this.checkRowsFrom(0, [])
+      .then((results) => {
+        this.results = results;
+        this.showToast(
+          "Check Complete",
+          `${this.dataRows.length} rows checked: ${this.summaryText}`,
+          "success",
+        );
+      })
+      .catch((error) => {
+        this.handleError("Error checking rows", error);
+      })
+      .finally(() => {
+        this.isChecking = false;
+      });
+  }
+
+  /**
+   * Check the batch of rows starting at a row, then the batches after it
+   * @param {Number} start - Index of the first row of the batch
+   * @param {Array} results - Results of the batches checked so far
+   * @returns {Promise<Array>} Results of every row
+   */
+  checkRowsFrom(start, results) {
+    if (start >= this.dataRows.length) {
+      return Promise.resolve(results);
+    }
+
+    const batch = this.dataRows.slice(start, start + ROWS_PER_CHECK);
+    return checkImportRows({
+      configName: this.configName,
+      rows: batch.map((row) => this.toRowValues(row)),
+    }).then((batchResults) => {
+      (batchResults || []).forEach((result) => {
+        results.push({ ...result, rowIndex: start + result.rowIndex });
+      });
+      this.checkedRows = start + batch.length;
+      return this.checkRowsFrom(start + ROWS_PER_CHECK, results);
+    });
+  }
+
+  get progressValue() {
+    return this.dataRows.length > 0
+      ? Math.round((this.checkedRows / this.dataRows.length) * 100)
+      : 0;
+  }
+
+  get progressLabel() {
+    return `Checked ${this.checkedRows} of ${this.dataRows.length} rows`;
+  }
+
+  get hasResults() {
+    return this.results.length > 0;
+  }
+
+  get statusCounts() {
+    const counts = {
+      [STATUS_NEW]: 0,
+      [STATUS_LIKELY_DUPLICATE]: 0,
+      [STATUS_EXACT_DUPLICATE]: 0,
+      [STATUS_NOT_FULLY_CHECKED]: 0,
+    };
+    this.results.forEach((result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+    });
+    return counts;
+  }
+
+  get newCount() {
+    return this.statusCounts[STATUS_NEW];
+  }
+
+  get likelyDuplicateCount() {
+    return this.statusCounts[STATUS_LIKELY_DUPLICATE];
+  }
+
+  get exactDuplicateCount() {
+    return this.statusCounts[STATUS_EXACT_DUPLICATE];
+  }
+
+  /**
+   * Rows without a match whose similar records were too many to score
+   */
+  get notFullyCheckedCount() {
+    return this.statusCounts[STATUS_NOT_FULLY_CHECKED];
+  }
+
+  get hasNotFullyChecked() {
+    return this.notFullyCheckedCount > 0;
+  }
+
+  get summaryText() {
+    const summary = `${this.newCount} new, ${this.likelyDuplicateCount} likely duplicates, ${this.exactDuplicateCount} exact duplicates`;
+    return this.hasNotFullyChecked
+      ? `${summary}, ${this.notFullyCheckedCount} not fully checked`
+      : summary;
+  }
+
+  /**
+   * Rows shown in the table: duplicates first, then new rows
+   */
+  get previewRows() {
+    const mapped = this.mappedFields;
+    return [...this.results]
+      .sort((a, b) => {
+        const aNew = a.status === STATUS_NEW ? 1 : 0;
+        const bNew = b.status === STATUS_NEW ? 1 : 0;
+        return aNew - bNew || a.rowIndex - b.rowIndex;
+      })
+      .slice(0, PREVIEW_ROWS)
+      .map((result) => {
+        const row = this.dataRows[result.rowIndex] || [];
+        return {
+          ...result,
+          id: String(result.rowIndex),
+          rowNumber: result.rowIndex + 1,
+          summary: mapped
+            .map((field) => row[Number(this.columnMapping[field])])
+            .filter((value) => value)
+            .join(", "),
+        };
+      });
+  }
+
+  get isPreviewTruncated() {
+    return this.results.length > PREVIEW_ROWS;
+  }
+
+  get previewNote() {
+    return `Showing ${PREVIEW_ROWS} of ${this.results.length} rows. Download the file for every row.`;
+  }
+
+  /**
+   * Download the file with the result of each row added
+   */
+  handleDownloadClick() {
+    const resultsByRow = new Map(
+      this.results.map((result) => [result.rowIndex, result]),
+    );
+    const rows = [
+      [...this.headers, ...RESULT_HEADERS],
+      ...this.dataRows.map((row, index) => {
+        const result = resultsByRow.get(index) || {};
+        // Short rows are padded so the added columns line up
+        const values = this.headers.map((header, column) => row[column]);
+        return [
+          ...values,
+          result.status,
+          result.matchId,
+          result.matchName,
+          result.matchScore,
+        ];
+      }),
+    ];
+
+    const baseName = (this.fileName || "import").replace(/\.csv$/i, "");
+    downloadFile(`${baseName}-checked.csv`, toCsv(rows));
+  }
+
+  /**
+   * Show toast notification
+   * @param {String} title - Toast title
+   * @param {String} message - Toast message
+   * @param {String} variant - Toast variant (info, success, warning, error)
+   */
+  showToast(title, message, variant) {
+    this.dispatchEvent(
+      new ShowToastEvent({
+        title: title,
+        message: message,
+        variant: variant,
+      }),
+    );
+  }
+
+  /**
+   * Handle errors with proper messaging
+   * @param {String} baseMessage - Base error message
+   * @param {Error} error - Error object
+   */
+  handleError(baseMessage, error) {
+    let errorMessage = baseMessage;
+
+    if (error) {
+      if (error.body && error.body.message) {
+        errorMessage += ": " + error.body.message;
+      } else if (error.message) {
+        errorMessage += ": " + error.message;
+      }
+    }
+
+    console.error(errorMessage);
+    this.showToast("Error", errorMessage, "error");
+  }
+}
@@ -2,8 +2,13 @@ import { LightningElement, wire } from "lwc";
 import { ShowToastEvent } from "lightning/platformShowToastEvent";
 import getScheduledJobs from "@salesforce/apex/DuplicateRecordController.getScheduledJobs";
 import deleteScheduledJob from "@salesforce/apex/DuplicateRecordJobController.deleteScheduledJob";
+import getRecentJobs from "@salesforce/apex/DuplicateRecordJobController.getRecentJobs";
+import cancelJob from "@salesforce/apex/DuplicateRecordJobController.cancelJob";
 import store from "c/duplicationStore";
 import { DuplicationStore } from "c/duplicationStore";
+import { PollingScheduler } from "c/duplicationPollingScheduler";
+import { JOB_STATUS } from "c/duplicationConstants";
+import { sendMessage, MESSAGE_TYPES } from "c/duplicationMessageService";
 import { register as registerListener, unregister as unregisterListener } from "c/duplicationPubSub";
 
 /**
@@ -13,12 +18,15 @@ import { register as registerListener, unregister as unregisterListener } from "
 export default class DuplicationJobManager extends LightningElement {
   isLoading = true;
   error = null;
-  refreshTimerId = null;
+  _refreshScheduler = null;
   autoRefreshEnabled = true;
   autoRefreshInterval = 30000; // 30 seconds
   selectedJobId = null;
   selectedJob = null;
   isJobDetailModalOpen = false;
+  runningJobs = [];
+  confirmingCancelJobId = null;
+  cancellingJobId = null;
 
   /**
    * Lifecycle hook - Called when component is inserted into the DOM
@@ -86,75 +94,35 @@ export default class DuplicationJobManager extends LightningElement {
   }
 
   /**
-   * Start auto-refresh timer using Promise-based polling
+   * Start auto-refresh polling
    */
   startAutoRefresh() {
-    if (this.autoRefreshEnabled && !this._isPolling) {
+    if (this.autoRefreshEnabled && !this._refreshScheduler) {
       console.log(
         `Starting auto-refresh (interval: ${this.autoRefreshInterval}ms)`,
       );
-      this._isPolling = true;
-      this._stopPolling = false;
-      this._pollForUpdates();
-    }
-  }
-
-  /**
-   * Promise-based polling function that replaces setInterval
-   */
-  _pollForUpdates() {
-    // If polling is stopped or component is being destroyed, don't continue
-    if (this._stopPolling || !this.autoRefreshEnabled) {
-      this._isPolling = false;
-      return;
-    }
-
-    // Execute refresh jobs
-    this.refreshJobs().finally(() => {
-      // Schedule next poll using Promise chain
-      this._simulateDelay(this.autoRefreshInterval).then(() => {
-        // Check again if we should continue polling
-        if (!this._stopPolling) {
-          this._pollForUpdates();
-        } else {
-          this._isPolling = false;
-        }
+      this._refreshScheduler = new PollingScheduler({
+        poll: () => this.loadJobs(),
+        interval: this.autoRefreshInterval,
+        onError: (error, nextInterval) => {
+          console.error(
+            `Error refreshing jobs, retrying in ${nextInterval / 1000}s:`,
+            error,
+          );
+        },
       });
-    });
-  }
-
-  /**
-   * Promise-based delay function
-   * @param {Number} ms - Delay in milliseconds
-   * @returns {Promise} Promise that resolves after the delay
-   */
-  _simulateDelay(ms) {
-    const startTime = Date.now();
-
-    return new Promise((resolve) => {
-      // Function to check if enough time has passed
-      const checkTime = () => {
-        const elapsed = Date.now() - startTime;
-        if (elapsed >= ms) {
-          resolve();
-        } else {
-          // Check again in the next microtask
-          Promise.resolve().then(checkTime);
-        }
-      };
-
-      // Start checking
-      Promise.resolve().then(checkTime);
-    });
+      this._refreshScheduler.start();
+    }
   }
 
   /**
    * Stop auto-refresh polling
    */
   stopAutoRefresh() {
-    if (this._isPolling) {
+    if (this._refreshScheduler) {
       console.log("Stopping auto-refresh");
-      this._stopPolling = true;
+      this._refreshScheduler.stop();
+      this._refreshScheduler = null;
     }
   }
 
@@ -173,6 +141,23 @@ export default class DuplicationJobManager extends LightningElement {
     }
   }
 
+  /**
+   * Load the scheduled jobs into the store and the jobs still running
+   * @returns {Promise} Promise that rejects when the jobs could not be loaded
+   */
+  loadJobs() {
+    return Promise.all([
+      getScheduledJobs(),
+      getRecentJobs({ recordLimit: 20 }),
+    ]).then(([scheduled, recent]) => {
+      console.log("Jobs refreshed:", scheduled.length);
+      store.dispatch(DuplicationStore.actions.UPDATE_SCHEDULED_JOBS, scheduled);
+      this.runningJobs = (recent || []).filter(
+        (job) => job.status === JOB_STATUS.RUNNING && job.batchJobId,
+      );
+    });
+  }
+
   /**
    * Manually refresh jobs
    */
@@ -180,11 +165,7 @@ export default class DuplicationJobManager extends LightningElement {
     console.log("Manually refreshing jobs");
 
     this.isLoading = true;
-    return getScheduledJobs()
-      .then((result) => {
-        console.log("Jobs refreshed:", result.length);
-        store.dispatch(DuplicationStore.actions.UPDATE_SCHEDULED_JOBS, result);
-      })
+    return this.loadJobs()
       .catch((error) => {
         console.error("Error refreshing jobs:", error);
         this.handleError("Error refreshing jobs", error);
@@ -250,7 +231,8 @@ export default class DuplicationJobManager extends LightningElement {
           this.isJobDetailModalOpen = false;
         }
 
-        // Refresh the jobs list
+        // Refresh the jobs list and the saved schedule it belonged to
+        this.refreshScheduleList();
         return this.refreshJobs();
       })
       .catch((error) => {
@@ -262,6 +244,82 @@ export default class DuplicationJobManager extends LightningElement {
       });
   }
 
+  /**
+   * Reload the scheduled jobs after a schedule was edited, paused or resumed
+   */
+  handleScheduleChange() {
+    this.refreshJobs();
+  }
+
+  /**
+   * Reload the saved schedules
+   */
+  refreshScheduleList() {
+    const scheduleList = this.template.querySelector(
+      "c-duplication-schedule-list",
+    );
+    if (scheduleList) {
+      scheduleList.refresh();
+    }
+  }
+
+  /**
+   * Ask for confirmation before cancelling a running job
+   * @param {Event} event - Click event of the cancel button
+   */
+  handleCancelRunningJob(event) {
+    this.confirmingCancelJobId = event.currentTarget.dataset.id;
+  }
+
+  /**
+   * Close the cancel confirmation and leave the job running
+   */
+  handleKeepRunning() {
+    this.confirmingCancelJobId = null;
+  }
+
+  /**
+   * Cancel the running job after the user confirmed
+   */
+  handleConfirmCancel() {
+    const jobId = this.confirmingCancelJobId;
+    if (!jobId) {
+      return;
+    }
+
+    this.confirmingCancelJobId = null;
+    this.cancellingJobId = jobId;
+    console.log("Cancelling job:", jobId);
+
+    cancelJob({ jobId: jobId })
+      .then((result) => {
+        sendMessage(MESSAGE_TYPES.JOB_CANCELLED, {
+          jobId: jobId,
+          batchJobId: result.batchJobId,
+          runResultId: result.runResultId,
+          groupsRemoved: result.groupsRemoved,
+          cleanupRunning: result.cleanupRunning,
+        });
+        this.showToast(
+          "Job Cancelled",
+          result.cleanupRunning
+            ? "The job was stopped. Its partial results are still being removed in the background"
+            : "The job was stopped",
+          "success",
+        );
+
+        // Refresh the jobs list
+        return this.refreshJobs();
+      })
+      .catch((error) => {
+        console.error("Error cancelling job:", error);
+        this.handleError("Error cancelling job", error);
+      })
+      .finally(() => {
+        this.cancellingJobId = null;
+      });
+  }
+
   /**
    * Handle job selection for details view
    * @param {Event} event - Event containing job ID
@@ -360,6 +418,29 @@ export default class DuplicationJobManager extends LightningElement {
     return this.scheduledJobs.length > 0;
   }
 
+  /**
+   * Get running jobs with their cancel state for display
+   * @returns {Array} Running jobs
+   */
+  get runningJobRows() {
+    return this.runningJobs.map((job) => {
+      return {
+        ...job,
+        typeLabel: job.isDryRun ? "Dry Run" : "Merge",
+        isConfirmingCancel: job.id === this.confirmingCancelJobId,
+        isCancelling: job.id === this.cancellingJobId,
+      };
+    });
+  }
+
+  /**
+   * Check if there are running jobs
+   * @returns {Boolean} True if a job is running
+   */
+  get hasRunningJobs() {
+    return this.runningJobs.length > 0;
+  }
+
   /**
    * Check if auto-refresh is active
    * @returns {Boolean} True if auto-refresh is active
@@ -1,5 +1,37 @@
 import { createElement } from "lwc";
 import DuplicationJobProgress from "c/duplicationJobProgress";
+import getJobStatus from "@salesforce/apex/DuplicateRecordJobController.getJobStatus";
+import cancelJob from "@salesforce/apex/DuplicateRecordJobController.cancelJob";
+import { subscribe } from "lightning/empApi";
+import flushPromises from "../../../../../../jest-utils/flushPromises";
+
+jest.mock(
+  "@salesforce/apex/DuplicateRecordJobController.getJobStatus",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateRecordJobController.cancelJob",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+
+// Let pending promises settle while the timers are faked, running only the timers already due
+const flushMicrotasks = () => jest.advanceTimersByTimeAsync(0);
+
+const RUNNING_STATUS = {
+  jobId: "a0J000000000001AAA",
+  status: "Running",
+  processedBatches: 1,
+  totalBatches: 4,
+};
+
+const COMPLETED_STATUS = {
+  jobId: "a0J000000000001AAA",
+  status: "Completed",
+  processedBatches: 4,
+  totalBatches: 4,
+};
 
 describe("c-duplication-job-progress", () => {
   afterEach(() => {
@@ -7,6 +39,8 @@ describe("c-duplication-job-progress", () => {
     while (document.body.firstChild) {
       document.body.removeChild(document.body.firstChild);
     }
+    jest.clearAllMocks();
+    jest.useRealTimers();
   });
 
   it("TODO: test case generated by CLI command, please fill in test logic", () => {
@@ -22,4 +56,231 @@ describe("c-duplication-job-progress", () => {
     // const div = element.shadowRoot.querySelector('div');
     expect(1).toBe(1);
   });
+
+  it("follows a job started after the component is shown", async () => {
+    getJobStatus.mockResolvedValue({
+      jobId: "a0J000000000001AAA",
+      status: "Running",
+      processedBatches: 1,
+      totalBatches: 4,
+      recordsProcessed: 10,
+      recordsMerged: 9,
+    });
+
+    const element = createElement("c-duplication-job-progress", {
+      is: DuplicationJobProgress,
+    });
+    document.body.appendChild(element);
+    await flushPromises();
+    expect(getJobStatus).not.toHaveBeenCalled();
+
+    element.jobId = "a0J000000000001AAA";
+    await flushPromises();
+
+    expect(getJobStatus).toHaveBeenCalledWith({ jobId: "a0J000000000001AAA" });
+    expect(element.shadowRoot.textContent).toContain("Running");
+    expect(element.shadowRoot.textContent).toContain("25%");
+  });
+
+  it("polls on a timer until the job completes", async () => {
+    jest.useFakeTimers();
+    getJobStatus
+      .mockResolvedValueOnce(RUNNING_STATUS)
+      .mockResolvedValue(COMPLETED_STATUS);
+
+    const element = createElement("c-duplication-job-progress", {
+      is: DuplicationJobProgress,
+    });
+    element.jobId = "a0J000000000001AAA";
+    element.autoRefresh = true;
+    element.pollInterval = 3000;
+    const jobComplete = jest.fn();
+    element.addEventListener("jobcomplete", jobComplete);
+    document.body.appendChild(element);
+    await flushMicrotasks();
+    expect(getJobStatus).toHaveBeenCalledTimes(1);
+
+    // No more calls until the interval has passed
+    jest.advanceTimersByTime(2000);
+    await flushMicrotasks();
+    expect(getJobStatus).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(1000);
+    await flushMicrotasks();
+    expect(getJobStatus).toHaveBeenCalledTimes(2);
+    expect(jobComplete).toHaveBeenCalledTimes(1);
+
+    // Polling stops once the job is complete
+    jest.advanceTimersByTime(30000);
+    await flushMicrotasks();
+    expect(getJobStatus).toHaveBeenCalledTimes(2);
+  });
+
+  it("refreshes on job status events in streaming mode", async () => {
+    getJobStatus.mockResolvedValue(RUNNING_STATUS);
+
+    const element = createElement("c-duplication-job-progress", {
+      is: DuplicationJobProgress,
+    });
+    element.jobId = "a0J000000000001AAA";
+    element.autoRefresh = true;
+    element.streaming = true;
+    document.body.appendChild(element);
+    await flushPromises();
+
+    expect(subscribe).toHaveBeenCalledTimes(1);
+    expect(getJobStatus).toHaveBeenCalledTimes(1);
+
+    const onMessage = subscribe.mock.calls[0][2];
+    onMessage({
+      data: { payload: { JobStatisticId__c: "a0J000000000002AAA" } },
+    });
+    await flushPromises();
+    expect(getJobStatus).toHaveBeenCalledTimes(1);
+
+    getJobStatus.mockResolvedValue(COMPLETED_STATUS);
+    onMessage({
+      data: {
+        payload: {
+          JobStatisticId__c: "a0J000000000001AAA",
+          Status__c: "Completed",
+        },
+      },
+    });
+    await flushPromises();
+    expect(getJobStatus).toHaveBeenCalledTimes(2);
+    expect(element.shadowRoot.textContent).toContain("Completed");
+  });
+
+  it("shows throughput and time remaining from the saved progress samples", async () => {
+    const start = Date.UTC(2026, 9, 19, 10, 0, 0);
+    getJobStatus.mockResolvedValue({
+      jobId: "a0J000000000001AAA",
+      status: "Running",
+      processedBatches: 2,
+      totalBatches: 5,
+      recordsProcessed: 400,
+      progressSamples: [
+        { time: start, records: 0, batches: 0 },
+        { time: start + 20000, records: 200, batches: 1 },
+        { time: start + 40000, records: 400, batches: 2 },
+      ],
+    });
+
+    const element = createElement("c-duplication-job-progress", {
+      is: DuplicationJobProgress,
+    });
+    element.jobId = "a0J000000000001AAA";
+    document.body.appendChild(element);
+    await flushPromises();
+
+    const throughput = element.shadowRoot.querySelector(
+      '[data-id="throughput"]',
+    );
+    expect(throughput).not.toBeNull();
+    expect(throughput.textContent).toContain("10 records/sec");
+    // 3 batches left at one batch every 20 seconds
+    expect(throughput.textContent).toContain("1m 0s");
+    expect(
+      element.shadowRoot.querySelector("canvas.progress-chart"),
+    ).not.toBeNull();
+  });
+
+  it("shows the performance profile of a completed job", async () => {
+    const start = Date.UTC(2026, 9, 19, 10, 0, 0);
+    getJobStatus.mockResolvedValue({
+      jobId: "a0J000000000001AAA",
+      status: "Completed",
+      processedBatches: 2,
+      totalBatches: 2,
+      recordsProcessed: 400,
+      progressSamples: [
+        { time: start, records: 0, batches: 0 },
+        { time: start + 10000, records: 300, batches: 1 },
+        { time: start + 40000, records: 400, batches: 2 },
+      ],
+    });
+
+    const element = createElement("c-duplication-job-progress", {
+      is: DuplicationJobProgress,
+    });
+    element.jobId = "a0J000000000001AAA";
+    document.body.appendChild(element);
+    await flushPromises();
+
+    const throughput = element.shadowRoot.querySelector(
+      '[data-id="throughput"]',
+    );
+    expect(throughput.textContent).toContain("Average Throughput");
+    expect(throughput.textContent).toContain("10 records/sec");
+    expect(throughput.textContent).toContain("30 records/sec");
+    expect(throughput.textContent).toContain("40s");
+  });
+
+  it("cancels a running job after confirmation", async () => {
+    getJobStatus.mockResolvedValueOnce(RUNNING_STATUS).mockResolvedValue({
+      ...RUNNING_STATUS,
+      status: "Aborted",
+    });
+    cancelJob.mockResolvedValue({
+      jobId: "a0J000000000001AAA",
+      batchJobId: "707000000000001AAA",
+      status: "Aborted",
+      groupsRemoved: 3,
+    });
+
+    const element = createElement("c-duplication-job-progress", {
+      is: DuplicationJobProgress,
+    });
+    element.jobId = "a0J000000000001AAA";
+    const cancelHandler = jest.fn();
+    element.addEventListener("jobcancelled", cancelHandler);
+    document.body.appendChild(element);
+    await flushPromises();
+
+    element.shadowRoot.querySelector('[data-id="cancel-job"]').click();
+    await flushPromises();
+    expect(cancelJob).not.toHaveBeenCalled();
+
+    element.shadowRoot.querySelector('[data-id="confirm-cancel"]').click();
+    await flushPromises();
+
+    expect(cancelJob).toHaveBeenCalledWith({ jobId: "a0J000000000001AAA" });
+    expect(cancelHandler).toHaveBeenCalled();
+    expect(cancelHandler.mock.calls[0][0].detail.groupsRemoved).toBe(3);
+    expect(element.shadowRoot.textContent).toContain("Aborted");
+    expect(
+      element.shadowRoot.querySelector('[data-id="cancel-job"]'),
+    ).toBeNull();
+  });
+
+  it("says when the partial results are still being removed", async () => {
+    getJobStatus.mockResolvedValue(RUNNING_STATUS);
+    cancelJob.mockResolvedValue({
+      jobId: "a0J000000000001AAA",
+      batchJobId: "707000000000001AAA",
+      status: "Aborted",
+      groupsRemoved: 9000,
+      cleanupRunning: true,
+    });
+
+    const element = createElement("c-duplication-job-progress", {
+      is: DuplicationJobProgress,
+    });
+    element.jobId = "a0J000000000001AAA";
+    const toastHandler = jest.fn();
+    element.addEventListener("lightning__showtoast", toastHandler);
+    document.body.appendChild(element);
+    await flushPromises();
+
+    element.shadowRoot.querySelector('[data-id="cancel-job"]').click();
+    await flushPromises();
+    element.shadowRoot.querySelector('[data-id="confirm-cancel"]').click();
+    await flushPromises();
+
+    expect(toastHandler).toHaveBeenCalled();
+    expect(toastHandler.mock.calls[0][0].detail.message).toContain(
+      "still being removed",
+    );
+  });
 });
@@ -1,24 +1,57 @@
 /**
  * Component for displaying real-time job progress
- * Uses poll-based approach to fetch job status updates
+ * Polls the job status on a timer, or listens to job status platform events
+ * in streaming mode
  *
  *@author Richard Hudson
  * @since April 2025
  */
 import { LightningElement, api, track } from "lwc";
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import { loadScript } from "lightning/platformResourceLoader";
+import chartjs from "@salesforce/resourceUrl/chartjs";
 import { getRelativeTimeDescription } from "c/duplicationUtils";
+import { JOB_STATUS } from "c/duplicationConstants";
+import { sendMessage, MESSAGE_TYPES } from "c/duplicationMessageService";
+import {
+  PollingScheduler,
+  DEFAULT_POLL_INTERVAL,
+  subscribeToJobStatus,
+  unsubscribeFromJobStatus,
+  isJobStatusFor,
+} from "c/duplicationPollingScheduler";
+import {
+  addSample,
+  calculateThroughput,
+  formatDuration,
+  formatRate,
+  buildProgressChartData,
+} from "c/duplicationJobThroughput";
 import getJobStatus from "@salesforce/apex/DuplicateRecordJobController.getJobStatus";
-
-// Polling interval in milliseconds
-const POLLING_INTERVAL = 3000;
+import cancelJob from "@salesforce/apex/DuplicateRecordJobController.cancelJob";
 
 export default class DuplicationJobProgress extends LightningElement {
   /**
    * @api
-   * @description ID of the job to monitor
+   * @description ID of the job to monitor, a detection job or a background merge
    * @type {String}
    */
-  @api jobId;
+  @api
+  get jobId() {
+    return this._jobId;
+  }
+  set jobId(value) {
+    if (value === this._jobId) {
+      return;
+    }
+    this._jobId = value;
+
+    // Start following the new job
+    if (this._isConnected) {
+      this.resetJobState();
+      this.followJob();
+    }
+  }
 
   /**
    * @api
@@ -27,8 +60,20 @@ export default class DuplicationJobProgress extends LightningElement {
    */
   @api autoRefresh = false;
 
-  // Flag to stop polling
-  _stopPolling = false;
+  /**
+   * @api
+   * @description Milliseconds between status checks while auto-refreshing
+   * @type {Number}
+   */
+  @api pollInterval = DEFAULT_POLL_INTERVAL;
+
+  /**
+   * @api
+   * @description Listen to job status platform events instead of polling.
+   * Falls back to polling when streaming is not available.
+   * @type {Boolean}
+   */
+  @api streaming = false;
 
   // Tracked properties for component state
   @track isLoading = true;
@@ -43,85 +88,154 @@ export default class DuplicationJobProgress extends LightningElement {
   @track totalRecords = 0;
   @track duplicatesFound = 0;
   @track recordsMerged = 0;
+  @track samples = [];
+  @track throughput = {};
+  @track isConfirmingCancel = false;
+  @track isCancelling = false;
 
   // Private properties
-  _intervalId = null;
+  _jobId;
+  _isConnected = false;
+  _scheduler = null;
+  _subscription = null;
+  _updatesVersion = 0;
   _showDetails = false;
   _hasStarted = false;
   _hasCompleted = false;
   _hasFailed = false;
+  _hasAborted = false;
+  _chart = null;
+  _chartjsLoaded = false;
+  _chartjsLoading = false;
+  _chartVersion = null;
 
   /**
    * Lifecycle hook - Component connected to DOM
    */
   connectedCallback() {
-    // Load initial status
-    this.fetchJobStatus();
-
-    // Set up polling if auto-refresh is enabled
-    if (this.autoRefresh) {
-      // Use scheduled Promises instead of setInterval
-      this.schedulePoll();
-    }
+    this._isConnected = true;
+    this.followJob();
   }
 
   /**
    * Lifecycle hook - Component disconnected from DOM
    */
   disconnectedCallback() {
-    // Stop polling
-    this._stopPolling = true;
+    this._isConnected = false;
+    this.stopUpdates();
+    this.destroyProgressChart();
   }
 
   /**
-   * Schedule the next poll using Promise
-   * This is LWC-compliant alternative to setInterval
+   * Lifecycle hook - Draw the progress chart once its canvas is rendered
    */
-  schedulePoll() {
-    // Stop if polling is disabled or component is being destroyed
-    if (!this.autoRefresh || this._stopPolling) {
-      return;
+  renderedCallback() {
+    if (this.hasThroughput) {
+      this.renderProgressChart();
     }
+  }
 
-    // Wait for next poll using Promise
-    Promise.resolve().then(() => {
-      // Fetch job status
-      this.fetchJobStatus().then(() => {
-        // If job is not complete, schedule next poll after delay
-        if (!this.jobComplete && !this._stopPolling) {
-          // Wait for polling interval
-          // We can't use setTimeout, so we'll simulate a delay with a chain of promises
-          this.simulateDelay(POLLING_INTERVAL).then(() => {
-            // Schedule next poll
-            this.schedulePoll();
-          });
-        }
+  /**
+   * Clear the status of the previous job
+   */
+  resetJobState() {
+    this.progress = 0;
+    this.status = "Pending";
+    this.error = undefined;
+    this.jobDetails = {};
+    this.recordsProcessed = 0;
+    this.totalRecords = 0;
+    this.duplicatesFound = 0;
+    this.recordsMerged = 0;
+    this.samples = [];
+    this.throughput = {};
+    this.estimatedCompletion = undefined;
+    this.destroyProgressChart();
+    this._hasStarted = false;
+    this._hasCompleted = false;
+    this._hasFailed = false;
+    this._hasAborted = false;
+    this.isConfirmingCancel = false;
+  }
+
+  /**
+   * Load the status of the current job and keep it up to date when auto-refresh is on
+   */
+  followJob() {
+    this.stopUpdates();
+
+    if (this.autoRefresh && this.jobId) {
+      if (this.streaming) {
+        this.startStreaming();
+      } else {
+        this.startPolling();
+      }
+    } else {
+      this.fetchJobStatus().catch(() => {
+        // Error already shown by handleError
       });
+    }
+  }
+
+  /**
+   * Poll the job status until the job finishes
+   */
+  startPolling() {
+    this._scheduler = new PollingScheduler({
+      poll: () => this.fetchJobStatus().then(() => !this.jobComplete),
+      interval: this.pollInterval,
+      onError: (error, nextInterval) => {
+        console.warn(
+          `Job status check failed, retrying in ${nextInterval / 1000}s`,
+        );
+      },
     });
+    this._scheduler.start();
   }
 
   /**
-   * Simulate a delay using Promise chain
-   * @param {Number} ms - Milliseconds to delay
-   * @returns {Promise} Promise that resolves after delay
+   * Listen to job status events, falling back to polling when streaming is not available
    */
-  simulateDelay(ms) {
-    // For very short delays, we can just resolve immediately
-    if (ms < 100) {
-      return Promise.resolve();
-    }
+  startStreaming() {
+    const version = this._updatesVersion;
 
-    // For longer delays, use a chain of promises
-    const iterations = 5; // Split into multiple small promises to simulate delay
+    this.fetchJobStatus().catch(() => {
+      // Error already shown by handleError
+    });
 
-    let promise = Promise.resolve();
+    subscribeToJobStatus((payload) => this.handleJobStatusEvent(payload))
+      .then((subscription) => {
+        // Updates were stopped while subscribing
+        if (version !== this._updatesVersion) {
+          unsubscribeFromJobStatus(subscription);
+          return;
+        }
+        this._subscription = subscription;
+      })
+      .catch((error) => {
+        console.warn(
+          "Job status streaming unavailable, polling instead",
+          error,
+        );
+        if (version === this._updatesVersion && !this.jobComplete) {
+          this.startPolling();
+        }
+      });
+  }
 
-    // Chain promises
-    for (let i = 0; i < iterations; i++) {
-      promise = promise.then(() => Promise.resolve());
+  /**
+   * Refresh the status when an event about the current job arrives
+   * @param {Object} payload DuplicateJobStatus__e payload
+   */
+  handleJobStatusEvent(payload) {
+    if (!isJobStatusFor(payload, this.jobId)) {
+      return;
     }
 
-    return promise;
+    // The event carries the counts, the batch progress still comes from getJobStatus
+    this.fetchJobStatus().catch(() => {
+      // Error already shown by handleError
+    });
   }
 
   /**
@@ -166,6 +280,7 @@ export default class DuplicationJobProgress extends LightningElement {
       result.status !== "Queued" && result.status !== "Pending";
     this._hasCompleted = result.status === "Completed";
     this._hasFailed = result.status === "Failed";
+    this._hasAborted = result.status === JOB_STATUS.ABORTED;
 
     // Update progress
     if (result.totalBatches) {
@@ -185,24 +300,146 @@ export default class DuplicationJobProgress extends LightningElement {
       this.startTime = new Date(result.startTime);
     }
 
-    if (result.estimatedCompletionTime) {
+    this.updateThroughput(result);
+    if (this.throughput.estimatedCompletion && !this.jobComplete) {
+      this.estimatedCompletion = this.throughput.estimatedCompletion;
+    } else if (result.estimatedCompletionTime) {
       this.estimatedCompletion = new Date(result.estimatedCompletionTime);
     }
 
     // If job is complete, stop polling
-    if (this._hasCompleted || this._hasFailed) {
-      this.stopPolling();
+    if (this.jobComplete) {
+      this.isConfirmingCancel = false;
+      this.stopUpdates();
       this.dispatchJobComplete();
     }
   }
 
   /**
-   * Stop polling for updates
+   * Work out throughput from the progress samples of the job
+   * @param {Object} result Job status result
+   */
+  updateThroughput(result) {
+    // Use the samples saved by the job, or take our own when it has none
+    if (
+      Array.isArray(result.progressSamples) &&
+      result.progressSamples.length > 0
+    ) {
+      this.samples = result.progressSamples;
+    } else {
+      this.samples = addSample(this.samples, {
+        time: Date.now(),
+        records: this.recordsProcessed,
+        batches: result.processedBatches || 0,
+      });
+    }
+
+    this.throughput = calculateThroughput(this.samples, {
+      totalRecords: this.totalRecords,
+      totalBatches: result.totalBatches,
+      processedBatches: result.processedBatches,
+    });
+  }
+
+  /**
+   * Draw or update the chart of progress over time
+   */
+  renderProgressChart() {
+    const canvas = this.template.querySelector("canvas.progress-chart");
+    if (!canvas) {
+      return;
+    }
+
+    if (!this._chartjsLoaded) {
+      if (!this._chartjsLoading) {
+        this._chartjsLoading = true;
+        loadScript(this, chartjs)
+          .then(() => {
+            this._chartjsLoaded = true;
+            this.renderProgressChart();
+          })
+          .catch((error) => {
+            console.error("Error loading Chart.js", error);
+          });
+      }
+      return;
+    }
+
+    // Only redraw when there are new samples
+    const version = this.samples.length + ":" + this.lastSampleTime;
+    if (this._chart && this._chartVersion === version) {
+      return;
+    }
+    this._chartVersion = version;
+
+    const chartData = buildProgressChartData(this.samples, this.chartKey);
+    if (this._chart) {
+      this._chart.data.labels = chartData.labels;
+      this._chart.data.datasets[0].data = chartData.values;
+      this._chart.update();
+      return;
+    }
+
+    if (!window.Chart) {
+      return;
+    }
+    this._chart = new window.Chart(canvas.getContext("2d"), {
+      type: "line",
+      data: {
+        labels: chartData.labels,
+        datasets: [
+          {
+            label: this.chartLabel,
+            data: chartData.values,
+            borderColor: "rgba(1, 118, 211, 1)",
+            backgroundColor: "rgba(1, 118, 211, 0.1)",
+            fill: true,
+            tension: 0.2,
+            pointRadius: 0,
+            borderWidth: 2,
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: false },
+        },
+        scales: {
+          x: { ticks: { maxTicksLimit: 6 } },
+          y: { beginAtZero: true },
+        },
+        animation: false,
+      },
+    });
+  }
+
+  /**
+   * Remove the progress chart, for example when following another job
+   */
+  destroyProgressChart() {
+    if (this._chart) {
+      this._chart.destroy();
+      this._chart = null;
+    }
+    this._chartVersion = null;
+  }
+
+  /**
+   * Stop polling and streaming updates
    */
-  stopPolling() {
-    if (this._intervalId) {
-      clearInterval(this._intervalId);
-      this._intervalId = null;
+  stopUpdates() {
+    this._updatesVersion++;
+
+    if (this._scheduler) {
+      this._scheduler.stop();
+      this._scheduler = null;
+    }
+
+    if (this._subscription) {
+      unsubscribeFromJobStatus(this._subscription);
+      this._subscription = null;
     }
   }
 
@@ -219,6 +456,7 @@ export default class DuplicationJobProgress extends LightningElement {
         duplicatesFound: this.duplicatesFound,
         recordsMerged: this.recordsMerged,
         success: this._hasCompleted,
+        cancelled: this._hasAborted,
         error: this._hasFailed ? this.jobDetails.errorMessage : null,
       },
     });
@@ -231,15 +469,93 @@ export default class DuplicationJobProgress extends LightningElement {
    */
   @api
   refresh() {
-    this.fetchJobStatus();
+    if (this._scheduler) {
+      this._scheduler.trigger();
+      return;
+    }
+    this.fetchJobStatus().catch(() => {
+      // Error already shown by handleError
+    });
+  }
+
+  /**
+   * Ask the user to confirm before cancelling the job
+   */
+  handleCancelClick() {
+    this.isConfirmingCancel = true;
+  }
+
+  /**
+   * Close the cancel confirmation and leave the job running
+   */
+  handleKeepRunning() {
+    this.isConfirmingCancel = false;
+  }
+
+  /**
+   * Cancel the job after the user confirmed
+   */
+  handleConfirmCancel() {
+    this.isConfirmingCancel = false;
+    this.isCancelling = true;
+
+    cancelJob({ jobId: this.jobId })
+      .then((result) => {
+        sendMessage(MESSAGE_TYPES.JOB_CANCELLED, {
+          jobId: this.jobId,
+          batchJobId: result.batchJobId,
+          runResultId: result.runResultId,
+          groupsRemoved: result.groupsRemoved,
+          cleanupRunning: result.cleanupRunning,
+        });
+        this.dispatchEvent(
+          new CustomEvent("jobcancelled", {
+            detail: { jobId: this.jobId, ...result },
+          }),
+        );
+        this.showToast(
+          "Job Cancelled",
+          result.cleanupRunning
+            ? "The job was stopped. Its partial results are still being removed in the background"
+            : "The job was stopped",
+          "success",
+        );
+
+        // Show the aborted status
+        return this.fetchJobStatus();
+      })
+      .catch((error) => {
+        this.handleError(error, "Error cancelling job");
+        this.showToast("Error", this.error.message, "error");
+      })
+      .finally(() => {
+        this.isCancelling = false;
+      });
+  }
+
+  /**
+   * Show toast notification
+   * @param {String} title - Toast title
+   * @param {String} message - Toast message
+   * @param {String} variant - Toast variant (info, success, warning, error)
+   */
+  showToast(title, message, variant) {
+    this.dispatchEvent(
+      new ShowToastEvent({
+        title: title,
+        message: message,
+        variant: variant,
+      }),
+    );
   }
 
   /**
    * Handle error from API call
    * @param {Object} error Error object
+   * @param {String} baseMessage What failed, defaults to fetching the status
    */
-  handleError(error) {
-    let errorMessage = "Error fetching job status";
+  handleError(error, baseMessage = "Error fetching job status") {
+    let errorMessage = baseMessage;
 
     if (error.body && error.body.message) {
       errorMessage += ": " + error.body.message;
@@ -271,6 +587,10 @@ export default class DuplicationJobProgress extends LightningElement {
       return "error";
     }
 
+    if (this._hasAborted) {
+      return "warning";
+    }
+
     if (this._hasCompleted) {
       return "success";
     }
@@ -287,6 +607,10 @@ export default class DuplicationJobProgress extends LightningElement {
       return "utility:error";
     }
 
+    if (this._hasAborted) {
+      return "utility:ban";
+    }
+
     if (this._hasCompleted) {
       return "utility:success";
     }
@@ -307,6 +631,10 @@ export default class DuplicationJobProgress extends LightningElement {
       return "slds-text-color_error";
     }
 
+    if (this._hasAborted) {
+      return "slds-text-color_weak";
+    }
+
     if (this._hasCompleted) {
       return "slds-text-color_success";
     }
@@ -326,6 +654,113 @@ export default class DuplicationJobProgress extends LightningElement {
     return "Last updated " + getRelativeTimeDescription(this.lastUpdateTime);
   }
 
+  /**
+   * Check if the job has finished
+   * @returns {Boolean} True once the job completed, failed or was cancelled
+   */
+  get jobComplete() {
+    return this._hasCompleted || this._hasFailed || this._hasAborted;
+  }
+
+  /**
+   * Check if the job can be cancelled
+   * @returns {Boolean} True while a job is followed and has not finished
+   */
+  get canCancel() {
+    return !!this.jobId && !this.jobComplete && !this.isCancelling;
+  }
+
+  /**
+   * Check if there are enough samples to show throughput
+   * @returns {Boolean} True once two samples have been taken
+   */
+  get hasThroughput() {
+    return Array.isArray(this.samples) && this.samples.length > 1;
+  }
+
+  /**
+   * Get the time of the latest sample
+   * @returns {Number} Milliseconds since the epoch, or 0 without samples
+   */
+  get lastSampleTime() {
+    const last = this.samples[this.samples.length - 1];
+    return last ? last.time : 0;
+  }
+
+  /**
+   * Get the counter to chart, batches when the job does not count records
+   * @returns {String} records or batches
+   */
+  get chartKey() {
+    return this.samples.some((sample) => sample.records > 0)
+      ? "records"
+      : "batches";
+  }
+
+  /**
+   * Get the label of the progress chart
+   * @returns {String} Chart label
+   */
+  get chartLabel() {
+    return this.chartKey === "records"
+      ? "Records processed"
+      : "Batches processed";
+  }
+
+  /**
+   * Get the smoothed throughput
+   * @returns {String} Records per second
+   */
+  get recordsPerSecondLabel() {
+    return formatRate(this.throughput.recordsPerSecond);
+  }
+
+  /**
+   * Get the average throughput of the whole job
+   * @returns {String} Records per second
+   */
+  get averageRateLabel() {
+    return formatRate(this.throughput.averageRecordsPerSecond);
+  }
+
+  /**
+   * Get the fastest throughput between two samples
+   * @returns {String} Records per second
+   */
+  get peakRateLabel() {
+    return formatRate(this.throughput.peakRecordsPerSecond);
+  }
+
+  /**
+   * Get the number of batches left to run
+   * @returns {String} Batches remaining, or a dash when unknown
+   */
+  get batchesRemainingLabel() {
+    const remaining = this.throughput.batchesRemaining;
+    return remaining === null || remaining === undefined
+      ? "-"
+      : String(remaining);
+  }
+
+  /**
+   * Get the estimated time left
+   * @returns {String} Duration, or Calculating... until there is a rate
+   */
+  get timeRemainingLabel() {
+    const seconds = this.throughput.secondsRemaining;
+    return seconds === null || seconds === undefined
+      ? "Calculating..."
+      : formatDuration(seconds);
+  }
+
+  /**
+   * Get how long the samples cover
+   * @returns {String} Duration of the job
+   */
+  get durationLabel() {
+    return formatDuration(this.throughput.elapsedSeconds);
+  }
+
   /**
    * Check if the component has an error
    * @returns {Boolean} True if the component has an error
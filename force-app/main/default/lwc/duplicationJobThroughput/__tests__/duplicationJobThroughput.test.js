@@ -0,0 +1,97 @@
+import {
+  addSample,
+  calculateThroughput,
+  formatDuration,
+  formatRate,
+  buildProgressChartData,
+} from "c/duplicationJobThroughput";
+
+const START = Date.UTC(2026, 9, 19, 10, 0, 0);
+
+// One sample every 10 seconds, with the records processed in each interval
+const buildSamples = (recordsPerInterval) => {
+  let records = 0;
+  const samples = [{ time: START, records: 0, batches: 0 }];
+  recordsPerInterval.forEach((count, index) => {
+    records += count;
+    samples.push({
+      time: START + (index + 1) * 10000,
+      records,
+      batches: index + 1,
+    });
+  });
+  return samples;
+};
+
+describe("c-duplication-job-throughput", () => {
+  it("works out records per second and the time left from the total records", () => {
+    const result = calculateThroughput(buildSamples([200, 200, 200]), {
+      totalRecords: 1000,
+      totalBatches: 5,
+    });
+
+    expect(result.recordsPerSecond).toBeCloseTo(20);
+    expect(result.batchesRemaining).toBe(2);
+    // 400 records left at 20 per second
+    expect(result.secondsRemaining).toBeCloseTo(20);
+    expect(result.estimatedCompletion.getTime()).toBe(START + 30000 + 20000);
+  });
+
+  it("counts batches when the total records are unknown", () => {
+    const result = calculateThroughput(buildSamples([50, 50]), {
+      totalBatches: 6,
+      processedBatches: 2,
+    });
+
+    expect(result.batchesPerSecond).toBeCloseTo(0.1);
+    expect(result.batchesRemaining).toBe(4);
+    expect(result.secondsRemaining).toBeCloseTo(40);
+  });
+
+  it("smooths a single slow batch instead of jumping to its rate", () => {
+    const result = calculateThroughput(buildSamples([200, 200, 200, 20]), {
+      smoothing: 0.3,
+    });
+
+    // The last interval ran at 2 records per second
+    expect(result.recordsPerSecond).toBeGreaterThan(10);
+    expect(result.peakRecordsPerSecond).toBeCloseTo(20);
+    expect(result.averageRecordsPerSecond).toBeCloseTo(620 / 40);
+  });
+
+  it("has no estimate until there are two samples", () => {
+    const result = calculateThroughput(buildSamples([]), { totalRecords: 10 });
+
+    expect(result.recordsPerSecond).toBe(0);
+    expect(result.estimatedCompletion).toBeNull();
+  });
+
+  it("adds samples in time order and caps the list", () => {
+    let samples = [];
+    for (let i = 0; i < 5; i++) {
+      samples = addSample(
+        samples,
+        { time: START + i * 1000, records: i, batches: i },
+        3,
+      );
+    }
+    // A sample older than the last one is ignored
+    samples = addSample(samples, { time: START, records: 99, batches: 9 }, 3);
+
+    expect(samples).toHaveLength(3);
+    expect(samples[0].records).toBe(0);
+    expect(samples[2].records).toBe(4);
+  });
+
+  it("formats durations, rates and chart data", () => {
+    expect(formatDuration(45)).toBe("45s");
+    expect(formatDuration(200)).toBe("3m 20s");
+    expect(formatDuration(3900)).toBe("1h 5m");
+    expect(formatRate(4.26)).toBe("4.3");
+    expect(formatRate(123.6)).toBe("124");
+
+    const chart = buildProgressChartData(buildSamples([10, 10]));
+    expect(chart.labels).toEqual(["0s", "10s", "20s"]);
+    expect(chart.values).toEqual([0, 10, 20]);
+  });
+});
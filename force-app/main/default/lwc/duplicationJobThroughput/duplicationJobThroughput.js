@@ -0,0 +1,222 @@
+/**
+ * Throughput and completion estimates for duplicate jobs.
+ * Works from progress samples of { time, records, batches }, either saved on
+ * the job statistic by the batch or taken by the component each time it checks
+ * the job status. Rates between samples are smoothed so a single slow or fast
+ * batch does not make the estimate jump.
+ *
+ * @author Richard Hudson
+ * @since May 2025
+ */
+
+// Weight of the newest rate in the smoothed rate, between 0 and 1
+export const DEFAULT_SMOOTHING = 0.3;
+
+// Samples kept by addSample, matching DuplicateJobProgressService.MAX_SAMPLES
+export const MAX_SAMPLES = 200;
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return isFinite(number) ? number : 0;
+};
+
+/**
+ * Clean up samples so they can be compared
+ * @param {Array} samples - Samples of { time, records, batches }
+ * @returns {Array} Valid samples in time order
+ */
+export const normalizeSamples = (samples) => {
+  if (!Array.isArray(samples)) {
+    return [];
+  }
+
+  return samples
+    .filter((sample) => sample && toNumber(sample.time) > 0)
+    .map((sample) => {
+      return {
+        time: toNumber(sample.time),
+        records: toNumber(sample.records),
+        batches: toNumber(sample.batches),
+      };
+    })
+    .sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Add a sample, ignoring one that is not newer than the last
+ * @param {Array} samples - Samples taken so far
+ * @param {Object} sample - New sample of { time, records, batches }
+ * @param {Number} maxSamples - Most samples to keep
+ * @returns {Array} New list of samples
+ */
+export const addSample = (samples, sample, maxSamples = MAX_SAMPLES) => {
+  const result = normalizeSamples(samples);
+  const [next] = normalizeSamples([sample]);
+  if (!next) {
+    return result;
+  }
+
+  const last = result[result.length - 1];
+  if (last && next.time <= last.time) {
+    return result;
+  }
+  result.push(next);
+
+  if (result.length > maxSamples) {
+    // Keep the first sample so the whole run stays covered
+    result.splice(1, 1);
+  }
+  return result;
+};
+
+/**
+ * Smoothed rate of a counter between successive samples
+ * @param {Array} samples - Samples in time order
+ * @param {String} key - Counter to measure, records or batches
+ * @param {Number} smoothing - Weight of the newest rate
+ * @returns {Number} Units per second, 0 when it cannot be worked out
+ */
+const smoothedRate = (samples, key, smoothing) => {
+  let rate = null;
+
+  for (let i = 1; i < samples.length; i++) {
+    const seconds = (samples[i].time - samples[i - 1].time) / 1000;
+    if (seconds > 0) {
+      const current =
+        Math.max(0, samples[i][key] - samples[i - 1][key]) / seconds;
+      rate =
+        rate === null ? current : smoothing * current + (1 - smoothing) * rate;
+    }
+  }
+
+  return rate || 0;
+};
+
+/**
+ * Work out throughput and when the job should finish
+ * @param {Array} samples - Progress samples of the job
+ * @param {Object} options
+ * @param {Number} options.totalRecords - Records the job will process, when known
+ * @param {Number} options.totalBatches - Batches the job will run, when known
+ * @param {Number} options.processedBatches - Batches already run, when known
+ * @param {Number} options.smoothing - Weight of the newest rate
+ * @returns {Object} recordsPerSecond, batchesPerSecond, averageRecordsPerSecond,
+ *   peakRecordsPerSecond, elapsedSeconds, batchesRemaining, secondsRemaining
+ *   and estimatedCompletion, which are null when unknown
+ */
+export const calculateThroughput = (samples, options = {}) => {
+  const points = normalizeSamples(samples);
+  const smoothing =
+    options.smoothing > 0 && options.smoothing <= 1
+      ? options.smoothing
+      : DEFAULT_SMOOTHING;
+
+  const result = {
+    recordsPerSecond: 0,
+    batchesPerSecond: 0,
+    averageRecordsPerSecond: 0,
+    peakRecordsPerSecond: 0,
+    elapsedSeconds: 0,
+    batchesRemaining: null,
+    secondsRemaining: null,
+    estimatedCompletion: null,
+  };
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const totalBatches = toNumber(options.totalBatches);
+  const processedBatches = Math.max(
+    toNumber(options.processedBatches),
+    last ? last.batches : 0,
+  );
+  if (totalBatches > 0) {
+    result.batchesRemaining = Math.max(0, totalBatches - processedBatches);
+  }
+
+  if (points.length < 2) {
+    return result;
+  }
+
+  result.recordsPerSecond = smoothedRate(points, "records", smoothing);
+  result.batchesPerSecond = smoothedRate(points, "batches", smoothing);
+  result.elapsedSeconds = (last.time - first.time) / 1000;
+  if (result.elapsedSeconds > 0) {
+    result.averageRecordsPerSecond =
+      (last.records - first.records) / result.elapsedSeconds;
+  }
+  for (let i = 1; i < points.length; i++) {
+    const seconds = (points[i].time - points[i - 1].time) / 1000;
+    if (seconds > 0) {
+      result.peakRecordsPerSecond = Math.max(
+        result.peakRecordsPerSecond,
+        (points[i].records - points[i - 1].records) / seconds,
+      );
+    }
+  }
+
+  // Prefer records when the total is known, otherwise count batches
+  const totalRecords = toNumber(options.totalRecords);
+  if (totalRecords > 0 && result.recordsPerSecond > 0) {
+    result.secondsRemaining =
+      Math.max(0, totalRecords - last.records) / result.recordsPerSecond;
+  } else if (result.batchesRemaining !== null && result.batchesPerSecond > 0) {
+    result.secondsRemaining = result.batchesRemaining / result.batchesPerSecond;
+  }
+
+  if (result.secondsRemaining !== null) {
+    result.estimatedCompletion = new Date(
+      last.time + Math.round(result.secondsRemaining * 1000),
+    );
+  }
+  return result;
+};
+
+/**
+ * Format a number of seconds for display
+ * @param {Number} seconds - Duration in seconds
+ * @returns {String} Duration such as "1h 5m", "3m 20s" or "45s"
+ */
+export const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined || !isFinite(seconds)) {
+    return "";
+  }
+
+  const total = Math.max(0, Math.round(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  if (minutes > 0) {
+    return `${minutes}m ${secs}s`;
+  }
+  return `${secs}s`;
+};
+
+/**
+ * Format a rate for display
+ * @param {Number} perSecond - Units per second
+ * @returns {String} Rate with one decimal below 10 and none above
+ */
+export const formatRate = (perSecond) => {
+  const rate = toNumber(perSecond);
+  return rate < 10 ? rate.toFixed(1) : String(Math.round(rate));
+};
+
+/**
+ * Build chart data of progress over time
+ * @param {Array} samples - Progress samples of the job
+ * @param {String} key - Counter to chart, records or batches
+ * @returns {Object} labels of elapsed time and values of the counter
+ */
+export const buildProgressChartData = (samples, key = "records") => {
+  const points = normalizeSamples(samples);
+  const start = points.length ? points[0].time : 0;
+
+  return {
+    labels: points.map((point) => formatDuration((point.time - start) / 1000)),
+    values: points.map((point) => point[key]),
+  };
+};
@@ -6,6 +6,7 @@ import { LightningElement, wire, track } from "lwc";
 import { ShowToastEvent } from "lightning/platformShowToastEvent";
 import { MESSAGE_TYPES, sendMessage } from "c/duplicationMessageService";
 import { subscribeMigrated, unsubscribeMigrated } from "c/duplicationLmsHelper";
+import { wait } from "c/duplicationPollingScheduler";
 import getActiveSettings from "@salesforce/apex/DuplicateRecordController.getActiveSettings";
 import getScheduledJobs from "@salesforce/apex/DuplicateRecordController.getScheduledJobs";
 import runDuplicateFinder from "@salesforce/apex/DuplicateRecordController.runDuplicateFinder";
@@ -504,8 +505,8 @@ export default class DuplicationManagerApp extends LightningElement {
       store.dispatch(DuplicationStore.actions.SET_LOADING, true);
 
       // In a real implementation, you would call an Apex method to merge the records
-      // For now, just simulate success using a Promise-based delay
-      this.simulateDelay(1500).then(() => {
+      // For now, just simulate success after a short delay
+      wait(1500).then(() => {
         this.showToast(
           "Success",
           "Merge operation started successfully",
@@ -517,31 +518,6 @@ export default class DuplicationManagerApp extends LightningElement {
     }
   }
 
-  /**
-   * Simulate a delay using Promises instead of setTimeout
-   * @param {Number} ms - Number of milliseconds to delay
-   * @returns {Promise} A promise that resolves after the specified delay
-   */
-  simulateDelay(ms) {
-    const startTime = Date.now();
-
-    return new Promise((resolve) => {
-      // Function to check if enough time has elapsed
-      const checkElapsed = () => {
-        const elapsed = Date.now() - startTime;
-        if (elapsed >= ms) {
-          resolve();
-        } else {
-          // Not enough time has passed, check again in the next microtask
-          Promise.resolve().then(checkElapsed);
-        }
-      };
-
-      // Start checking
-      Promise.resolve().then(checkElapsed);
-    });
-  }
-
   refreshJobs() {
     // Set loading and error states
     this.refreshInProgress = true;
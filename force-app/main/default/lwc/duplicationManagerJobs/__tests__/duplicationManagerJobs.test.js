@@ -0,0 +1,139 @@
+import { createElement } from "lwc";
+import DuplicationManagerJobs from "c/duplicationManagerJobs";
+import getScheduledJobs from "@salesforce/apex/DuplicateRecordController.getScheduledJobs";
+import getScheduleCalendar from "@salesforce/apex/DuplicateRecordJobController.getScheduleCalendar";
+import flushPromises from "../../../../../../jest-utils/flushPromises";
+
+jest.mock(
+  "@salesforce/apex/DuplicateRecordController.getScheduledJobs",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateRecordController.deleteScheduledJob",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateRecordController.getDuplicateRunResults",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateRecordController.mergeDuplicateRecords",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateRecordJobController.startBackgroundMerge",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateRecordJobController.getScheduleCalendar",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+
+const CALENDAR_DATA = {
+  schedules: [
+    {
+      id: "08e000000000001AAA",
+      name: "DuplicateRecord_Account_Hourly",
+      cronExpression: "0 0 * * * ?",
+      kind: "duplicate",
+      objectApiName: "Account",
+      isScheduled: true,
+    },
+    {
+      id: "08e000000000002AAA",
+      name: "DuplicateRecord_Account_Nightly",
+      cronExpression: "0 30 2 * * ?",
+      kind: "duplicate",
+      objectApiName: "Account",
+      isScheduled: true,
+    },
+  ],
+  averageDurationsMs: { Account: 45 * 60 * 1000 },
+  archiveDurationMs: 60000,
+  defaultDurationMs: 30 * 60 * 1000,
+  concurrentBatchLimit: 5,
+};
+
+const showCalendar = (element) => {
+  element.shadowRoot
+    .querySelector('[data-id="view-toggle"]')
+    .dispatchEvent(
+      new CustomEvent("change", { detail: { value: "calendar" } }),
+    );
+};
+
+describe("c-duplication-manager-jobs", () => {
+  afterEach(() => {
+    // The jsdom instance is shared across test cases in a single file so reset the DOM
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+  });
+
+  it("shows the schedule calendar with overlapping runs flagged", async () => {
+    getScheduledJobs.mockResolvedValue([]);
+    getScheduleCalendar.mockResolvedValue(CALENDAR_DATA);
+
+    const element = createElement("c-duplication-manager-jobs", {
+      is: DuplicationManagerJobs,
+    });
+    document.body.appendChild(element);
+    await flushPromises();
+
+    expect(
+      element.shadowRoot.querySelector('[data-id="schedule-calendar"]'),
+    ).toBeNull();
+
+    showCalendar(element);
+    await flushPromises();
+
+    expect(getScheduleCalendar).toHaveBeenCalledTimes(1);
+    expect(
+      element.shadowRoot.querySelector('[data-id="schedule-calendar"]'),
+    ).not.toBeNull();
+
+    // 30 days, after blank cells up to today's weekday
+    const days = element.shadowRoot.querySelectorAll(
+      '[data-id="calendar-day"]',
+    );
+    expect(days.length).toBe(30 + new Date().getDay());
+
+    // Each night the nightly run overlaps the 02:00 and 03:00 hourly runs
+    const conflicts = element.shadowRoot.querySelectorAll(
+      '[data-id="conflict-list"] li',
+    );
+    expect(conflicts.length).toBeGreaterThanOrEqual(29 * 3);
+    expect(
+      element.shadowRoot.querySelector('[data-id="conflict-summary"]')
+        .textContent,
+    ).toContain("overlap on the same object");
+    expect(
+      element.shadowRoot.querySelectorAll(".calendar-run_conflict").length,
+    ).toBeGreaterThan(0);
+  });
+
+  it("reports an error when the calendar cannot be loaded", async () => {
+    getScheduledJobs.mockResolvedValue([]);
+    getScheduleCalendar.mockRejectedValue({ body: { message: "No access" } });
+
+    const element = createElement("c-duplication-manager-jobs", {
+      is: DuplicationManagerJobs,
+    });
+    document.body.appendChild(element);
+    await flushPromises();
+
+    showCalendar(element);
+    await flushPromises();
+
+    expect(
+      element.shadowRoot.querySelector('[role="alert"]').textContent,
+    ).toContain("No access");
+  });
+});
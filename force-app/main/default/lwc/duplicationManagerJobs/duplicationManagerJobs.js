@@ -4,9 +4,23 @@ import deleteScheduledJob from "@salesforce/apex/DuplicateRecordController.delet
 import getDuplicateRunResults from "@salesforce/apex/DuplicateRecordController.getDuplicateRunResults";
 import getScheduledJobs from "@salesforce/apex/DuplicateRecordController.getScheduledJobs";
 import mergeDuplicateRecords from "@salesforce/apex/DuplicateRecordController.mergeDuplicateRecords";
+import startBackgroundMerge from "@salesforce/apex/DuplicateRecordJobController.startBackgroundMerge";
+import getScheduleCalendar from "@salesforce/apex/DuplicateRecordJobController.getScheduleCalendar";
+import {
+  DEFAULT_CALENDAR_DAYS,
+  SCHEDULE_KINDS,
+  buildCalendarRuns,
+  detectConflicts,
+  groupRunsByDay,
+} from "c/duplicationScheduleCalendar";
+import { sendMessage, MESSAGE_TYPES } from "c/duplicationMessageService";
 import store from "c/duplicationStore";
 import { DuplicationStore } from "c/duplicationStore";
 
+const VIEW_TABLE = "table";
+const VIEW_CALENDAR = "calendar";
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
 /**
  * Component for displaying and managing scheduled duplicate finder jobs
  * @component
@@ -44,6 +58,17 @@ export default class DuplicationManagerJobs extends LightningElement {
   @track dryRunDuplicateGroups = [];
   @track selectedJobForResults = null;
 
+  // Whether the confirmed merge runs in a background job
+  pendingMergeInBackground = false;
+
+  // Schedule calendar state, loaded the first time the calendar is shown
+  viewMode = VIEW_TABLE;
+  isLoadingCalendar = false;
+  calendarData = null;
+  @track calendarDays = [];
+  @track calendarConflicts = [];
+  conflictSummary = null;
+
   isLoading = false;
 
   /**
@@ -94,6 +119,153 @@ export default class DuplicationManagerJobs extends LightningElement {
       });
   }
 
+  /**
+   * Reload the jobs and calendar after a schedule was edited, paused or resumed
+   */
+  handleScheduleChange() {
+    this.loadScheduledJobs();
+    this.calendarData = null;
+  }
+
+  /**
+   * Reload the saved schedules
+   */
+  refreshScheduleList() {
+    const scheduleList = this.template.querySelector(
+      "c-duplication-schedule-list",
+    );
+    if (scheduleList) {
+      scheduleList.refresh();
+    }
+  }
+
+  /**
+   * Switch between the jobs table and the schedule calendar
+   * @param {Event} event - Change event of the view toggle
+   */
+  handleViewChange(event) {
+    this.viewMode = event.detail.value;
+    if (this.viewMode === VIEW_CALENDAR && !this.calendarData) {
+      this.loadScheduleCalendar();
+    }
+  }
+
+  /**
+   * Load the schedules and run lengths for the calendar
+   */
+  loadScheduleCalendar() {
+    this.isLoadingCalendar = true;
+
+    getScheduleCalendar()
+      .then((result) => {
+        this.calendarData = result || {};
+        this.buildCalendar(new Date());
+      })
+      .catch((error) => {
+        this.handleError("Error loading schedule calendar", error);
+      })
+      .finally(() => {
+        this.isLoadingCalendar = false;
+      });
+  }
+
+  /**
+   * Lay out the next 30 days of runs and flag the clashing ones
+   * @param {Date} from - First day of the calendar
+   */
+  buildCalendar(from) {
+    const data = this.calendarData;
+    const runs = buildCalendarRuns(data.schedules, {
+      from,
+      days: DEFAULT_CALENDAR_DAYS,
+      averageDurationsMs: data.averageDurationsMs,
+      archiveDurationMs: data.archiveDurationMs,
+      defaultDurationMs: data.defaultDurationMs,
+    });
+    this.conflictSummary = detectConflicts(runs, {
+      concurrentBatchLimit: data.concurrentBatchLimit,
+    });
+
+    const days = groupRunsByDay(runs, { from, days: DEFAULT_CALENDAR_DAYS });
+    const cells = [];
+
+    // Blank cells so each day sits under its weekday
+    for (let i = 0; i < from.getDay(); i++) {
+      cells.push({
+        key: `blank-${i}`,
+        isBlank: true,
+        cssClass: "calendar-day calendar-day_blank",
+      });
+    }
+    days.forEach((day) => {
+      cells.push({
+        key: day.key,
+        isBlank: false,
+        label: day.date.toLocaleDateString(undefined, {
+          day: "numeric",
+          month: "short",
+        }),
+        cssClass: day.hasConflict
+          ? "calendar-day calendar-day_conflict"
+          : "calendar-day",
+        runs: day.runs.map((run) => this.toCalendarRun(run)),
+      });
+    });
+    this.calendarDays = cells;
+
+    this.calendarConflicts = runs
+      .filter((run) => run.conflicts.length)
+      .map((run) => ({
+        ...this.toCalendarRun(run),
+        dateLabel: run.start.toLocaleString(undefined, {
+          day: "numeric",
+          month: "short",
+          hour: "2-digit",
+          minute: "2-digit",
+        }),
+        messages: run.conflicts.map((conflict) => conflict.message).join(" • "),
+      }));
+  }
+
+  /**
+   * Add what the calendar shows to a run
+   * @param {Object} run - Run from buildCalendarRuns
+   * @returns {Object} Run with label, title and cssClass
+   */
+  toCalendarRun(run) {
+    const time = run.start.toLocaleTimeString(undefined, {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+    let cssClass = "calendar-run";
+    if (run.conflicts.length) {
+      cssClass += " calendar-run_conflict";
+    } else if (run.kind === SCHEDULE_KINDS.ARCHIVE) {
+      cssClass += " calendar-run_archive";
+    }
+    if (!run.isScheduled) {
+      cssClass += " calendar-run_unscheduled";
+    }
+
+    const details = [run.name];
+    if (run.objectApiName) {
+      details.push(run.objectApiName);
+    }
+    if (!run.isScheduled) {
+      details.push("Not scheduled");
+    }
+    run.conflicts.forEach((conflict) => details.push(conflict.message));
+
+    return {
+      key: run.key,
+      name: run.name,
+      label: `${time} ${run.name}`,
+      title: details.join("\n"),
+      cssClass,
+      hasConflict: run.conflicts.length > 0,
+    };
+  }
+
   /**
    * Deletes a scheduled job
    * @param {String} jobId - The ID of the job to delete
@@ -148,6 +320,9 @@ export default class DuplicationManagerJobs extends LightningElement {
           // Update store by removing the job
           this.removeJobFromStore(jobId);
 
+          // Deleting a job also deletes its saved schedule
+          this.refreshScheduleList();
+
           // Show success message
           this.showToast("Success", "Job deleted successfully", "success");
         })
@@ -398,6 +573,69 @@ export default class DuplicationManagerJobs extends LightningElement {
     }));
   }
 
+  /**
+   * Whether the jobs table is shown
+   * @returns {Boolean} True when the table view is selected and there are jobs
+   */
+  get showJobsTable() {
+    return this.viewMode === VIEW_TABLE && this.hasJobs;
+  }
+
+  /**
+   * Whether the no jobs message is shown
+   * @returns {Boolean} True when the table view is selected and there are no jobs
+   */
+  get showNoJobsMessage() {
+    return this.viewMode === VIEW_TABLE && !this.hasJobs;
+  }
+
+  /**
+   * Check if the schedule calendar is shown
+   * @returns {Boolean} True when the calendar view is selected
+   */
+  get isCalendarView() {
+    return this.viewMode === VIEW_CALENDAR;
+  }
+
+  /**
+   * Get the options of the table and calendar toggle
+   * @returns {Array} View options
+   */
+  get viewOptions() {
+    return [
+      { label: "Table", value: VIEW_TABLE },
+      { label: "Calendar", value: VIEW_CALENDAR },
+    ];
+  }
+
+  /**
+   * Get the weekday headings of the calendar
+   * @returns {Array} Weekday names from Sunday
+   */
+  get weekdayNames() {
+    return WEEKDAY_NAMES;
+  }
+
+  /**
+   * Check if any run in the calendar has a conflict
+   * @returns {Boolean} True if there are conflicts
+   */
+  get hasCalendarConflicts() {
+    return this.calendarConflicts.length > 0;
+  }
+
+  /**
+   * Get the conflict summary shown above the calendar
+   * @returns {String} Number of flagged runs by kind of conflict
+   */
+  get calendarConflictMessage() {
+    const summary = this.conflictSummary;
+    if (!summary || !summary.total) {
+      return `No conflicts in the next ${DEFAULT_CALENDAR_DAYS} days`;
+    }
+    return `${summary.total} runs with conflicts • ${summary.sameObject} overlap on the same object • ${summary.batchLimit} over the batch limit • ${summary.archiveWindow} in the log archive window`;
+  }
+
   /**
    * Check if pagination is needed
    * @returns {Boolean} True if pagination is needed
@@ -515,17 +753,23 @@ export default class DuplicationManagerJobs extends LightningElement {
 
   /**
    * Handle merge selected button click - shows confirmation dialog
+   * @param {Event} event - Click event, data-mode="background" merges in a server job
    */
-  handleMergeSelectedButton() {
+  handleMergeSelectedButton(event) {
     // Store merge information for confirmation
     this.pendingMergeGroups = this.dryRunDuplicateGroups;
+    this.pendingMergeInBackground =
+      !!event &&
+      !!event.currentTarget &&
+      event.currentTarget.dataset.mode === "background";
 
     // Fire event to show confirmation dialog instead of using confirm()
     const confirmEvent = new CustomEvent("confirmmerge", {
       detail: {
         title: "Confirm Merge Operation",
-        message:
-          "WARNING: This will merge the selected duplicate records. This action cannot be undone. Continue?",
+        message: this.pendingMergeInBackground
+          ? "WARNING: This will merge the selected duplicate records in a background job. This action cannot be undone. Continue?"
+          : "WARNING: This will merge the selected duplicate records. This action cannot be undone. Continue?",
         callback: this.processMergeAfterConfirmation.bind(this),
       },
     });
@@ -545,6 +789,12 @@ export default class DuplicationManagerJobs extends LightningElement {
     const groupsToMerge = this.pendingMergeGroups;
     this.pendingMergeGroups = null;
 
+    if (this.pendingMergeInBackground) {
+      this.pendingMergeInBackground = false;
+      this.startBackgroundMergeJob(groupsToMerge);
+      return;
+    }
+
     this.isLoadingDryRunResults = true;
 
     // Process each group sequentially
@@ -575,6 +825,49 @@ export default class DuplicationManagerJobs extends LightningElement {
       });
   }
 
+  /**
+   * Hand the groups to a server-side merge job that is tracked in job progress
+   * @param {Array} groups - Groups to merge
+   */
+  startBackgroundMergeJob(groups) {
+    const groupIds = groups.map((group) => group.id);
+
+    this.isLoadingDryRunResults = true;
+    startBackgroundMerge({ groupIds })
+      .then((jobId) => {
+        this.showToast(
+          "Success",
+          `Background merge started for ${groupIds.length} groups. Follow its progress in Job Progress.`,
+          "success",
+        );
+
+        // Job progress follows the job like a detection job
+        sendMessage(MESSAGE_TYPES.JOB_STARTED, {
+          jobId,
+          jobType: "merge",
+          objectType: this.dryRunStats.objectApiName,
+          groupCount: groupIds.length,
+        });
+
+        this.dispatchEvent(
+          new CustomEvent("mergestarted", {
+            detail: {
+              jobId,
+              sourceJobId: this.selectedJobForResults,
+              groupCount: groupIds.length,
+            },
+          }),
+        );
+        this.closeDryRunResultsModal();
+      })
+      .catch((error) => {
+        this.handleError("Error starting background merge", error);
+      })
+      .finally(() => {
+        this.isLoadingDryRunResults = false;
+      });
+  }
+
   /**
    * Process merge groups sequentially
    * @param {Array} groups - Groups to merge
@@ -597,11 +890,14 @@ export default class DuplicationManagerJobs extends LightningElement {
       return this.processMergeGroups(groups, index + 1);
     }
 
-    // Merge the current group
+    // Merge the current group, naming it so risky groups need their approval
     return mergeDuplicateRecords({
-      masterRecordId: masterRecordId,
-      duplicateRecordIds: duplicateIds,
-      objectApiName: group.objectName,
+      request: {
+        groupId: group.id,
+        masterRecordId: masterRecordId,
+        duplicateRecordIds: duplicateIds,
+        objectApiName: group.objectName,
+      },
     })
       .then(() => {
         // Process next group
@@ -1,6 +1,6 @@
 import { LightningElement, api } from "lwc";
 import { ShowToastEvent } from "lightning/platformShowToastEvent";
-import scheduleDuplicateFinderBatch from "@salesforce/apex/DuplicateRecordController.scheduleDuplicateFinderBatch";
+import createSchedule from "@salesforce/apex/DuplicateRecordJobController.createSchedule";
 
 /**
  * Component for scheduling duplicate finder jobs
@@ -13,30 +13,10 @@ export default class duplicationManagerScheduler extends LightningElement {
   // Schedule form data
   scheduleForm = {
     jobName: "",
-    scheduleType: "daily",
-    cronExpression: "0 0 8 * * ?", // Default: Daily at 8 AM
-    hour: 8,
-    dayOfWeek: "MON",
+    cronExpression: "0 0 2 * * ?", // Default: Daily at 2 AM, set by the schedule builder
     isDryRun: true, // Default: Dry run enabled
   };
 
-  // Dropdown options
-  scheduleTypeOptions = [
-    { label: "Daily", value: "daily" },
-    { label: "Weekly", value: "weekly" },
-    { label: "Custom (Cron Expression)", value: "custom" },
-  ];
-
-  daysOfWeekOptions = [
-    { label: "Sunday", value: "SUN" },
-    { label: "Monday", value: "MON" },
-    { label: "Tuesday", value: "TUE" },
-    { label: "Wednesday", value: "WED" },
-    { label: "Thursday", value: "THU" },
-    { label: "Friday", value: "FRI" },
-    { label: "Saturday", value: "SAT" },
-  ];
-
   connectedCallback() {
     console.log("duplicationManagerScheduler component connected to DOM");
     if (this.setting) {
@@ -58,15 +38,6 @@ export default class duplicationManagerScheduler extends LightningElement {
     }
   }
 
-  handleScheduleTypeChange(event) {
-    this.scheduleForm.scheduleType = event.detail.value;
-    if (this.scheduleForm.scheduleType === "daily") {
-      this.scheduleForm.cronExpression = `0 0 ${this.scheduleForm.hour} * * ?`;
-    } else if (this.scheduleForm.scheduleType === "weekly") {
-      this.scheduleForm.cronExpression = `0 0 ${this.scheduleForm.hour} ? * ${this.scheduleForm.dayOfWeek}`;
-    }
-  }
-
   handleDryRunChange(event) {
     this.scheduleForm.isDryRun = event.target.checked;
   }
@@ -100,19 +71,19 @@ export default class duplicationManagerScheduler extends LightningElement {
       return;
     }
 
-    // Update cron expression based on schedule type
-    if (this.scheduleForm.scheduleType === "daily") {
-      this.scheduleForm.cronExpression = `0 0 ${this.scheduleForm.hour} * * ?`;
-    } else if (this.scheduleForm.scheduleType === "weekly") {
-      this.scheduleForm.cronExpression = `0 0 ${this.scheduleForm.hour} ? * ${this.scheduleForm.dayOfWeek}`;
-    } else if (!this.scheduleForm.cronExpression) {
+    // Take the cron expression from the schedule builder
+    const scheduleBuilder = this.template.querySelector(
+      "c-duplication-schedule-builder",
+    );
+    if (!scheduleBuilder.validate()) {
       this.showToast(
         "Validation Error",
-        "Cron Expression is required for custom schedules",
+        "Please fix the schedule before saving",
         "error",
       );
       return;
     }
+    this.scheduleForm.cronExpression = scheduleBuilder.cronExpression;
 
     console.log(
       "Scheduling job with cron expression:",
@@ -121,21 +92,22 @@ export default class duplicationManagerScheduler extends LightningElement {
 
     this.isLoading = true;
     try {
+      // Saved as a schedule so it can be edited, paused and resumed later
       const params = {
-        jobName: this.scheduleForm.jobName,
-        cronExp: this.scheduleForm.cronExpression,
-        settingDeveloperName: this.setting.DeveloperName,
+        scheduleName: this.scheduleForm.jobName,
+        configurationName: this.setting.DeveloperName,
+        cronExpression: this.scheduleForm.cronExpression,
         isDryRun: this.scheduleForm.isDryRun,
       };
 
-      console.log("Calling scheduleDuplicateFinderBatch with params:", params);
+      console.log("Calling createSchedule with params:", params);
 
-      scheduleDuplicateFinderBatch(params)
+      createSchedule(params)
         .then((result) => {
           console.log("Schedule job success, result:", result);
           this.dispatchEvent(
             new CustomEvent("schedule", {
-              detail: { jobId: result },
+              detail: { scheduleId: result },
             }),
           );
         })
@@ -181,16 +153,4 @@ export default class duplicationManagerScheduler extends LightningElement {
     console.error(errorMessage);
     this.showToast("Error", errorMessage, "error");
   }
-
-  get showCustomCron() {
-    return this.scheduleForm.scheduleType === "custom";
-  }
-
-  get isDaily() {
-    return this.scheduleForm.scheduleType === "daily";
-  }
-
-  get isWeekly() {
-    return this.scheduleForm.scheduleType === "weekly";
-  }
 }
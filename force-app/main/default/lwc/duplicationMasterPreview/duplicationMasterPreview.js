@@ -363,6 +363,35 @@ export default class DuplicationMasterPreview extends LightningElement {
 
     // Generate field infos for display
     this.generateFieldInfos();
+
+    // Let the parent pick up the previewed values for the merge request
+    this.dispatchEvent(
+      new CustomEvent("selectionchange", {
+        detail: {
+          selections: this.getSelections(),
+        },
+      }),
+    );
+  }
+
+  /**
+   * @api
+   * @description Get the record each previewed field value comes from, in the
+   * shape accepted as fieldSelections by DuplicateRecordController.mergeDuplicateRecords
+   * @returns {Object} Map of field to source record ID
+   */
+  @api
+  getSelections() {
+    const selections = {};
+
+    Object.keys(this.masterRecordPreview || {}).forEach((field) => {
+      const previewValue = this.masterRecordPreview[field];
+      if (previewValue && previewValue.sourceRecordId) {
+        selections[field] = previewValue.sourceRecordId;
+      }
+    });
+
+    return selections;
   }
 
   /**
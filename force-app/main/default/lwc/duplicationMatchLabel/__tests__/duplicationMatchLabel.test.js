@@ -0,0 +1,75 @@
+import { createElement } from "lwc";
+import DuplicationMatchLabel from "c/duplicationMatchLabel";
+import saveMatchLabel from "@salesforce/apex/MatchQualityController.saveMatchLabel";
+import flushPromises from "../../../../../../jest-utils/flushPromises";
+
+jest.mock(
+  "@salesforce/apex/MatchQualityController.saveMatchLabel",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+
+const createLabel = (value) => {
+  const element = createElement("c-duplication-match-label", {
+    is: DuplicationMatchLabel,
+  });
+  element.groupId = "a01000000000001";
+  element.value = value;
+  document.body.appendChild(element);
+  return element;
+};
+
+const getButton = (element, label) =>
+  [...element.shadowRoot.querySelectorAll("lightning-button")].find(
+    (button) => button.label === label,
+  );
+
+describe("c-duplication-match-label", () => {
+  afterEach(() => {
+    // The jsdom instance is shared across test cases in a single file so reset the DOM
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+  });
+
+  it("highlights the current label", () => {
+    const element = createLabel("Not Duplicate");
+
+    expect(getButton(element, "Not Duplicate").variant).toBe("destructive");
+    expect(getButton(element, "True Duplicate").variant).toBe("neutral");
+  });
+
+  it("saves a new label and notifies the parent", async () => {
+    saveMatchLabel.mockResolvedValue({
+      groupId: "a01000000000001",
+      label: "True Duplicate",
+    });
+
+    const element = createLabel(null);
+    const changeHandler = jest.fn();
+    element.addEventListener("labelchange", changeHandler);
+
+    getButton(element, "True Duplicate").click();
+    await flushPromises();
+
+    expect(saveMatchLabel).toHaveBeenCalledWith({
+      groupId: "a01000000000001",
+      label: "True Duplicate",
+    });
+    expect(changeHandler.mock.calls[0][0].detail).toEqual({
+      groupId: "a01000000000001",
+      label: "True Duplicate",
+    });
+    expect(getButton(element, "True Duplicate").variant).toBe("success");
+  });
+
+  it("doesn't save the label the group already has", async () => {
+    const element = createLabel("Unsure");
+
+    getButton(element, "Unsure").click();
+    await flushPromises();
+
+    expect(saveMatchLabel).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,136 @@
+import { LightningElement, api } from "lwc";
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import saveMatchLabel from "@salesforce/apex/MatchQualityController.saveMatchLabel";
+
+/**
+ * Labels stored on MatchQualityLabel__c.Label__c
+ */
+const MATCH_LABELS = {
+  TRUE_DUPLICATE: "True Duplicate",
+  NOT_DUPLICATE: "Not Duplicate",
+  UNSURE: "Unsure",
+};
+
+const LABEL_OPTIONS = [
+  {
+    value: MATCH_LABELS.TRUE_DUPLICATE,
+    iconName: "utility:like",
+    selectedVariant: "success",
+  },
+  {
+    value: MATCH_LABELS.NOT_DUPLICATE,
+    iconName: "utility:dislike",
+    selectedVariant: "destructive",
+  },
+  {
+    value: MATCH_LABELS.UNSURE,
+    iconName: "utility:question",
+    selectedVariant: "brand",
+  },
+];
+
+/**
+ * Buttons for reviewers to label a duplicate group so match precision and
+ * recall can be measured
+ * @component
+ */
+export default class DuplicationMatchLabel extends LightningElement {
+  /**
+   * ID of the DuplicateGroupDetail__c record to label
+   */
+  @api groupId;
+
+  _value;
+  isSaving = false;
+
+  /**
+   * Current label of the group
+   */
+  @api
+  get value() {
+    return this._value;
+  }
+  set value(label) {
+    this._value = label;
+  }
+
+  /**
+   * Save the clicked label for the group
+   * @param {Event} event - Click event from a label button
+   */
+  handleLabelClick(event) {
+    const label = event.currentTarget.dataset.label;
+    if (label === this._value) {
+      return;
+    }
+
+    this.isSaving = true;
+    saveMatchLabel({ groupId: this.groupId, label })
+      .then((result) => {
+        this._value = result.label;
+        this.dispatchEvent(
+          new CustomEvent("labelchange", {
+            detail: { groupId: this.groupId, label: result.label },
+          }),
+        );
+      })
+      .catch((error) => {
+        this.handleError("Error saving label", error);
+      })
+      .finally(() => {
+        this.isSaving = false;
+      });
+  }
+
+  /**
+   * Label buttons with the selected one highlighted
+   */
+  get labelButtons() {
+    return LABEL_OPTIONS.map((option) => ({
+      ...option,
+      label: option.value,
+      variant:
+        option.value === this._value ? option.selectedVariant : "neutral",
+    }));
+  }
+
+  get isDisabled() {
+    return !this.groupId || this.isSaving;
+  }
+
+  /**
+   * Show toast notification
+   * @param {String} title - Toast title
+   * @param {String} message - Toast message
+   * @param {String} variant - Toast variant (info, success, warning, error)
+   */
+  showToast(title, message, variant) {
+    this.dispatchEvent(
+      new ShowToastEvent({
+        title: title,
+        message: message,
+        variant: variant,
+      }),
+    );
+  }
+
+  /**
+   * Handle errors with proper messaging
+   * @param {String} baseMessage - Base error message
+   * @param {Error} error - Error object
+   */
+  handleError(baseMessage, error) {
+    let errorMessage = baseMessage;
+
+    if (error) {
+      if (error.body && error.body.message) {
+        errorMessage += ": " + error.body.message;
+      } else if (error.message) {
+        errorMessage += ": " + error.message;
+      }
+    }
+
+    console.error(errorMessage);
+    this.showToast("Error", errorMessage, "error");
+  }
+}
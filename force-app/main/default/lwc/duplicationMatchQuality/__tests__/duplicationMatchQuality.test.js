@@ -0,0 +1,98 @@
+import { createElement } from "lwc";
+import DuplicationMatchQuality from "c/duplicationMatchQuality";
+import getMatchQualityMetrics from "@salesforce/apex/MatchQualityController.getMatchQualityMetrics";
+import flushPromises from "../../../../../../jest-utils/flushPromises";
+
+jest.mock(
+  "@salesforce/apex/MatchQualityController.getMatchQualityMetrics",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+
+const MOCK_METRICS = [
+  {
+    configName: "Account_Standard",
+    objectApiName: "Account",
+    matchThreshold: 80,
+    labeledCount: 12,
+    trueDuplicates: 8,
+    notDuplicates: 3,
+    unsure: 1,
+    precision: 77.8,
+    estimatedRecall: 87.5,
+    trend: [
+      {
+        period: "2026-09",
+        labeledCount: 5,
+        precision: 75,
+        estimatedRecall: 100,
+      },
+      {
+        period: "2026-10",
+        labeledCount: 7,
+        precision: 80,
+        estimatedRecall: null,
+      },
+    ],
+  },
+];
+
+const createPanel = () => {
+  const element = createElement("c-duplication-match-quality", {
+    is: DuplicationMatchQuality,
+  });
+  document.body.appendChild(element);
+  return element;
+};
+
+describe("c-duplication-match-quality", () => {
+  afterEach(() => {
+    // The jsdom instance is shared across test cases in a single file so reset the DOM
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+  });
+
+  it("shows precision, estimated recall and the monthly trend per configuration", async () => {
+    getMatchQualityMetrics.mockResolvedValue(MOCK_METRICS);
+
+    const element = createPanel();
+    await flushPromises();
+
+    expect(getMatchQualityMetrics).toHaveBeenCalledWith({ months: 6 });
+
+    const config = element.shadowRoot.querySelector(
+      '[data-config="Account_Standard"]',
+    );
+    expect(
+      config.querySelector('[data-id="precision"]').textContent.trim(),
+    ).toBe("77.8%");
+    expect(config.querySelector('[data-id="recall"]').textContent.trim()).toBe(
+      "87.5%",
+    );
+
+    const rows = config.querySelectorAll("tbody tr");
+    expect(rows.length).toBe(2);
+    expect(rows[1].textContent).toContain("—");
+  });
+
+  it("reloads the metrics for another period", async () => {
+    getMatchQualityMetrics.mockResolvedValue([]);
+
+    const element = createPanel();
+    await flushPromises();
+
+    expect(element.shadowRoot.textContent).toContain(
+      "No groups have been labeled",
+    );
+
+    const combobox = element.shadowRoot.querySelector("lightning-combobox");
+    combobox.dispatchEvent(
+      new CustomEvent("change", { detail: { value: "12" } }),
+    );
+    await flushPromises();
+
+    expect(getMatchQualityMetrics).toHaveBeenLastCalledWith({ months: 12 });
+  });
+});
@@ -0,0 +1,123 @@
+import { LightningElement } from "lwc";
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import getMatchQualityMetrics from "@salesforce/apex/MatchQualityController.getMatchQualityMetrics";
+
+const DEFAULT_MONTHS = "6";
+
+/**
+ * Format a percentage for display
+ * @param {Number} value - Percentage or null when there were no labels to compute it from
+ * @returns {String} Formatted percentage
+ */
+const formatPercent = (value) => {
+  return value === null || value === undefined ? "—" : `${value}%`;
+};
+
+/**
+ * Quality panel showing match precision and estimated recall per
+ * configuration, computed from reviewer labels on dry-run groups
+ * @component
+ */
+export default class DuplicationMatchQuality extends LightningElement {
+  metrics = [];
+  months = DEFAULT_MONTHS;
+  isLoading = false;
+  error = null;
+
+  monthOptions = [
+    { label: "Last 3 Months", value: "3" },
+    { label: "Last 6 Months", value: "6" },
+    { label: "Last 12 Months", value: "12" },
+  ];
+
+  /**
+   * Lifecycle hook - Called when component is inserted into the DOM
+   */
+  connectedCallback() {
+    this.loadMetrics();
+  }
+
+  /**
+   * Load the quality metrics for the selected period
+   */
+  loadMetrics() {
+    this.isLoading = true;
+    this.error = null;
+
+    getMatchQualityMetrics({ months: parseInt(this.months, 10) })
+      .then((result) => {
+        this.metrics = result || [];
+      })
+      .catch((error) => {
+        this.metrics = [];
+        this.error =
+          (error.body && error.body.message) ||
+          error.message ||
+          "Error loading match quality";
+        this.showToast("Error", this.error, "error");
+      })
+      .finally(() => {
+        this.isLoading = false;
+      });
+  }
+
+  /**
+   * Handle a change of the reporting period
+   * @param {Event} event - Change event
+   */
+  handleMonthsChange(event) {
+    this.months = event.detail.value;
+    this.loadMetrics();
+  }
+
+  /**
+   * Metrics per configuration formatted for display
+   */
+  get configurations() {
+    return this.metrics.map((config) => ({
+      key: config.configName || "unknown",
+      name: config.configName || "Unknown configuration",
+      objectApiName: config.objectApiName,
+      matchThreshold:
+        config.matchThreshold !== null && config.matchThreshold !== undefined
+          ? config.matchThreshold
+          : "—",
+      labeledCount: config.labeledCount,
+      trueDuplicates: config.trueDuplicates,
+      notDuplicates: config.notDuplicates,
+      unsure: config.unsure,
+      precision: formatPercent(config.precision),
+      estimatedRecall: formatPercent(config.estimatedRecall),
+      trend: (config.trend || []).map((point) => ({
+        period: point.period,
+        labeledCount: point.labeledCount,
+        precision: formatPercent(point.precision),
+        estimatedRecall: formatPercent(point.estimatedRecall),
+      })),
+    }));
+  }
+
+  get hasMetrics() {
+    return this.metrics.length > 0;
+  }
+
+  get showEmptyState() {
+    return !this.isLoading && !this.error && !this.hasMetrics;
+  }
+
+  /**
+   * Show toast notification
+   * @param {String} title - Toast title
+   * @param {String} message - Toast message
+   * @param {String} variant - Toast variant (info, success, warning, error)
+   */
+  showToast(title, message, variant) {
+    this.dispatchEvent(
+      new ShowToastEvent({
+        title: title,
+        message: message,
+        variant: variant,
+      }),
+    );
+  }
+}
@@ -0,0 +1,178 @@
+import {
+  calculateFieldMatchScore,
+  calculateRecordMatchScore,
+  clearCustomMatchers,
+  getMatcherName,
+  levenshteinDistance,
+  registerMatcher,
+  MATCHERS,
+} from "c/duplicationMatchingEngine";
+
+// Shared with the Apex MatcherParityTest
+const fixtures = require("../../../staticresources/DuplicationMatchFixtures.json");
+
+describe("c-duplication-matching-engine", () => {
+  afterEach(() => {
+    clearCustomMatchers();
+  });
+
+  describe("parity with the Apex matchers", () => {
+    it.each(fixtures.fieldScores)(
+      "scores $fieldName: $value1 / $value2",
+      ({ fieldName, value1, value2, matcher, expected }) => {
+        expect(getMatcherName(fieldName)).toBe(matcher);
+        expect(
+          Math.abs(
+            calculateFieldMatchScore(value1, value2, fieldName) - expected,
+          ),
+        ).toBeLessThanOrEqual(fixtures.tolerance);
+      },
+    );
+
+    it.each(fixtures.matcherScores)(
+      "$matcher scores $value1 / $value2",
+      ({ matcher, value1, value2, expected }) => {
+        expect(
+          Math.abs(
+            MATCHERS[matcher].calculateMatchScore(value1, value2) - expected,
+          ),
+        ).toBeLessThanOrEqual(fixtures.tolerance);
+      },
+    );
+
+    it.each(fixtures.recordScores)(
+      "scores records like the batch: $description",
+      ({ record1, record2, fields, fieldWeights, fieldMatchers, expected }) => {
+        const result = calculateRecordMatchScore(
+          record1,
+          record2,
+          fields,
+          fieldWeights,
+          fieldMatchers,
+        );
+        expect(Math.abs(result.score - expected)).toBeLessThanOrEqual(
+          fixtures.tolerance,
+        );
+      },
+    );
+
+    it.each(fixtures.levenshtein)(
+      "measures distance between '$value1' and '$value2'",
+      ({ value1, value2, expected }) => {
+        expect(levenshteinDistance(value1, value2)).toBe(expected);
+      },
+    );
+  });
+
+  describe("calculateRecordMatchScore", () => {
+    it("weights fields and skips fields empty on both records", () => {
+      const result = calculateRecordMatchScore(
+        { Name: "Acme", Phone: "555-1234", Website: null },
+        { Name: "Acme", Phone: "555-9999" },
+        ["Name", "Phone", "Website"],
+        { Phone: 1 },
+      );
+
+      expect(result.fieldScores.map((fieldScore) => fieldScore.field)).toEqual([
+        "Name",
+        "Phone",
+      ]);
+      expect(result.fieldScores[0]).toMatchObject({
+        score: 100,
+        weight: 2,
+        matcher: "NameMatcher",
+      });
+
+      const phoneScore = result.fieldScores[1].score;
+      expect(result.score).toBeCloseTo((200 + phoneScore) / 3, 1);
+    });
+
+    it("scores a field missing on one record as zero", () => {
+      const result = calculateRecordMatchScore({ Email: "a@example.com" }, {}, [
+        "Email",
+      ]);
+
+      expect(result.score).toBe(0);
+      expect(result.fieldScores[0].score).toBe(0);
+    });
+
+    it("matches phone digits and exact emails when no matcher is configured", () => {
+      const record1 = {
+        Email: "Jane.Doe@Acme.com",
+        MobilePhone: "(555) 123-4567",
+      };
+      const samePerson = {
+        Email: "jane.doe@acme.com",
+        MobilePhone: "5551234567",
+      };
+      const otherPerson = {
+        Email: "jane.doe2@acme.com",
+        MobilePhone: "555-123-4568",
+      };
+
+      const same = calculateRecordMatchScore(record1, samePerson, [
+        "Email",
+        "MobilePhone",
+      ]);
+      const other = calculateRecordMatchScore(record1, otherPerson, [
+        "Email",
+        "MobilePhone",
+      ]);
+
+      expect(same.fieldScores.map((fieldScore) => fieldScore.matcher)).toEqual([
+        "ExactMatcher",
+        "PhoneMatcher",
+      ]);
+      expect(same.score).toBe(100);
+      expect(other.fieldScores.map((fieldScore) => fieldScore.score)).toEqual([
+        0, 0,
+      ]);
+      expect(other.score).toBe(0);
+    });
+
+    it("uses the matcher configured for a field", () => {
+      const record1 = { Description: "info@acme.com" };
+      const record2 = { Description: "info@acme.org" };
+
+      const byFieldName = calculateRecordMatchScore(record1, record2, [
+        "Description",
+      ]);
+      const configured = calculateRecordMatchScore(
+        record1,
+        record2,
+        ["Description"],
+        {},
+        { Description: "EmailMatcher" },
+      );
+
+      expect(byFieldName.fieldScores[0].matcher).toBe("GenericMatcher");
+      expect(byFieldName.score).toBeGreaterThan(0);
+      expect(configured.fieldScores[0].matcher).toBe("EmailMatcher");
+      expect(configured.score).toBe(0);
+    });
+  });
+
+  describe("registerMatcher", () => {
+    it("uses a registered matcher before the built-in dispatch", () => {
+      registerMatcher({
+        name: "PhoneMatcher",
+        canHandleField: (fieldName) =>
+          fieldName.toLowerCase().includes("phone"),
+        calculateMatchScore: (value1, value2) => {
+          const digits1 = value1.replace(/\D/g, "");
+          const digits2 = value2.replace(/\D/g, "");
+          return digits1 === digits2 ? 100 : 0;
+        },
+      });
+
+      expect(getMatcherName("Phone")).toBe("PhoneMatcher");
+      expect(
+        calculateFieldMatchScore("(555) 123-4567", "555.123.4567", "Phone"),
+      ).toBe(100);
+    });
+
+    it("rejects matchers without the matcher functions", () => {
+      expect(() => registerMatcher({ name: "Broken" })).toThrow();
+    });
+  });
+});
@@ -0,0 +1,571 @@
+/**
+ * Client-side matching engine for the Duplication Manager application
+ * Mirrors the Apex MatcherFactory, field matchers and LevenshteinCalculator so
+ * components can preview match scores without a server round trip.
+ * Keep the scoring in step with the Apex classes; the parity fixtures in the
+ * DuplicationMatchFixtures static resource are checked on both sides.
+ *
+ * @author Richard Hudson
+ * @since April 2025
+ */
+
+/**
+ * Matcher names, matching the Apex class names
+ */
+export const MATCHER_TYPES = {
+  NAME: "NameMatcher",
+  EMAIL: "EmailMatcher",
+  ADDRESS: "AddressMatcher",
+  GENERIC: "GenericMatcher",
+  PHONE: "PhoneMatcher",
+  EXACT: "ExactMatcher",
+};
+
+// Custom matchers registered at runtime, checked before the built-in dispatch
+const customMatchers = [];
+
+/**
+ * Split a string the way Apex String.split does (trailing empty strings are removed)
+ * @param {String} value - String to split
+ * @param {String} separator - Separator
+ * @returns {Array} Parts of the string
+ */
+const apexSplit = (value, separator) => {
+  const parts = value.split(separator);
+  while (parts.length > 1 && parts[parts.length - 1] === "") {
+    parts.pop();
+  }
+  return parts;
+};
+
+/**
+ * Round a score to two decimal places, like Decimal.setScale(2)
+ * @param {Number} value - Score to round
+ * @returns {Number} Rounded score
+ */
+const roundScore = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Calculate Levenshtein distance between two strings (LevenshteinCalculator.distance)
+ * @param {String} s1 - First string
+ * @param {String} s2 - Second string
+ * @returns {Number} Levenshtein distance
+ */
+export const levenshteinDistance = (s1, s2) => {
+  const a = s1 || "";
+  const b = s2 || "";
+
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  // Only the previous row of the matrix is needed
+  let previous = [];
+  for (let j = 0; j <= b.length; j++) {
+    previous.push(j);
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+      current.push(
+        Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost),
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Normalize a string for comparison (StringNormalizer.normalize)
+ * @param {String} input - String to normalize
+ * @returns {String} Lowercase string with special characters collapsed to single spaces
+ */
+export const normalizeString = (input) => {
+  if (input === null || input === undefined) {
+    return "";
+  }
+
+  return String(input)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+};
+
+/**
+ * Count parts shared by two lists, each part counted once
+ * @param {Array} parts1 - First list of parts
+ * @param {Array} parts2 - Second list of parts
+ * @returns {Number} Number of common parts
+ */
+const countCommonParts = (parts1, parts2) => {
+  const uniqueParts = new Set(parts1.map((part) => part.toLowerCase()));
+  let commonParts = 0;
+
+  parts2.forEach((part) => {
+    if (uniqueParts.has(part.toLowerCase())) {
+      commonParts++;
+      uniqueParts.delete(part.toLowerCase());
+    }
+  });
+
+  return commonParts;
+};
+
+/**
+ * Score the share of common parts between two lists (0-100)
+ * @param {Array} parts1 - First list of parts
+ * @param {Array} parts2 - Second list of parts
+ * @returns {Number} Common parts score
+ */
+const calculateCommonPartsScore = (parts1, parts2) => {
+  if (parts1.length === 0 || parts2.length === 0) {
+    return 0;
+  }
+
+  const commonParts = countCommonParts(parts1, parts2);
+  const totalParts = parts1.length + parts2.length - commonParts;
+  return totalParts > 0 ? (commonParts / totalParts) * 100 : 0;
+};
+
+/**
+ * Score two strings on length and character overlap (0-100)
+ * @param {String} s1 - First string
+ * @param {String} s2 - Second string
+ * @returns {Number} Similarity score
+ */
+const calculateStringSimilarity = (s1, s2) => {
+  const lenDiff = Math.abs(s1.length - s2.length);
+  const maxLen = Math.max(s1.length, s2.length);
+  const lengthScore = maxLen > 0 ? (1 - lenDiff / maxLen) * 100 : 100;
+
+  const chars1 = new Set(s1.split(""));
+  let commonChars = 0;
+  for (let i = 0; i < s2.length; i++) {
+    if (chars1.has(s2.charAt(i))) {
+      commonChars++;
+    }
+  }
+
+  const overlapScore = maxLen > 0 ? (commonChars / maxLen) * 100 : 0;
+
+  // Weigh overlap more heavily
+  return roundScore(lengthScore * 0.3 + overlapScore * 0.7);
+};
+
+/**
+ * Score two strings by Levenshtein distance relative to the longer one (0-100)
+ * @param {String} s1 - First string
+ * @param {String} s2 - Second string
+ * @returns {Number} Distance based score
+ */
+const calculateLevenshteinScore = (s1, s2) =>
+  100 - (100 * levenshteinDistance(s1, s2)) / Math.max(s1.length, s2.length);
+
+/**
+ * Check if a field name is handled as an email field
+ * @param {String} fieldName - Lowercase field name
+ * @returns {Boolean} True for email fields
+ */
+const isEmailField = (fieldName) => fieldName.includes("email");
+
+/**
+ * Check if a field name is handled as a name field
+ * @param {String} fieldName - Lowercase field name
+ * @returns {Boolean} True for name fields
+ */
+const isNameField = (fieldName) => fieldName.includes("name");
+
+/**
+ * Check if a field name is handled as an address field
+ * @param {String} fieldName - Lowercase field name
+ * @returns {Boolean} True for address fields
+ */
+const isAddressField = (fieldName) =>
+  ["address", "street", "city", "state", "country", "postal", "zip"].some(
+    (part) => fieldName.includes(part),
+  );
+
+/*
+ * Built-in matchers score values two ways: calculateMatchScore mirrors the
+ * Apex matcher class, and calculateFieldScore mirrors the MatcherFactory
+ * scoring for that matcher, given the lowercased, trimmed values after the
+ * exact match check.
+ */
+
+/**
+ * Generic matcher (GenericMatcher)
+ */
+const genericMatcher = {
+  name: MATCHER_TYPES.GENERIC,
+  canHandleField: () => true,
+  calculateFieldScore: (value1, value2) =>
+    calculateStringSimilarity(value1, value2),
+  calculateMatchScore: (value1, value2) => {
+    if (value1 === null || value1 === undefined) return 0;
+    if (value2 === null || value2 === undefined) return 0;
+
+    const str1 = normalizeString(value1);
+    const str2 = normalizeString(value2);
+
+    if (str1 === str2) return 100;
+    if (str1.length < 3 || str2.length < 3) return 0;
+
+    return calculateLevenshteinScore(str1, str2);
+  },
+};
+
+/**
+ * Name matcher (NameMatcher)
+ */
+const nameMatcher = {
+  name: MATCHER_TYPES.NAME,
+  canHandleField: (fieldName) => isNameField(String(fieldName).toLowerCase()),
+  calculateFieldScore: (value1, value2) => {
+    if (value1.length < 3 || value2.length < 3) return 0;
+
+    const commonPartsScore = calculateCommonPartsScore(
+      apexSplit(value1, " "),
+      apexSplit(value2, " "),
+    );
+    return (
+      calculateStringSimilarity(value1, value2) * 0.4 + commonPartsScore * 0.6
+    );
+  },
+  calculateMatchScore: (value1, value2) => {
+    if (value1 === null || value1 === undefined) return 0;
+    if (value2 === null || value2 === undefined) return 0;
+
+    const name1 = normalizeString(value1);
+    const name2 = normalizeString(value2);
+
+    if (name1 === name2) return 100;
+    if (name1.length < 3 || name2.length < 3) return 0;
+
+    const parts1 = apexSplit(name1, " ");
+    const parts2 = apexSplit(name2, " ");
+
+    let commonParts = 0;
+    parts1.forEach((part1) => {
+      if (part1.length > 1 && parts2.includes(part1)) {
+        commonParts++;
+      }
+    });
+    const commonPartsScore =
+      (100 * commonParts) / Math.max(parts1.length, parts2.length);
+
+    // For names, common parts weigh more heavily
+    return (
+      calculateLevenshteinScore(name1, name2) * 0.4 + commonPartsScore * 0.6
+    );
+  },
+};
+
+/**
+ * Email matcher (EmailMatcher)
+ */
+const emailMatcher = {
+  name: MATCHER_TYPES.EMAIL,
+  canHandleField: (fieldName) => isEmailField(String(fieldName).toLowerCase()),
+  calculateFieldScore: (value1, value2) => {
+    const parts1 = apexSplit(value1, "@");
+    const parts2 = apexSplit(value2, "@");
+
+    if (parts1.length !== 2 || parts2.length !== 2) {
+      return calculateStringSimilarity(value1, value2);
+    }
+    // Domain must match exactly
+    if (parts1[1] !== parts2[1]) return 0;
+
+    return calculateStringSimilarity(parts1[0], parts2[0]);
+  },
+  calculateMatchScore: (value1, value2) => {
+    if (value1 === null || value1 === undefined) return 0;
+    if (value2 === null || value2 === undefined) return 0;
+
+    const email1 = String(value1).toLowerCase().trim();
+    const email2 = String(value2).toLowerCase().trim();
+
+    if (email1 === email2) return 100;
+
+    const parts1 = apexSplit(email1, "@");
+    const parts2 = apexSplit(email2, "@");
+
+    if (parts1.length !== 2 || parts2.length !== 2) {
+      return genericMatcher.calculateMatchScore(email1, email2);
+    }
+
+    // Domain must match exactly
+    if (parts1[1] !== parts2[1]) return 0;
+
+    return calculateLevenshteinScore(parts1[0], parts2[0]);
+  },
+};
+
+/**
+ * Address matcher (AddressMatcher)
+ */
+const addressMatcher = {
+  name: MATCHER_TYPES.ADDRESS,
+  canHandleField: (fieldName) =>
+    isAddressField(String(fieldName).toLowerCase()),
+  calculateFieldScore: (value1, value2) =>
+    calculateCommonPartsScore(apexSplit(value1, " "), apexSplit(value2, " ")),
+  calculateMatchScore: (value1, value2) => {
+    if (value1 === null || value1 === undefined) return 0;
+    if (value2 === null || value2 === undefined) return 0;
+
+    const address1 = normalizeString(value1);
+    const address2 = normalizeString(value2);
+
+    if (address1 === address2) return 100;
+
+    return calculateCommonPartsScore(
+      apexSplit(address1, " "),
+      apexSplit(address2, " "),
+    );
+  },
+};
+
+/**
+ * Phone matcher (MatcherFactory phone scoring): digits only, all or nothing
+ */
+const calculatePhoneScore = (value1, value2) => {
+  if (value1 === null || value1 === undefined) return 0;
+  if (value2 === null || value2 === undefined) return 0;
+
+  const digits = (value) => String(value).replace(/[^0-9]/g, "");
+  return digits(value1) === digits(value2) ? 100 : 0;
+};
+
+const phoneMatcher = {
+  name: MATCHER_TYPES.PHONE,
+  canHandleField: (fieldName) =>
+    String(fieldName).toLowerCase().includes("phone"),
+  calculateFieldScore: calculatePhoneScore,
+  calculateMatchScore: calculatePhoneScore,
+};
+
+/**
+ * Exact matcher (MatcherFactory exact scoring): equal after normalizing, all or nothing
+ */
+const calculateExactScore = (value1, value2) => {
+  if (value1 === null || value1 === undefined) return 0;
+  if (value2 === null || value2 === undefined) return 0;
+
+  return normalizeString(value1) === normalizeString(value2) ? 100 : 0;
+};
+
+const exactMatcher = {
+  name: MATCHER_TYPES.EXACT,
+  canHandleField: () => true,
+  calculateFieldScore: calculateExactScore,
+  calculateMatchScore: calculateExactScore,
+};
+
+/**
+ * Built-in field matchers, keyed by matcher name
+ */
+export const MATCHERS = {
+  [MATCHER_TYPES.NAME]: nameMatcher,
+  [MATCHER_TYPES.EMAIL]: emailMatcher,
+  [MATCHER_TYPES.ADDRESS]: addressMatcher,
+  [MATCHER_TYPES.GENERIC]: genericMatcher,
+  [MATCHER_TYPES.PHONE]: phoneMatcher,
+  [MATCHER_TYPES.EXACT]: exactMatcher,
+};
+
+/**
+ * Register a custom matcher. Custom matchers are checked in registration
+ * order before the built-in field-type dispatch.
+ * @param {Object} matcher - Object with name, canHandleField(fieldName) and calculateMatchScore(value1, value2)
+ */
+export const registerMatcher = (matcher) => {
+  if (
+    !matcher ||
+    typeof matcher.canHandleField !== "function" ||
+    typeof matcher.calculateMatchScore !== "function"
+  ) {
+    throw new Error(
+      "Matcher must implement canHandleField and calculateMatchScore",
+    );
+  }
+  customMatchers.push(matcher);
+};
+
+/**
+ * Remove all registered custom matchers
+ */
+export const clearCustomMatchers = () => {
+  customMatchers.length = 0;
+};
+
+/**
+ * Find a registered custom matcher for a field
+ * @param {String} fieldName - API name of the field
+ * @returns {Object} Custom matcher or undefined
+ */
+const findCustomMatcher = (fieldName) =>
+  customMatchers.find((matcher) => matcher.canHandleField(fieldName));
+
+/**
+ * Get the name of the matcher used for a field (MatcherFactory dispatch order)
+ * @param {String} fieldName - API name of the field
+ * @returns {String} Matcher name
+ */
+export const getMatcherName = (fieldName) => {
+  const customMatcher = findCustomMatcher(fieldName);
+  if (customMatcher) {
+    return customMatcher.name || "CustomMatcher";
+  }
+
+  const normalizedFieldName = String(fieldName || "").toLowerCase();
+
+  if (isEmailField(normalizedFieldName)) return MATCHER_TYPES.EMAIL;
+  if (isNameField(normalizedFieldName)) return MATCHER_TYPES.NAME;
+  if (isAddressField(normalizedFieldName)) return MATCHER_TYPES.ADDRESS;
+  return MATCHER_TYPES.GENERIC;
+};
+
+/**
+ * Get the name of the matcher used to score a field between two records when
+ * none is configured (MatcherFactory.getRecordMatcherName). Phone numbers
+ * match only on equal digits and emails only when equal.
+ * @param {String} fieldName - API name of the field
+ * @returns {String} Matcher name
+ */
+export const getRecordMatcherName = (fieldName) => {
+  if (findCustomMatcher(fieldName)) {
+    return getMatcherName(fieldName);
+  }
+
+  const normalizedFieldName = String(fieldName || "").toLowerCase();
+
+  if (isEmailField(normalizedFieldName)) return MATCHER_TYPES.EXACT;
+  if (normalizedFieldName.includes("phone")) return MATCHER_TYPES.PHONE;
+  return getMatcherName(fieldName);
+};
+
+/**
+ * Calculate the match score between two field values
+ * (MatcherFactory.calculateFieldMatchScore)
+ * @param {*} value1 - First value to compare
+ * @param {*} value2 - Second value to compare
+ * @param {String} fieldName - API name of the field
+ * @param {String} [matcherName] - Configured matcher; defaults to the one picked from the field name
+ * @returns {Number} Match score (0-100)
+ */
+export const calculateFieldMatchScore = (
+  value1,
+  value2,
+  fieldName,
+  matcherName,
+) => {
+  if (value1 === null || value1 === undefined) return 0;
+  if (value2 === null || value2 === undefined) return 0;
+
+  const customMatcher = matcherName
+    ? customMatchers.find((matcher) => matcher.name === matcherName)
+    : findCustomMatcher(fieldName);
+  if (customMatcher) {
+    return customMatcher.calculateMatchScore(value1, value2);
+  }
+
+  const normalizedValue1 = String(value1).toLowerCase().trim();
+  const normalizedValue2 = String(value2).toLowerCase().trim();
+
+  if (normalizedValue1 === normalizedValue2) {
+    return 100;
+  }
+
+  // Unknown matcher names fall back to the generic matcher, like MatcherFactory
+  const matcher =
+    MATCHERS[matcherName || getMatcherName(fieldName)] || genericMatcher;
+  return matcher.calculateFieldScore(normalizedValue1, normalizedValue2);
+};
+
+/**
+ * Get the default weight for a field (DuplicateMatcherUtility.getFieldWeight)
+ * @param {String} fieldName - API name of the field
+ * @returns {Number} Field weight
+ */
+export const getDefaultFieldWeight = (fieldName) => {
+  const lowerField = String(fieldName || "").toLowerCase();
+
+  if (lowerField.includes("name")) return 2.0;
+  if (lowerField.includes("email")) return 1.8;
+  if (lowerField.includes("phone")) return 1.5;
+  if (lowerField.includes("address")) return 1.5;
+  return 1.0;
+};
+
+/**
+ * Calculate the weighted match score between two records
+ * Fields empty on both records are left out, like the Apex record scoring.
+ * @param {Object} record1 - First record
+ * @param {Object} record2 - Second record
+ * @param {Array} fields - API names of the fields to compare
+ * @param {Object} fieldWeights - Optional weights by field API name, defaults per field type
+ * @param {Object} fieldMatchers - Optional matcher names by field API name, defaults to getRecordMatcherName
+ * @returns {Object} Overall score and per-field breakdown { score, fieldScores }
+ */
+export const calculateRecordMatchScore = (
+  record1,
+  record2,
+  fields,
+  fieldWeights = {},
+  fieldMatchers = {},
+) => {
+  const fieldScores = [];
+  let totalScore = 0;
+  let maxPossibleScore = 0;
+
+  (fields || []).forEach((field) => {
+    const fieldName = String(field).trim();
+    const value1 = record1 ? record1[fieldName] : null;
+    const value2 = record2 ? record2[fieldName] : null;
+    const isEmpty1 = value1 === null || value1 === undefined;
+    const isEmpty2 = value2 === null || value2 === undefined;
+
+    const weight =
+      fieldWeights && fieldWeights[fieldName] !== undefined
+        ? Number(fieldWeights[fieldName])
+        : getDefaultFieldWeight(fieldName);
+    // Custom matchers picked from the field name come before the record defaults
+    const matcherName =
+      (fieldMatchers && fieldMatchers[fieldName]) ||
+      (findCustomMatcher(fieldName) ? null : getRecordMatcherName(fieldName));
+
+    if (isEmpty1 && isEmpty2) {
+      // Field doesn't contribute to the score
+      return;
+    }
+
+    const score =
+      isEmpty1 || isEmpty2
+        ? 0
+        : calculateFieldMatchScore(value1, value2, fieldName, matcherName);
+
+    totalScore += score * weight;
+    maxPossibleScore += 100 * weight;
+
+    fieldScores.push({
+      field: fieldName,
+      score: roundScore(score),
+      weight,
+      matcher: matcherName || getMatcherName(fieldName),
+    });
+  });
+
+  return {
+    score:
+      maxPossibleScore > 0
+        ? roundScore((totalScore / maxPossibleScore) * 100)
+        : 0,
+    fieldScores,
+  };
+};
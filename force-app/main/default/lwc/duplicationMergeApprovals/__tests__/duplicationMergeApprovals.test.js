@@ -0,0 +1,178 @@
+import { createElement } from "lwc";
+import DuplicationMergeApprovals from "c/duplicationMergeApprovals";
+import getPendingMergeApprovals from "@salesforce/apex/MergeApprovalController.getPendingMergeApprovals";
+import approveMerge from "@salesforce/apex/MergeApprovalController.approveMerge";
+import rejectMerge from "@salesforce/apex/MergeApprovalController.rejectMerge";
+import flushPromises from "../../../../../../jest-utils/flushPromises";
+
+jest.mock(
+  "@salesforce/apex/MergeApprovalController.getPendingMergeApprovals",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/MergeApprovalController.approveMerge",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/MergeApprovalController.rejectMerge",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+
+const MOCK_APPROVALS = [
+  {
+    id: "a0Y000000000001AAA",
+    name: "MA-00001",
+    groupId: "a0G000000000001AAA",
+    groupKey: "acme",
+    objectApiName: "Account",
+    masterRecordId: "001000000000001AAA",
+    duplicateRecordIds: ["001000000000002AAA"],
+    matchScore: 60,
+    recordCount: 2,
+    riskReasons: "Match score 60% is below 80%",
+    requestedBy: "Jane Reviewer",
+    requestedDate: "2026-10-01T10:00:00.000Z",
+    canDecide: true,
+  },
+  {
+    id: "a0Y000000000002AAA",
+    name: "MA-00002",
+    groupId: "a0G000000000002AAA",
+    groupKey: "globex",
+    objectApiName: "Account",
+    masterRecordId: "001000000000003AAA",
+    duplicateRecordIds: ["001000000000004AAA"],
+    matchScore: 95,
+    recordCount: 8,
+    riskReasons: "8 records exceed the limit of 5",
+    requestedBy: "Current User",
+    requestedDate: "2026-10-02T10:00:00.000Z",
+    canDecide: false,
+  },
+];
+
+const createApprovals = () => {
+  const element = createElement("c-duplication-merge-approvals", {
+    is: DuplicationMergeApprovals,
+  });
+  document.body.appendChild(element);
+  return element;
+};
+
+const getButton = (element, approvalId, action) =>
+  element.shadowRoot.querySelector(
+    `lightning-button[data-id="${approvalId}"][data-action="${action}"]`,
+  );
+
+describe("c-duplication-merge-approvals", () => {
+  afterEach(() => {
+    // The jsdom instance is shared across test cases in a single file so reset the DOM
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+  });
+
+  it("lists pending merges and blocks decisions on your own requests", async () => {
+    getPendingMergeApprovals.mockResolvedValue(MOCK_APPROVALS);
+
+    const element = createApprovals();
+    await flushPromises();
+
+    expect(element.shadowRoot.textContent).toContain(
+      "2 merges waiting for approval",
+    );
+    expect(element.shadowRoot.textContent).toContain(
+      "Match score 60% is below 80%",
+    );
+    expect(getButton(element, MOCK_APPROVALS[0].id, "approve").disabled).toBe(
+      false,
+    );
+    expect(getButton(element, MOCK_APPROVALS[1].id, "approve").disabled).toBe(
+      true,
+    );
+    expect(getButton(element, MOCK_APPROVALS[1].id, "reject").disabled).toBe(
+      true,
+    );
+  });
+
+  it("shows an empty state when nothing is waiting", async () => {
+    getPendingMergeApprovals.mockResolvedValue([]);
+
+    const element = createApprovals();
+    await flushPromises();
+
+    expect(element.shadowRoot.textContent).toContain(
+      "No merges are waiting for approval",
+    );
+  });
+
+  it("approves a merge with an optional comment and reloads the queue", async () => {
+    getPendingMergeApprovals.mockResolvedValue(MOCK_APPROVALS);
+    approveMerge.mockResolvedValue({
+      approvalId: MOCK_APPROVALS[0].id,
+      mergeLogId: "a0L000000000001AAA",
+    });
+
+    const element = createApprovals();
+    await flushPromises();
+
+    getButton(element, MOCK_APPROVALS[0].id, "approve").click();
+    await flushPromises();
+
+    const confirmButton = element.shadowRoot.querySelector(
+      'lightning-button[data-id="confirm"]',
+    );
+    expect(confirmButton.disabled).toBe(false);
+
+    getPendingMergeApprovals.mockResolvedValue([MOCK_APPROVALS[1]]);
+    confirmButton.click();
+    await flushPromises();
+
+    expect(approveMerge).toHaveBeenCalledWith({
+      approvalId: MOCK_APPROVALS[0].id,
+      comment: "",
+    });
+    expect(getPendingMergeApprovals).toHaveBeenCalledTimes(2);
+    expect(
+      element.shadowRoot.querySelector('lightning-button[data-id="confirm"]'),
+    ).toBeNull();
+  });
+
+  it("requires a comment to reject a merge", async () => {
+    getPendingMergeApprovals.mockResolvedValue(MOCK_APPROVALS);
+    rejectMerge.mockResolvedValue({
+      approvalId: MOCK_APPROVALS[0].id,
+      status: "Rejected",
+    });
+
+    const element = createApprovals();
+    await flushPromises();
+
+    getButton(element, MOCK_APPROVALS[0].id, "reject").click();
+    await flushPromises();
+
+    const confirmButton = element.shadowRoot.querySelector(
+      'lightning-button[data-id="confirm"]',
+    );
+    expect(confirmButton.disabled).toBe(true);
+
+    const textarea = element.shadowRoot.querySelector("lightning-textarea");
+    textarea.value = "Different companies";
+    textarea.dispatchEvent(new CustomEvent("change"));
+    await flushPromises();
+    expect(confirmButton.disabled).toBe(false);
+
+    confirmButton.click();
+    await flushPromises();
+
+    expect(rejectMerge).toHaveBeenCalledWith({
+      approvalId: MOCK_APPROVALS[0].id,
+      comment: "Different companies",
+    });
+    expect(approveMerge).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,219 @@
+import { LightningElement } from "lwc";
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import getPendingMergeApprovals from "@salesforce/apex/MergeApprovalController.getPendingMergeApprovals";
+import approveMerge from "@salesforce/apex/MergeApprovalController.approveMerge";
+import rejectMerge from "@salesforce/apex/MergeApprovalController.rejectMerge";
+
+const DECISION_APPROVE = "approve";
+const DECISION_REJECT = "reject";
+
+/**
+ * Approver queue for risky merges. A merge whose match score is below the
+ * configured confidence, or that combines too many records, waits here until
+ * someone other than the requester approves it (which performs the merge) or
+ * rejects it with a comment.
+ * @component
+ */
+export default class DuplicationMergeApprovals extends LightningElement {
+  approvals = [];
+  isLoading = false;
+  isSaving = false;
+  error = null;
+
+  // Decision modal state
+  showDecisionModal = false;
+  decision;
+  decisionApprovalId;
+  decisionComment = "";
+
+  /**
+   * Lifecycle hook - Called when component is inserted into the DOM
+   */
+  connectedCallback() {
+    this.loadApprovals();
+  }
+
+  /**
+   * Load the merges waiting for a decision
+   */
+  loadApprovals() {
+    this.isLoading = true;
+    this.error = null;
+
+    getPendingMergeApprovals()
+      .then((result) => {
+        this.approvals = (result || []).map((approval) => ({
+          ...approval,
+          duplicateRecordList: (approval.duplicateRecordIds || []).join(", "),
+          isDecisionDisabled: !approval.canDecide,
+        }));
+      })
+      .catch((error) => {
+        this.approvals = [];
+        this.handleError("Error loading merge approvals", error);
+        this.error =
+          (error.body && error.body.message) ||
+          error.message ||
+          "Error loading merge approvals";
+      })
+      .finally(() => {
+        this.isLoading = false;
+      });
+  }
+
+  /**
+   * Open the decision modal to approve a merge
+   * @param {Event} event - Click event from the approve button
+   */
+  handleApproveClick(event) {
+    this.openDecisionModal(DECISION_APPROVE, event.currentTarget.dataset.id);
+  }
+
+  /**
+   * Open the decision modal to reject a merge
+   * @param {Event} event - Click event from the reject button
+   */
+  handleRejectClick(event) {
+    this.openDecisionModal(DECISION_REJECT, event.currentTarget.dataset.id);
+  }
+
+  openDecisionModal(decision, approvalId) {
+    this.decision = decision;
+    this.decisionApprovalId = approvalId;
+    this.decisionComment = "";
+    this.showDecisionModal = true;
+  }
+
+  closeDecisionModal() {
+    this.showDecisionModal = false;
+    this.decision = null;
+    this.decisionApprovalId = null;
+    this.decisionComment = "";
+  }
+
+  handleCommentChange(event) {
+    this.decisionComment = event.target.value;
+  }
+
+  /**
+   * Save the decision, approving performs the merge
+   */
+  handleConfirmDecision() {
+    if (this.isConfirmDisabled) {
+      return;
+    }
+
+    const params = {
+      approvalId: this.decisionApprovalId,
+      comment: this.decisionComment,
+    };
+    const request = this.isApproveDecision
+      ? approveMerge(params)
+      : rejectMerge(params);
+
+    this.isSaving = true;
+    request
+      .then(() => {
+        this.showToast(
+          "Success",
+          this.isApproveDecision
+            ? "Merge approved and completed"
+            : "Merge rejected. The records were left as they are.",
+          "success",
+        );
+        this.closeDecisionModal();
+        this.loadApprovals();
+      })
+      .catch((error) => {
+        this.handleError(
+          this.isApproveDecision
+            ? "Error approving merge"
+            : "Error rejecting merge",
+          error,
+        );
+      })
+      .finally(() => {
+        this.isSaving = false;
+      });
+  }
+
+  get hasApprovals() {
+    return this.approvals.length > 0;
+  }
+
+  get showEmptyState() {
+    return !this.isLoading && !this.error && !this.hasApprovals;
+  }
+
+  get summaryText() {
+    const count = this.approvals.length;
+    return `${count} merge${count === 1 ? "" : "s"} waiting for approval`;
+  }
+
+  get isApproveDecision() {
+    return this.decision === DECISION_APPROVE;
+  }
+
+  get decisionTitle() {
+    return this.isApproveDecision ? "Approve Merge" : "Reject Merge";
+  }
+
+  get decisionLabel() {
+    return this.isApproveDecision ? "Approve and Merge" : "Reject";
+  }
+
+  get decisionVariant() {
+    return this.isApproveDecision ? "brand" : "destructive";
+  }
+
+  get commentLabel() {
+    return this.isApproveDecision ? "Comment (optional)" : "Reason";
+  }
+
+  get isCommentRequired() {
+    return !this.isApproveDecision;
+  }
+
+  get isConfirmDisabled() {
+    return (
+      this.isSaving ||
+      (this.isCommentRequired && !(this.decisionComment || "").trim())
+    );
+  }
+
+  /**
+   * Show toast notification
+   * @param {String} title - Toast title
+   * @param {String} message - Toast message
+   * @param {String} variant - Toast variant (info, success, warning, error)
+   */
+  showToast(title, message, variant) {
+    this.dispatchEvent(
+      new ShowToastEvent({
+        title: title,
+        message: message,
+        variant: variant,
+      }),
+    );
+  }
+
+  /**
+   * Handle errors with proper messaging
+   * @param {String} baseMessage - Base error message
+   * @param {Error} error - Error object
+   */
+  handleError(baseMessage, error) {
+    let errorMessage = baseMessage;
+
+    if (error) {
+      if (error.body && error.body.message) {
+        errorMessage += ": " + error.body.message;
+      } else if (error.message) {
+        errorMessage += ": " + error.message;
+      }
+    }
+
+    console.error(errorMessage);
+    this.showToast("Error", errorMessage, "error");
+  }
+}
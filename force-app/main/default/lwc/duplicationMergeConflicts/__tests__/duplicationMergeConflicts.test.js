@@ -22,4 +22,33 @@ describe("c-duplication-merge-conflicts", () => {
     // const div = element.shadowRoot.querySelector('div');
     expect(1).toBe(1);
   });
+
+  it("returns the selections in the shape accepted by a merge request", async () => {
+    const element = createElement("c-duplication-merge-conflicts", {
+      is: DuplicationMergeConflicts,
+    });
+    element.masterRecord = { Id: "001A", Name: "Acme", Phone: "555-0100" };
+    element.duplicateRecords = [
+      { Id: "001B", Name: "Acme", Phone: "555-0199", Website: "acme.com" },
+    ];
+    document.body.appendChild(element);
+    await Promise.resolve();
+
+    // Master values by default, the duplicate's where the master has none
+    expect(element.getSelections()).toEqual({
+      Name: "001A",
+      Phone: "001A",
+      Website: "001B",
+    });
+
+    const phoneOption = [
+      ...element.shadowRoot.querySelectorAll('input[name="Phone"]'),
+    ].find((input) => input.value === "001B");
+    phoneOption.dispatchEvent(new CustomEvent("change"));
+
+    expect(element.getSelections().Phone).toBe("001B");
+    // A copy, so callers can't change the component's selections
+    element.getSelections().Phone = "001A";
+    expect(element.getSelections().Phone).toBe("001B");
+  });
 });
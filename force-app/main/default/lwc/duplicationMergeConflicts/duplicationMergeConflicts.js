@@ -324,7 +324,8 @@ export default class DuplicationMergeConflicts extends LightningElement {
 
   /**
    * @api
-   * @description Get current field selections
+   * @description Get current field selections, to send through
+   * buildFieldSelections as the fieldSelections of a merge request
    * @returns {Object} Map of field to selected record ID
    */
   @api
@@ -1,6 +1,11 @@
 import { LightningElement, api, track, wire } from "lwc";
 import { ShowToastEvent } from "lightning/platformShowToastEvent";
 import mergeDuplicateRecords from "@salesforce/apex/DuplicateRecordController.mergeDuplicateRecords";
+import excludeDuplicateGroup from "@salesforce/apex/DuplicateExclusionController.excludeDuplicateGroup";
+import includeDuplicateGroup from "@salesforce/apex/DuplicateExclusionController.includeDuplicateGroup";
+import getMergeApprovalPolicy from "@salesforce/apex/MergeApprovalController.getMergeApprovalPolicy";
+import submitMergeForApproval from "@salesforce/apex/MergeApprovalController.submitMergeForApproval";
+import startBackgroundMerge from "@salesforce/apex/DuplicateRecordJobController.startBackgroundMerge";
 import { MessageContext } from "lightning/messageService";
 import {
   sendMessage,
@@ -8,6 +13,17 @@ import {
   unsubscribeFromChannel,
   MESSAGE_TYPES,
 } from "c/duplicationMessageService";
+import { buildFieldSelections } from "c/duplicationUtils";
+import { DUPLICATE_STATUS } from "c/duplicationConstants";
+import { wait } from "c/duplicationPollingScheduler";
+import {
+  MergeQueue,
+  loadSavedQueue,
+  QUEUE_STATUS,
+  DEFAULT_MERGE_CONCURRENCY,
+} from "c/duplicationMergeQueue";
+
+const MERGE_QUEUE_STORAGE_KEY = "duplicationMergeQueue";
 
 export default class DuplicationMergeGroups extends LightningElement {
   @api
@@ -26,9 +42,11 @@ export default class DuplicationMergeGroups extends LightningElement {
           isSelected: false,
           isProcessing: false,
           isMerged: false,
+          isPendingApproval: false,
           error: null,
         };
       });
+      this._groupsValue = this.applyApprovalPolicy(this._groupsValue);
     }
   }
 
@@ -56,6 +74,11 @@ export default class DuplicationMergeGroups extends LightningElement {
     this._configIdValue = value;
   }
   @api batchJobId;
+
+  /**
+   * Number of groups merged at the same time by a bulk merge
+   */
+  @api mergeConcurrency = DEFAULT_MERGE_CONCURRENCY;
   @track isLoading = false;
   @track error;
   @track selectedGroupIds = [];
@@ -65,6 +88,12 @@ export default class DuplicationMergeGroups extends LightningElement {
   // Store subscriptions
   subscriptions = [];
 
+  // Per-field value selections made while previewing a group, keyed by group ID
+  fieldSelectionsByGroup = {};
+
+  // Limits above which a merge needs a second person to approve it
+  approvalPolicy;
+
   // Get message context for LMS
   @wire(MessageContext)
   messageContext;
@@ -73,6 +102,75 @@ export default class DuplicationMergeGroups extends LightningElement {
   @track isMerging = false;
   @track mergeResult;
 
+  // Bulk merge queue and its latest progress
+  mergeQueue;
+  @track queueProgress;
+  isBackgroundMergeStarting = false;
+
+  /**
+   * Load the merge approval limits and flag the groups that exceed them
+   */
+  @wire(getMergeApprovalPolicy)
+  wiredApprovalPolicy({ data, error }) {
+    if (data) {
+      this.approvalPolicy = data;
+      this._groupsValue = this.applyApprovalPolicy(this.groups);
+    } else if (error) {
+      console.error("Error loading merge approval policy", error);
+    }
+  }
+
+  /**
+   * Get the reasons a group must be approved before it is merged
+   * @param {Object} group - Duplicate group
+   * @returns {Array} Reasons, empty when the group can be merged directly
+   */
+  getRiskReasons(group) {
+    const reasons = [];
+    if (!this.approvalPolicy) {
+      return reasons;
+    }
+
+    const { minMatchScore, maxRecordCount } = this.approvalPolicy;
+    if (
+      minMatchScore > 0 &&
+      group.matchScore != null &&
+      group.matchScore < minMatchScore
+    ) {
+      reasons.push(
+        `Match score ${group.matchScore}% is below ${minMatchScore}%`,
+      );
+    }
+    if (
+      maxRecordCount > 0 &&
+      group.recordCount != null &&
+      group.recordCount > maxRecordCount
+    ) {
+      reasons.push(
+        `${group.recordCount} records exceed the limit of ${maxRecordCount}`,
+      );
+    }
+    return reasons;
+  }
+
+  /**
+   * Flag the groups that need approval before they can be merged
+   * @param {Array} groups - Duplicate groups
+   * @returns {Array} Groups with requiresApproval, approvalReason and mergeLabel set
+   */
+  applyApprovalPolicy(groups) {
+    return groups.map((group) => {
+      const reasons = this.getRiskReasons(group);
+      const requiresApproval = reasons.length > 0;
+      return {
+        ...group,
+        requiresApproval,
+        approvalReason: reasons.join("; "),
+        mergeLabel: requiresApproval ? "Submit for Approval" : "Merge",
+      };
+    });
+  }
+
   /**
    * Get the groups that are selected
    */
@@ -102,6 +200,9 @@ export default class DuplicationMergeGroups extends LightningElement {
   connectedCallback() {
     // Subscribe to messages
     this.subscribeToMessages();
+
+    // Offer to resume a bulk merge interrupted by a reload
+    this.restoreMergeQueue();
   }
 
   /**
@@ -110,6 +211,11 @@ export default class DuplicationMergeGroups extends LightningElement {
   disconnectedCallback() {
     // Unsubscribe from all messages
     this.unsubscribeFromMessages();
+
+    // Keep the remaining groups saved so the bulk merge can be resumed
+    if (this.mergeQueue) {
+      this.mergeQueue.pause();
+    }
   }
 
   /**
@@ -186,9 +292,8 @@ export default class DuplicationMergeGroups extends LightningElement {
       configId: this.configId,
     });
 
-    // Use Promise-based approach for delay instead of setTimeout
     // This would be replaced with actual group loading logic
-    this.simulateDelay(1000).then(() => {
+    wait(1000).then(() => {
       this.isLoading = false;
 
       // Notify that groups are loaded
@@ -206,10 +311,47 @@ export default class DuplicationMergeGroups extends LightningElement {
   handleMergeGroupRequest(groupId) {
     const group = this.groups.find((g) => g.id === groupId);
     if (group && !group.isExcluded) {
-      this.mergeGroup(group);
+      this.mergeOrSubmitGroup(group);
     }
   }
 
+  /**
+   * Handler for the merge button of a single group
+   */
+  handleMergeClick(event) {
+    const groupId = event.currentTarget.dataset.groupId;
+    const group = this.groups.find((g) => g.id === groupId);
+    if (!group || group.isExcluded || group.isPendingApproval) {
+      return;
+    }
+
+    this.setGroupProcessingState(group.id, true);
+    this.mergeOrSubmitGroup(group)
+      .then(() => {
+        if (group.requiresApproval) {
+          this.showToast(
+            "Submitted",
+            "Merge submitted for approval by another user",
+            "success",
+          );
+        } else {
+          this.setGroupMergedState(group.id, true);
+          this.showToast("Success", "Group merged", "success");
+        }
+      })
+      .catch((error) => {
+        const errorMessage =
+          (error.body && error.body.message) ||
+          error.message ||
+          "An error occurred during merge";
+        this.setGroupErrorState(group.id, errorMessage);
+        this.showToast("Error", errorMessage, "error");
+      })
+      .finally(() => {
+        this.setGroupProcessingState(group.id, false);
+      });
+  }
+
   /**
    * Handler for group selection
    */
@@ -251,7 +393,61 @@ export default class DuplicationMergeGroups extends LightningElement {
   }
 
   /**
-   * Merge selected groups
+   * Mark a group as not a duplicate so future runs skip its records, or undo it
+   */
+  toggleGroupExclusion(event) {
+    const groupId = event.target.dataset.groupId;
+    const isExcluded = event.target.checked;
+
+    const request = isExcluded
+      ? excludeDuplicateGroup({ groupId, reason: null })
+      : includeDuplicateGroup({ groupId });
+
+    request
+      .then(() => {
+        this._groupsValue = this.groups.map((group) => {
+          if (group.id === groupId) {
+            return {
+              ...group,
+              isExcluded,
+              isSelected: isExcluded ? false : group.isSelected,
+              status: isExcluded
+                ? DUPLICATE_STATUS.IGNORED
+                : DUPLICATE_STATUS.REVIEWED,
+            };
+          }
+          return group;
+        });
+
+        if (isExcluded) {
+          this.selectedGroupIds = this.selectedGroupIds.filter(
+            (id) => id !== groupId,
+          );
+        }
+
+        this.showToast(
+          "Success",
+          isExcluded
+            ? "Group marked as not a duplicate. Future runs will skip these records."
+            : "Group is no longer excluded from future runs",
+          "success",
+        );
+      })
+      .catch((error) => {
+        // Restore the checkbox to the saved state
+        event.target.checked = !isExcluded;
+        this.showToast(
+          "Error",
+          (error.body && error.body.message) ||
+            error.message ||
+            "Error updating exclusion",
+          "error",
+        );
+      });
+  }
+
+  /**
+   * Merge selected groups through the bulk merge queue
    */
   mergeSelectedGroups() {
     if (!this.hasSelection) {
@@ -262,6 +458,28 @@ export default class DuplicationMergeGroups extends LightningElement {
       );
       return;
     }
+    if (this.isQueueActive) {
+      this.showToast(
+        "Error",
+        "Finish or cancel the current bulk merge first",
+        "error",
+      );
+      return;
+    }
+
+    // Each item keeps what is needed to merge the group, so the queue can be
+    // resumed after a reload without the group list
+    const items = this.selectedGroups
+      .filter((group) => !group.isExcluded && !group.isMerged)
+      .map((group) => ({
+        id: group.id,
+        objectApiName: this.objectApiName,
+        masterRecordId: group.masterRecordId,
+        duplicateRecordIds: group.duplicateRecordIds,
+        recordCount: group.recordCount,
+        requiresApproval: group.requiresApproval,
+        fieldSelections: this.getFieldSelections(group),
+      }));
 
     this.isMerging = true;
 
@@ -269,80 +487,364 @@ export default class DuplicationMergeGroups extends LightningElement {
     sendMessage(MESSAGE_TYPES.BULK_MERGE_STARTING, {
       objectType: this.objectApiName,
       configId: this.configId,
-      groupCount: this.selectedGroups.length,
+      groupCount: items.length,
+      concurrency: this.mergeConcurrency,
     });
 
-    // Process each selected group sequentially
-    this.processNextGroup(0);
+    this.mergeQueue = this.createMergeQueue();
+    this.mergeQueue.start(items, {
+      objectApiName: this.objectApiName,
+      configId: this.configId,
+    });
   }
 
   /**
-   * Process the next group in the queue
+   * Hand the selected groups to a server-side merge job so the merge carries
+   * on when the page is closed. Groups that need approval are left out.
    */
-  processNextGroup(index) {
-    if (index >= this.selectedGroups.length) {
-      // All groups processed
-      this.isMerging = false;
-      this.showToast("Success", "Merge operation completed", "success");
-
-      // Notify that bulk merge operation is complete
-      sendMessage(MESSAGE_TYPES.BULK_MERGE_COMPLETED, {
-        objectType: this.objectApiName,
-        configId: this.configId,
-        groupsProcessed: this.selectedGroups.length,
-        success: true,
-      });
+  mergeSelectedInBackground() {
+    const groups = this.selectedGroups.filter(
+      (group) => !group.isExcluded && !group.isMerged,
+    );
+    const mergeableGroups = groups.filter((group) => !group.requiresApproval);
+    const groupIds = mergeableGroups.map((group) => group.id);
+    const needsApprovalCount = groups.length - groupIds.length;
+
+    // The job applies the field values picked for each group, like a merge from the page
+    const fieldSelectionsByGroup = {};
+    mergeableGroups.forEach((group) => {
+      fieldSelectionsByGroup[group.id] = this.getFieldSelections(group);
+    });
 
+    if (groupIds.length === 0) {
+      this.showToast(
+        "Error",
+        needsApprovalCount > 0
+          ? "The selected groups need approval. Submit them for approval instead."
+          : "Please select at least one group to merge",
+        "error",
+      );
       return;
     }
 
-    const group = this.selectedGroups[index];
+    this.isBackgroundMergeStarting = true;
+    startBackgroundMerge({ groupIds, fieldSelectionsByGroup })
+      .then((jobId) => {
+        this._groupsValue = this.groups.map((group) => {
+          if (groupIds.includes(group.id)) {
+            return { ...group, isSelected: false, isMergingInBackground: true };
+          }
+          return group;
+        });
+        this.selectedGroupIds = this.selectedGroupIds.filter(
+          (id) => !groupIds.includes(id),
+        );
 
-    // Mark group as processing
-    this.setGroupProcessingState(group.id, true);
+        // Job progress follows the job like a detection job
+        sendMessage(MESSAGE_TYPES.JOB_STARTED, {
+          jobId,
+          jobType: "merge",
+          objectType: this.objectApiName,
+          configId: this.configId,
+          groupCount: groupIds.length,
+        });
 
-    // Notify that group merge is starting
-    sendMessage(MESSAGE_TYPES.GROUP_MERGE_STARTING, {
-      groupId: group.id,
-      objectType: this.objectApiName,
-      recordCount: group.recordCount,
-      masterRecordId: group.masterRecordId,
-    });
+        let message = `Background merge started for ${groupIds.length} group${groupIds.length === 1 ? "" : "s"}. You can leave this page while it runs.`;
+        if (needsApprovalCount > 0) {
+          message += ` ${needsApprovalCount} group${needsApprovalCount === 1 ? " needs" : "s need"} approval and ${needsApprovalCount === 1 ? "was" : "were"} left out.`;
+        }
+        this.showToast("Success", message, "success");
+      })
+      .catch((error) => {
+        this.showToast(
+          "Error",
+          (error.body && error.body.message) ||
+            error.message ||
+            "Error starting background merge",
+          "error",
+        );
+      })
+      .finally(() => {
+        this.isBackgroundMergeStarting = false;
+      });
+  }
 
-    // Process the group
-    this.mergeGroup(group)
-      .then((result) => {
-        // Mark as merged successfully
-        this.setGroupMergedState(group.id, true);
+  /**
+   * Create a bulk merge queue that reports progress for each group
+   * @returns {MergeQueue} Queue that merges or submits each group
+   */
+  createMergeQueue() {
+    return new MergeQueue({
+      storageKey: MERGE_QUEUE_STORAGE_KEY,
+      concurrency: this.mergeConcurrency,
+      processItem: (item) => this.mergeOrSubmitGroup(item),
+      onItemStart: (item) => {
+        this.setGroupProcessingState(item.id, true);
+
+        // Notify that group merge is starting
+        sendMessage(MESSAGE_TYPES.GROUP_MERGE_STARTING, {
+          groupId: item.id,
+          objectType: item.objectApiName,
+          recordCount: item.recordCount,
+          masterRecordId: item.masterRecordId,
+        });
+      },
+      onItemComplete: (item, result) => {
+        this.setGroupProcessingState(item.id, false);
+        if (!item.requiresApproval) {
+          this.setGroupMergedState(item.id, true);
+        }
 
         // Notify that group merge is complete
         sendMessage(MESSAGE_TYPES.GROUP_MERGE_COMPLETED, {
-          groupId: group.id,
-          objectType: this.objectApiName,
-          masterRecordId: group.masterRecordId,
+          groupId: item.id,
+          objectType: item.objectApiName,
+          masterRecordId: item.masterRecordId,
+          submittedForApproval: item.requiresApproval === true,
           success: true,
           result: result,
         });
-
-        // Process next group
-        this.processNextGroup(index + 1);
-      })
-      .catch((error) => {
-        // Set error state
-        const errorMessage = error.message || "An error occurred during merge";
-        this.setGroupErrorState(group.id, errorMessage);
+      },
+      onItemError: (item, errorMessage) => {
+        this.setGroupProcessingState(item.id, false);
+        this.setGroupErrorState(item.id, errorMessage);
 
         // Notify that group merge failed
         sendMessage(MESSAGE_TYPES.GROUP_MERGE_ERROR, {
-          groupId: group.id,
-          objectType: this.objectApiName,
-          masterRecordId: group.masterRecordId,
+          groupId: item.id,
+          objectType: item.objectApiName,
+          masterRecordId: item.masterRecordId,
           error: errorMessage,
         });
+      },
+      onChange: (progress) => {
+        this.queueProgress = progress;
+      },
+      onFinish: (progress) => this.handleMergeQueueFinished(progress),
+    });
+  }
+
+  /**
+   * Load a bulk merge that did not finish, it stays paused until resumed
+   */
+  restoreMergeQueue() {
+    const savedQueue = loadSavedQueue(MERGE_QUEUE_STORAGE_KEY);
+    if (!savedQueue) {
+      return;
+    }
+
+    this.mergeQueue = this.createMergeQueue();
+    this.mergeQueue.restore(savedQueue);
+  }
 
-        // Process next group
-        this.processNextGroup(index + 1);
+  /**
+   * Report the outcome once the bulk merge completes or is cancelled
+   * @param {Object} progress - Final queue progress
+   */
+  handleMergeQueueFinished(progress) {
+    this.isMerging = false;
+
+    const wasCancelled = progress.status === QUEUE_STATUS.CANCELLED;
+    if (progress.failed > 0) {
+      this.showToast(
+        "Warning",
+        `${progress.done} of ${progress.total} groups merged, ${progress.failed} failed`,
+        "warning",
+      );
+    } else if (wasCancelled) {
+      this.showToast(
+        "Cancelled",
+        `Bulk merge cancelled after ${progress.done} of ${progress.total} groups`,
+        "info",
+      );
+    } else {
+      this.showToast("Success", "Merge operation completed", "success");
+    }
+
+    // Notify that bulk merge operation is complete
+    sendMessage(MESSAGE_TYPES.BULK_MERGE_COMPLETED, {
+      objectType: this.objectApiName,
+      configId: this.configId,
+      groupsProcessed: progress.done + progress.failed,
+      groupsFailed: progress.failed,
+      groupsCancelled: progress.cancelled,
+      cancelled: wasCancelled,
+      success: progress.failed === 0 && !wasCancelled,
+    });
+  }
+
+  /**
+   * Stop starting new merges, running merges finish
+   */
+  handlePauseMerge() {
+    if (!this.mergeQueue) {
+      return;
+    }
+    this.mergeQueue.pause();
+    sendMessage(MESSAGE_TYPES.BULK_MERGE_PAUSED, {
+      objectType: this.objectApiName,
+      progress: this.queueProgress,
+    });
+  }
+
+  /**
+   * Continue a paused or interrupted bulk merge
+   */
+  handleResumeMerge() {
+    if (!this.mergeQueue) {
+      return;
+    }
+    this.isMerging = true;
+    sendMessage(MESSAGE_TYPES.BULK_MERGE_RESUMED, {
+      objectType: this.objectApiName,
+      progress: this.queueProgress,
+    });
+    this.mergeQueue.resume();
+  }
+
+  /**
+   * Drop the groups that have not started merging
+   */
+  handleCancelMerge() {
+    if (!this.mergeQueue) {
+      return;
+    }
+    sendMessage(MESSAGE_TYPES.BULK_MERGE_CANCELLED, {
+      objectType: this.objectApiName,
+      progress: this.queueProgress,
+    });
+    this.mergeQueue.cancel();
+  }
+
+  /**
+   * Hide the progress of a finished bulk merge
+   */
+  handleDismissMergeProgress() {
+    if (this.mergeQueue) {
+      this.mergeQueue.clear();
+    }
+    this.mergeQueue = null;
+    this.queueProgress = null;
+  }
+
+  get isQueueActive() {
+    return (
+      this.queueProgress != null &&
+      (this.queueProgress.status === QUEUE_STATUS.RUNNING ||
+        this.queueProgress.status === QUEUE_STATUS.PAUSED)
+    );
+  }
+
+  get isQueueRunning() {
+    return (
+      this.queueProgress != null &&
+      this.queueProgress.status === QUEUE_STATUS.RUNNING
+    );
+  }
+
+  get isQueuePaused() {
+    return (
+      this.queueProgress != null &&
+      this.queueProgress.status === QUEUE_STATUS.PAUSED
+    );
+  }
+
+  get isQueueFinished() {
+    return this.queueProgress != null && !this.isQueueActive;
+  }
+
+  get queueProgressLabel() {
+    if (!this.queueProgress) {
+      return "";
+    }
+    const { done, failed, total, processing, cancelled } = this.queueProgress;
+    let label = `${done + failed} of ${total} groups processed`;
+    if (processing > 0) {
+      label += `, ${processing} merging`;
+    }
+    if (failed > 0) {
+      label += `, ${failed} failed`;
+    }
+    if (cancelled > 0) {
+      label += `, ${cancelled} cancelled`;
+    }
+    return label;
+  }
+
+  get queueStatusText() {
+    if (this.isQueuePaused) {
+      return "Bulk merge paused. Resume to merge the remaining groups.";
+    }
+    if (this.isQueueRunning) {
+      return "Bulk merge in progress";
+    }
+    return "Bulk merge finished";
+  }
+
+  get isBulkMergeDisabled() {
+    return this.isLoading || this.isQueueActive || !this.hasSelection;
+  }
+
+  get isBackgroundMergeDisabled() {
+    return this.isBulkMergeDisabled || this.isBackgroundMergeStarting;
+  }
+
+  /**
+   * Get the field values to keep when merging a group
+   * @param {Object} group - Duplicate group or queued merge
+   * @returns {Object} Field API name to the ID of the record whose value is kept
+   */
+  getFieldSelections(group) {
+    if (group.fieldSelections) {
+      return group.fieldSelections;
+    }
+    return buildFieldSelections(
+      this.fieldSelectionsByGroup[group.id],
+      group.masterRecordId,
+    );
+  }
+
+  /**
+   * Merge a group, or submit it for approval when it exceeds the approval limits
+   * @param {Object} group - Duplicate group
+   * @returns {Promise} Resolves with the merge or submission result
+   */
+  mergeOrSubmitGroup(group) {
+    return group.requiresApproval
+      ? this.submitGroupForApproval(group)
+      : this.mergeGroup(group);
+  }
+
+  /**
+   * Submit a risky group so another user approves the merge
+   * @param {Object} group - Duplicate group
+   * @returns {Promise} Resolves with the approval request details
+   */
+  submitGroupForApproval(group) {
+    return submitMergeForApproval({
+      request: {
+        groupId: group.id,
+        masterRecordId: group.masterRecordId,
+        duplicateRecordIds: group.duplicateRecordIds,
+        fieldSelections: this.getFieldSelections(group),
+      },
+    }).then((result) => {
+      this._groupsValue = this.groups.map((g) => {
+        if (g.id === group.id) {
+          return {
+            ...g,
+            isPendingApproval: true,
+            isSelected: false,
+            mergeLabel: "Awaiting Approval",
+          };
+        }
+        return g;
       });
+      this.selectedGroupIds = this.selectedGroupIds.filter(
+        (id) => id !== group.id,
+      );
+      return result;
+    });
   }
 
   /**
@@ -368,11 +870,22 @@ export default class DuplicationMergeGroups extends LightningElement {
     );
 
     return mergeDuplicateRecords({
-      masterRecordId: group.masterRecordId,
-      duplicateRecordIds: group.duplicateRecordIds,
-      objectApiName: this.objectApiName,
+      request: {
+        groupId: group.id,
+        masterRecordId: group.masterRecordId,
+        duplicateRecordIds: group.duplicateRecordIds,
+        objectApiName: group.objectApiName || this.objectApiName,
+        fieldSelections: this.getFieldSelections(group),
+      },
     })
       .then((result) => {
+        // A merge that did not go through resolves without success
+        if (!result || result.success !== true) {
+          throw new Error(
+            (result && result.message) || "Records were not merged",
+          );
+        }
+
         // Send success message with same correlation ID
         sendMessage(
           MESSAGE_TYPES.MERGE_OPERATION,
@@ -462,6 +975,19 @@ export default class DuplicationMergeGroups extends LightningElement {
     });
   }
 
+  /**
+   * Keep the reviewer label of a group in sync after it is saved
+   */
+  handleMatchLabelChange(event) {
+    const { groupId, label } = event.detail;
+    this._groupsValue = this.groups.map((group) => {
+      if (group.id === groupId) {
+        return { ...group, matchLabel: label };
+      }
+      return group;
+    });
+  }
+
   /**
    * Open comparison modal for a group
    */
@@ -535,6 +1061,19 @@ export default class DuplicationMergeGroups extends LightningElement {
     this.groupForComparison = null;
   }
 
+  /**
+   * Remember the field values previewed for the group being compared so
+   * they are applied when the group is merged
+   */
+  handlePreviewSelectionChange(event) {
+    if (this.groupForComparison) {
+      this.fieldSelectionsByGroup = {
+        ...this.fieldSelectionsByGroup,
+        [this.groupForComparison.id]: event.detail.selections,
+      };
+    }
+  }
+
   /**
    * Open note preview modal
    */
@@ -589,31 +1128,6 @@ export default class DuplicationMergeGroups extends LightningElement {
                 <p>Match Score: ${group.matchScore}%</p>`;
   }
 
-  /**
-   * Simulate a delay using Promises instead of setTimeout
-   * @param {Number} ms - Number of milliseconds to delay
-   * @returns {Promise} A promise that resolves after the specified delay
-   */
-  simulateDelay(ms) {
-    const startTime = Date.now();
-
-    return new Promise((resolve) => {
-      // Function to check if enough time has elapsed
-      const checkElapsed = () => {
-        const elapsed = Date.now() - startTime;
-        if (elapsed >= ms) {
-          resolve();
-        } else {
-          // Not enough time has passed, check again in the next microtask
-          Promise.resolve().then(checkElapsed);
-        }
-      };
-
-      // Start checking
-      Promise.resolve().then(checkElapsed);
-    });
-  }
-
   /**
    * Show toast notification
    */
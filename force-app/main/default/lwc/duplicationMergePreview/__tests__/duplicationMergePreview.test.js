@@ -0,0 +1,123 @@
+import { createElement } from "lwc";
+import DuplicationMergePreview from "c/duplicationMergePreview";
+import mergeDuplicateRecords from "@salesforce/apex/DuplicateRecordController.mergeDuplicateRecords";
+import { subscribeToChannel } from "c/duplicationMessageService";
+import flushPromises from "../../../../../../jest-utils/flushPromises";
+
+jest.mock(
+  "@salesforce/apex/DuplicateRecordController.mergeDuplicateRecords",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+
+jest.mock("c/duplicationMessageService", () => {
+  return {
+    subscribeToChannel: jest.fn(() => "subscription-id"),
+    unsubscribeFromChannel: jest.fn(),
+    sendMessage: jest.fn(),
+    MESSAGE_TYPES: {
+      MERGE_PREVIEW: "merge.preview",
+      DUPLICATES_MERGED: "duplicates.merged",
+      VIEW_CHANGE: "view.change",
+    },
+  };
+});
+
+const MASTER_ID = "001000000000001AAA";
+const DUPLICATE_ID = "001000000000002AAA";
+
+const PREVIEW_MESSAGE = {
+  type: "merge.preview",
+  payload: {
+    request: {
+      masterId: MASTER_ID,
+      duplicateIds: [DUPLICATE_ID],
+      objectApiName: "Account",
+      fieldSelections: { Website: DUPLICATE_ID, Industry: MASTER_ID },
+    },
+    previewData: {
+      fieldData: [],
+      conflicts: [
+        {
+          field: "Phone",
+          fieldLabel: "Phone",
+          masterValue: "555-0100",
+          dupValue: "555-0199",
+          dupRecordId: DUPLICATE_ID,
+        },
+        {
+          field: "Rating",
+          fieldLabel: "Rating",
+          masterValue: "Hot",
+          dupValue: "Cold",
+          dupRecordId: DUPLICATE_ID,
+        },
+      ],
+      nonMergeableData: [],
+      noteContents: "Data preserved from merged records",
+    },
+  },
+};
+
+const createPreview = async () => {
+  const element = createElement("c-duplication-merge-preview", {
+    is: DuplicationMergePreview,
+  });
+  document.body.appendChild(element);
+  const handleMessage = subscribeToChannel.mock.calls[0][0];
+  handleMessage(PREVIEW_MESSAGE);
+  await flushPromises();
+  return element;
+};
+
+const getButton = (element, label) =>
+  [...element.shadowRoot.querySelectorAll("lightning-button")].find(
+    (button) => button.label === label,
+  );
+
+describe("c-duplication-merge-preview", () => {
+  beforeEach(() => {
+    mergeDuplicateRecords.mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    // The jsdom instance is shared across test cases in a single file so reset the DOM
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+  });
+
+  it("merges with the values chosen to preview when no conflict is resolved", async () => {
+    const element = await createPreview();
+
+    getButton(element, "Confirm Merge").click();
+    await flushPromises();
+
+    const request = mergeDuplicateRecords.mock.calls[0][0].request;
+    expect(request.masterRecordId).toBe(MASTER_ID);
+    expect(request.fieldSelections).toEqual({ Website: DUPLICATE_ID });
+  });
+
+  it("merges with the values chosen on the Conflicts tab", async () => {
+    const element = await createPreview();
+
+    const conflictResolver = element.shadowRoot.querySelector(
+      "c-duplication-merge-conflicts",
+    );
+    const phoneOption = [
+      ...conflictResolver.shadowRoot.querySelectorAll('input[name="Phone"]'),
+    ].find((input) => input.value === DUPLICATE_ID);
+    phoneOption.dispatchEvent(new CustomEvent("change"));
+    await flushPromises();
+
+    getButton(element, "Confirm Merge").click();
+    await flushPromises();
+
+    const request = mergeDuplicateRecords.mock.calls[0][0].request;
+    expect(request.fieldSelections).toEqual({
+      Website: DUPLICATE_ID,
+      Phone: DUPLICATE_ID,
+    });
+  });
+});
@@ -12,7 +12,7 @@ import {
   ERROR_CATEGORIES,
 } from "c/duplicationErrorHandler";
 import mergeDuplicateRecords from "@salesforce/apex/DuplicateRecordController.mergeDuplicateRecords";
-import createNote from "@salesforce/apex/DRCNote.createNote";
+import { buildFieldSelections } from "c/duplicationUtils";
 
 export default class DuplicationMergePreview extends LightningElement {
   @api recordId;
@@ -79,29 +79,36 @@ export default class DuplicationMergePreview extends LightningElement {
     this.isLoading = true;
     this.error = null;
 
-    // Execute merge with Apex
+    // Values chosen on the Conflicts tab win over the ones chosen to preview
+    const conflictResolver = this.template.querySelector(
+      "c-duplication-merge-conflicts",
+    );
+    const selections = {
+      ...this.mergeRequest.fieldSelections,
+      ...(conflictResolver ? conflictResolver.getSelections() : {}),
+    };
+
+    // Execute merge with Apex, keeping the values chosen in the preview
     mergeDuplicateRecords({
-      masterRecordId: this.mergeRequest.masterId,
-      duplicateRecordIds: this.mergeRequest.duplicateIds,
-      objectApiName: this.mergeRequest.objectApiName,
+      request: {
+        masterRecordId: this.mergeRequest.masterId,
+        duplicateRecordIds: this.mergeRequest.duplicateIds,
+        objectApiName: this.mergeRequest.objectApiName,
+        fieldSelections: buildFieldSelections(
+          selections,
+          this.mergeRequest.masterId,
+        ),
+        // Created in the merge transaction, so a failed note stops the merge
+        note: this.buildPreservedDataNote(),
+      },
     })
       .then((result) => {
-        if (result.success) {
-          // Create note with preserved data if needed
-          if (
-            this.previewData.nonMergeableData &&
-            this.previewData.nonMergeableData.length > 0
-          ) {
-            return this.createNoteWithPreservedData();
-          }
-          return { success: true };
+        if (!result.success) {
+          throw new Error(
+            "Merge operation failed: " + (result.message || "Unknown error"),
+          );
         }
-        throw new Error(
-          "Merge operation failed: " +
-            (result.errors ? result.errors.join(", ") : "Unknown error"),
-        );
-      })
-      .then(() => {
+
         // Show success message
         this.showToast("Success", "Records merged successfully", "success");
 
@@ -138,9 +145,20 @@ export default class DuplicationMergePreview extends LightningElement {
   }
 
   /**
-   * Create note with preserved data
+   * Build the note request that preserves data from the merged records
+   * @returns {Object|null} Note request, or null when nothing needs preserving
    */
-  createNoteWithPreservedData() {
+  buildPreservedDataNote() {
+    const hasConflicts =
+      this.previewData.conflicts && this.previewData.conflicts.length > 0;
+    const hasNonMergeableData =
+      this.previewData.nonMergeableData &&
+      this.previewData.nonMergeableData.length > 0;
+
+    if (!hasConflicts && !hasNonMergeableData) {
+      return null;
+    }
+
     // Format preserved data for note contents
     const noteTitle =
       "Data preserved from merged records - " + new Date().toLocaleString();
@@ -150,7 +168,7 @@ export default class DuplicationMergePreview extends LightningElement {
       "The following data could not be automatically merged and has been preserved in this note:\n\n";
 
     // Add any conflicting data that was not chosen for the master record
-    if (this.previewData.conflicts && this.previewData.conflicts.length > 0) {
+    if (hasConflicts) {
       noteBody += "== CONFLICTING VALUES ==\n";
       this.previewData.conflicts.forEach((conflict) => {
         noteBody += `${conflict.fieldLabel}: ${conflict.dupValue} (from duplicate record)\n`;
@@ -159,10 +177,7 @@ export default class DuplicationMergePreview extends LightningElement {
     }
 
     // Add non-mergeable data (like related records, etc.)
-    if (
-      this.previewData.nonMergeableData &&
-      this.previewData.nonMergeableData.length > 0
-    ) {
+    if (hasNonMergeableData) {
       noteBody += "== NON-MERGEABLE DATA ==\n";
       this.previewData.nonMergeableData.forEach((data) => {
         noteBody += `${data.fieldLabel}: ${data.value}\n`;
@@ -172,11 +187,12 @@ export default class DuplicationMergePreview extends LightningElement {
     // If there's a custom note content provided, use it instead
     const finalNoteBody = this.previewData.noteContents || noteBody;
 
-    return createNote({
-      parentId: this.mergeRequest.masterId,
+    return {
       title: noteTitle,
       body: finalNoteBody,
-    });
+      format: "Note",
+      required: true,
+    };
   }
 
   /**
@@ -294,6 +310,41 @@ export default class DuplicationMergePreview extends LightningElement {
       : [];
   }
 
+  /**
+   * Master record holding the master value of each conflicting field,
+   * for choosing between the values on the Conflicts tab
+   */
+  get conflictMasterRecord() {
+    const record = {
+      Id: this.mergeRequest ? this.mergeRequest.masterId : null,
+    };
+    this.conflicts.forEach((conflict) => {
+      record[conflict.field] = conflict.masterValue;
+    });
+    return record;
+  }
+
+  /**
+   * Duplicate records holding their conflicting field values
+   */
+  get conflictDuplicateRecords() {
+    const recordsById = {};
+    this.conflicts.forEach((conflict) => {
+      if (!recordsById[conflict.dupRecordId]) {
+        recordsById[conflict.dupRecordId] = { Id: conflict.dupRecordId };
+      }
+      recordsById[conflict.dupRecordId][conflict.field] = conflict.dupValue;
+    });
+    return Object.values(recordsById);
+  }
+
+  /**
+   * API names of the conflicting fields
+   */
+  get conflictFields() {
+    return [...new Set(this.conflicts.map((conflict) => conflict.field))];
+  }
+
   /**
    * Get non-mergeable data for display
    */
@@ -0,0 +1,161 @@
+import {
+  MergeQueue,
+  loadSavedQueue,
+  QUEUE_STATUS,
+  ITEM_STATUS,
+} from "c/duplicationMergeQueue";
+import flushPromises from "../../../../../../jest-utils/flushPromises";
+
+const STORAGE_KEY = "duplicationMergeQueueTest";
+
+const buildItems = (count) =>
+  Array.from({ length: count }, (value, index) => ({
+    id: `group-${index + 1}`,
+    masterRecordId: `001-master-${index + 1}`,
+  }));
+
+/**
+ * processItem mock whose merges only settle when the test resolves them
+ */
+const createDeferredProcessor = () => {
+  const pending = {};
+  const processItem = jest.fn(
+    (item) =>
+      new Promise((resolve, reject) => {
+        pending[item.id] = { resolve, reject };
+      }),
+  );
+  return { processItem, pending };
+};
+
+describe("c-duplication-merge-queue", () => {
+  afterEach(() => {
+    localStorage.clear();
+    jest.clearAllMocks();
+  });
+
+  it("runs no more merges at once than the concurrency limit", async () => {
+    const { processItem, pending } = createDeferredProcessor();
+    const onFinish = jest.fn();
+    const queue = new MergeQueue({
+      storageKey: STORAGE_KEY,
+      concurrency: 2,
+      processItem,
+      onFinish,
+    });
+
+    queue.start(buildItems(5));
+    await flushPromises();
+    expect(processItem).toHaveBeenCalledTimes(2);
+    expect(queue.progress.processing).toBe(2);
+
+    pending["group-1"].resolve({ success: true });
+    await flushPromises();
+    expect(processItem).toHaveBeenCalledTimes(3);
+
+    pending["group-2"].reject({ body: { message: "Record locked" } });
+    pending["group-3"].resolve({ success: true });
+    await flushPromises();
+    pending["group-4"].resolve({ success: true });
+    pending["group-5"].resolve({ success: true });
+    await flushPromises();
+
+    expect(queue.status).toBe(QUEUE_STATUS.COMPLETED);
+    expect(queue.items[1].status).toBe(ITEM_STATUS.ERROR);
+    expect(queue.items[1].error).toBe("Record locked");
+    expect(onFinish).toHaveBeenCalledWith(
+      expect.objectContaining({ total: 5, done: 4, failed: 1 }),
+    );
+    expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+  });
+
+  it("starts no new merges while paused", async () => {
+    const { processItem, pending } = createDeferredProcessor();
+    const queue = new MergeQueue({
+      storageKey: STORAGE_KEY,
+      concurrency: 1,
+      processItem,
+    });
+
+    queue.start(buildItems(3));
+    await flushPromises();
+    queue.pause();
+    pending["group-1"].resolve({ success: true });
+    await flushPromises();
+
+    expect(processItem).toHaveBeenCalledTimes(1);
+    expect(queue.status).toBe(QUEUE_STATUS.PAUSED);
+    expect(queue.progress).toEqual(
+      expect.objectContaining({ done: 1, queued: 2 }),
+    );
+
+    queue.resume();
+    await flushPromises();
+    expect(processItem).toHaveBeenCalledTimes(2);
+  });
+
+  it("cancels the groups that have not started", async () => {
+    const { processItem, pending } = createDeferredProcessor();
+    const onFinish = jest.fn();
+    const queue = new MergeQueue({
+      storageKey: STORAGE_KEY,
+      concurrency: 1,
+      processItem,
+      onFinish,
+    });
+
+    queue.start(buildItems(3));
+    await flushPromises();
+    queue.cancel();
+    expect(onFinish).not.toHaveBeenCalled();
+
+    pending["group-1"].resolve({ success: true });
+    await flushPromises();
+
+    expect(processItem).toHaveBeenCalledTimes(1);
+    expect(queue.status).toBe(QUEUE_STATUS.CANCELLED);
+    expect(onFinish).toHaveBeenCalledWith(
+      expect.objectContaining({ done: 1, cancelled: 2 }),
+    );
+    expect(loadSavedQueue(STORAGE_KEY)).toBeNull();
+  });
+
+  it("resumes a saved queue after a reload", async () => {
+    const first = createDeferredProcessor();
+    const queue = new MergeQueue({
+      storageKey: STORAGE_KEY,
+      concurrency: 1,
+      processItem: first.processItem,
+    });
+    queue.start(buildItems(3), { objectApiName: "Account" });
+    await flushPromises();
+    first.pending["group-1"].resolve({ success: true });
+    await flushPromises();
+
+    // group-2 was running when the page closed
+    const saved = loadSavedQueue(STORAGE_KEY);
+    expect(saved.context).toEqual({ objectApiName: "Account" });
+
+    const processItem = jest.fn().mockResolvedValue({ success: true });
+    const restored = new MergeQueue({
+      storageKey: STORAGE_KEY,
+      concurrency: 2,
+      processItem,
+    });
+    restored.restore(saved);
+    expect(restored.status).toBe(QUEUE_STATUS.PAUSED);
+    expect(restored.progress).toEqual(
+      expect.objectContaining({ done: 1, queued: 2, processing: 0 }),
+    );
+
+    restored.resume();
+    await flushPromises();
+
+    expect(processItem.mock.calls.map(([item]) => item.id)).toEqual([
+      "group-2",
+      "group-3",
+    ]);
+    expect(restored.status).toBe(QUEUE_STATUS.COMPLETED);
+    expect(loadSavedQueue(STORAGE_KEY)).toBeNull();
+  });
+});
@@ -0,0 +1,345 @@
+/**
+ * Bulk merge queue for the Duplication Manager application.
+ * Runs a limited number of merges at the same time and saves its progress to
+ * localStorage after every change, so a bulk merge interrupted by a reload can
+ * be resumed. The queue does not know how a group is merged, the owner passes
+ * a processItem function that returns a promise.
+ *
+ * @author Richard Hudson
+ * @since May 2025
+ */
+
+import { isLocalStorageAvailable } from "c/duplicationUtils";
+
+export const DEFAULT_MERGE_CONCURRENCY = 3;
+
+export const QUEUE_STATUS = {
+  RUNNING: "running",
+  PAUSED: "paused",
+  CANCELLED: "cancelled",
+  COMPLETED: "completed",
+};
+
+export const ITEM_STATUS = {
+  QUEUED: "queued",
+  PROCESSING: "processing",
+  DONE: "done",
+  ERROR: "error",
+  CANCELLED: "cancelled",
+};
+
+/**
+ * Read a saved queue that did not finish
+ * @param {String} storageKey - localStorage key the queue was saved under
+ * @returns {Object|null} Saved queue state, or null when there is nothing to resume
+ */
+export const loadSavedQueue = (storageKey) => {
+  if (!isLocalStorageAvailable()) {
+    return null;
+  }
+
+  try {
+    const saved = localStorage.getItem(storageKey);
+    const state = saved ? JSON.parse(saved) : null;
+    if (!state || !Array.isArray(state.items)) {
+      return null;
+    }
+    return state.status === QUEUE_STATUS.RUNNING ||
+      state.status === QUEUE_STATUS.PAUSED
+      ? state
+      : null;
+  } catch (error) {
+    console.error("Error loading merge queue from localStorage:", error);
+    return null;
+  }
+};
+
+export class MergeQueue {
+  _state = null;
+  _activeCount = 0;
+
+  /**
+   * @param {Object} options
+   * @param {String} options.storageKey - localStorage key to save progress under
+   * @param {Number} options.concurrency - Number of merges to run at the same time
+   * @param {Function} options.processItem - Function(item) returning a promise that merges one group
+   * @param {Function} options.onItemStart - Called with the item when its merge starts
+   * @param {Function} options.onItemComplete - Called with the item and result when its merge succeeds
+   * @param {Function} options.onItemError - Called with the item and error when its merge fails
+   * @param {Function} options.onChange - Called with the progress after every change
+   * @param {Function} options.onFinish - Called with the progress once the queue completes or is cancelled
+   */
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || "duplicationMergeQueue";
+    this.concurrency = Math.max(
+      1,
+      parseInt(options.concurrency, 10) || DEFAULT_MERGE_CONCURRENCY,
+    );
+    this.processItem = options.processItem;
+    this.onItemStart = options.onItemStart || (() => {});
+    this.onItemComplete = options.onItemComplete || (() => {});
+    this.onItemError = options.onItemError || (() => {});
+    this.onChange = options.onChange || (() => {});
+    this.onFinish = options.onFinish || (() => {});
+  }
+
+  /**
+   * Start merging a new set of groups
+   * @param {Array} items - Objects with an id and whatever processItem needs to merge the group
+   * @param {Object} context - Extra details saved with the queue, e.g. the object being merged
+   */
+  start(items, context = {}) {
+    this._state = {
+      id: `merge-${Date.now()}`,
+      status: QUEUE_STATUS.RUNNING,
+      context,
+      startedAt: new Date().toISOString(),
+      items: items.map((item) => ({
+        ...item,
+        status: ITEM_STATUS.QUEUED,
+        error: null,
+      })),
+    };
+    this._changed();
+    this._fill();
+  }
+
+  /**
+   * Load a saved queue so it can be resumed. It stays paused until resume is called.
+   * A merge that was running when the page closed is queued again, if it had
+   * already finished on the server the retry fails and is reported as an error.
+   * @param {Object} state - Queue state returned by loadSavedQueue
+   */
+  restore(state) {
+    this._state = {
+      ...state,
+      status: QUEUE_STATUS.PAUSED,
+      items: state.items.map((item) => {
+        if (item.status === ITEM_STATUS.PROCESSING) {
+          return { ...item, status: ITEM_STATUS.QUEUED };
+        }
+        return item;
+      }),
+    };
+    this._changed();
+  }
+
+  /**
+   * Stop starting new merges, the merges already running are allowed to finish
+   */
+  pause() {
+    if (this.status !== QUEUE_STATUS.RUNNING) {
+      return;
+    }
+    this._state.status = QUEUE_STATUS.PAUSED;
+    this._changed();
+  }
+
+  /**
+   * Continue a paused or restored queue
+   */
+  resume() {
+    if (this.status !== QUEUE_STATUS.PAUSED) {
+      return;
+    }
+    this._state.status = QUEUE_STATUS.RUNNING;
+    this._changed();
+    this._fill();
+    this._checkFinished();
+  }
+
+  /**
+   * Drop the groups that have not started, the merges already running are allowed to finish
+   */
+  cancel() {
+    if (
+      this.status !== QUEUE_STATUS.RUNNING &&
+      this.status !== QUEUE_STATUS.PAUSED
+    ) {
+      return;
+    }
+    this._state.status = QUEUE_STATUS.CANCELLED;
+    this._state.items = this._state.items.map((item) => {
+      if (item.status === ITEM_STATUS.QUEUED) {
+        return { ...item, status: ITEM_STATUS.CANCELLED };
+      }
+      return item;
+    });
+    this._changed();
+    this._checkFinished();
+  }
+
+  /**
+   * Forget the queue and its saved progress
+   */
+  clear() {
+    this._state = null;
+    this._save();
+  }
+
+  get status() {
+    return this._state ? this._state.status : null;
+  }
+
+  get context() {
+    return this._state ? this._state.context : null;
+  }
+
+  get items() {
+    return this._state ? this._state.items : [];
+  }
+
+  /**
+   * Get counts of the groups in each state
+   * @returns {Object} Progress with total, done, failed, processing, queued, cancelled and percent
+   */
+  get progress() {
+    const count = (status) =>
+      this.items.filter((item) => item.status === status).length;
+    const total = this.items.length;
+    const done = count(ITEM_STATUS.DONE);
+    const failed = count(ITEM_STATUS.ERROR);
+    return {
+      status: this.status,
+      total,
+      done,
+      failed,
+      processing: count(ITEM_STATUS.PROCESSING),
+      queued: count(ITEM_STATUS.QUEUED),
+      cancelled: count(ITEM_STATUS.CANCELLED),
+      percent: total > 0 ? Math.round(((done + failed) / total) * 100) : 0,
+    };
+  }
+
+  /**
+   * Start queued merges until the concurrency limit is reached
+   * @private
+   */
+  _fill() {
+    while (
+      this.status === QUEUE_STATUS.RUNNING &&
+      this._activeCount < this.concurrency
+    ) {
+      const next = this._state.items.find(
+        (item) => item.status === ITEM_STATUS.QUEUED,
+      );
+      if (!next) {
+        return;
+      }
+      this._run(next.id);
+    }
+  }
+
+  /**
+   * Merge one group and start the next when it settles
+   * @private
+   */
+  _run(itemId) {
+    const queueId = this._state.id;
+    this._activeCount++;
+    this._updateItem(itemId, { status: ITEM_STATUS.PROCESSING });
+    const item = this._findItem(itemId);
+    this.onItemStart(item);
+
+    Promise.resolve()
+      .then(() => this.processItem(item))
+      .then((result) => {
+        if (this._isCurrent(queueId)) {
+          this._updateItem(itemId, { status: ITEM_STATUS.DONE, error: null });
+          this.onItemComplete(this._findItem(itemId), result);
+        }
+      })
+      .catch((error) => {
+        if (this._isCurrent(queueId)) {
+          const message =
+            (error && error.body && error.body.message) ||
+            (error && error.message) ||
+            "An error occurred during merge";
+          this._updateItem(itemId, {
+            status: ITEM_STATUS.ERROR,
+            error: message,
+          });
+          this.onItemError(this._findItem(itemId), message);
+        }
+      })
+      .finally(() => {
+        this._activeCount--;
+        if (this._isCurrent(queueId)) {
+          this._fill();
+          this._checkFinished();
+        }
+      });
+  }
+
+  /**
+   * Complete the queue once nothing is left to merge
+   * @private
+   */
+  _checkFinished() {
+    if (!this._state || this._activeCount > 0) {
+      return;
+    }
+
+    const hasQueued = this._state.items.some(
+      (item) => item.status === ITEM_STATUS.QUEUED,
+    );
+    if (this.status === QUEUE_STATUS.RUNNING && !hasQueued) {
+      this._state.status = QUEUE_STATUS.COMPLETED;
+    } else if (this.status !== QUEUE_STATUS.CANCELLED) {
+      return;
+    }
+
+    this._changed();
+    this.onFinish(this.progress);
+  }
+
+  /**
+   * A cleared or restarted queue ignores merges that were started before it
+   * @private
+   */
+  _isCurrent(queueId) {
+    return this._state !== null && this._state.id === queueId;
+  }
+
+  _findItem(itemId) {
+    return this._state.items.find((item) => item.id === itemId);
+  }
+
+  _updateItem(itemId, changes) {
+    this._state.items = this._state.items.map((item) => {
+      if (item.id === itemId) {
+        return { ...item, ...changes };
+      }
+      return item;
+    });
+    this._changed();
+  }
+
+  _changed() {
+    this._save();
+    this.onChange(this.progress);
+  }
+
+  /**
+   * Save progress while the queue can still be resumed, finished queues are removed
+   * @private
+   */
+  _save() {
+    if (!isLocalStorageAvailable()) {
+      return;
+    }
+
+    try {
+      if (
+        this.status === QUEUE_STATUS.RUNNING ||
+        this.status === QUEUE_STATUS.PAUSED
+      ) {
+        localStorage.setItem(this.storageKey, JSON.stringify(this._state));
+      } else {
+        localStorage.removeItem(this.storageKey);
+      }
+    } catch (error) {
+      console.error("Error saving merge queue to localStorage:", error);
+    }
+  }
+}
@@ -182,6 +182,16 @@ export const MESSAGE_TYPES = {
   MERGE_CONFLICT: "merge.conflict",
   MERGE_RESOLUTION: "merge.resolution",
 
+  // Bulk merge queue
+  BULK_MERGE_STARTING: "bulkMerge.starting",
+  BULK_MERGE_PAUSED: "bulkMerge.paused",
+  BULK_MERGE_RESUMED: "bulkMerge.resumed",
+  BULK_MERGE_CANCELLED: "bulkMerge.cancelled",
+  BULK_MERGE_COMPLETED: "bulkMerge.completed",
+  GROUP_MERGE_STARTING: "groupMerge.starting",
+  GROUP_MERGE_COMPLETED: "groupMerge.completed",
+  GROUP_MERGE_ERROR: "groupMerge.error",
+
   // Configuration
   CONFIG_SELECTED: "config.selected",
   CONFIG_CHANGED: "config.changed",
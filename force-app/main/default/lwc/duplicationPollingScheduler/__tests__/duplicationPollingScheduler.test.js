@@ -0,0 +1,136 @@
+import {
+  PollingScheduler,
+  subscribeToJobStatus,
+  isJobStatusFor,
+  JOB_STATUS_CHANNEL,
+} from "c/duplicationPollingScheduler";
+import { subscribe } from "lightning/empApi";
+
+// Let the promise chain of a poll settle without running the timers that are not due yet
+const flushMicrotasks = () => jest.advanceTimersByTimeAsync(0);
+
+const setVisibility = (state) => {
+  Object.defineProperty(document, "visibilityState", {
+    configurable: true,
+    get: () => state,
+  });
+  document.dispatchEvent(new CustomEvent("visibilitychange"));
+};
+
+describe("c-duplication-polling-scheduler", () => {
+  let scheduler;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    if (scheduler) {
+      scheduler.stop();
+    }
+    setVisibility("visible");
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  it("polls once per interval instead of in a tight loop", async () => {
+    const poll = jest.fn().mockResolvedValue(true);
+    scheduler = new PollingScheduler({ poll, interval: 3000 });
+
+    scheduler.start();
+    await flushMicrotasks();
+    expect(poll).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(2999);
+    await flushMicrotasks();
+    expect(poll).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(1);
+    await flushMicrotasks();
+    expect(poll).toHaveBeenCalledTimes(2);
+  });
+
+  it("stops when the poll resolves with false", async () => {
+    const poll = jest.fn().mockResolvedValue(false);
+    scheduler = new PollingScheduler({ poll, interval: 1000 });
+
+    scheduler.start();
+    await flushMicrotasks();
+    jest.advanceTimersByTime(5000);
+    await flushMicrotasks();
+
+    expect(poll).toHaveBeenCalledTimes(1);
+    expect(scheduler.isRunning).toBe(false);
+  });
+
+  it("backs off after failed polls and resets after a success", async () => {
+    const onError = jest.fn();
+    const poll = jest
+      .fn()
+      .mockRejectedValueOnce(new Error("offline"))
+      .mockRejectedValueOnce(new Error("offline"))
+      .mockResolvedValue(true);
+    scheduler = new PollingScheduler({
+      poll,
+      interval: 1000,
+      maxInterval: 3000,
+      onError,
+    });
+
+    scheduler.start();
+    await flushMicrotasks();
+    expect(scheduler.failureCount).toBe(1);
+    expect(onError).toHaveBeenLastCalledWith(expect.any(Error), 2000);
+
+    jest.advanceTimersByTime(2000);
+    await flushMicrotasks();
+    expect(poll).toHaveBeenCalledTimes(2);
+    // 4000ms is capped at the maximum interval
+    expect(onError).toHaveBeenLastCalledWith(expect.any(Error), 3000);
+
+    jest.advanceTimersByTime(3000);
+    await flushMicrotasks();
+    expect(poll).toHaveBeenCalledTimes(3);
+    expect(scheduler.failureCount).toBe(0);
+    expect(scheduler.currentInterval).toBe(1000);
+  });
+
+  it("pauses while the tab is hidden and polls when it is shown again", async () => {
+    const poll = jest.fn().mockResolvedValue(true);
+    scheduler = new PollingScheduler({ poll, interval: 1000 });
+
+    scheduler.start();
+    await flushMicrotasks();
+    expect(poll).toHaveBeenCalledTimes(1);
+
+    setVisibility("hidden");
+    expect(scheduler.isPaused).toBe(true);
+    jest.advanceTimersByTime(10000);
+    await flushMicrotasks();
+    expect(poll).toHaveBeenCalledTimes(1);
+
+    setVisibility("visible");
+    await flushMicrotasks();
+    expect(poll).toHaveBeenCalledTimes(2);
+  });
+
+  it("passes job status events to the callback", async () => {
+    const callback = jest.fn();
+    await subscribeToJobStatus(callback);
+
+    expect(subscribe).toHaveBeenCalledWith(
+      JOB_STATUS_CHANNEL,
+      -1,
+      expect.any(Function),
+    );
+    const payload = {
+      JobStatisticId__c: "a0J000000000001AAA",
+      Status__c: "Running",
+    };
+    subscribe.mock.calls[0][2]({ data: { payload } });
+    expect(callback).toHaveBeenCalledWith(payload);
+
+    expect(isJobStatusFor(payload, "a0J000000000001")).toBe(true);
+    expect(isJobStatusFor(payload, "a0J000000000002AAA")).toBe(false);
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * Polling scheduler for the Duplication Manager application.
+ * Calls a poll function on a real timer, waits longer after each failed poll
+ * and pauses while the browser tab is hidden. Components that follow a job can
+ * listen to DuplicateJobStatus__e platform events instead, using the streaming
+ * helpers below, and keep the scheduler as a fallback when streaming is not
+ * available.
+ *
+ * @author Richard Hudson
+ * @since May 2025
+ */
+
+import {
+  subscribe,
+  unsubscribe,
+  onError,
+  isEmpEnabled,
+} from "lightning/empApi";
+
+export const DEFAULT_POLL_INTERVAL = 3000;
+export const DEFAULT_MAX_POLL_INTERVAL = 60000;
+export const DEFAULT_BACKOFF_FACTOR = 2;
+
+export const JOB_STATUS_CHANNEL = "/event/DuplicateJobStatus__e";
+
+/**
+ * Wait for a number of milliseconds
+ * @param {Number} ms - Milliseconds to wait
+ * @returns {Promise} Promise that resolves once the time has passed
+ */
+export const wait = (ms) =>
+  new Promise((resolve) => {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    setTimeout(resolve, ms);
+  });
+
+export class PollingScheduler {
+  _timeoutId = null;
+  _isRunning = false;
+  _isPolling = false;
+  _failureCount = 0;
+  _isListening = false;
+
+  /**
+   * @param {Object} options
+   * @param {Function} options.poll - Function returning a promise; resolve it with false to stop polling
+   * @param {Number} options.interval - Milliseconds between polls while they succeed
+   * @param {Number} options.maxInterval - Longest wait between polls after repeated failures
+   * @param {Number} options.backoffFactor - Multiplier applied to the wait after each failure
+   * @param {Boolean} options.pauseWhenHidden - Whether to stop polling while the tab is hidden
+   * @param {Function} options.onError - Called with the error and the wait before the next poll
+   */
+  constructor(options = {}) {
+    this.poll = options.poll;
+    this.interval =
+      parseInt(options.interval, 10) > 0
+        ? parseInt(options.interval, 10)
+        : DEFAULT_POLL_INTERVAL;
+    this.maxInterval = Math.max(
+      this.interval,
+      parseInt(options.maxInterval, 10) || DEFAULT_MAX_POLL_INTERVAL,
+    );
+    this.backoffFactor =
+      options.backoffFactor > 1
+        ? options.backoffFactor
+        : DEFAULT_BACKOFF_FACTOR;
+    this.pauseWhenHidden = options.pauseWhenHidden !== false;
+    this.onError = options.onError || (() => {});
+
+    this._handleVisibilityChange = this._handleVisibilityChange.bind(this);
+  }
+
+  /**
+   * @returns {Boolean} True between start() and stop()
+   */
+  get isRunning() {
+    return this._isRunning;
+  }
+
+  /**
+   * @returns {Boolean} True while running but waiting for the tab to be shown again
+   */
+  get isPaused() {
+    return this._isRunning && this._isHidden();
+  }
+
+  /**
+   * @returns {Number} Number of polls that failed in a row
+   */
+  get failureCount() {
+    return this._failureCount;
+  }
+
+  /**
+   * @returns {Number} Milliseconds until the next poll, longer after failures
+   */
+  get currentInterval() {
+    if (this._failureCount === 0) {
+      return this.interval;
+    }
+    return Math.min(
+      this.interval * Math.pow(this.backoffFactor, this._failureCount),
+      this.maxInterval,
+    );
+  }
+
+  /**
+   * Poll now and keep polling until stopped
+   */
+  start() {
+    if (this._isRunning) {
+      return;
+    }
+    this._isRunning = true;
+    this._failureCount = 0;
+    this._listenForVisibility(true);
+
+    if (!this.isPaused) {
+      this._run();
+    }
+  }
+
+  /**
+   * Stop polling; a poll already in flight is left to finish
+   */
+  stop() {
+    this._isRunning = false;
+    this._clearTimer();
+    this._listenForVisibility(false);
+  }
+
+  /**
+   * Poll now instead of waiting for the timer
+   */
+  trigger() {
+    if (!this._isRunning) {
+      return;
+    }
+    this._clearTimer();
+    this._run();
+  }
+
+  _run() {
+    if (!this._isRunning || this._isPolling || this.isPaused) {
+      return;
+    }
+    this._isPolling = true;
+
+    Promise.resolve()
+      .then(() => this.poll())
+      .then((result) => {
+        this._failureCount = 0;
+        if (result === false) {
+          this.stop();
+        }
+      })
+      .catch((error) => {
+        this._failureCount++;
+        this.onError(error, this.currentInterval);
+      })
+      .finally(() => {
+        this._isPolling = false;
+        this._schedule();
+      });
+  }
+
+  _schedule() {
+    this._clearTimer();
+    if (!this._isRunning || this.isPaused) {
+      return;
+    }
+
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    this._timeoutId = setTimeout(() => {
+      this._timeoutId = null;
+      this._run();
+    }, this.currentInterval);
+  }
+
+  _clearTimer() {
+    if (this._timeoutId) {
+      clearTimeout(this._timeoutId);
+      this._timeoutId = null;
+    }
+  }
+
+  _isHidden() {
+    return (
+      this.pauseWhenHidden &&
+      typeof document !== "undefined" &&
+      document.visibilityState === "hidden"
+    );
+  }
+
+  _listenForVisibility(listen) {
+    if (
+      !this.pauseWhenHidden ||
+      typeof document === "undefined" ||
+      listen === this._isListening
+    ) {
+      return;
+    }
+    this._isListening = listen;
+
+    if (listen) {
+      document.addEventListener(
+        "visibilitychange",
+        this._handleVisibilityChange,
+      );
+    } else {
+      document.removeEventListener(
+        "visibilitychange",
+        this._handleVisibilityChange,
+      );
+    }
+  }
+
+  _handleVisibilityChange() {
+    if (this._isHidden()) {
+      this._clearTimer();
+    } else {
+      // Catch up straight away when the tab is shown again
+      this.trigger();
+    }
+  }
+}
+
+/**
+ * Listen to job status platform events
+ * @param {Function} callback - Called with the event payload for every status update
+ * @returns {Promise} Resolves with the subscription, rejects when streaming is not available
+ */
+export const subscribeToJobStatus = (callback) =>
+  isEmpEnabled().then((enabled) => {
+    if (enabled === false) {
+      throw new Error("Streaming API is not available");
+    }
+
+    onError((error) => {
+      console.error("Job status streaming error:", error);
+    });
+
+    return subscribe(JOB_STATUS_CHANNEL, -1, (message) => {
+      if (message && message.data && message.data.payload) {
+        callback(message.data.payload);
+      }
+    });
+  });
+
+/**
+ * Stop listening to job status platform events
+ * @param {Object} subscription - Subscription returned by subscribeToJobStatus
+ * @returns {Promise} Resolves once unsubscribed
+ */
+export const unsubscribeFromJobStatus = (subscription) => {
+  if (!subscription) {
+    return Promise.resolve();
+  }
+  return unsubscribe(subscription, () => {});
+};
+
+/**
+ * Check whether a job status event is about a job
+ * @param {Object} payload - DuplicateJobStatus__e payload
+ * @param {String} jobId - Job statistic ID or batch job ID being followed
+ * @returns {Boolean} True when the event belongs to the job
+ */
+export const isJobStatusFor = (payload, jobId) => {
+  if (!payload || !jobId) {
+    return false;
+  }
+  // Compare 15 character prefixes so 15 and 18 character IDs both match
+  const key = String(jobId).substring(0, 15);
+  return [payload.JobStatisticId__c, payload.BatchJobId__c].some((id) => {
+    return !!id && String(id).substring(0, 15) === key;
+  });
+};
@@ -0,0 +1,186 @@
+import { createElement } from "lwc";
+import DuplicationPotentialDuplicates from "c/duplicationPotentialDuplicates";
+import { notifyRecordUpdateAvailable } from "lightning/uiRecordApi";
+import getPotentialDuplicates from "@salesforce/apex/DuplicateRecordController.getPotentialDuplicates";
+import mergeDuplicateRecords from "@salesforce/apex/DuplicateRecordController.mergeDuplicateRecords";
+import flushPromises from "../../../../../../jest-utils/flushPromises";
+
+jest.mock(
+  "@salesforce/apex/DuplicateRecordController.getPotentialDuplicates",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateRecordController.mergeDuplicateRecords",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+// Used by the side by side comparison opened from the card
+jest.mock(
+  "@salesforce/apex/RecordDataController.getRecordData",
+  () => ({ default: jest.fn(() => Promise.resolve({})) }),
+  { virtual: true },
+);
+
+const RECORD_ID = "001000000000001AAA";
+
+const DUPLICATES = [
+  {
+    id: "001000000000002AAA",
+    name: "Acme Corporation",
+    matchScore: 100,
+    isExactMatch: true,
+    matchedFields: ["Name", "Phone"],
+  },
+  {
+    id: "001000000000003AAA",
+    name: "Acme Corporation Ltd",
+    matchScore: 72.5,
+    isExactMatch: false,
+    matchedFields: ["Name"],
+  },
+];
+
+const createCard = async () => {
+  const element = createElement("c-duplication-potential-duplicates", {
+    is: DuplicationPotentialDuplicates,
+  });
+  element.recordId = RECORD_ID;
+  element.objectApiName = "Account";
+  document.body.appendChild(element);
+  await flushPromises();
+  return element;
+};
+
+const clickRowAction = (element, duplicateId, action) => {
+  element.shadowRoot
+    .querySelector(`[data-id="${duplicateId}"][data-action="${action}"]`)
+    .click();
+};
+
+describe("c-duplication-potential-duplicates", () => {
+  beforeEach(() => {
+    getPotentialDuplicates.mockResolvedValue(DUPLICATES);
+  });
+
+  afterEach(() => {
+    // The jsdom instance is shared across test cases in a single file so reset the DOM
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+  });
+
+  it("lists the duplicates of the record with their scores", async () => {
+    const element = await createCard();
+
+    expect(getPotentialDuplicates).toHaveBeenCalledWith({
+      recordId: RECORD_ID,
+      configName: null,
+      recordLimit: 5,
+    });
+
+    const rows = element.shadowRoot.querySelectorAll(
+      '[data-id="duplicate-row"]',
+    );
+    expect(rows.length).toBe(2);
+    expect(rows[0].textContent).toContain("Acme Corporation");
+    expect(rows[0].textContent).toContain("Matches on Name, Phone");
+
+    const scores = Array.from(
+      element.shadowRoot.querySelectorAll('[data-id="match-score"]'),
+    ).map((score) => score.textContent.trim());
+    expect(scores).toEqual(["100%", "72.5%"]);
+    expect(element.shadowRoot.querySelector("lightning-card").title).toBe(
+      "Potential Duplicates (2)",
+    );
+  });
+
+  it("shows an empty state without duplicates", async () => {
+    getPotentialDuplicates.mockResolvedValue([]);
+    const element = await createCard();
+
+    expect(
+      element.shadowRoot.querySelector('[data-id="no-duplicates"]'),
+    ).not.toBeNull();
+  });
+
+  it("opens the side by side comparison against a duplicate", async () => {
+    const element = await createCard();
+
+    clickRowAction(element, DUPLICATES[1].id, "compare");
+    await flushPromises();
+
+    const compare = element.shadowRoot.querySelector(
+      "c-duplication-side-by-side-compare",
+    );
+    expect(compare).not.toBeNull();
+    expect(compare.masterRecordId).toBe(RECORD_ID);
+    expect(compare.duplicateRecordId).toBe(DUPLICATES[1].id);
+    expect(compare.objectApiName).toBe("Account");
+
+    // A merge from the comparison refreshes the record and the list
+    compare.dispatchEvent(new CustomEvent("mergesuccess"));
+    await flushPromises();
+    expect(
+      element.shadowRoot.querySelector("c-duplication-side-by-side-compare"),
+    ).toBeNull();
+    expect(notifyRecordUpdateAvailable).toHaveBeenCalledWith([
+      { recordId: RECORD_ID },
+    ]);
+    expect(getPotentialDuplicates).toHaveBeenCalledTimes(2);
+  });
+
+  it("merges a duplicate into the record after confirmation", async () => {
+    mergeDuplicateRecords.mockResolvedValue({ success: true });
+    const element = await createCard();
+
+    clickRowAction(element, DUPLICATES[0].id, "merge");
+    await flushPromises();
+    expect(mergeDuplicateRecords).not.toHaveBeenCalled();
+
+    element.shadowRoot.querySelector('[data-id="confirm-merge"]').click();
+    await flushPromises();
+
+    expect(mergeDuplicateRecords).toHaveBeenCalledWith({
+      request: {
+        masterRecordId: RECORD_ID,
+        duplicateRecordIds: [DUPLICATES[0].id],
+        objectApiName: "Account",
+        submitForApproval: true,
+      },
+    });
+    expect(
+      element.shadowRoot.querySelector('[data-id="confirm-merge"]'),
+    ).toBeNull();
+    expect(notifyRecordUpdateAvailable).toHaveBeenCalled();
+    expect(getPotentialDuplicates).toHaveBeenCalledTimes(2);
+  });
+
+  it("submits a risky merge for approval instead of merging", async () => {
+    mergeDuplicateRecords.mockResolvedValue({
+      success: false,
+      submittedForApproval: true,
+      riskReasons: "Match score 60 is below 80",
+    });
+    const element = await createCard();
+    const toastHandler = jest.fn();
+    element.addEventListener("lightning__showtoast", toastHandler);
+
+    clickRowAction(element, DUPLICATES[0].id, "merge");
+    await flushPromises();
+    element.shadowRoot.querySelector('[data-id="confirm-merge"]').click();
+    await flushPromises();
+
+    expect(toastHandler).toHaveBeenCalledTimes(1);
+    const toast = toastHandler.mock.calls[0][0].detail;
+    expect(toast.variant).toBe("success");
+    expect(toast.message).toContain("submitted for approval");
+    expect(toast.message).toContain("Match score 60 is below 80");
+    expect(
+      element.shadowRoot.querySelector('[data-id="confirm-merge"]'),
+    ).toBeNull();
+    expect(notifyRecordUpdateAvailable).not.toHaveBeenCalled();
+    expect(getPotentialDuplicates).toHaveBeenCalledTimes(1);
+  });
+});
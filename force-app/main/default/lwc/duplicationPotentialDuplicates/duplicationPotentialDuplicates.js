@@ -0,0 +1,245 @@
+import { LightningElement, api } from "lwc";
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import { notifyRecordUpdateAvailable } from "lightning/uiRecordApi";
+import getPotentialDuplicates from "@salesforce/apex/DuplicateRecordController.getPotentialDuplicates";
+import mergeDuplicateRecords from "@salesforce/apex/DuplicateRecordController.mergeDuplicateRecords";
+
+const DEFAULT_RECORD_LIMIT = 5;
+const HIGH_SCORE = 90;
+
+/**
+ * Record page card listing the likely duplicates of the current record with
+ * their match scores. Each duplicate can be compared field by field in
+ * duplicationSideBySideCompare or merged into the current record straight
+ * away, without running a batch job.
+ * @component
+ */
+export default class DuplicationPotentialDuplicates extends LightningElement {
+  @api recordId;
+  @api objectApiName;
+  // DeveloperName of the configuration with the match fields, blank for the
+  // active configuration of the object
+  @api configName;
+  @api recordLimit = DEFAULT_RECORD_LIMIT;
+
+  duplicates = [];
+  isLoading = false;
+  isMerging = false;
+  error = null;
+
+  // Duplicate open in the compare modal or waiting for merge confirmation
+  compareDuplicate = null;
+  mergeDuplicate = null;
+
+  /**
+   * Lifecycle hook - Called when component is inserted into the DOM
+   */
+  connectedCallback() {
+    this.loadDuplicates();
+  }
+
+  /**
+   * Load the likely duplicates of the record
+   */
+  loadDuplicates() {
+    if (!this.recordId) {
+      return;
+    }
+
+    this.isLoading = true;
+    this.error = null;
+
+    getPotentialDuplicates({
+      recordId: this.recordId,
+      configName: this.configName || null,
+      recordLimit: this.recordLimit,
+    })
+      .then((result) => {
+        this.duplicates = (result || []).map((duplicate) => ({
+          ...duplicate,
+          url: `/${duplicate.id}`,
+          scoreLabel: `${duplicate.matchScore}%`,
+          scoreClass:
+            duplicate.matchScore >= HIGH_SCORE
+              ? "slds-badge slds-theme_success"
+              : "slds-badge",
+          matchedFieldList: (duplicate.matchedFields || []).join(", "),
+        }));
+      })
+      .catch((error) => {
+        this.duplicates = [];
+        this.handleError("Error finding potential duplicates", error);
+        this.error =
+          (error.body && error.body.message) ||
+          error.message ||
+          "Error finding potential duplicates";
+      })
+      .finally(() => {
+        this.isLoading = false;
+      });
+  }
+
+  /**
+   * Find the duplicate of a row action
+   * @param {Event} event - Click event of a button with data-id
+   * @returns {Object} The duplicate
+   */
+  findDuplicate(event) {
+    const duplicateId = event.currentTarget.dataset.id;
+    return (
+      this.duplicates.find((duplicate) => duplicate.id === duplicateId) || null
+    );
+  }
+
+  /**
+   * Open the side by side comparison with a duplicate
+   * @param {Event} event - Click event of the Compare button
+   */
+  handleCompareClick(event) {
+    this.compareDuplicate = this.findDuplicate(event);
+  }
+
+  closeCompare() {
+    this.compareDuplicate = null;
+  }
+
+  /**
+   * The comparison merged the duplicate into this record
+   */
+  handleCompareMerged() {
+    this.compareDuplicate = null;
+    this.afterMerge();
+  }
+
+  /**
+   * Ask to confirm merging a duplicate into this record
+   * @param {Event} event - Click event of the Merge button
+   */
+  handleMergeClick(event) {
+    this.mergeDuplicate = this.findDuplicate(event);
+  }
+
+  closeMergeConfirm() {
+    this.mergeDuplicate = null;
+  }
+
+  /**
+   * Merge the duplicate into this record, keeping this record's values.
+   * Merges beyond the approval limits are submitted for approval instead.
+   */
+  handleConfirmMerge() {
+    const duplicate = this.mergeDuplicate;
+    if (!duplicate || this.isMerging) {
+      return;
+    }
+
+    this.isMerging = true;
+    mergeDuplicateRecords({
+      request: {
+        masterRecordId: this.recordId,
+        duplicateRecordIds: [duplicate.id],
+        objectApiName: this.objectApiName,
+        submitForApproval: true,
+      },
+    })
+      .then((result) => {
+        if (result.submittedForApproval) {
+          this.showToast(
+            "Submitted",
+            `Merging ${duplicate.name} was submitted for approval by another user: ${result.riskReasons}`,
+            "success",
+          );
+          this.mergeDuplicate = null;
+          return;
+        }
+        if (!result.success) {
+          throw new Error(result.message || "Unknown error during merge");
+        }
+        this.showToast(
+          "Success",
+          `${duplicate.name} was merged into this record`,
+          "success",
+        );
+        this.mergeDuplicate = null;
+        this.afterMerge();
+      })
+      .catch((error) => {
+        this.handleError("Error merging records", error);
+      })
+      .finally(() => {
+        this.isMerging = false;
+      });
+  }
+
+  /**
+   * Refresh the record page and the duplicates after a merge
+   */
+  afterMerge() {
+    notifyRecordUpdateAvailable([{ recordId: this.recordId }]);
+    this.loadDuplicates();
+  }
+
+  get hasDuplicates() {
+    return this.duplicates.length > 0;
+  }
+
+  get showEmptyState() {
+    return !this.isLoading && !this.error && !this.hasDuplicates;
+  }
+
+  get cardTitle() {
+    return this.hasDuplicates
+      ? `Potential Duplicates (${this.duplicates.length})`
+      : "Potential Duplicates";
+  }
+
+  get showCompare() {
+    return this.compareDuplicate !== null;
+  }
+
+  get showMergeConfirm() {
+    return this.mergeDuplicate !== null;
+  }
+
+  get mergeMessage() {
+    return this.mergeDuplicate
+      ? `${this.mergeDuplicate.name} will be merged into this record and deleted. This record keeps its own field values. Use Compare to pick values from the duplicate instead.`
+      : "";
+  }
+
+  /**
+   * Show toast notification
+   * @param {String} title - Toast title
+   * @param {String} message - Toast message
+   * @param {String} variant - Toast variant (info, success, warning, error)
+   */
+  showToast(title, message, variant) {
+    this.dispatchEvent(
+      new ShowToastEvent({
+        title: title,
+        message: message,
+        variant: variant,
+      }),
+    );
+  }
+
+  /**
+   * Handle errors with proper messaging
+   * @param {String} baseMessage - Base error message
+   * @param {Error} error - Error object
+   */
+  handleError(baseMessage, error) {
+    let errorMessage = baseMessage;
+
+    if (error) {
+      if (error.body && error.body.message) {
+        errorMessage += ": " + error.body.message;
+      } else if (error.message) {
+        errorMessage += ": " + error.message;
+      }
+    }
+
+    console.error(errorMessage);
+    this.showToast("Error", errorMessage, "error");
+  }
+}
@@ -1,5 +1,6 @@
 import { LightningElement, api, track } from 'lwc';
 import getRecordsForComparison from '@salesforce/apex/DRCCompare.getRecordsForComparison';
+import { calculateRecordMatchScore } from 'c/duplicationMatchingEngine';
 
 /**
  * Component for side-by-side record comparison
@@ -10,11 +11,20 @@ export default class DuplicationRecordCompare extends LightningElement {
     @api recordId2;
     @api objectApiName;
     @api group;
+
+    /**
+     * Developer name of the configuration the group was found with, whose
+     * match fields, matchers and weights the score breakdown uses
+     */
+    @api configName;
     
     @track isLoading = false;
     @track record1 = {};
     @track record2 = {};
     @track fieldData = [];
+    @track breakdownRecords = [];
+    @track breakdownFieldInfos = [];
+    @track overallScore;
     @track error;
 
     // Lifecycle hooks
@@ -128,6 +138,9 @@ export default class DuplicationRecordCompare extends LightningElement {
                     this.record1 = result.record1;
                     this.record2 = result.record2;
                     this.fieldData = result.fieldDifferences;
+                    this.overallScore = result.overallScore;
+                    this.breakdownRecords = result.breakdownRecords;
+                    this.breakdownFieldInfos = result.breakdownFieldInfos;
                     // Application of styling will happen in renderedCallback
                 }
                 this.isLoading = false;
@@ -193,6 +206,14 @@ export default class DuplicationRecordCompare extends LightningElement {
         // Process fields and create formatted data for display
         var fields = result.fields || [];
         var fieldDifferences = [];
+
+        // Score the records locally the way DuplicateMatcherUtility scores a batch's groups,
+        // with the default matcher and weight per field; the breakdown below applies the configuration's
+        const matchResult = calculateRecordMatchScore(record1, record2, fields);
+        const scoresByField = {};
+        for (let k = 0; k < matchResult.fieldScores.length; k++) {
+            scoresByField[matchResult.fieldScores[k].field] = matchResult.fieldScores[k];
+        }
         
         for (var j = 0; j < fields.length; j++) {
             var fieldName = fields[j];
@@ -213,22 +234,56 @@ export default class DuplicationRecordCompare extends LightningElement {
             
             // Get a more user-friendly field label
             var fieldLabel = this.formatFieldName(fieldName);
+            const fieldScore = scoresByField[fieldName];
             
             fieldDifferences.push({
                 field: fieldName,
                 label: fieldLabel,
                 value1: value1,
                 value2: value2,
-                isDifferent: isDifferent
+                isDifferent: isDifferent,
+                matchScore: fieldScore ? Math.round(fieldScore.score) + '%' : '',
+                matcher: fieldScore ? fieldScore.matcher : ''
             });
         }
         
         return {
             record1: record1,
             record2: record2,
-            fieldDifferences: fieldDifferences
+            fieldDifferences: fieldDifferences,
+            overallScore: Math.round(matchResult.score) + '%',
+            breakdownRecords: [
+                this.toBreakdownRecord(record1, fields),
+                this.toBreakdownRecord(record2, fields)
+            ],
+            breakdownFieldInfos: fieldDifferences.map(field => ({
+                apiName: field.field,
+                label: field.label
+            }))
         };
     }
+
+    /**
+     * Convert a queried record to the shape c-duplication-field-differences reads
+     * @param {Object} record - Record returned by Apex
+     * @param {Array} fields - API names of the compared fields
+     * @returns {Object} Record as { id, fields: { FieldName: { value, displayValue } } }
+     */
+    toBreakdownRecord(record, fields) {
+        const recordFields = {};
+        fields.forEach(fieldName => {
+            const value = record[fieldName] === undefined ? null : record[fieldName];
+            recordFields[fieldName] = { value: value, displayValue: value };
+        });
+        return { id: record.Id, fields: recordFields };
+    }
+
+    /**
+     * Getter to determine if the score breakdown can be shown
+     */
+    get hasBreakdown() {
+        return this.breakdownRecords.length > 0;
+    }
     
     /**
      * Format field API name to a more user-friendly label
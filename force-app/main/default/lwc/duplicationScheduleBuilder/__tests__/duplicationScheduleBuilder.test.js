@@ -0,0 +1,88 @@
+import { createElement } from "lwc";
+import DuplicationScheduleBuilder from "c/duplicationScheduleBuilder";
+
+const createBuilder = () => {
+  const element = createElement("c-duplication-schedule-builder", {
+    is: DuplicationScheduleBuilder,
+  });
+  document.body.appendChild(element);
+  return element;
+};
+
+const changeValue = (element, selector, value) => {
+  const input = element.shadowRoot.querySelector(selector);
+  input.value = value;
+  input.dispatchEvent(new CustomEvent("change", { detail: { value } }));
+};
+
+describe("c-duplication-schedule-builder", () => {
+  afterEach(() => {
+    // The jsdom instance is shared across test cases in a single file so reset the DOM
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+  });
+
+  it("builds a weekly schedule and previews the next runs", async () => {
+    const element = createBuilder();
+    const handler = jest.fn();
+    element.addEventListener("change", handler);
+
+    changeValue(element, '[data-id="schedule-type"]', "weekly");
+    await Promise.resolve();
+    changeValue(element, '[data-field="daysOfWeek"]', ["MON", "THU"]);
+    changeValue(element, '[data-field="minute"]', "45");
+    await Promise.resolve();
+
+    expect(element.cronExpression).toBe("0 45 2 ? * MON,THU");
+    expect(handler.mock.calls[handler.mock.calls.length - 1][0].detail).toEqual(
+      {
+        cronExpression: "0 45 2 ? * MON,THU",
+        description: "Every Monday and Thursday at 02:45",
+        isValid: true,
+        scheduleType: "weekly",
+      },
+    );
+
+    const preview = element.shadowRoot.querySelector(
+      '[data-id="schedule-preview"]',
+    );
+    expect(preview.textContent).toContain("Every Monday and Thursday at 02:45");
+    expect(
+      element.shadowRoot.querySelectorAll('[data-id="next-fire-times"] li'),
+    ).toHaveLength(5);
+  });
+
+  it("fills in the choices from an existing expression", async () => {
+    const element = createBuilder();
+    element.cronExpression = "0 15 6 LW * ?";
+    await Promise.resolve();
+
+    expect(
+      element.shadowRoot.querySelector('[data-field="dayOfMonth"]').value,
+    ).toBe("LW");
+    expect(element.description).toBe(
+      "On the last weekday of the month at 06:15",
+    );
+  });
+
+  it("shows why a custom expression is invalid", async () => {
+    const element = createBuilder();
+
+    changeValue(element, '[data-id="schedule-type"]', "custom");
+    await Promise.resolve();
+    // The custom expression starts from the schedule built so far
+    expect(
+      element.shadowRoot.querySelector('[data-field="customExpression"]').value,
+    ).toBe("0 0 2 * * ?");
+
+    changeValue(element, '[data-field="customExpression"]', "0 0 2 * * MON");
+    await Promise.resolve();
+
+    expect(element.validate()).toBe(false);
+    expect(
+      element.shadowRoot.querySelector('[data-id="schedule-error"]')
+        .textContent,
+    ).toContain("Use ? for either the day of month or the day of week");
+  });
+});
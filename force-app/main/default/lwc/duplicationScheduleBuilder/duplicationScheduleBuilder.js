@@ -0,0 +1,207 @@
+import { LightningElement, api } from "lwc";
+import {
+  SCHEDULE_TYPES,
+  SCHEDULE_TYPE_OPTIONS,
+  DAYS_OF_WEEK_OPTIONS,
+  DAY_OF_MONTH_OPTIONS,
+  buildCronExpression,
+  validateCronExpression,
+  describeCronExpression,
+  getNextFireTimes,
+  detectSchedule,
+} from "c/duplicationCronExpression";
+
+// Number of upcoming runs shown in the preview
+const PREVIEW_COUNT = 5;
+
+/**
+ * Schedule builder shared by the job scheduling forms
+ * Builds a cron expression from daily, weekly or monthly choices or takes a
+ * custom one, and previews it in words with the next runs. Fires a change
+ * event with the cron expression whenever the schedule changes.
+ * @component
+ */
+export default class DuplicationScheduleBuilder extends LightningElement {
+  scheduleType = SCHEDULE_TYPES.DAILY;
+  hour = 2;
+  minute = 0;
+  daysOfWeek = ["MON"];
+  dayOfMonth = "1";
+  customExpression = "";
+
+  scheduleTypeOptions = SCHEDULE_TYPE_OPTIONS;
+  daysOfWeekOptions = DAYS_OF_WEEK_OPTIONS;
+  dayOfMonthOptions = DAY_OF_MONTH_OPTIONS;
+
+  /**
+   * Cron expression of the schedule, setting it fills in the matching choices
+   * @type {String}
+   */
+  @api
+  get cronExpression() {
+    return buildCronExpression({
+      scheduleType: this.scheduleType,
+      hour: this.hour,
+      minute: this.minute,
+      daysOfWeek: this.daysOfWeek,
+      dayOfMonth: this.dayOfMonth,
+      cronExpression: this.customExpression,
+    });
+  }
+
+  set cronExpression(value) {
+    if (!value) {
+      return;
+    }
+
+    const schedule = detectSchedule(value);
+    this.scheduleType = schedule.scheduleType;
+    this.customExpression = schedule.cronExpression;
+    if (schedule.scheduleType !== SCHEDULE_TYPES.CUSTOM) {
+      this.hour = schedule.hour;
+      this.minute = schedule.minute;
+    }
+    if (schedule.daysOfWeek) {
+      this.daysOfWeek = schedule.daysOfWeek;
+    }
+    if (schedule.dayOfMonth) {
+      this.dayOfMonth = schedule.dayOfMonth;
+    }
+  }
+
+  /**
+   * Description of the schedule in words
+   * @type {String}
+   */
+  @api
+  get description() {
+    return this.isValid ? describeCronExpression(this.cronExpression) : "";
+  }
+
+  /**
+   * Whether the schedule can be saved
+   * @type {Boolean}
+   */
+  @api
+  get isValid() {
+    return !this.scheduleError;
+  }
+
+  /**
+   * Show validation messages on the inputs
+   * @returns {Boolean} True if the schedule is valid
+   */
+  @api
+  validate() {
+    this.template
+      .querySelectorAll(
+        "lightning-input, lightning-combobox, lightning-checkbox-group",
+      )
+      .forEach((input) => {
+        input.reportValidity();
+      });
+    return this.isValid;
+  }
+
+  /**
+   * Handle a change of schedule type
+   * @param {Event} event - Change event of the radio group
+   */
+  handleScheduleTypeChange(event) {
+    const scheduleType = event.detail.value;
+
+    // Start a custom expression from the schedule built so far
+    if (
+      scheduleType === SCHEDULE_TYPES.CUSTOM &&
+      this.scheduleType !== SCHEDULE_TYPES.CUSTOM
+    ) {
+      this.customExpression = this.cronExpression;
+    }
+    this.scheduleType = scheduleType;
+    this.notifyChange();
+  }
+
+  /**
+   * Handle a change of one of the schedule fields
+   * @param {Event} event - Change event of the input
+   */
+  handleFieldChange(event) {
+    const field = event.target.dataset.field;
+    if (field) {
+      this[field] = event.detail.value;
+      this.notifyChange();
+    }
+  }
+
+  /**
+   * Tell the parent the schedule changed
+   */
+  notifyChange() {
+    this.dispatchEvent(
+      new CustomEvent("change", {
+        detail: {
+          cronExpression: this.cronExpression,
+          description: this.description,
+          isValid: this.isValid,
+          scheduleType: this.scheduleType,
+        },
+      }),
+    );
+  }
+
+  /**
+   * Format a fire time for display
+   * @param {Date} date - Fire time
+   * @returns {String} Formatted date/time
+   */
+  formatDateTime(date) {
+    return new Intl.DateTimeFormat("en-US", {
+      weekday: "short",
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    }).format(date);
+  }
+
+  /**
+   * Get the reason the schedule cannot be saved
+   * @returns {String} Error message, or null if the schedule is valid
+   */
+  get scheduleError() {
+    if (this.isWeekly && (!this.daysOfWeek || !this.daysOfWeek.length)) {
+      return "Select at least one day of the week";
+    }
+    return validateCronExpression(this.cronExpression).error;
+  }
+
+  /**
+   * Get the next runs of the schedule
+   * @returns {Array} Fire times with a key and label
+   */
+  get nextFireTimes() {
+    if (!this.isValid) {
+      return [];
+    }
+    return getNextFireTimes(this.cronExpression, PREVIEW_COUNT).map((time) => {
+      return { key: time.getTime(), label: this.formatDateTime(time) };
+    });
+  }
+
+  get hasNextFireTimes() {
+    return this.nextFireTimes.length > 0;
+  }
+
+  get isWeekly() {
+    return this.scheduleType === SCHEDULE_TYPES.WEEKLY;
+  }
+
+  get isMonthly() {
+    return this.scheduleType === SCHEDULE_TYPES.MONTHLY;
+  }
+
+  get isCustom() {
+    return this.scheduleType === SCHEDULE_TYPES.CUSTOM;
+  }
+}
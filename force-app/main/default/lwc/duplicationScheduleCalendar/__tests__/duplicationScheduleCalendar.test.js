@@ -0,0 +1,149 @@
+import {
+  CONFLICT_TYPES,
+  SCHEDULE_KINDS,
+  buildCalendarRuns,
+  detectConflicts,
+  groupRunsByDay,
+} from "c/duplicationScheduleCalendar";
+
+// Monday 19 October 2026, 10:00 local time
+const FROM = new Date(2026, 9, 19, 10, 0, 0);
+const HOUR_MS = 60 * 60 * 1000;
+
+const conflictTypes = (run) => run.conflicts.map((conflict) => conflict.type);
+
+describe("c-duplication-schedule-calendar", () => {
+  it("expands schedules into runs within the period", () => {
+    const runs = buildCalendarRuns(
+      [
+        {
+          id: "daily",
+          name: "DuplicateRecord_Account_Daily",
+          cronExpression: "0 0 2 * * ?",
+          objectApiName: "Account",
+        },
+        {
+          id: "weekly",
+          name: "Weekly Contacts",
+          cronExpression: "0 0 12 ? * MON",
+          objectApiName: "Contact",
+          isScheduled: false,
+        },
+        { id: "broken", name: "Broken", cronExpression: "not a cron" },
+      ],
+      {
+        from: FROM,
+        days: 7,
+        averageDurationsMs: { Account: 2 * HOUR_MS },
+        defaultDurationMs: HOUR_MS,
+      },
+    );
+
+    // Daily runs from 20 to 25 October, the weekly one on 19 October only
+    expect(runs.length).toBe(7);
+    expect(runs[0].scheduleId).toBe("weekly");
+    expect(runs[0].isScheduled).toBe(false);
+    expect(runs[0].end - runs[0].start).toBe(HOUR_MS);
+
+    const daily = runs.filter((run) => run.scheduleId === "daily");
+    expect(daily.length).toBe(6);
+    expect(daily[daily.length - 1].start).toEqual(
+      new Date(2026, 9, 25, 2, 0, 0),
+    );
+    expect(daily[0].end - daily[0].start).toBe(2 * HOUR_MS);
+  });
+
+  it("flags same object overlaps and archive window collisions", () => {
+    const runs = buildCalendarRuns(
+      [
+        {
+          id: "a",
+          name: "Accounts A",
+          cronExpression: "0 0 2 20 OCT ?",
+          objectApiName: "Account",
+        },
+        {
+          id: "b",
+          name: "Accounts B",
+          cronExpression: "0 30 2 20 OCT ?",
+          objectApiName: "Account",
+        },
+        {
+          id: "c",
+          name: "Contacts",
+          cronExpression: "0 0 3 20 OCT ?",
+          objectApiName: "Contact",
+        },
+        {
+          id: "archive",
+          name: "Archive Logs",
+          cronExpression: "0 45 3 20 OCT ?",
+          kind: SCHEDULE_KINDS.ARCHIVE,
+        },
+        {
+          id: "paused",
+          name: "Paused Accounts",
+          cronExpression: "0 0 2 20 OCT ?",
+          objectApiName: "Account",
+          isScheduled: false,
+        },
+      ],
+      { from: FROM, defaultDurationMs: HOUR_MS },
+    );
+    const summary = detectConflicts(runs, { concurrentBatchLimit: 5 });
+    const byId = Object.fromEntries(runs.map((run) => [run.scheduleId, run]));
+
+    expect(conflictTypes(byId.a)).toEqual([CONFLICT_TYPES.SAME_OBJECT]);
+    expect(conflictTypes(byId.b)).toEqual([CONFLICT_TYPES.SAME_OBJECT]);
+    expect(byId.a.conflicts[0].message).toBe("Overlaps Accounts B on Account");
+    expect(conflictTypes(byId.c)).toEqual([CONFLICT_TYPES.ARCHIVE_WINDOW]);
+    expect(conflictTypes(byId.archive)).toEqual([
+      CONFLICT_TYPES.ARCHIVE_WINDOW,
+    ]);
+    expect(byId.paused.conflicts).toEqual([]);
+
+    expect(summary).toEqual({
+      total: 4,
+      sameObject: 2,
+      batchLimit: 0,
+      archiveWindow: 2,
+    });
+  });
+
+  it("flags runs over the concurrent batch limit", () => {
+    const schedules = ["Account", "Contact", "Lead"].map((objectApiName) => ({
+      id: objectApiName,
+      name: objectApiName,
+      cronExpression: "0 0 2 20 OCT ?",
+      objectApiName,
+    }));
+    const runs = buildCalendarRuns(schedules, { from: FROM });
+    const summary = detectConflicts(runs, { concurrentBatchLimit: 2 });
+
+    expect(summary.batchLimit).toBe(1);
+    expect(runs[2].conflicts).toEqual([
+      {
+        type: CONFLICT_TYPES.BATCH_LIMIT,
+        message:
+          "3 batch jobs would run at once, the org processes 2 at a time",
+      },
+    ]);
+  });
+
+  it("groups runs by day", () => {
+    const runs = buildCalendarRuns(
+      [
+        { id: "a", name: "A", cronExpression: "0 0 2 20 OCT ?" },
+        { id: "b", name: "B", cronExpression: "0 0 2 20 OCT ?" },
+        { id: "c", name: "C", cronExpression: "0 0 9 21 OCT ?" },
+      ],
+      { from: FROM },
+    );
+    detectConflicts(runs, { concurrentBatchLimit: 1 });
+    const days = groupRunsByDay(runs, { from: FROM, days: 3 });
+
+    expect(days.map((day) => day.runs.length)).toEqual([0, 2, 1]);
+    expect(days.map((day) => day.hasConflict)).toEqual([false, true, false]);
+    expect(days[0].date).toEqual(new Date(2026, 9, 19));
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Schedule calendar for duplicate and log archive jobs.
+ * Expands schedules into runs over the coming days and flags the runs that
+ * would clash: two runs on the same object at once, more batch jobs running
+ * than the org processes at a time, and duplicate jobs running while merge
+ * logs are archived. Run lengths are estimates from past runs, so conflicts
+ * are warnings rather than certainties.
+ *
+ * @author Richard Hudson
+ * @since May 2025
+ */
+import { getNextFireTimes } from "c/duplicationCronExpression";
+
+export const DEFAULT_CALENDAR_DAYS = 30;
+
+export const SCHEDULE_KINDS = {
+  DUPLICATE: "duplicate",
+  ARCHIVE: "archive",
+};
+
+export const CONFLICT_TYPES = {
+  SAME_OBJECT: "sameObject",
+  BATCH_LIMIT: "batchLimit",
+  ARCHIVE_WINDOW: "archiveWindow",
+};
+
+// Matching DuplicateScheduleCalendarService
+const DEFAULT_DURATION_MS = 30 * 60 * 1000;
+const DEFAULT_BATCH_LIMIT = 5;
+
+// Runs kept per schedule, enough for an hourly schedule over 30 days
+const MAX_RUNS_PER_SCHEDULE = 750;
+
+/**
+ * Expand schedules into the runs in a period
+ * @param {Array} schedules - Schedules of { id, name, cronExpression, kind, objectApiName, isScheduled }
+ * @param {Object} options
+ * @param {Date} options.from - Start of the period, now by default
+ * @param {Number} options.days - Days in the period
+ * @param {Object} options.averageDurationsMs - Run length by object
+ * @param {Number} options.archiveDurationMs - Run length of the archive job
+ * @param {Number} options.defaultDurationMs - Run length when nothing better is known
+ * @returns {Array} Runs of { key, scheduleId, name, objectApiName, kind, isScheduled, start, end, conflicts } in start order
+ */
+export const buildCalendarRuns = (schedules, options = {}) => {
+  const from = options.from || new Date();
+  const days = options.days || DEFAULT_CALENDAR_DAYS;
+  const until = new Date(
+    from.getFullYear(),
+    from.getMonth(),
+    from.getDate() + days,
+  );
+  const durations = options.averageDurationsMs || {};
+  const defaultDuration = options.defaultDurationMs || DEFAULT_DURATION_MS;
+  const archiveDuration = options.archiveDurationMs || defaultDuration;
+
+  const runs = [];
+  (schedules || []).forEach((schedule) => {
+    const kind = schedule.kind || SCHEDULE_KINDS.DUPLICATE;
+    const duration =
+      kind === SCHEDULE_KINDS.ARCHIVE
+        ? archiveDuration
+        : durations[schedule.objectApiName] || defaultDuration;
+
+    getNextFireTimes(
+      schedule.cronExpression,
+      MAX_RUNS_PER_SCHEDULE,
+      from,
+      until,
+    ).forEach((start) => {
+      runs.push({
+        key: `${schedule.id}-${start.getTime()}`,
+        scheduleId: schedule.id,
+        name: schedule.scheduleName || schedule.name,
+        objectApiName: schedule.objectApiName || "",
+        kind,
+        isScheduled: schedule.isScheduled !== false,
+        start,
+        end: new Date(start.getTime() + duration),
+        conflicts: [],
+      });
+    });
+  });
+
+  return runs.sort((a, b) => a.start - b.start);
+};
+
+const addConflict = (run, type, message) => {
+  if (
+    !run.conflicts.some(
+      (conflict) => conflict.type === type && conflict.message === message,
+    )
+  ) {
+    run.conflicts.push({ type, message });
+  }
+};
+
+/**
+ * Flag the runs that clash with other runs
+ * Only runs of live schedules are checked, as the others will not run.
+ * @param {Array} runs - Runs from buildCalendarRuns, updated with their conflicts
+ * @param {Object} options
+ * @param {Number} options.concurrentBatchLimit - Batch jobs the org processes at a time
+ * @returns {Object} Number of runs flagged by CONFLICT_TYPES, and total
+ */
+export const detectConflicts = (runs, options = {}) => {
+  const limit = options.concurrentBatchLimit || DEFAULT_BATCH_LIMIT;
+  let running = [];
+
+  runs
+    .filter((run) => run.isScheduled)
+    .forEach((run) => {
+      // Runs started before this one and still going when it starts
+      running = running.filter((other) => other.end > run.start);
+
+      running.forEach((other) => {
+        const isArchive = run.kind === SCHEDULE_KINDS.ARCHIVE;
+        const isOtherArchive = other.kind === SCHEDULE_KINDS.ARCHIVE;
+
+        if (
+          !isArchive &&
+          !isOtherArchive &&
+          run.objectApiName &&
+          run.objectApiName === other.objectApiName
+        ) {
+          addConflict(
+            run,
+            CONFLICT_TYPES.SAME_OBJECT,
+            `Overlaps ${other.name} on ${run.objectApiName}`,
+          );
+          addConflict(
+            other,
+            CONFLICT_TYPES.SAME_OBJECT,
+            `Overlaps ${run.name} on ${run.objectApiName}`,
+          );
+        } else if (isArchive !== isOtherArchive) {
+          const job = isArchive ? other : run;
+          const archive = isArchive ? run : other;
+          addConflict(
+            job,
+            CONFLICT_TYPES.ARCHIVE_WINDOW,
+            `Runs while ${archive.name} archives merge logs`,
+          );
+          addConflict(
+            archive,
+            CONFLICT_TYPES.ARCHIVE_WINDOW,
+            `Archives merge logs while ${job.name} runs`,
+          );
+        }
+      });
+
+      if (running.length + 1 > limit) {
+        addConflict(
+          run,
+          CONFLICT_TYPES.BATCH_LIMIT,
+          `${running.length + 1} batch jobs would run at once, the org processes ${limit} at a time`,
+        );
+      }
+      running.push(run);
+    });
+
+  const summary = { total: 0 };
+  Object.values(CONFLICT_TYPES).forEach((type) => {
+    summary[type] = 0;
+  });
+  runs.forEach((run) => {
+    if (run.conflicts.length) {
+      summary.total++;
+    }
+    new Set(run.conflicts.map((conflict) => conflict.type)).forEach((type) => {
+      summary[type]++;
+    });
+  });
+  return summary;
+};
+
+const dateKey = (date) =>
+  `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+
+/**
+ * Put runs on the days of a period
+ * @param {Array} runs - Runs in start order
+ * @param {Object} options
+ * @param {Date} options.from - First day of the period, now by default
+ * @param {Number} options.days - Days in the period
+ * @returns {Array} Days of { key, date, runs, hasConflict }
+ */
+export const groupRunsByDay = (runs, options = {}) => {
+  const from = options.from || new Date();
+  const days = options.days || DEFAULT_CALENDAR_DAYS;
+
+  const calendarDays = [];
+  const daysByKey = {};
+  for (let i = 0; i < days; i++) {
+    const date = new Date(
+      from.getFullYear(),
+      from.getMonth(),
+      from.getDate() + i,
+    );
+    const day = { key: dateKey(date), date, runs: [], hasConflict: false };
+    calendarDays.push(day);
+    daysByKey[day.key] = day;
+  }
+
+  (runs || []).forEach((run) => {
+    const day = daysByKey[dateKey(run.start)];
+    if (day) {
+      day.runs.push(run);
+      day.hasConflict = day.hasConflict || run.conflicts.length > 0;
+    }
+  });
+  return calendarDays;
+};
@@ -0,0 +1,229 @@
+import { createElement } from "lwc";
+import DuplicationScheduleList from "c/duplicationScheduleList";
+import getSchedules from "@salesforce/apex/DuplicateRecordJobController.getSchedules";
+import updateSchedule from "@salesforce/apex/DuplicateRecordJobController.updateSchedule";
+import pauseSchedule from "@salesforce/apex/DuplicateRecordJobController.pauseSchedule";
+import resumeSchedule from "@salesforce/apex/DuplicateRecordJobController.resumeSchedule";
+import getScheduleRunHistory from "@salesforce/apex/DuplicateRecordJobController.getScheduleRunHistory";
+import getActiveSettings from "@salesforce/apex/DuplicateRecordController.getActiveSettings";
+import flushPromises from "../../../../../../jest-utils/flushPromises";
+
+jest.mock(
+  "@salesforce/apex/DuplicateRecordJobController.getSchedules",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateRecordJobController.updateSchedule",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateRecordJobController.pauseSchedule",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateRecordJobController.resumeSchedule",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateRecordJobController.getScheduleRunHistory",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateRecordController.getActiveSettings",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+
+const ACTIVE_SCHEDULE = {
+  id: "a0S000000000001AAA",
+  scheduleId: "a0S000000000001AAA",
+  scheduledJobId: "08e000000000001AAA",
+  name: "Nightly Accounts",
+  cronExpression: "0 0 2 * * ?",
+  configurationName: "Account_Default",
+  objectApiName: "Account",
+  isDryRun: true,
+  status: "Active",
+  nextFireTime: "2026-10-20T02:00:00.000Z",
+  hasDefinition: true,
+};
+
+const PAUSED_SCHEDULE = {
+  ...ACTIVE_SCHEDULE,
+  id: "a0S000000000002AAA",
+  scheduleId: "a0S000000000002AAA",
+  scheduledJobId: null,
+  name: "Weekly Contacts",
+  cronExpression: "0 30 3 ? * SUN",
+  status: "Paused",
+  nextFireTime: null,
+};
+
+const UNSAVED_JOB = {
+  ...ACTIVE_SCHEDULE,
+  id: "08e000000000003AAA",
+  scheduleId: null,
+  name: "DuplicateRecord_Lead_Daily",
+  configurationName: undefined,
+  hasDefinition: false,
+};
+
+const createList = async () => {
+  const element = createElement("c-duplication-schedule-list", {
+    is: DuplicationScheduleList,
+  });
+  document.body.appendChild(element);
+  await flushPromises();
+  return element;
+};
+
+const clickRowAction = (element, scheduleId, action) => {
+  element.shadowRoot
+    .querySelector(`[data-id="${scheduleId}"][data-action="${action}"]`)
+    .click();
+};
+
+describe("c-duplication-schedule-list", () => {
+  beforeEach(() => {
+    getSchedules.mockResolvedValue([
+      ACTIVE_SCHEDULE,
+      PAUSED_SCHEDULE,
+      UNSAVED_JOB,
+    ]);
+    getActiveSettings.mockResolvedValue([
+      { MasterLabel: "Account Strict", DeveloperName: "Account_Strict" },
+    ]);
+  });
+
+  afterEach(() => {
+    // The jsdom instance is shared across test cases in a single file so reset the DOM
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+  });
+
+  it("lists schedules with their status and actions", async () => {
+    const element = await createList();
+
+    const rows = element.shadowRoot.querySelectorAll(
+      '[data-id="schedule-row"]',
+    );
+    expect(rows.length).toBe(3);
+    expect(rows[0].textContent).toContain("Every day at 02:00");
+
+    const statuses = Array.from(
+      element.shadowRoot.querySelectorAll('[data-id="schedule-status"]'),
+    ).map((status) => status.textContent.trim());
+    expect(statuses).toEqual(["Active", "Paused", "Active"]);
+
+    const toggles = element.shadowRoot.querySelectorAll(
+      '[data-action="toggle-pause"]',
+    );
+    expect(toggles[0].label).toBe("Pause");
+    expect(toggles[1].label).toBe("Resume");
+    // Jobs scheduled without a saved schedule are edited before pausing
+    expect(toggles[2].disabled).toBe(true);
+  });
+
+  it("edits a schedule in place", async () => {
+    updateSchedule.mockResolvedValue(ACTIVE_SCHEDULE.id);
+    const element = await createList();
+    const handler = jest.fn();
+    element.addEventListener("schedulechange", handler);
+
+    clickRowAction(element, ACTIVE_SCHEDULE.id, "edit");
+    await flushPromises();
+
+    const configuration = element.shadowRoot.querySelector(
+      '[data-id="edit-configuration"]',
+    );
+    // The current configuration stays selectable
+    expect(configuration.options.map((option) => option.value)).toEqual([
+      "Account_Default",
+      "Account_Strict",
+    ]);
+    configuration.dispatchEvent(
+      new CustomEvent("change", { detail: { value: "Account_Strict" } }),
+    );
+
+    const dryRun = element.shadowRoot.querySelector('[data-id="edit-dry-run"]');
+    dryRun.checked = false;
+    dryRun.dispatchEvent(new CustomEvent("change"));
+
+    const builder = element.shadowRoot.querySelector(
+      "c-duplication-schedule-builder",
+    );
+    expect(builder.cronExpression).toBe("0 0 2 * * ?");
+
+    element.shadowRoot.querySelector('[data-id="save-edit"]').click();
+    await flushPromises();
+
+    expect(updateSchedule).toHaveBeenCalledWith({
+      scheduleId: ACTIVE_SCHEDULE.id,
+      configurationName: "Account_Strict",
+      cronExpression: "0 0 2 * * ?",
+      isDryRun: false,
+    });
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0].detail).toEqual({
+      scheduleId: ACTIVE_SCHEDULE.id,
+      action: "edit",
+    });
+    expect(
+      element.shadowRoot.querySelector("c-duplication-schedule-builder"),
+    ).toBeNull();
+    expect(getSchedules).toHaveBeenCalledTimes(2);
+  });
+
+  it("pauses and resumes schedules", async () => {
+    pauseSchedule.mockResolvedValue(ACTIVE_SCHEDULE.id);
+    resumeSchedule.mockResolvedValue(PAUSED_SCHEDULE.id);
+    const element = await createList();
+
+    clickRowAction(element, ACTIVE_SCHEDULE.id, "toggle-pause");
+    await flushPromises();
+    expect(pauseSchedule).toHaveBeenCalledWith({
+      scheduleId: ACTIVE_SCHEDULE.id,
+    });
+
+    clickRowAction(element, PAUSED_SCHEDULE.id, "toggle-pause");
+    await flushPromises();
+    expect(resumeSchedule).toHaveBeenCalledWith({
+      scheduleId: PAUSED_SCHEDULE.id,
+    });
+  });
+
+  it("shows the run history of a schedule", async () => {
+    getScheduleRunHistory.mockResolvedValue([
+      {
+        id: "a0J000000000001AAA",
+        status: "Completed",
+        startTime: "2026-10-19T02:00:00.000Z",
+        processingTimeMs: 95000,
+        recordsProcessed: 500,
+        duplicatesFound: 12,
+        recordsMerged: 0,
+        isDryRun: true,
+      },
+    ]);
+    const element = await createList();
+
+    clickRowAction(element, ACTIVE_SCHEDULE.id, "history");
+    await flushPromises();
+
+    expect(getScheduleRunHistory).toHaveBeenCalledWith({
+      scheduleId: ACTIVE_SCHEDULE.id,
+      recordLimit: 20,
+    });
+    const rows = element.shadowRoot.querySelectorAll('[data-id="history-row"]');
+    expect(rows.length).toBe(1);
+    expect(rows[0].textContent).toContain("Dry Run");
+    expect(rows[0].textContent).toContain("1m 35s");
+  });
+});
@@ -0,0 +1,375 @@
+import { LightningElement, api, track } from "lwc";
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import getSchedules from "@salesforce/apex/DuplicateRecordJobController.getSchedules";
+import updateSchedule from "@salesforce/apex/DuplicateRecordJobController.updateSchedule";
+import pauseSchedule from "@salesforce/apex/DuplicateRecordJobController.pauseSchedule";
+import resumeSchedule from "@salesforce/apex/DuplicateRecordJobController.resumeSchedule";
+import getScheduleRunHistory from "@salesforce/apex/DuplicateRecordJobController.getScheduleRunHistory";
+import getActiveSettings from "@salesforce/apex/DuplicateRecordController.getActiveSettings";
+import { describeCronExpression } from "c/duplicationCronExpression";
+
+const STATUS_PAUSED = "Paused";
+const HISTORY_LIMIT = 20;
+
+/**
+ * Saved duplicate job schedules with editing, pausing and run history
+ * Used by duplicationManagerJobs and duplicationJobManager. A "schedulechange"
+ * event with { scheduleId, action } follows every change, so the parent can
+ * reload its scheduled jobs.
+ * @component
+ */
+export default class DuplicationScheduleList extends LightningElement {
+  @track schedules = [];
+  isLoading = false;
+
+  // Edit form state
+  @track editSchedule = null;
+  @track editForm = {
+    configurationName: "",
+    cronExpression: "",
+    isDryRun: true,
+  };
+  @track configurationOptions = [];
+  isSaving = false;
+
+  // Run history state
+  @track historySchedule = null;
+  @track historyRuns = [];
+  isLoadingHistory = false;
+
+  // ID of the schedule being paused or resumed
+  busyScheduleId = null;
+
+  connectedCallback() {
+    this.loadSchedules();
+  }
+
+  /**
+   * Reload the schedules from the server
+   * @returns {Promise} Promise resolved when the schedules are loaded
+   */
+  @api
+  refresh() {
+    return this.loadSchedules();
+  }
+
+  loadSchedules() {
+    this.isLoading = true;
+
+    return getSchedules()
+      .then((result) => {
+        this.schedules = result || [];
+      })
+      .catch((error) => {
+        this.handleError("Error loading schedules", error);
+      })
+      .finally(() => {
+        this.isLoading = false;
+      });
+  }
+
+  /**
+   * Find the schedule of a row action
+   * @param {Event} event - Click event of a button with data-id
+   * @returns {Object} The schedule
+   */
+  findSchedule(event) {
+    const scheduleId = event.currentTarget.dataset.id;
+    return this.schedules.find((schedule) => schedule.id === scheduleId);
+  }
+
+  /**
+   * Open the edit form for a schedule
+   * @param {Event} event - Click event of the Edit button
+   */
+  handleEdit(event) {
+    const schedule = this.findSchedule(event);
+    if (!schedule) {
+      return;
+    }
+
+    this.editSchedule = schedule;
+    this.editForm = {
+      configurationName: schedule.configurationName || "",
+      cronExpression: schedule.cronExpression,
+      isDryRun: schedule.isDryRun === true,
+    };
+    this.loadConfigurationOptions();
+  }
+
+  /**
+   * Load the configurations a schedule can run, keeping the current one
+   * even when it is no longer active
+   */
+  loadConfigurationOptions() {
+    getActiveSettings()
+      .then((settings) => {
+        const options = (settings || []).map((setting) => ({
+          label: setting.MasterLabel || setting.DeveloperName,
+          value: setting.DeveloperName,
+        }));
+        const current = this.editForm.configurationName;
+        if (current && !options.some((option) => option.value === current)) {
+          options.unshift({ label: current, value: current });
+        }
+        this.configurationOptions = options;
+      })
+      .catch((error) => {
+        this.handleError("Error loading configurations", error);
+      });
+  }
+
+  handleConfigurationChange(event) {
+    this.editForm = {
+      ...this.editForm,
+      configurationName: event.detail.value,
+    };
+  }
+
+  handleDryRunChange(event) {
+    this.editForm = { ...this.editForm, isDryRun: event.target.checked };
+  }
+
+  handleCancelEdit() {
+    this.editSchedule = null;
+  }
+
+  /**
+   * Save the edited schedule
+   */
+  handleSaveEdit() {
+    const scheduleBuilder = this.template.querySelector(
+      "c-duplication-schedule-builder",
+    );
+    if (!this.editForm.configurationName) {
+      this.showToast(
+        "Validation Error",
+        "Please select a configuration",
+        "error",
+      );
+      return;
+    }
+    if (!scheduleBuilder.validate()) {
+      this.showToast(
+        "Validation Error",
+        "Please fix the schedule before saving",
+        "error",
+      );
+      return;
+    }
+
+    const schedule = this.editSchedule;
+    this.isSaving = true;
+    updateSchedule({
+      scheduleId: schedule.id,
+      configurationName: this.editForm.configurationName,
+      cronExpression: scheduleBuilder.cronExpression,
+      isDryRun: this.editForm.isDryRun,
+    })
+      .then((scheduleId) => {
+        this.showToast(
+          "Success",
+          `Schedule "${schedule.name}" updated`,
+          "success",
+        );
+        this.editSchedule = null;
+        this.notifyChange(scheduleId, "edit");
+      })
+      .catch((error) => {
+        this.handleError("Error updating schedule", error);
+      })
+      .finally(() => {
+        this.isSaving = false;
+      });
+  }
+
+  /**
+   * Pause or resume a schedule
+   * @param {Event} event - Click event of the Pause or Resume button
+   */
+  handleTogglePause(event) {
+    const schedule = this.findSchedule(event);
+    if (!schedule) {
+      return;
+    }
+
+    const isPaused = schedule.status === STATUS_PAUSED;
+    const action = isPaused ? resumeSchedule : pauseSchedule;
+
+    this.busyScheduleId = schedule.id;
+    action({ scheduleId: schedule.id })
+      .then((scheduleId) => {
+        this.showToast(
+          "Success",
+          `Schedule "${schedule.name}" ${isPaused ? "resumed" : "paused"}`,
+          "success",
+        );
+        this.notifyChange(scheduleId, isPaused ? "resume" : "pause");
+      })
+      .catch((error) => {
+        this.handleError(
+          isPaused ? "Error resuming schedule" : "Error pausing schedule",
+          error,
+        );
+      })
+      .finally(() => {
+        this.busyScheduleId = null;
+      });
+  }
+
+  /**
+   * Show the runs a schedule started
+   * @param {Event} event - Click event of the History button
+   */
+  handleShowHistory(event) {
+    const schedule = this.findSchedule(event);
+    if (!schedule) {
+      return;
+    }
+
+    this.historySchedule = schedule;
+    this.historyRuns = [];
+    this.isLoadingHistory = true;
+
+    getScheduleRunHistory({
+      scheduleId: schedule.id,
+      recordLimit: HISTORY_LIMIT,
+    })
+      .then((runs) => {
+        this.historyRuns = (runs || []).map((run) => ({
+          ...run,
+          modeLabel: run.isDryRun ? "Dry Run" : "Merge",
+          durationLabel: this.formatDuration(run.processingTimeMs),
+        }));
+      })
+      .catch((error) => {
+        this.handleError("Error loading run history", error);
+      })
+      .finally(() => {
+        this.isLoadingHistory = false;
+      });
+  }
+
+  handleCloseHistory() {
+    this.historySchedule = null;
+    this.historyRuns = [];
+  }
+
+  /**
+   * Reload the schedules and tell the parent a schedule changed
+   * @param {String} scheduleId - ID of the saved schedule
+   * @param {String} action - edit, pause or resume
+   */
+  notifyChange(scheduleId, action) {
+    this.loadSchedules();
+    this.dispatchEvent(
+      new CustomEvent("schedulechange", {
+        detail: { scheduleId, action },
+      }),
+    );
+  }
+
+  /**
+   * Format a run length
+   * @param {Number} durationMs - Run length in milliseconds
+   * @returns {String} Run length in minutes and seconds
+   */
+  formatDuration(durationMs) {
+    if (!durationMs) {
+      return "";
+    }
+    const seconds = Math.round(durationMs / 1000);
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+  }
+
+  /**
+   * Shows a toast notification
+   * @param {String} title - Toast title
+   * @param {String} message - Toast message
+   * @param {String} variant - Toast variant (success, error, warning, info)
+   */
+  showToast(title, message, variant) {
+    this.dispatchEvent(
+      new ShowToastEvent({
+        title: title,
+        message: message,
+        variant: variant,
+      }),
+    );
+  }
+
+  /**
+   * Handles errors and displays error messages
+   * @param {String} baseMessage - The base error message
+   * @param {Object} error - The error object
+   */
+  handleError(baseMessage, error) {
+    let errorMessage = baseMessage;
+
+    if (error) {
+      if (error.body && error.body.message) {
+        errorMessage += ": " + error.body.message;
+      } else if (error.message) {
+        errorMessage += ": " + error.message;
+      }
+    }
+
+    console.error(errorMessage);
+    this.showToast("Error", errorMessage, "error");
+  }
+
+  // Computed properties
+  get hasSchedules() {
+    return this.schedules.length > 0;
+  }
+
+  /**
+   * Get the schedules with what each row shows
+   * @returns {Array} Schedules with labels and action states
+   */
+  get scheduleRows() {
+    return this.schedules.map((schedule) => {
+      const isPaused = schedule.status === STATUS_PAUSED;
+      return {
+        ...schedule,
+        isPaused,
+        description:
+          describeCronExpression(schedule.cronExpression) ||
+          schedule.cronExpression,
+        modeLabel: schedule.isDryRun ? "Dry Run" : "Merge",
+        statusClass: isPaused ? "slds-badge slds-badge_lightest" : "slds-badge",
+        toggleLabel: isPaused ? "Resume" : "Pause",
+        toggleIcon: isPaused ? "utility:play" : "utility:pause",
+        toggleDisabled:
+          !schedule.hasDefinition || this.busyScheduleId === schedule.id,
+        toggleTitle: schedule.hasDefinition
+          ? ""
+          : "Edit this job first to save its configuration",
+        historyDisabled: !schedule.hasDefinition,
+      };
+    });
+  }
+
+  get isEditing() {
+    return this.editSchedule !== null;
+  }
+
+  get isShowingHistory() {
+    return this.historySchedule !== null;
+  }
+
+  get hasHistoryRuns() {
+    return this.historyRuns.length > 0;
+  }
+
+  get editTitle() {
+    return this.editSchedule ? `Edit ${this.editSchedule.name}` : "";
+  }
+
+  get editPausedMessage() {
+    return this.editSchedule && this.editSchedule.status === STATUS_PAUSED
+      ? "This schedule is paused. Changes apply when it is resumed."
+      : "";
+  }
+}
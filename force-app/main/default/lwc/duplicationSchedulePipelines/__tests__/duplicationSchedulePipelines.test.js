@@ -0,0 +1,215 @@
+import { createElement } from "lwc";
+import DuplicationSchedulePipelines from "c/duplicationSchedulePipelines";
+import getSchedulePipelines from "@salesforce/apex/DuplicateRecordJobController.getSchedulePipelines";
+import configureSchedulePipeline from "@salesforce/apex/DuplicateRecordJobController.configureSchedulePipeline";
+import approveSchedulePipeline from "@salesforce/apex/DuplicateRecordJobController.approveSchedulePipeline";
+import rejectSchedulePipeline from "@salesforce/apex/DuplicateRecordJobController.rejectSchedulePipeline";
+import flushPromises from "../../../../../../jest-utils/flushPromises";
+
+jest.mock(
+  "@salesforce/apex/DuplicateRecordJobController.getSchedulePipelines",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateRecordJobController.configureSchedulePipeline",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateRecordJobController.approveSchedulePipeline",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicateRecordJobController.rejectSchedulePipeline",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+
+const AWAITING_REVIEW = {
+  id: "a0S000000000001AAA",
+  name: "Nightly Accounts",
+  configurationName: "Account_Default",
+  objectApiName: "Account",
+  isDryRun: true,
+  status: "Active",
+  mergeAfterReview: true,
+  reviewWindowHours: 24,
+  tolerancePercent: 10,
+  pipelineStatus: "Awaiting Review",
+  pipelineMessage:
+    "Dry run found 105 duplicates against 100 in the previous run",
+  reviewEndsAt: "2026-10-20T02:00:00.000Z",
+  dryRunDuplicates: 105,
+  previousDuplicates: 100,
+};
+
+const BLOCKED = {
+  ...AWAITING_REVIEW,
+  id: "a0S000000000002AAA",
+  name: "Weekly Contacts",
+  pipelineStatus: "Blocked",
+  reviewEndsAt: null,
+};
+
+const MERGING_SCHEDULE = {
+  ...AWAITING_REVIEW,
+  id: "a0S000000000003AAA",
+  name: "Monthly Leads",
+  isDryRun: false,
+  mergeAfterReview: false,
+  pipelineStatus: "Idle",
+  pipelineMessage: null,
+  reviewEndsAt: null,
+  dryRunDuplicates: null,
+  previousDuplicates: null,
+};
+
+const createPipelines = async () => {
+  const element = createElement("c-duplication-schedule-pipelines", {
+    is: DuplicationSchedulePipelines,
+  });
+  document.body.appendChild(element);
+  await flushPromises();
+  return element;
+};
+
+const clickRowAction = (element, scheduleId, action) => {
+  element.shadowRoot
+    .querySelector(`[data-id="${scheduleId}"][data-action="${action}"]`)
+    .click();
+};
+
+describe("c-duplication-schedule-pipelines", () => {
+  beforeEach(() => {
+    getSchedulePipelines.mockResolvedValue([
+      AWAITING_REVIEW,
+      BLOCKED,
+      MERGING_SCHEDULE,
+    ]);
+  });
+
+  afterEach(() => {
+    // The jsdom instance is shared across test cases in a single file so reset the DOM
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+  });
+
+  it("shows the pipeline state of each schedule", async () => {
+    const element = await createPipelines();
+
+    const rows = element.shadowRoot.querySelectorAll(
+      '[data-id="pipeline-row"]',
+    );
+    expect(rows.length).toBe(3);
+
+    const statuses = Array.from(
+      element.shadowRoot.querySelectorAll('[data-id="pipeline-status"]'),
+    ).map((status) => status.textContent.trim());
+    expect(statuses).toEqual(["Awaiting Review", "Blocked", "Idle"]);
+
+    const paths = element.shadowRoot.querySelectorAll(
+      "lightning-progress-indicator",
+    );
+    expect(paths.length).toBe(2);
+    expect(paths[0].currentStep).toBe("review");
+    expect(paths[1].hasError).toBe(true);
+
+    expect(
+      rows[0].querySelector('[data-id="dry-run-counts"]').textContent,
+    ).toContain("100 in the previous run");
+    expect(rows[0].querySelector('[data-id="review-ends"]')).not.toBeNull();
+
+    // Only a dry run awaiting review can be approved
+    const approveButtons = element.shadowRoot.querySelectorAll(
+      '[data-action="approve"]',
+    );
+    expect(approveButtons[0].disabled).toBe(false);
+    expect(approveButtons[1].disabled).toBe(true);
+  });
+
+  it("approves a dry run awaiting review", async () => {
+    approveSchedulePipeline.mockResolvedValue("707000000000003AAA");
+    const element = await createPipelines();
+
+    clickRowAction(element, AWAITING_REVIEW.id, "approve");
+    await flushPromises();
+
+    expect(approveSchedulePipeline).toHaveBeenCalledWith({
+      scheduleId: AWAITING_REVIEW.id,
+    });
+    expect(getSchedulePipelines).toHaveBeenCalledTimes(2);
+  });
+
+  it("rejects a dry run with a reason", async () => {
+    rejectSchedulePipeline.mockResolvedValue(AWAITING_REVIEW.id);
+    const element = await createPipelines();
+
+    clickRowAction(element, AWAITING_REVIEW.id, "reject");
+    await flushPromises();
+
+    const confirm = element.shadowRoot.querySelector(
+      '[data-id="confirm-reject"]',
+    );
+    expect(confirm.disabled).toBe(true);
+
+    const reason = element.shadowRoot.querySelector(
+      '[data-id="reject-reason"]',
+    );
+    reason.value = "Too many false positives";
+    reason.dispatchEvent(new CustomEvent("change"));
+    await flushPromises();
+
+    confirm.click();
+    await flushPromises();
+
+    expect(rejectSchedulePipeline).toHaveBeenCalledWith({
+      scheduleId: AWAITING_REVIEW.id,
+      reason: "Too many false positives",
+    });
+    expect(
+      element.shadowRoot.querySelector('[data-id="confirm-reject"]'),
+    ).toBeNull();
+  });
+
+  it("saves the pipeline settings of a schedule", async () => {
+    configureSchedulePipeline.mockResolvedValue(BLOCKED.id);
+    const element = await createPipelines();
+
+    clickRowAction(element, MERGING_SCHEDULE.id, "settings");
+    await flushPromises();
+    // Schedules that merge on every run cannot add a merge after review
+    expect(
+      element.shadowRoot.querySelector('[data-id="merge-after-review"]')
+        .disabled,
+    ).toBe(true);
+    element.shadowRoot.querySelector('[data-id="cancel-settings"]').click();
+    await flushPromises();
+
+    clickRowAction(element, BLOCKED.id, "settings");
+    await flushPromises();
+
+    const reviewWindow = element.shadowRoot.querySelector(
+      '[data-id="review-window"]',
+    );
+    reviewWindow.value = "";
+    reviewWindow.dispatchEvent(new CustomEvent("change"));
+
+    const tolerance = element.shadowRoot.querySelector('[data-id="tolerance"]');
+    tolerance.value = "25";
+    tolerance.dispatchEvent(new CustomEvent("change"));
+
+    element.shadowRoot.querySelector('[data-id="save-settings"]').click();
+    await flushPromises();
+
+    expect(configureSchedulePipeline).toHaveBeenCalledWith({
+      scheduleId: BLOCKED.id,
+      mergeAfterReview: true,
+      reviewWindowHours: null,
+      tolerancePercent: 25,
+    });
+  });
+});
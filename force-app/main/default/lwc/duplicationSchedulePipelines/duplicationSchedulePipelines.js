@@ -0,0 +1,346 @@
+import { LightningElement } from "lwc";
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import getSchedulePipelines from "@salesforce/apex/DuplicateRecordJobController.getSchedulePipelines";
+import configureSchedulePipeline from "@salesforce/apex/DuplicateRecordJobController.configureSchedulePipeline";
+import approveSchedulePipeline from "@salesforce/apex/DuplicateRecordJobController.approveSchedulePipeline";
+import rejectSchedulePipeline from "@salesforce/apex/DuplicateRecordJobController.rejectSchedulePipeline";
+
+const STATUS_AWAITING_REVIEW = "Awaiting Review";
+
+// Pipeline status -> current step of the dry run, review, merge path
+const PIPELINE_STEPS = {
+  Idle: { step: "dryRun", hasError: false },
+  "Awaiting Review": { step: "review", hasError: false },
+  Blocked: { step: "review", hasError: true },
+  Rejected: { step: "review", hasError: true },
+  Merging: { step: "merge", hasError: false },
+  Failed: { step: "merge", hasError: true },
+  Completed: { step: "done", hasError: false },
+};
+
+/**
+ * Dry run, review and merge pipelines of saved schedules. A dry run schedule
+ * with Merge After Review on is followed by a merge with the same
+ * configuration once the dry run is approved or its review window ends,
+ * provided its duplicate count stayed within the tolerance of the previous run.
+ * @component
+ */
+export default class DuplicationSchedulePipelines extends LightningElement {
+  pipelines = [];
+  isLoading = false;
+  isSaving = false;
+  error = null;
+
+  // Settings modal state
+  settingsPipeline = null;
+  settingsForm = {};
+
+  // Reject modal state
+  rejectPipeline = null;
+  rejectReason = "";
+
+  /**
+   * Lifecycle hook - Called when component is inserted into the DOM
+   */
+  connectedCallback() {
+    this.loadPipelines();
+  }
+
+  /**
+   * Load the schedules with their pipeline state
+   */
+  loadPipelines() {
+    this.isLoading = true;
+    this.error = null;
+
+    getSchedulePipelines()
+      .then((result) => {
+        this.pipelines = (result || []).map((pipeline) =>
+          this.toPipelineRow(pipeline),
+        );
+      })
+      .catch((error) => {
+        this.pipelines = [];
+        this.handleError("Error loading schedule pipelines", error);
+        this.error =
+          (error.body && error.body.message) ||
+          error.message ||
+          "Error loading schedule pipelines";
+      })
+      .finally(() => {
+        this.isLoading = false;
+      });
+  }
+
+  /**
+   * Add what a row shows to a pipeline
+   * @param {Object} pipeline - Pipeline from getSchedulePipelines
+   * @returns {Object} Pipeline with labels and action states
+   */
+  toPipelineRow(pipeline) {
+    const pipelineStep =
+      PIPELINE_STEPS[pipeline.pipelineStatus] || PIPELINE_STEPS.Idle;
+    const isAwaitingReview = pipeline.pipelineStatus === STATUS_AWAITING_REVIEW;
+    const hasDryRunCounts =
+      pipeline.dryRunDuplicates !== null &&
+      pipeline.dryRunDuplicates !== undefined;
+
+    return {
+      ...pipeline,
+      currentStep: pipelineStep.step,
+      hasError: pipelineStep.hasError,
+      isAwaitingReview,
+      isDecisionDisabled: !isAwaitingReview,
+      hasDryRunCounts,
+      previousLabel:
+        pipeline.previousDuplicates !== null &&
+        pipeline.previousDuplicates !== undefined
+          ? `${pipeline.previousDuplicates} in the previous run`
+          : "no previous run",
+      reviewLabel: pipeline.reviewWindowHours
+        ? `Merges ${pipeline.reviewWindowHours}h after the dry run unless rejected`
+        : "Merges when approved",
+      statusClass: pipelineStep.hasError
+        ? "slds-badge slds-theme_error"
+        : "slds-badge",
+    };
+  }
+
+  /**
+   * Find the pipeline of a row action
+   * @param {Event} event - Click event of a button with data-id
+   * @returns {Object} The pipeline
+   */
+  findPipeline(event) {
+    const scheduleId = event.currentTarget.dataset.id;
+    return this.pipelines.find((pipeline) => pipeline.id === scheduleId);
+  }
+
+  /**
+   * Open the pipeline settings of a schedule
+   * @param {Event} event - Click event of the Settings button
+   */
+  handleSettingsClick(event) {
+    const pipeline = this.findPipeline(event);
+    if (!pipeline) {
+      return;
+    }
+
+    this.settingsPipeline = pipeline;
+    this.settingsForm = {
+      mergeAfterReview: pipeline.mergeAfterReview === true,
+      reviewWindowHours: pipeline.reviewWindowHours,
+      tolerancePercent: pipeline.tolerancePercent,
+    };
+  }
+
+  handleMergeAfterReviewChange(event) {
+    this.settingsForm = {
+      ...this.settingsForm,
+      mergeAfterReview: event.target.checked,
+    };
+  }
+
+  handleReviewWindowChange(event) {
+    this.settingsForm = {
+      ...this.settingsForm,
+      reviewWindowHours: this.toNumber(event.target.value),
+    };
+  }
+
+  handleToleranceChange(event) {
+    this.settingsForm = {
+      ...this.settingsForm,
+      tolerancePercent: this.toNumber(event.target.value),
+    };
+  }
+
+  closeSettingsModal() {
+    this.settingsPipeline = null;
+    this.settingsForm = {};
+  }
+
+  /**
+   * Save the pipeline settings of a schedule
+   */
+  handleSaveSettings() {
+    const pipeline = this.settingsPipeline;
+    this.isSaving = true;
+
+    configureSchedulePipeline({
+      scheduleId: pipeline.id,
+      mergeAfterReview: this.settingsForm.mergeAfterReview,
+      reviewWindowHours: this.settingsForm.reviewWindowHours,
+      tolerancePercent: this.settingsForm.tolerancePercent,
+    })
+      .then(() => {
+        this.showToast(
+          "Success",
+          `Pipeline of "${pipeline.name}" saved`,
+          "success",
+        );
+        this.closeSettingsModal();
+        this.loadPipelines();
+      })
+      .catch((error) => {
+        this.handleError("Error saving schedule pipeline", error);
+      })
+      .finally(() => {
+        this.isSaving = false;
+      });
+  }
+
+  /**
+   * Approve the dry run of a schedule, which starts its merge
+   * @param {Event} event - Click event of the Approve button
+   */
+  handleApproveClick(event) {
+    const pipeline = this.findPipeline(event);
+    if (!pipeline) {
+      return;
+    }
+
+    this.isSaving = true;
+    approveSchedulePipeline({ scheduleId: pipeline.id })
+      .then(() => {
+        this.showToast(
+          "Success",
+          `Merge of "${pipeline.name}" started`,
+          "success",
+        );
+        this.loadPipelines();
+      })
+      .catch((error) => {
+        this.handleError("Error approving schedule pipeline", error);
+      })
+      .finally(() => {
+        this.isSaving = false;
+      });
+  }
+
+  /**
+   * Open the reject modal for the dry run of a schedule
+   * @param {Event} event - Click event of the Reject button
+   */
+  handleRejectClick(event) {
+    this.rejectPipeline = this.findPipeline(event) || null;
+    this.rejectReason = "";
+  }
+
+  handleRejectReasonChange(event) {
+    this.rejectReason = event.target.value;
+  }
+
+  closeRejectModal() {
+    this.rejectPipeline = null;
+    this.rejectReason = "";
+  }
+
+  /**
+   * Reject the dry run so it is not merged
+   */
+  handleConfirmReject() {
+    if (this.isRejectDisabled) {
+      return;
+    }
+
+    const pipeline = this.rejectPipeline;
+    this.isSaving = true;
+    rejectSchedulePipeline({
+      scheduleId: pipeline.id,
+      reason: this.rejectReason.trim(),
+    })
+      .then(() => {
+        this.showToast(
+          "Success",
+          `Dry run of "${pipeline.name}" rejected. Nothing was merged.`,
+          "success",
+        );
+        this.closeRejectModal();
+        this.loadPipelines();
+      })
+      .catch((error) => {
+        this.handleError("Error rejecting schedule pipeline", error);
+      })
+      .finally(() => {
+        this.isSaving = false;
+      });
+  }
+
+  /**
+   * Convert an input value to a number, blank for an empty input
+   * @param {String} value - Input value
+   * @returns {Number} The number, or null
+   */
+  toNumber(value) {
+    return value === "" || value === null || value === undefined
+      ? null
+      : Number(value);
+  }
+
+  get hasPipelines() {
+    return this.pipelines.length > 0;
+  }
+
+  get showEmptyState() {
+    return !this.isLoading && !this.error && !this.hasPipelines;
+  }
+
+  get showSettingsModal() {
+    return this.settingsPipeline !== null;
+  }
+
+  get settingsTitle() {
+    return this.settingsPipeline
+      ? `Pipeline: ${this.settingsPipeline.name}`
+      : "";
+  }
+
+  get isMergeAfterReviewDisabled() {
+    return !!this.settingsPipeline && !this.settingsPipeline.isDryRun;
+  }
+
+  get showRejectModal() {
+    return this.rejectPipeline !== null;
+  }
+
+  get isRejectDisabled() {
+    return this.isSaving || !(this.rejectReason || "").trim();
+  }
+
+  /**
+   * Show toast notification
+   * @param {String} title - Toast title
+   * @param {String} message - Toast message
+   * @param {String} variant - Toast variant (info, success, warning, error)
+   */
+  showToast(title, message, variant) {
+    this.dispatchEvent(
+      new ShowToastEvent({
+        title: title,
+        message: message,
+        variant: variant,
+      }),
+    );
+  }
+
+  /**
+   * Handle errors with proper messaging
+   * @param {String} baseMessage - Base error message
+   * @param {Error} error - Error object
+   */
+  handleError(baseMessage, error) {
+    let errorMessage = baseMessage;
+
+    if (error) {
+      if (error.body && error.body.message) {
+        errorMessage += ": " + error.body.message;
+      } else if (error.message) {
+        errorMessage += ": " + error.message;
+      }
+    }
+
+    console.error(errorMessage);
+    this.showToast("Error", errorMessage, "error");
+  }
+}
@@ -4,14 +4,26 @@ import getRecordData from "@salesforce/apex/RecordDataController.getRecordData";
 // Temporarily comment out the MetadataController import until implementation is complete
 // import getObjectInfo from "@salesforce/apex/MetadataController.getObjectInfo";
 import mergeDuplicateRecords from "@salesforce/apex/DuplicateRecordController.mergeDuplicateRecords";
-// Temporarily comment out the createNote import until implementation is complete
-// import createNoteWithConflicts from "@salesforce/apex/DuplicateRecordController.createNote";
+import { buildFieldSelections } from "c/duplicationUtils";
+
+const NOTE_TITLE = "Data preserved from merged records";
 
 export default class DuplicationSideBySideCompare extends LightningElement {
   @api masterRecordId;
   @api duplicateRecordId;
   @api objectApiName;
 
+  /**
+   * Note format for preserved values: "ContentNote" or the classic "Note"
+   */
+  @api noteFormat = "ContentNote";
+
+  /**
+   * When true, the merge still goes ahead if the preserved-data note cannot
+   * be created and a warning is shown instead
+   */
+  @api allowMergeWithoutNote = false;
+
   @track compareFields = [];
   @track masterRecord;
   @track duplicateRecord;
@@ -256,9 +268,10 @@ export default class DuplicationSideBySideCompare extends LightningElement {
   /**
    * Handle error
    * @param {Object} error - Error object
+   * @param {String} baseMessage - Message describing the failed operation
    */
-  handleError(error) {
-    let errorMessage = "Error loading record data";
+  handleError(error, baseMessage = "Error loading record data") {
+    let errorMessage = baseMessage;
 
     if (error) {
       if (error.body && error.body.message) {
@@ -293,11 +306,13 @@ export default class DuplicationSideBySideCompare extends LightningElement {
     if (this.conflictData.length > 0) {
       noteContent += "== CONFLICTING VALUES ==\n";
       this.conflictData.forEach((conflict) => {
-        // Only include conflicts where master value was chosen (others were already merged)
+        // Record whichever value loses, so nothing is dropped by the merge
         const field = this.compareFields.find(
           (f) => f.fieldName === conflict.fieldName,
         );
-        if (field && field.selected) {
+        if (field && field.duplicateSelected) {
+          noteContent += `${conflict.fieldLabel}: ${conflict.masterValue} (replaced on master record)\n`;
+        } else if (field) {
           noteContent += `${conflict.fieldLabel}: ${conflict.duplicateValue} (from duplicate record)\n`;
         }
       });
@@ -328,6 +343,12 @@ export default class DuplicationSideBySideCompare extends LightningElement {
     return this.nonMergeableData.length > 0;
   }
 
+  get noteNotice() {
+    return this.allowMergeWithoutNote
+      ? "Values that are not kept will be saved in a note on the master record. You will be warned if the note cannot be created."
+      : "Values that are not kept will be saved in a note on the master record. The merge is not performed if the note cannot be created.";
+  }
+
   /**
    * Handle field value selection
    */
@@ -385,27 +406,36 @@ export default class DuplicationSideBySideCompare extends LightningElement {
 
     this.isLoading = true;
 
-    // Call Apex method to merge records
-    mergeDuplicateRecords({
-      masterRecordId: mergeRequest.masterRecordId,
-      duplicateRecordIds: mergeRequest.duplicateRecordIds,
-      objectApiName: mergeRequest.objectApiName
-    })
+    // Call Apex method to merge records, applying the selected field values
+    mergeDuplicateRecords({ request: mergeRequest })
       .then((result) => {
-        if (result.success) {
-          // Create a note with conflict data if needed
-          if (this.hasConflicts || this.hasNonMergeableData) {
-            return this.createConflictNote(result.masterRecordId);
-          }
-          return { success: true };
+        if (!result.success) {
+          throw new Error(result.message || "Unknown error during merge");
         }
-        throw new Error(
-          result.errors
-            ? result.errors.join(", ")
-            : "Unknown error during merge",
-        );
-      })
-      .then(() => {
+
+        // The merge went ahead without the note, so tell the user what was lost
+        if (result.noteWarning) {
+          this.dispatchEvent(
+            new ShowToastEvent({
+              title: "Warning",
+              message: result.noteWarning,
+              variant: "warning",
+              mode: "sticky",
+            }),
+          );
+        }
+
+        // Fields the user cannot edit kept the master value
+        if (result.fieldsSkipped && result.fieldsSkipped.length > 0) {
+          this.dispatchEvent(
+            new ShowToastEvent({
+              title: "Warning",
+              message: `Kept the master values of fields you cannot edit: ${result.fieldsSkipped.join(", ")}`,
+              variant: "warning",
+            }),
+          );
+        }
+
         this.dispatchEvent(
           new ShowToastEvent({
             title: "Success",
@@ -425,7 +455,7 @@ export default class DuplicationSideBySideCompare extends LightningElement {
         );
       })
       .catch((error) => {
-        this.handleError(error);
+        this.handleError(error, "Records were not merged");
       })
       .finally(() => {
         this.isLoading = false;
@@ -461,43 +491,44 @@ export default class DuplicationSideBySideCompare extends LightningElement {
 
   /**
    * Build merge request
+   * @returns {Object} Request for mergeDuplicateRecords, including the
+   * record chosen for each field
    */
   buildMergeRequest() {
-    // Get all selected fields
-    const masterSelectedFields = this.compareFields
-      .filter((field) => field.selected)
-      .map((field) => field.fieldName);
+    const selections = {};
 
-    const duplicateSelectedFields = this.compareFields
-      .filter((field) => field.duplicateSelected)
-      .map((field) => field.fieldName);
+    this.compareFields.forEach((field) => {
+      selections[field.fieldName] = field.duplicateSelected
+        ? this.duplicateRecordId
+        : this.masterRecordId;
+    });
 
-    // The actual API doesn't support field-level merging, so we're keeping
-    // this simple for the demonstration
     return {
       masterRecordId: this.masterRecordId,
       duplicateRecordIds: [this.duplicateRecordId],
       objectApiName: this.objectApiName,
-      // These would be used in a real field-level merge implementation
-      masterFields: masterSelectedFields,
-      duplicateFields: duplicateSelectedFields,
+      fieldSelections: buildFieldSelections(selections, this.masterRecordId),
+      note: this.buildConflictNote(),
     };
   }
 
   /**
-   * Create note with conflict data
+   * Build the note that preserves losing values on the surviving record.
+   * It is created in the same transaction as the merge, so a failure stops
+   * the merge unless allowMergeWithoutNote is set.
+   * @returns {Object|null} Note request, or null when nothing needs preserving
    */
-  createConflictNote(recordId) {
-    const targetId = recordId || this.masterRecordId;
-    const noteContent = this.generateNoteContent();
-
-    // Mock the note creation instead of calling the Apex method
-    console.log('Would create note on record:', targetId);
-    console.log('Title: Data preserved from merged records');
-    console.log('Content:', noteContent);
-    
-    // Return a mock success response
-    return Promise.resolve({ success: true });
+  buildConflictNote() {
+    if (!this.hasConflicts && !this.hasNonMergeableData) {
+      return null;
+    }
+
+    return {
+      title: NOTE_TITLE,
+      body: this.generateNoteContent(),
+      format: this.noteFormat,
+      required: !this.allowMergeWithoutNote,
+    };
   }
 
   /**
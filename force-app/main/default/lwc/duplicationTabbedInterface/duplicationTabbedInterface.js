@@ -55,6 +55,14 @@ export default class DuplicationTabbedInterface extends LightningElement {
     });
     this.subscriptions.push(jobSubscription);
 
+    // Follow jobs started elsewhere, such as background merges
+    const jobStartedSubscription = subscribeToChannel((message) => {
+      if (message.type === MESSAGE_TYPES.JOB_STARTED && message.payload) {
+        this.jobId = message.payload.jobId;
+      }
+    });
+    this.subscriptions.push(jobStartedSubscription);
+
     // Subscribe to field selection changes
     const fieldSubscription = subscribeToChannel((message) => {
       if (message.type === MESSAGE_TYPES.FIELDS_SELECTED) {
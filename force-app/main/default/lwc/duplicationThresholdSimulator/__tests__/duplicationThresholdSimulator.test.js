@@ -0,0 +1,167 @@
+import { createElement } from "lwc";
+import DuplicationThresholdSimulator from "c/duplicationThresholdSimulator";
+import getThresholdSimulationData from "@salesforce/apex/DuplicateRecordController.getThresholdSimulationData";
+import saveMatchThreshold from "@salesforce/apex/DuplicationConfigController.saveMatchThreshold";
+import flushPromises from "../../../../../../jest-utils/flushPromises";
+
+jest.mock(
+  "@salesforce/apex/DuplicateRecordController.getThresholdSimulationData",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+jest.mock(
+  "@salesforce/apex/DuplicationConfigController.saveMatchThreshold",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+
+const MOCK_DATA = {
+  configName: "Account_Standard",
+  matchThreshold: 80,
+  groups: [
+    { id: "g1", groupKey: "acme", matchScore: 97, recordCount: 3 },
+    { id: "g2", groupKey: "globex", matchScore: 88, recordCount: 2 },
+    { id: "g3", groupKey: "initech", matchScore: 84, recordCount: 2 },
+    { id: "g4", groupKey: "umbrella", matchScore: 81, recordCount: 4 },
+  ],
+};
+
+const createSimulator = () => {
+  const element = createElement("c-duplication-threshold-simulator", {
+    is: DuplicationThresholdSimulator,
+  });
+  element.batchJobId = "707000000000001";
+  document.body.appendChild(element);
+  return element;
+};
+
+const getCount = (element, id) =>
+  element.shadowRoot.querySelector(`[data-id="${id}"]`).textContent.trim();
+
+const moveSlider = async (element, value) => {
+  const slider = element.shadowRoot.querySelector("lightning-slider");
+  slider.dispatchEvent(new CustomEvent("change", { detail: { value } }));
+  await flushPromises();
+};
+
+const getButton = (element, label) =>
+  [...element.shadowRoot.querySelectorAll("lightning-button")].find(
+    (button) => button.label === label,
+  );
+
+describe("c-duplication-threshold-simulator", () => {
+  beforeEach(() => {
+    getThresholdSimulationData.mockResolvedValue(MOCK_DATA);
+  });
+
+  afterEach(() => {
+    // The jsdom instance is shared across test cases in a single file so reset the DOM
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+  });
+
+  it("shows the dry run counts at the configured threshold", async () => {
+    const element = createSimulator();
+    await flushPromises();
+
+    expect(getThresholdSimulationData).toHaveBeenCalledWith({
+      batchJobId: "707000000000001",
+    });
+    expect(element.shadowRoot.querySelector("lightning-slider").value).toBe(80);
+    expect(getCount(element, "groupCount")).toBe("4");
+    expect(getCount(element, "recordCount")).toBe("11");
+    expect(getCount(element, "mergeCount")).toBe("7");
+  });
+
+  it("re-buckets groups and lists borderline groups when the threshold moves", async () => {
+    const element = createSimulator();
+    await flushPromises();
+
+    await moveSlider(element, 85);
+
+    expect(getCount(element, "groupCount")).toBe("2");
+    expect(getCount(element, "recordCount")).toBe("5");
+    expect(element.shadowRoot.textContent).toContain("-2");
+
+    const rows = [...element.shadowRoot.querySelectorAll("tbody tr")];
+    expect(rows.map((row) => row.dataset.status)).toEqual([
+      "Kept",
+      "Dropped",
+      "Dropped",
+    ]);
+  });
+
+  it("warns that lower thresholds can't show groups the dry run didn't store", async () => {
+    const element = createSimulator();
+    await flushPromises();
+
+    await moveSlider(element, 70);
+
+    expect(element.shadowRoot.textContent).toContain(
+      "weren't stored by the dry run",
+    );
+  });
+
+  it("saves the simulated threshold to the configuration", async () => {
+    saveMatchThreshold.mockResolvedValue("0Af000000000001");
+
+    const element = createSimulator();
+    const savedHandler = jest.fn();
+    element.addEventListener("thresholdsaved", savedHandler);
+    await flushPromises();
+
+    expect(getButton(element, "Save Threshold").disabled).toBe(true);
+
+    await moveSlider(element, 85);
+    getButton(element, "Save Threshold").click();
+    await flushPromises();
+
+    expect(saveMatchThreshold).toHaveBeenCalledWith({
+      configName: "Account_Standard",
+      matchThreshold: 85,
+    });
+    expect(savedHandler.mock.calls[0][0].detail).toEqual({
+      configName: "Account_Standard",
+      matchThreshold: 85,
+      deploymentId: "0Af000000000001",
+    });
+    expect(getButton(element, "Save Threshold").disabled).toBe(true);
+    expect(element.shadowRoot.textContent).toContain(
+      "Configured threshold: 85",
+    );
+    expect(element.shadowRoot.textContent).toContain("Dry run threshold: 80");
+
+    // The dry run still stored every group down to its own threshold
+    await moveSlider(element, 82);
+
+    expect(element.shadowRoot.textContent).not.toContain(
+      "weren't stored by the dry run",
+    );
+  });
+
+  it("keeps the dry run threshold apart from the configured threshold", async () => {
+    getThresholdSimulationData.mockResolvedValue({
+      ...MOCK_DATA,
+      configThreshold: 90,
+    });
+
+    const element = createSimulator();
+    await flushPromises();
+
+    expect(element.shadowRoot.querySelector("lightning-slider").value).toBe(80);
+    expect(element.shadowRoot.textContent).toContain(
+      "Configured threshold: 90",
+    );
+    expect(element.shadowRoot.textContent).not.toContain(
+      "weren't stored by the dry run",
+    );
+
+    await moveSlider(element, 78);
+
+    expect(element.shadowRoot.textContent).toContain(
+      "weren't stored by the dry run",
+    );
+  });
+});
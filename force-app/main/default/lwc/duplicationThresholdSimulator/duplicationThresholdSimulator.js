@@ -0,0 +1,296 @@
+import { LightningElement, api } from "lwc";
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import getThresholdSimulationData from "@salesforce/apex/DuplicateRecordController.getThresholdSimulationData";
+import saveMatchThreshold from "@salesforce/apex/DuplicationConfigController.saveMatchThreshold";
+
+// Groups scoring within this many points of the threshold are borderline
+const BORDERLINE_MARGIN = 5;
+
+const DEFAULT_THRESHOLD = 75;
+
+/**
+ * Read a threshold returned by Apex
+ * @param {*} value - Threshold, possibly null
+ * @returns {Number} Threshold, or null when unknown
+ */
+const toThreshold = (value) => {
+  return value !== null && value !== undefined ? Number(value) : null;
+};
+
+/**
+ * Count the groups, records and merges left at a threshold
+ * @param {Array} groups - Groups with matchScore and recordCount
+ * @param {Number} threshold - Match threshold
+ * @returns {Object} Group, record and merge counts
+ */
+const summarizeAtThreshold = (groups, threshold) => {
+  const kept = groups.filter((group) => (group.matchScore || 0) >= threshold);
+  const recordCount = kept.reduce(
+    (total, group) => total + (group.recordCount || 0),
+    0,
+  );
+
+  return {
+    groupCount: kept.length,
+    recordCount,
+    // Every record in a group except the master is merged away
+    mergeCount: recordCount - kept.length,
+  };
+};
+
+/**
+ * Format the change from the configured threshold, e.g. "+3" or "-12"
+ * @param {Number} value - Value at the simulated threshold
+ * @param {Number} baseline - Value at the configured threshold
+ * @returns {String} Signed difference, empty when unchanged
+ */
+const formatChange = (value, baseline) => {
+  const change = value - baseline;
+  if (change === 0) {
+    return "";
+  }
+  return change > 0 ? `+${change}` : String(change);
+};
+
+/**
+ * Re-buckets the stored match scores of a dry run at other thresholds so the
+ * threshold can be tuned without running the batch again
+ * @component
+ */
+export default class DuplicationThresholdSimulator extends LightningElement {
+  _batchJobId;
+
+  groups = [];
+  configName = null;
+  // Threshold the dry run used, which limits the groups it stored
+  runThreshold = null;
+  // Threshold of the deployed configuration, changed by saving
+  configuredThreshold = DEFAULT_THRESHOLD;
+  threshold = DEFAULT_THRESHOLD;
+  isLoading = false;
+  isSaving = false;
+  error = null;
+
+  /**
+   * ID of the dry run batch job whose groups are simulated
+   */
+  @api
+  get batchJobId() {
+    return this._batchJobId;
+  }
+  set batchJobId(value) {
+    if (value === this._batchJobId) {
+      return;
+    }
+    this._batchJobId = value;
+    this.loadSimulationData();
+  }
+
+  /**
+   * Load the match scores of the dry run groups
+   */
+  loadSimulationData() {
+    this.groups = [];
+    this.error = null;
+
+    if (!this._batchJobId) {
+      return;
+    }
+
+    this.isLoading = true;
+    getThresholdSimulationData({ batchJobId: this._batchJobId })
+      .then((result) => {
+        this.groups = (result.groups || []).map((group) => ({
+          ...group,
+          matchScore: Number(group.matchScore) || 0,
+          recordCount: Number(group.recordCount) || 0,
+        }));
+        this.configName = result.configName;
+        this.runThreshold = toThreshold(result.matchThreshold);
+        const configThreshold = toThreshold(result.configThreshold);
+        if (configThreshold !== null) {
+          this.configuredThreshold = configThreshold;
+        } else {
+          this.configuredThreshold =
+            this.runThreshold !== null ? this.runThreshold : DEFAULT_THRESHOLD;
+        }
+        // Start from the threshold the dry run used
+        this.threshold =
+          this.runThreshold !== null
+            ? this.runThreshold
+            : this.configuredThreshold;
+      })
+      .catch((error) => {
+        this.error =
+          (error.body && error.body.message) ||
+          error.message ||
+          "Error loading dry run scores";
+      })
+      .finally(() => {
+        this.isLoading = false;
+      });
+  }
+
+  /**
+   * Handle a change of the simulated threshold
+   * @param {Event} event - Change event from the slider
+   */
+  handleThresholdChange(event) {
+    this.threshold = Number(event.detail.value);
+  }
+
+  /**
+   * Go back to the configured threshold
+   */
+  handleReset() {
+    this.threshold = this.configuredThreshold;
+  }
+
+  /**
+   * Save the simulated threshold as a new version of the configuration
+   */
+  handleSave() {
+    const threshold = this.threshold;
+    this.isSaving = true;
+
+    saveMatchThreshold({
+      configName: this.configName,
+      matchThreshold: threshold,
+    })
+      .then((deploymentId) => {
+        this.configuredThreshold = threshold;
+        this.showToast(
+          "Threshold Saved",
+          `${this.configName} is being deployed with a match threshold of ${threshold} (deployment ${deploymentId})`,
+          "success",
+        );
+        this.dispatchEvent(
+          new CustomEvent("thresholdsaved", {
+            detail: {
+              configName: this.configName,
+              matchThreshold: threshold,
+              deploymentId,
+            },
+          }),
+        );
+      })
+      .catch((error) => {
+        this.handleError("Error saving match threshold", error);
+      })
+      .finally(() => {
+        this.isSaving = false;
+      });
+  }
+
+  /**
+   * Counts at the simulated threshold with their change from the configured one
+   */
+  get simulation() {
+    const simulated = summarizeAtThreshold(this.groups, this.threshold);
+    const configured = summarizeAtThreshold(
+      this.groups,
+      this.configuredThreshold,
+    );
+
+    return {
+      ...simulated,
+      groupChange: formatChange(simulated.groupCount, configured.groupCount),
+      recordChange: formatChange(simulated.recordCount, configured.recordCount),
+      mergeChange: formatChange(simulated.mergeCount, configured.mergeCount),
+    };
+  }
+
+  /**
+   * Groups scoring close to the simulated threshold, with whether they are kept
+   */
+  get borderlineGroups() {
+    return this.groups
+      .filter(
+        (group) =>
+          Math.abs(group.matchScore - this.threshold) <= BORDERLINE_MARGIN,
+      )
+      .map((group) => {
+        const isKept = group.matchScore >= this.threshold;
+        return {
+          ...group,
+          formattedScore: group.matchScore.toFixed(1),
+          status: isKept ? "Kept" : "Dropped",
+          statusClass: isKept
+            ? "slds-badge slds-theme_success"
+            : "slds-badge slds-theme_warning",
+        };
+      });
+  }
+
+  get borderlineSummary() {
+    return `Groups scoring within ${BORDERLINE_MARGIN} points of ${this.threshold}`;
+  }
+
+  get hasGroups() {
+    return this.groups.length > 0;
+  }
+
+  get hasBorderlineGroups() {
+    return this.borderlineGroups.length > 0;
+  }
+
+  get hasRunThreshold() {
+    return this.runThreshold !== null;
+  }
+
+  /**
+   * Groups below the threshold the dry run used were never stored, so lowering
+   * the threshold can't show the groups it would add
+   */
+  get isBelowRunThreshold() {
+    return this.hasRunThreshold && this.threshold < this.runThreshold;
+  }
+
+  get isSaveDisabled() {
+    return (
+      !this.configName ||
+      this.isSaving ||
+      this.threshold === this.configuredThreshold
+    );
+  }
+
+  get isResetDisabled() {
+    return this.threshold === this.configuredThreshold;
+  }
+
+  /**
+   * Show toast notification
+   * @param {String} title - Toast title
+   * @param {String} message - Toast message
+   * @param {String} variant - Toast variant (info, success, warning, error)
+   */
+  showToast(title, message, variant) {
+    this.dispatchEvent(
+      new ShowToastEvent({
+        title: title,
+        message: message,
+        variant: variant,
+      }),
+    );
+  }
+
+  /**
+   * Handle errors with proper messaging
+   * @param {String} baseMessage - Base error message
+   * @param {Error} error - Error object
+   */
+  handleError(baseMessage, error) {
+    let errorMessage = baseMessage;
+
+    if (error) {
+      if (error.body && error.body.message) {
+        errorMessage += ": " + error.body.message;
+      } else if (error.message) {
+        errorMessage += ": " + error.message;
+      }
+    }
+
+    console.error(errorMessage);
+    this.showToast("Error", errorMessage, "error");
+  }
+}
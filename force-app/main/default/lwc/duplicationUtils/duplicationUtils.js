@@ -284,6 +284,31 @@ export const fieldNameToLabel = (fieldName) => {
   return label;
 };
 
+/**
+ * Build the per-field selections sent with a merge request
+ * Drops fields whose winning value already comes from the master record,
+ * since the merge keeps master values on its own
+ * @param {Object} selections - Map of field API name to the ID of the record whose value wins
+ * @param {String} masterRecordId - ID of the surviving record
+ * @returns {Object} Map of field API name to the ID of a non-master record
+ */
+export const buildFieldSelections = (selections, masterRecordId) => {
+  const fieldSelections = {};
+
+  if (!selections) {
+    return fieldSelections;
+  }
+
+  Object.keys(selections).forEach((field) => {
+    const recordId = selections[field];
+    if (recordId && recordId !== masterRecordId) {
+      fieldSelections[field] = recordId;
+    }
+  });
+
+  return fieldSelections;
+};
+
 /**
  * Get time range filter options for statistics
  * @returns {Array} Array of time range options
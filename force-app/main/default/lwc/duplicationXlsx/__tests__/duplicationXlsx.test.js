@@ -0,0 +1,170 @@
+import { deflateRawSync } from "zlib";
+import { fromXlsx, toXlsx } from "c/duplicationXlsx";
+
+// Read the uncompressed archive back as text, one character per byte
+const toText = (bytes) =>
+  Array.from(bytes)
+    .map((byte) => String.fromCharCode(byte))
+    .join("");
+
+const readUint16 = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8);
+
+const uint16 = (value) => [value & 0xff, (value >>> 8) & 0xff];
+const uint32 = (value) => [...uint16(value), ...uint16(value >>> 16)];
+
+// Package files the way Excel saves them: compressed, with the sizes only
+// in the central directory
+const toCompressedZip = (files) => {
+  const local = [];
+  const central = [];
+  Object.keys(files).forEach((name) => {
+    const nameBytes = Array.from(Buffer.from(name));
+    const data = Array.from(deflateRawSync(Buffer.from(files[name])));
+    const offset = local.length;
+    local.push(
+      ...uint32(0x04034b50),
+      ...uint16(20),
+      ...uint16(8), // sizes follow the data
+      ...uint16(8), // deflated
+      ...uint32(0),
+      ...uint32(0),
+      ...uint32(0),
+      ...uint32(0),
+      ...uint16(nameBytes.length),
+      ...uint16(0),
+      ...nameBytes,
+      ...data,
+    );
+    central.push(
+      ...uint32(0x02014b50),
+      ...uint16(20),
+      ...uint16(20),
+      ...uint16(8),
+      ...uint16(8),
+      ...uint32(0),
+      ...uint32(0),
+      ...uint32(data.length),
+      ...uint32(files[name].length),
+      ...uint16(nameBytes.length),
+      ...uint16(0),
+      ...uint16(0),
+      ...uint16(0),
+      ...uint16(0),
+      ...uint32(0),
+      ...uint32(offset),
+      ...nameBytes,
+    );
+  });
+  const count = Object.keys(files).length;
+  return Uint8Array.from([
+    ...local,
+    ...central,
+    ...uint32(0x06054b50),
+    ...uint16(0),
+    ...uint16(0),
+    ...uint16(count),
+    ...uint16(count),
+    ...uint32(central.length),
+    ...uint32(local.length),
+    ...uint16(0),
+  ]);
+};
+
+describe("c-duplication-xlsx", () => {
+  it("packages the workbook parts in a zip archive", () => {
+    const bytes = toXlsx([["Name"], ["Acme"]]);
+    const text = toText(bytes);
+
+    expect(text.startsWith("PK\u0003\u0004")).toBe(true);
+    [
+      "[Content_Types].xml",
+      "_rels/.rels",
+      "xl/workbook.xml",
+      "xl/_rels/workbook.xml.rels",
+      "xl/worksheets/sheet1.xml",
+    ].forEach((name) => expect(text).toContain(name));
+
+    // The end of central directory record lists all five parts
+    const end = text.lastIndexOf("PK\u0005\u0006");
+    expect(end).toBe(bytes.length - 22);
+    expect(readUint16(bytes, end + 10)).toBe(5);
+  });
+
+  it("writes numbers as numbers and escapes text", () => {
+    const text = toText(
+      toXlsx(
+        [
+          ["Name", "Score", "Notes"],
+          ["Smith & Sons <UK>", 97.5, null],
+        ],
+        "Groups: May/June",
+      ),
+    );
+
+    expect(text).toContain('<sheet name="Groups  May June" sheetId="1"');
+    expect(text).toContain(
+      '<c r="A1" t="inlineStr"><is><t xml:space="preserve">Name</t></is></c>',
+    );
+    expect(text).toContain(
+      '<t xml:space="preserve">Smith &amp; Sons &lt;UK&gt;</t>',
+    );
+    expect(text).toContain('<c r="B2"><v>97.5</v></c>');
+    expect(text).not.toContain('r="C2"');
+  });
+
+  it("encodes text as UTF-8", () => {
+    const text = toText(toXlsx([["Müller"]]));
+
+    expect(text).toContain("MÃ¼ller");
+  });
+
+  it("reads back the workbooks it writes", () => {
+    const rows = fromXlsx(
+      toXlsx([
+        ["Name", "Score", null, "Notes"],
+        ["Smith & Sons <UK>", 97.5, "", "Müller"],
+      ]),
+    );
+
+    expect(rows).toEqual([
+      ["Name", "Score", "", "Notes"],
+      ["Smith & Sons <UK>", "97.5", "", "Müller"],
+    ]);
+  });
+
+  it("reads workbooks saved again by Excel", () => {
+    const repeated = "Acme ".repeat(40);
+    const bytes = toCompressedZip({
+      "xl/workbook.xml":
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<sheets><sheet name="Groups" sheetId="1" r:id="rId3"/></sheets></workbook>',
+      "xl/_rels/workbook.xml.rels":
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId3" Type="worksheet" Target="worksheets/sheet2.xml"/>' +
+        "</Relationships>",
+      "xl/sharedStrings.xml":
+        '<sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        "<si><t>Decision</t></si>" +
+        "<si><r><t>Mer</t></r><r><t>ge</t></r></si>" +
+        `<si><t>${repeated}</t></si></sst>`,
+      "xl/worksheets/sheet2.xml":
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1"><v>12</v></c></row>' +
+        '<row r="3"><c r="B3" t="s"><v>1</v></c><c r="C3" t="s"><v>2</v></c></row>' +
+        "</sheetData></worksheet>",
+    });
+
+    expect(fromXlsx(bytes)).toEqual([
+      ["Decision", "", "12"],
+      [],
+      ["", "Merge", repeated],
+    ]);
+  });
+
+  it("rejects files that are not workbooks", () => {
+    expect(() => fromXlsx(new Uint8Array([1, 2, 3]))).toThrow(
+      "The file is not an Excel workbook",
+    );
+  });
+});
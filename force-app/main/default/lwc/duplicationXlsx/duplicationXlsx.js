@@ -0,0 +1,611 @@
+/**
+ * Excel workbooks (Office Open XML) with a single worksheet.
+ * Writes rows of values as an .xlsx file in the browser. The workbook parts
+ * are stored uncompressed in the ZIP package, which every spreadsheet
+ * application reads, so no compression library is needed. Reads the first
+ * worksheet of a workbook back as rows of text, including workbooks saved
+ * again by Excel, which compresses the parts and shares repeated strings.
+ *
+ * @author Richard Hudson
+ * @since May 2025
+ */
+
+export const XLSX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// Sheet names are limited to 31 characters without []:*?/\
+const MAX_SHEET_NAME_LENGTH = 31;
+
+const XML_HEADER =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\r\n';
+
+const CONTENT_TYPES =
+  XML_HEADER +
+  '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+  '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+  "</Types>";
+
+const PACKAGE_RELATIONSHIPS =
+  XML_HEADER +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+  "</Relationships>";
+
+const WORKBOOK_RELATIONSHIPS =
+  XML_HEADER +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+  "</Relationships>";
+
+// CRC-32 lookup table for the ZIP entries
+const CRC_TABLE = (() => {
+  const table = [];
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table.push(c >>> 0);
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Encode text as UTF-8 bytes
+ * @param {String} text - Text to encode
+ * @returns {Array<Number>} Bytes
+ */
+const toUtf8 = (text) => {
+  const bytes = [];
+  const encoded = encodeURIComponent(text);
+  for (let i = 0; i < encoded.length; i++) {
+    if (encoded[i] === "%") {
+      bytes.push(parseInt(encoded.substr(i + 1, 2), 16));
+      i += 2;
+    } else {
+      bytes.push(encoded.charCodeAt(i));
+    }
+  }
+  return bytes;
+};
+
+/**
+ * Escape text for XML, leaving out control characters XML cannot hold
+ * @param {String} text - Text to escape
+ * @returns {String} Escaped text
+ */
+const escapeXml = (text) =>
+  text
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Column letters of a zero-based column index: A, B, ... Z, AA, AB ...
+ * @param {Number} index - Column index
+ * @returns {String} Column letters
+ */
+const columnName = (index) => {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+/**
+ * Write a cell, numbers as numbers and everything else as text
+ * @param {*} value - Cell value, blank for null or undefined
+ * @param {String} reference - Cell reference such as B3
+ * @returns {String} Cell XML
+ */
+const toCell = (value, reference) => {
+  if (value === null || value === undefined || value === "") {
+    return "";
+  }
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return `<c r="${reference}"><v>${value}</v></c>`;
+  }
+  return (
+    `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">` +
+    `${escapeXml(String(value))}</t></is></c>`
+  );
+};
+
+const toWorksheet = (rows) =>
+  XML_HEADER +
+  '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+  rows
+    .map((row, rowIndex) => {
+      const rowNumber = rowIndex + 1;
+      const cells = row
+        .map((value, column) => toCell(value, columnName(column) + rowNumber))
+        .join("");
+      return `<row r="${rowNumber}">${cells}</row>`;
+    })
+    .join("") +
+  "</sheetData></worksheet>";
+
+const toWorkbook = (sheetName) =>
+  XML_HEADER +
+  '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+  `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+  "</workbook>";
+
+const uint16 = (value) => [value & 0xff, (value >>> 8) & 0xff];
+const uint32 = (value) => [
+  value & 0xff,
+  (value >>> 8) & 0xff,
+  (value >>> 16) & 0xff,
+  (value >>> 24) & 0xff,
+];
+
+// Modification date 1 January 1980, the earliest a ZIP entry can hold
+const ZIP_TIME = 0;
+const ZIP_DATE = (1 << 5) | 1;
+
+/**
+ * Package files as an uncompressed ZIP archive
+ * @param {Array<Object>} files - Files with name and content text
+ * @returns {Uint8Array} Archive bytes
+ */
+const toZip = (files) => {
+  const local = [];
+  const central = [];
+  files.forEach(({ name, content }) => {
+    const nameBytes = toUtf8(name);
+    const data = toUtf8(content);
+    const crc = crc32(data);
+    const entry = [
+      ...uint16(20), // version needed
+      ...uint16(0), // flags
+      ...uint16(0), // stored
+      ...uint16(ZIP_TIME),
+      ...uint16(ZIP_DATE),
+      ...uint32(crc),
+      ...uint32(data.length),
+      ...uint32(data.length),
+      ...uint16(nameBytes.length),
+      ...uint16(0), // extra field length
+    ];
+    const offset = local.length;
+    local.push(...uint32(0x04034b50), ...entry, ...nameBytes);
+    for (let i = 0; i < data.length; i++) {
+      local.push(data[i]);
+    }
+    central.push(
+      ...uint32(0x02014b50),
+      ...uint16(20), // version made by
+      ...entry,
+      ...uint16(0), // comment length
+      ...uint16(0), // disk number
+      ...uint16(0), // internal attributes
+      ...uint32(0), // external attributes
+      ...uint32(offset),
+      ...nameBytes,
+    );
+  });
+
+  const end = [
+    ...uint32(0x06054b50),
+    ...uint16(0), // disk number
+    ...uint16(0), // disk with the central directory
+    ...uint16(files.length),
+    ...uint16(files.length),
+    ...uint32(central.length),
+    ...uint32(local.length),
+    ...uint16(0), // comment length
+  ];
+
+  const bytes = new Uint8Array(local.length + central.length + end.length);
+  bytes.set(local, 0);
+  bytes.set(central, local.length);
+  bytes.set(end, local.length + central.length);
+  return bytes;
+};
+
+/**
+ * Write rows of values as an Excel workbook with one worksheet. Numbers are
+ * written as numbers, every other value as text.
+ * @param {Array<Array<*>>} rows - Rows of values, blank for null or undefined
+ * @param {String} sheetName - Worksheet name, Sheet1 by default
+ * @returns {Uint8Array} Workbook file content
+ */
+export const toXlsx = (rows, sheetName = "Sheet1") => {
+  const name =
+    (sheetName || "")
+      .replace(/[[\]:*?/\\]/g, " ")
+      .trim()
+      .slice(0, MAX_SHEET_NAME_LENGTH) || "Sheet1";
+
+  return toZip([
+    { name: "[Content_Types].xml", content: CONTENT_TYPES },
+    { name: "_rels/.rels", content: PACKAGE_RELATIONSHIPS },
+    { name: "xl/workbook.xml", content: toWorkbook(name) },
+    { name: "xl/_rels/workbook.xml.rels", content: WORKBOOK_RELATIONSHIPS },
+    { name: "xl/worksheets/sheet1.xml", content: toWorksheet(rows || []) },
+  ]);
+};
+
+const readUint16 = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8);
+const readUint32 = (bytes, offset) =>
+  (readUint16(bytes, offset) | (readUint16(bytes, offset + 2) << 16)) >>> 0;
+
+/**
+ * Decode UTF-8 bytes as text
+ * @param {Uint8Array} bytes - Bytes to decode
+ * @returns {String} Text
+ */
+const fromUtf8 = (bytes) => {
+  const encoded = [];
+  for (let i = 0; i < bytes.length; i++) {
+    encoded.push((bytes[i] < 16 ? "%0" : "%") + bytes[i].toString(16));
+  }
+  return decodeURIComponent(encoded.join(""));
+};
+
+// Base values and extra bits of the DEFLATE length and distance codes
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67,
+  83, 99, 115, 131, 163, 195, 227, 258,
+];
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5,
+  5, 5, 0,
+];
+const DISTANCE_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769,
+  1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+const DISTANCE_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11,
+  11, 12, 12, 13, 13,
+];
+// Order the code length code lengths are stored in
+const CODE_LENGTH_ORDER = [
+  16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15,
+];
+
+/**
+ * Build a canonical Huffman code from the code length of each symbol
+ * @param {Array<Number>} lengths - Code length per symbol, 0 when unused
+ * @returns {Object} Number of codes per length and symbols in code order
+ */
+const toHuffman = (lengths) => {
+  const counts = new Array(16).fill(0);
+  lengths.forEach((length) => counts[length]++);
+  counts[0] = 0;
+
+  const offsets = [0, 0];
+  for (let length = 1; length < 15; length++) {
+    offsets[length + 1] = offsets[length] + counts[length];
+  }
+  const symbols = [];
+  lengths.forEach((length, symbol) => {
+    if (length) {
+      symbols[offsets[length]++] = symbol;
+    }
+  });
+  return { counts, symbols };
+};
+
+const FIXED_LITERALS = toHuffman(
+  Array.from({ length: 288 }, (_, symbol) => {
+    if (symbol < 144) {
+      return 8;
+    }
+    if (symbol < 256) {
+      return 9;
+    }
+    return symbol < 280 ? 7 : 8;
+  }),
+);
+const FIXED_DISTANCES = toHuffman(new Array(30).fill(5));
+
+/**
+ * Decompress raw DEFLATE data, the compression used by ZIP archives
+ * @param {Uint8Array} data - Compressed bytes
+ * @returns {Uint8Array} Decompressed bytes
+ */
+const inflate = (data) => {
+  const out = [];
+  let position = 0;
+
+  const readBits = (count) => {
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+      if (position >>> 3 >= data.length) {
+        throw new Error("The workbook is damaged");
+      }
+      value |= ((data[position >>> 3] >>> (position & 7)) & 1) << i;
+      position++;
+    }
+    return value;
+  };
+
+  const decode = ({ counts, symbols }) => {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let length = 1; length < 16; length++) {
+      code |= readBits(1);
+      const count = counts[length];
+      if (code - count < first) {
+        return symbols[index + (code - first)];
+      }
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error("The workbook is damaged");
+  };
+
+  const inflateCodes = (literals, distances) => {
+    for (let symbol = decode(literals); symbol !== 256; ) {
+      if (symbol < 256) {
+        out.push(symbol);
+      } else {
+        const lengthCode = symbol - 257;
+        const length =
+          LENGTH_BASE[lengthCode] + readBits(LENGTH_EXTRA[lengthCode]);
+        const distanceCode = decode(distances);
+        const distance =
+          DISTANCE_BASE[distanceCode] + readBits(DISTANCE_EXTRA[distanceCode]);
+        if (distance > out.length) {
+          throw new Error("The workbook is damaged");
+        }
+        for (let i = 0; i < length; i++) {
+          out.push(out[out.length - distance]);
+        }
+      }
+      symbol = decode(literals);
+    }
+  };
+
+  const readDynamicCodes = () => {
+    const literalCount = readBits(5) + 257;
+    const distanceCount = readBits(5) + 1;
+    const codeLengthCount = readBits(4) + 4;
+
+    const codeLengths = new Array(19).fill(0);
+    for (let i = 0; i < codeLengthCount; i++) {
+      codeLengths[CODE_LENGTH_ORDER[i]] = readBits(3);
+    }
+    const codeLengthCode = toHuffman(codeLengths);
+
+    const lengths = [];
+    while (lengths.length < literalCount + distanceCount) {
+      const symbol = decode(codeLengthCode);
+      if (symbol < 16) {
+        lengths.push(symbol);
+      } else if (symbol === 16) {
+        const previous = lengths[lengths.length - 1];
+        for (let repeat = 3 + readBits(2); repeat > 0; repeat--) {
+          lengths.push(previous);
+        }
+      } else {
+        const zeros = symbol === 17 ? 3 + readBits(3) : 11 + readBits(7);
+        for (let repeat = zeros; repeat > 0; repeat--) {
+          lengths.push(0);
+        }
+      }
+    }
+    return [
+      toHuffman(lengths.slice(0, literalCount)),
+      toHuffman(lengths.slice(literalCount, literalCount + distanceCount)),
+    ];
+  };
+
+  let isLastBlock = false;
+  while (!isLastBlock) {
+    isLastBlock = readBits(1) === 1;
+    const type = readBits(2);
+    if (type === 0) {
+      // Stored block: skip to the next byte, then length and its complement
+      const start = ((position + 7) >>> 3) + 4;
+      const length = readUint16(data, start - 4);
+      for (let i = 0; i < length; i++) {
+        out.push(data[start + i]);
+      }
+      position = (start + length) * 8;
+    } else if (type === 1) {
+      inflateCodes(FIXED_LITERALS, FIXED_DISTANCES);
+    } else if (type === 2) {
+      const [literals, distances] = readDynamicCodes();
+      inflateCodes(literals, distances);
+    } else {
+      throw new Error("The workbook is damaged");
+    }
+  }
+  return Uint8Array.from(out);
+};
+
+/**
+ * Read the file entries of a ZIP archive
+ * @param {Uint8Array} bytes - Archive bytes
+ * @returns {Object} Function reading the text of an entry by name, null when missing
+ */
+const readZip = (bytes) => {
+  let end = bytes.length - 22;
+  while (end >= 0 && readUint32(bytes, end) !== 0x06054b50) {
+    end--;
+  }
+  if (end < 0) {
+    throw new Error("The file is not an Excel workbook");
+  }
+
+  // Sizes are read from the central directory since Excel leaves them out
+  // of the local headers
+  const entries = {};
+  let offset = readUint32(bytes, end + 16);
+  for (let count = readUint16(bytes, end + 10); count > 0; count--) {
+    if (readUint32(bytes, offset) !== 0x02014b50) {
+      throw new Error("The workbook is damaged");
+    }
+    const nameLength = readUint16(bytes, offset + 28);
+    const name = fromUtf8(
+      bytes.subarray(offset + 46, offset + 46 + nameLength),
+    );
+    const localOffset = readUint32(bytes, offset + 42);
+    const dataStart =
+      localOffset +
+      30 +
+      readUint16(bytes, localOffset + 26) +
+      readUint16(bytes, localOffset + 28);
+    entries[name] = {
+      method: readUint16(bytes, offset + 10),
+      data: bytes.subarray(
+        dataStart,
+        dataStart + readUint32(bytes, offset + 20),
+      ),
+    };
+    offset +=
+      46 +
+      nameLength +
+      readUint16(bytes, offset + 30) +
+      readUint16(bytes, offset + 32);
+  }
+
+  return (name) => {
+    const entry = entries[name];
+    if (!entry) {
+      return null;
+    }
+    if (entry.method === 0) {
+      return fromUtf8(entry.data);
+    }
+    if (entry.method === 8) {
+      return fromUtf8(inflate(entry.data));
+    }
+    throw new Error("The workbook uses an unsupported compression method");
+  };
+};
+
+const parseXml = (text) => new DOMParser().parseFromString(text, "text/xml");
+
+// Elements are matched by local name since writers may prefix the namespace
+const childElements = (node, localName) =>
+  Array.from(node.childNodes).filter((child) => child.localName === localName);
+const descendants = (node, localName) =>
+  Array.from(node.getElementsByTagNameNS("*", localName));
+
+// Text of a string item, leaving out phonetic guides
+const toText = (node) =>
+  descendants(node, "t")
+    .filter((t) => t.parentNode.localName !== "rPh")
+    .map((t) => t.textContent)
+    .join("");
+
+/**
+ * Zero-based column index of a cell reference such as B3
+ * @param {String} reference - Cell reference
+ * @returns {Number} Column index, -1 when the reference has no column
+ */
+const columnIndex = (reference) => {
+  const letters = /^[A-Z]+/.exec(reference || "");
+  if (!letters) {
+    return -1;
+  }
+  let index = 0;
+  for (const letter of letters[0]) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+};
+
+/**
+ * Path of the first worksheet, found through the workbook relationships
+ * @param {Function} readEntry - Reads an archive entry as text
+ * @returns {String} Worksheet entry name
+ */
+const getFirstSheetPath = (readEntry) => {
+  const workbook = readEntry("xl/workbook.xml");
+  const relationships = readEntry("xl/_rels/workbook.xml.rels");
+  const sheet = workbook && descendants(parseXml(workbook), "sheet")[0];
+  if (!sheet || !relationships) {
+    return "xl/worksheets/sheet1.xml";
+  }
+
+  const relationshipId = Array.from(sheet.attributes).find(
+    (attribute) => attribute.localName === "id",
+  );
+  const relationship = descendants(
+    parseXml(relationships),
+    "Relationship",
+  ).find(
+    (node) =>
+      relationshipId && node.getAttribute("Id") === relationshipId.value,
+  );
+  const target = relationship && relationship.getAttribute("Target");
+  if (!target) {
+    return "xl/worksheets/sheet1.xml";
+  }
+  return target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+};
+
+/**
+ * Read the first worksheet of an Excel workbook as rows of text. Blank
+ * cells are read as empty text.
+ * @param {Uint8Array|ArrayBuffer} content - Workbook file content
+ * @returns {Array<Array<String>>} Rows of cell values
+ */
+export const fromXlsx = (content) => {
+  const readEntry = readZip(new Uint8Array(content));
+
+  const worksheet = readEntry(getFirstSheetPath(readEntry));
+  if (worksheet === null) {
+    throw new Error("The workbook has no worksheet");
+  }
+  const sharedStringsXml = readEntry("xl/sharedStrings.xml");
+  const sharedStrings = sharedStringsXml
+    ? descendants(parseXml(sharedStringsXml), "si").map(toText)
+    : [];
+
+  const rows = [];
+  descendants(parseXml(worksheet), "row").forEach((rowNode) => {
+    const rowNumber = parseInt(rowNode.getAttribute("r"), 10);
+    const row = [];
+    childElements(rowNode, "c").forEach((cell) => {
+      const column = columnIndex(cell.getAttribute("r"));
+      const type = cell.getAttribute("t");
+      const valueNode = childElements(cell, "v")[0];
+      const value = valueNode ? valueNode.textContent : "";
+
+      let text = value;
+      if (type === "inlineStr") {
+        const inline = childElements(cell, "is")[0];
+        text = inline ? toText(inline) : "";
+      } else if (type === "s") {
+        text = sharedStrings[parseInt(value, 10)] || "";
+      }
+
+      const index = column < 0 ? row.length : column;
+      while (row.length < index) {
+        row.push("");
+      }
+      row[index] = text;
+    });
+
+    const index = rowNumber > 0 ? rowNumber - 1 : rows.length;
+    while (rows.length < index) {
+      rows.push([]);
+    }
+    rows[index] = row;
+  });
+  return rows;
+};
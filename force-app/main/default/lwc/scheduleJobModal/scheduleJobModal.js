@@ -1,23 +1,13 @@
 import { LightningElement, api } from "lwc";
 import { ShowToastEvent } from "lightning/platformShowToastEvent";
-import scheduleJob from "@salesforce/apex/DuplicateRecordScheduler.scheduleJob";
+import createSchedule from "@salesforce/apex/DuplicateRecordJobController.createSchedule";
 
 export default class ScheduleJobModal extends LightningElement {
   @api configId; // This should be the setting DeveloperName string
 
   jobName = "";
-  scheduleType = "Daily";
-  runHour = 2;
   isDryRun = false;
 
-  get scheduleTypeOptions() {
-    return [
-      { label: "Daily", value: "Daily" },
-      { label: "Weekly", value: "Weekly" },
-      { label: "Custom (Cron)", value: "Custom" },
-    ];
-  }
-
   handleChange(event) {
     const { name, value, type, checked } = event.target;
     this[name] = type === "checkbox" ? checked : value;
@@ -51,33 +41,33 @@ export default class ScheduleJobModal extends LightningElement {
       return;
     }
 
-    try {
-      const hour = parseInt(this.runHour, 10);
-
-      // Validate hour
-      if (isNaN(hour) || hour < 0 || hour > 23) {
-        this.showToast(
-          "Validation Error",
-          "Run Hour must be a number between 0 and 23",
-          "error",
-        );
-        return;
-      }
+    const scheduleBuilder = this.template.querySelector(
+      "c-duplication-schedule-builder",
+    );
+    if (!scheduleBuilder.validate()) {
+      this.showToast(
+        "Validation Error",
+        "Please fix the schedule before saving.",
+        "error",
+      );
+      return;
+    }
 
-      const cronExp = `0 0 ${hour} * * ?`; // CRON expression to run daily at the specified hour
+    try {
+      const cronExp = scheduleBuilder.cronExpression;
       console.log("Generated cron expression:", cronExp);
 
-      // Pass a single object containing all parameters to the Apex method
+      // Saved as a schedule so it can be edited, paused and resumed later
       const params = {
-        jobName: this.jobName,
-        cronExp: cronExp,
-        settingDeveloperName: this.configId,
+        scheduleName: this.jobName,
+        configurationName: this.configId,
+        cronExpression: cronExp,
         isDryRun: this.isDryRun,
       };
 
-      console.log("Calling scheduleJob with params:", params);
+      console.log("Calling createSchedule with params:", params);
 
-      await scheduleJob(params);
+      await createSchedule(params);
 
       console.log("Job scheduled successfully");
       this.showToast("Success", "Scheduled job created.", "success");
@@ -0,0 +1,9 @@
+/**
+ * Resolves once the pending promise callbacks have run, so a component that
+ * loads its data through imperative Apex calls has re-rendered before a test
+ * inspects its DOM. Tests that fake the timers flush with
+ * jest.advanceTimersByTimeAsync instead.
+ */
+export default function flushPromises() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}